@@ -2,6 +2,7 @@ import { WebScraper } from './src/scraper/WebScraper.js';
 
 async function debugEmailExtraction() {
     const scraper = new WebScraper();
+    const emailExtractor = scraper.pipeline.get('emails');
     
     const testText = `
         Contact us at info@testcompany.com or support@testcompany.com
@@ -21,7 +22,7 @@ async function debugEmailExtraction() {
     console.log('Test HTML:', testHtml.trim());
     
     try {
-        const emails = scraper.extractEmails(testText, testHtml);
+        const emails = emailExtractor.extractEmails(testText, testHtml);
         console.log('\n📧 Extracted emails:', emails);
         
         // Test individual validation
@@ -29,8 +30,8 @@ async function debugEmailExtraction() {
         console.log('\n🔍 Testing email validation:');
         
         testEmails.forEach(email => {
-            const isValid = scraper.isValidEmail(email);
-            const isFalsePositive = scraper.isEmailFalsePositive(email);
+            const isValid = emailExtractor.isValidEmail(email);
+            const isFalsePositive = emailExtractor.isEmailFalsePositive(email);
             console.log(`   ${email}: Valid=${isValid}, FalsePositive=${isFalsePositive}`);
         });
         
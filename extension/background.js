@@ -0,0 +1,93 @@
+/**
+ * Data Scraper Companion - background script
+ * Forwards snapshots from the active tab to the desktop app's ingest endpoint with the pairing
+ * token, and shows the number of contacts found on the toolbar badge.
+ */
+const DEFAULT_SETTINGS = {
+    endpoint: 'http://127.0.0.1:47600',
+    token: '',
+    enabled: false, // Send pages automatically; off until the user opts in from the popup
+    excludedHosts: [] // Hosts (and their subdomains) never sent automatically
+};
+
+/**
+ * Saved settings over the defaults
+ */
+async function getSettings() {
+    return { ...DEFAULT_SETTINGS, ...(await chrome.storage.local.get(Object.keys(DEFAULT_SETTINGS))) };
+}
+
+/**
+ * Call the desktop app; errors carry the app's message
+ */
+async function callApp(path, { method = 'GET', body, settings } = {}) {
+    const { endpoint, token } = settings || await getSettings();
+    const response = await fetch(`${endpoint.replace(/\/+$/, '')}${path}`, {
+        method,
+        headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.error || `Desktop app answered ${response.status}`);
+    }
+    return result;
+}
+
+/**
+ * Whether a URL's host or one of its parent domains is on the exclude list
+ */
+function isExcluded(url, excludedHosts) {
+    const { hostname } = new URL(url);
+    return excludedHosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * Send a snapshot from a tab, if the tab is the active one and the extension is paired
+ * Pages sent from the popup always go out; automatic snapshots only with automatic sending on
+ * and the host not excluded.
+ */
+async function sendSnapshot(snapshot, tab) {
+    const settings = await getSettings();
+    const allowed = snapshot.trigger === 'manual'
+        || (settings.enabled && !isExcluded(snapshot.url, settings.excludedHosts));
+    if (!allowed || !settings.token || !tab.active) {
+        return { skipped: true };
+    }
+
+    try {
+        const result = await callApp('/snapshot', { method: 'POST', body: snapshot, settings });
+        const found = Object.values(result.contacts || {}).reduce((sum, count) => sum + count, 0);
+        if (!result.unchanged && !result.ignored) {
+            await chrome.action.setBadgeText({ tabId: tab.id, text: found > 0 ? String(found) : '' });
+        }
+        await chrome.storage.local.set({ lastError: null, lastSentAt: new Date().toISOString() });
+        return result;
+
+    } catch (error) {
+        await chrome.action.setBadgeText({ tabId: tab.id, text: '!' });
+        await chrome.storage.local.set({ lastError: error.message });
+        return { error: error.message };
+    }
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'snapshot' && sender.tab) {
+        sendSnapshot(message.snapshot, sender.tab).then(sendResponse);
+        return true; // Responds asynchronously
+    }
+
+    if (message.type === 'check-pairing') {
+        callApp('/status', { settings: message.settings })
+            .then(status => sendResponse({ ok: true, status }))
+            .catch(error => sendResponse({ ok: false, error: error.message }));
+        return true;
+    }
+    return false;
+});
+
+chrome.action.setBadgeBackgroundColor({ color: '#2563eb' });
@@ -0,0 +1,159 @@
+/**
+ * Data Scraper Companion - content script
+ * Captures a sanitized snapshot of the page while it is the visible tab: once the page has loaded,
+ * when the tab becomes visible again, and after the DOM settles following user interaction.
+ * Unchanged snapshots aren't sent twice. The background script decides whether a snapshot goes out
+ * (automatic sending is off until the user turns it on, excluded hosts never send automatically);
+ * the same settings are read here so pages that won't be sent are never copied.
+ */
+(() => {
+    if (window.__dataScraperCompanion) return;
+    window.__dataScraperCompanion = true;
+
+    const MAX_HTML_LENGTH = 4 * 1024 * 1024;
+    const MAX_SNAPSHOTS_PER_PAGE = 20;
+    const SETTLE_DELAY = 2000; // ms without DOM changes before a re-capture
+    const DEFAULT_SETTINGS = { token: '', enabled: false, excludedHosts: [] }; // As in background.js
+
+    // Never sent: executable or embedded content, and form fields that may hold secrets
+    const REMOVED_SELECTOR = [
+        'script:not([type*="json" i]):not([type*="vcard" i])',
+        'style', 'noscript', 'template', 'iframe', 'frame', 'object', 'embed',
+        'canvas', 'video', 'audio', 'link', 'base',
+        'input[type="password" i]', 'input[type="hidden" i]'
+    ].join(', ');
+
+    let lastSent = null;
+    let sentCount = 0;
+    let settleTimer = null;
+    let interacted = false;
+    let settings = { ...DEFAULT_SETTINGS };
+
+    // Blanked: whatever the user typed or may be drafting
+    const EDITABLE_SELECTOR = 'textarea, [contenteditable]:not([contenteditable="false" i])';
+
+    /**
+     * Copy of the document without scripts, embeds, form field values, editable content or inline event handlers
+     */
+    function sanitizedHtml() {
+        const root = document.documentElement.cloneNode(true);
+        root.querySelectorAll(REMOVED_SELECTOR).forEach(element => element.remove());
+        root.querySelectorAll('input').forEach(field => field.removeAttribute('value'));
+        root.querySelectorAll(EDITABLE_SELECTOR).forEach(element => element.replaceChildren());
+
+        root.querySelectorAll('*').forEach(element => {
+            for (const { name, value } of [...element.attributes]) {
+                if (/^on/i.test(name) || /^\s*javascript:/i.test(value) || /^\s*data:/i.test(value)) {
+                    element.removeAttribute(name);
+                }
+            }
+        });
+
+        const html = `<!DOCTYPE html>\n${root.outerHTML}`;
+        return html.length > MAX_HTML_LENGTH ? html.slice(0, MAX_HTML_LENGTH) : html;
+    }
+
+    /**
+     * Rendered text of the page without the text of editable regions (drafts in contenteditable editors)
+     * Textarea contents are not part of innerText.
+     */
+    function visibleText() {
+        let text = document.body.innerText;
+        document.body.querySelectorAll(EDITABLE_SELECTOR).forEach(element => {
+            const draft = element.innerText.trim();
+            if (draft) text = text.split(draft).join('');
+        });
+        return text;
+    }
+
+    /**
+     * Load the sending settings, and keep them current when they are changed in the popup
+     */
+    async function loadSettings() {
+        settings = { ...DEFAULT_SETTINGS, ...(await chrome.storage.local.get(Object.keys(DEFAULT_SETTINGS))) };
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'local') return;
+            Object.keys(DEFAULT_SETTINGS).filter(key => key in changes).forEach(key => {
+                settings[key] = changes[key].newValue ?? DEFAULT_SETTINGS[key];
+            });
+        });
+    }
+
+    /**
+     * Whether the background script would send an automatic snapshot of this page
+     */
+    function sendsAutomatically() {
+        const { hostname } = location;
+        return Boolean(settings.token) && settings.enabled === true
+            && !settings.excludedHosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+    }
+
+    /**
+     * Send a snapshot of the page if it is visible and changed since the last one
+     * Manual captures from the popup always go out.
+     */
+    function capture(trigger, force = false) {
+        if (document.visibilityState !== 'visible' || !document.body) return;
+        if (!force && (sentCount >= MAX_SNAPSHOTS_PER_PAGE || !sendsAutomatically())) return;
+
+        const text = visibleText();
+        const fingerprint = `${location.href}\n${text}`;
+        if (!force && fingerprint === lastSent) return;
+
+        lastSent = fingerprint;
+        sentCount++;
+        chrome.runtime.sendMessage({
+            type: 'snapshot',
+            snapshot: {
+                url: location.href,
+                title: document.title,
+                html: sanitizedHtml(),
+                text,
+                capturedAt: new Date().toISOString(),
+                trigger
+            }
+        }).catch(() => {}); // Background not ready (extension reloading)
+    }
+
+    /**
+     * Re-capture once the DOM stops changing after the user interacted with the page
+     */
+    function scheduleSettledCapture() {
+        if (!interacted) return;
+        clearTimeout(settleTimer);
+        settleTimer = setTimeout(() => capture('interaction'), SETTLE_DELAY);
+    }
+
+    ['click', 'keydown', 'submit'].forEach(type => {
+        document.addEventListener(type, () => {
+            interacted = true;
+            scheduleSettledCapture();
+        }, { capture: true, passive: true });
+    });
+
+    new MutationObserver(scheduleSettledCapture).observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+        characterData: true
+    });
+
+    document.addEventListener('visibilitychange', () => capture('visible'));
+
+    // Single-page apps change the URL without loading a new document
+    let lastUrl = location.href;
+    setInterval(() => {
+        if (location.href !== lastUrl) {
+            lastUrl = location.href;
+            sentCount = 0;
+            setTimeout(() => capture('navigation'), SETTLE_DELAY);
+        }
+    }, 1000);
+
+    chrome.runtime.onMessage.addListener(message => {
+        if (message.type === 'capture') {
+            capture('manual', true);
+        }
+    });
+
+    loadSettings().then(() => capture('load'));
+})();
@@ -0,0 +1,69 @@
+/**
+ * Data Scraper Companion - popup and options page: pairing settings and manual sending
+ */
+const fields = {
+    endpoint: document.getElementById('endpoint'),
+    token: document.getElementById('token'),
+    enabled: document.getElementById('enabled'),
+    excludedHosts: document.getElementById('excluded-hosts')
+};
+const statusLine = document.getElementById('status');
+
+function showStatus(message, type = '') {
+    statusLine.textContent = message;
+    statusLine.className = type;
+}
+
+async function load() {
+    const settings = await chrome.storage.local.get(['endpoint', 'token', 'enabled', 'excludedHosts', 'lastError']);
+    fields.endpoint.value = settings.endpoint || 'http://127.0.0.1:47600';
+    fields.token.value = settings.token || '';
+    fields.enabled.checked = settings.enabled === true;
+    fields.excludedHosts.value = (settings.excludedHosts || []).join('\n');
+
+    if (!settings.token) {
+        showStatus('Not paired yet');
+    } else if (settings.lastError) {
+        showStatus(`Last send failed: ${settings.lastError}`, 'error');
+    }
+}
+
+async function saveAndTest() {
+    const settings = {
+        endpoint: fields.endpoint.value.trim() || 'http://127.0.0.1:47600',
+        token: fields.token.value.trim(),
+        enabled: fields.enabled.checked,
+        excludedHosts: fields.excludedHosts.value
+            .split(/[\s,]+/)
+            .map(host => host.trim().toLowerCase().replace(/^\*\./, ''))
+            .filter(Boolean)
+    };
+    await chrome.storage.local.set(settings);
+
+    showStatus('Connecting...');
+    const result = await chrome.runtime.sendMessage({ type: 'check-pairing', settings });
+    if (result.ok) {
+        showStatus('Paired with the desktop app', 'ok');
+    } else {
+        showStatus(`Pairing failed: ${result.error}`, 'error');
+    }
+}
+
+async function sendActiveTab() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !/^https?:/.test(tab.url || '')) {
+        showStatus('Only web pages can be sent', 'error');
+        return;
+    }
+
+    try {
+        await chrome.tabs.sendMessage(tab.id, { type: 'capture' });
+        showStatus('Page sent', 'ok');
+    } catch {
+        showStatus('Reload the page and try again', 'error');
+    }
+}
+
+document.getElementById('save').addEventListener('click', saveAndTest);
+document.getElementById('send').addEventListener('click', sendActiveTab);
+load();
@@ -0,0 +1,234 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import * as cheerio from 'cheerio';
+import { WebScraper } from '../scraper/WebScraper.js';
+import { PhoneNumberParser } from '../processor/PhoneNumberParser.js';
+
+const NAME_TITLES = /^(?:dr|prof|mr|mrs|ms|miss|sir)\.?\s+/i;
+
+/**
+ * Extraction Benchmark - Scores the extraction pipeline against a labelled corpus of saved pages
+ * Reports precision, recall and F1 per field and per page, and diffs the scores against a stored baseline
+ */
+export class ExtractionBenchmark {
+    constructor(config = {}) {
+        this.config = {
+            corpusDir: join(process.cwd(), 'benchmark', 'corpus'),
+            labelsPath: join(process.cwd(), 'benchmark', 'labels.json'),
+            baselinePath: join(process.cwd(), 'benchmark', 'baseline.json'),
+            fields: ['emails', 'phones', 'names'],
+            tolerance: 0.001, // Score drops smaller than this are rounding, not regressions
+            ...config
+        };
+
+        this.scraper = config.scraper || new WebScraper();
+        this.phoneParser = new PhoneNumberParser();
+    }
+
+    /**
+     * Load the labelled pages: { file, url, html, expected }
+     */
+    loadCorpus() {
+        const labels = JSON.parse(readFileSync(this.config.labelsPath, 'utf8'));
+
+        return Object.entries(labels).map(([file, label]) => ({
+            file,
+            url: label.url,
+            html: readFileSync(join(this.config.corpusDir, file), 'utf8'),
+            expected: label.expected || {}
+        }));
+    }
+
+    /**
+     * Run every corpus page through WebScraper.processScrapedData and score the results
+     */
+    async run() {
+        const pages = [];
+
+        for (const page of this.loadCorpus()) {
+            const result = await this.scraper.processScrapedData(this.toRawData(page));
+
+            const fields = {};
+            this.config.fields.forEach(field => {
+                fields[field] = this.scoreField(field, page.expected[field] || [], result[field] || [], page.url);
+            });
+
+            pages.push({ file: page.file, url: page.url, fields });
+        }
+
+        return { pages, totals: this.totalScores(pages) };
+    }
+
+    /**
+     * Build the raw scrape result a static fetch of the saved page would have produced
+     */
+    toRawData(page) {
+        const $ = cheerio.load(page.html);
+
+        return {
+            url: page.url,
+            title: $('title').text().trim(),
+            content: page.html,
+            textContent: $('body').text(),
+            method: 'static',
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Compare extracted values with the labels for one field
+     */
+    scoreField(field, expected, actual, url) {
+        const region = this.phoneParser.regionForPage(url);
+        const normalize = value => this.normalizeValue(field, value, region);
+
+        const expectedSet = new Set(expected.map(normalize).filter(Boolean));
+        const actualSet = new Set(actual.map(normalize).filter(Boolean));
+
+        const matched = [...actualSet].filter(value => expectedSet.has(value));
+        const unexpected = [...actualSet].filter(value => !expectedSet.has(value));
+        const missing = [...expectedSet].filter(value => !actualSet.has(value));
+
+        return {
+            ...this.calculateMetrics(matched.length, unexpected.length, missing.length),
+            unexpected,
+            missing
+        };
+    }
+
+    /**
+     * Canonical form used to match an extracted value with a label
+     */
+    normalizeValue(field, value, region = null) {
+        const text = typeof value === 'string' ? value : (value && (value.value || value.name || value.phone || value.email)) || '';
+
+        if (field === 'emails') {
+            return text.trim().toLowerCase();
+        }
+
+        if (field === 'phones') {
+            const parsed = this.phoneParser.parse(text, region);
+            if (parsed) return parsed.extension ? `${parsed.e164};ext=${parsed.extension}` : parsed.e164;
+            return text.replace(/\D/g, '');
+        }
+
+        // Names: case, spacing and honorifics don't make a different person
+        return text.replace(/\s+/g, ' ').trim().replace(NAME_TITLES, '').toLowerCase();
+    }
+
+    /**
+     * Precision, recall and F1 from match counts
+     * An empty label set with no extracted values is a perfect score
+     */
+    calculateMetrics(truePositives, falsePositives, falseNegatives) {
+        const precision = truePositives + falsePositives === 0 ? 1 : truePositives / (truePositives + falsePositives);
+        const recall = truePositives + falseNegatives === 0 ? 1 : truePositives / (truePositives + falseNegatives);
+        const f1 = precision + recall === 0 ? 0 : (2 * precision * recall) / (precision + recall);
+
+        return {
+            truePositives,
+            falsePositives,
+            falseNegatives,
+            precision: this.round(precision),
+            recall: this.round(recall),
+            f1: this.round(f1)
+        };
+    }
+
+    /**
+     * Micro-averaged scores per field across all pages
+     */
+    totalScores(pages) {
+        const totals = {};
+
+        this.config.fields.forEach(field => {
+            const counts = pages.reduce((sum, page) => ({
+                tp: sum.tp + page.fields[field].truePositives,
+                fp: sum.fp + page.fields[field].falsePositives,
+                fn: sum.fn + page.fields[field].falseNegatives
+            }), { tp: 0, fp: 0, fn: 0 });
+
+            totals[field] = this.calculateMetrics(counts.tp, counts.fp, counts.fn);
+        });
+
+        return totals;
+    }
+
+    /**
+     * Scores kept in the baseline file (per field totals and per page F1)
+     */
+    toBaseline(report) {
+        const pick = ({ precision, recall, f1 }) => ({ precision, recall, f1 });
+        const baseline = { totals: {}, pages: {} };
+
+        Object.entries(report.totals).forEach(([field, scores]) => {
+            baseline.totals[field] = pick(scores);
+        });
+
+        report.pages.forEach(page => {
+            baseline.pages[page.file] = {};
+            Object.entries(page.fields).forEach(([field, scores]) => {
+                baseline.pages[page.file][field] = pick(scores);
+            });
+        });
+
+        return baseline;
+    }
+
+    /**
+     * Load the stored baseline, or null if none was saved yet
+     */
+    loadBaseline() {
+        if (!existsSync(this.config.baselinePath)) return null;
+        return JSON.parse(readFileSync(this.config.baselinePath, 'utf8'));
+    }
+
+    /**
+     * Store the report's scores as the new baseline
+     */
+    saveBaseline(report) {
+        writeFileSync(this.config.baselinePath, JSON.stringify(this.toBaseline(report), null, 4) + '\n');
+        return this.config.baselinePath;
+    }
+
+    /**
+     * Diff a report against the baseline
+     * @returns {{ regressions: object[], improvements: object[] }} One entry per score that moved
+     */
+    compareToBaseline(report, baseline) {
+        const regressions = [];
+        const improvements = [];
+        const current = this.toBaseline(report);
+
+        const compare = (scope, field, before, after) => {
+            ['precision', 'recall', 'f1'].forEach(metric => {
+                if (!before || before[metric] === undefined) return;
+
+                const delta = this.round(after[metric] - before[metric]);
+                const change = { scope, field, metric, before: before[metric], after: after[metric], delta };
+
+                if (delta < -this.config.tolerance) regressions.push(change);
+                else if (delta > this.config.tolerance) improvements.push(change);
+            });
+        };
+
+        Object.entries(current.totals).forEach(([field, scores]) => {
+            compare('total', field, baseline.totals?.[field], scores);
+        });
+
+        Object.entries(current.pages).forEach(([file, fields]) => {
+            Object.entries(fields).forEach(([field, scores]) => {
+                compare(file, field, baseline.pages?.[file]?.[field], scores);
+            });
+        });
+
+        return { regressions, improvements };
+    }
+
+    /**
+     * Round scores so the baseline file diffs cleanly
+     */
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
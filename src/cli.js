@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+import dotenv from 'dotenv';
+import { CommandLine } from './cli/CommandLine.js';
+
+// Load environment variables
+dotenv.config({ quiet: true });
+
+// Headless entry point: data-scraper <command> [options] (see --help)
+const exitCode = await new CommandLine().run(process.argv.slice(2));
+process.exit(exitCode);
@@ -0,0 +1,485 @@
+import { parseArgs, format } from 'util';
+import { writeFile, mkdir } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { WebScraper } from '../scraper/WebScraper.js';
+import { EnhancedWebScraper } from '../scraper/EnhancedWebScraper.js';
+import { DataScraper } from '../scraper/DataScraper.js';
+import { BatchScraper } from '../scraper/BatchScraper.js';
+import { FetchStrategy } from '../scraper/FetchStrategy.js';
+import { RobotsManager } from '../scraper/RobotsManager.js';
+import { HostScheduler } from '../scraper/HostScheduler.js';
+import { ExtractionPipeline } from '../extractors/ExtractionPipeline.js';
+import { DataProcessor } from '../processor/DataProcessor.js';
+import { DatabaseManager } from '../storage/DatabaseManager.js';
+import { CSVExporter } from '../exporters/CSVExporter.js';
+import { VCardExporter } from '../exporters/VCardExporter.js';
+import { UrlListImporter } from '../importers/UrlListImporter.js';
+
+/**
+ * Process exit codes
+ */
+export const EXIT_CODES = {
+    ok: 0,
+    usage: 1, // Unknown command or invalid arguments
+    failed: 2, // The command could not do its work
+    partial: 3, // Some URLs of a crawl or import failed
+    blocked: 4 // robots.txt disallows the URL (scrape) or every URL reached (crawl)
+};
+
+const USAGE = `Usage: data-scraper <command> [options]
+
+Commands:
+  scrape <url>                     Scrape one page and store its contacts
+  crawl <domain>                   Crawl a site and store the contacts of every page
+      --max-pages <n>              Page budget (default 50)
+      --depth <n>                  Link depth from the start page (default 3)
+  import <file>                    Scrape a CSV, TXT or bookmarks file of URLs as a batch job
+      --url-column <name|index>    CSV column holding the URLs
+      --label-column <name|index>  CSV column holding a label
+      --concurrency <n>            URLs in flight (default 3)
+  export                           Write the stored contacts to a file
+      --format csv|json|vcard      Output format (default csv)
+      --out <path>                 Output file (json without --out is printed)
+  stats                            Counts of stored contacts and jobs
+
+Options:
+  --db <path>                      SQLite database (default data/contacts.db)
+  --fetch-mode auto|static|dynamic How pages are fetched (default auto)
+  --no-store                       Don't save scrape or crawl results
+  --json                           Print the result as JSON
+  --verbose                        Log scraper progress to stderr
+  --help                           Show this help`;
+
+const OPTIONS = {
+    'max-pages': { type: 'string' },
+    depth: { type: 'string' },
+    'url-column': { type: 'string' },
+    'label-column': { type: 'string' },
+    concurrency: { type: 'string' },
+    format: { type: 'string' },
+    out: { type: 'string' },
+    db: { type: 'string' },
+    'fetch-mode': { type: 'string' },
+    'no-store': { type: 'boolean' },
+    json: { type: 'boolean' },
+    verbose: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Usage errors exit with EXIT_CODES.usage and print the help text
+ */
+class UsageError extends Error {}
+
+/**
+ * Command Line - Headless entry point for scraping, crawling, importing and exporting without Electron
+ * Each command resolves with { exitCode, result }; result is printed as JSON with --json and as a
+ * short summary otherwise. Library logging is muted (or sent to stderr with --verbose) so stdout
+ * only carries the result.
+ */
+export class CommandLine {
+    constructor(config = {}) {
+        this.config = {
+            stdout: process.stdout,
+            stderr: process.stderr,
+            ...config
+        };
+    }
+
+    /**
+     * Run a command line (arguments without the node and script paths)
+     * @returns {Promise<number>} Exit code
+     */
+    async run(argv) {
+        let options = {};
+        try {
+            const parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+            options = parsed.values;
+            const [command, ...args] = parsed.positionals;
+
+            if (options.help || !command) {
+                this.config.stdout.write(`${USAGE}\n`);
+                return command || options.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+            }
+
+            const { exitCode, result } = await this.withQuietConsole(options.verbose, () => this.execute(command, args, options));
+            this.print(result, options);
+            return exitCode;
+
+        } catch (error) {
+            const usage = error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS');
+            if (options.json) {
+                this.config.stdout.write(`${JSON.stringify({ success: false, error: error.message }, null, 2)}\n`);
+            } else {
+                this.config.stderr.write(`Error: ${error.message}\n${usage ? `\n${USAGE}\n` : ''}`);
+            }
+            return usage ? EXIT_CODES.usage : EXIT_CODES.failed;
+        }
+    }
+
+    /**
+     * Dispatch a subcommand
+     */
+    async execute(command, args, options) {
+        const handlers = {
+            scrape: () => this.scrape(this.requireArgument(args, 'scrape <url>'), options),
+            crawl: () => this.crawl(this.requireArgument(args, 'crawl <domain>'), options),
+            import: () => this.importList(this.requireArgument(args, 'import <file>'), options),
+            export: () => this.exportContacts(options),
+            stats: () => this.stats(options)
+        };
+
+        if (!handlers[command]) {
+            throw new UsageError(`Unknown command: ${command}`);
+        }
+        return handlers[command]();
+    }
+
+    /**
+     * Scrape one URL with WebScraper, then process and store its contacts
+     * robots.txt is checked first and the fetch goes through HostScheduler (Crawl-delay, 429/503 backoff)
+     */
+    async scrape(input, options) {
+        const url = this.toUrl(input);
+        const robots = new RobotsManager();
+        const access = await robots.check(url);
+        if (!access.allowed) {
+            // An unreachable robots.txt means the host is down or misspelled, not that it blocks us
+            const blocked = access.reason === 'robots';
+            return {
+                exitCode: blocked ? EXIT_CODES.blocked : EXIT_CODES.failed,
+                result: { command: 'scrape', success: false, url, ...(blocked ? { reason: 'robots' } : {}), error: access.error }
+            };
+        }
+
+        const pipeline = new ExtractionPipeline();
+        const webScraper = new WebScraper({
+            pipeline,
+            fetchStrategy: new FetchStrategy({ mode: this.fetchMode(options), pipeline })
+        });
+        const scheduler = new HostScheduler({ maxPerHost: 1, maxConcurrent: 1, robots });
+        const database = this.openDatabase(options);
+
+        try {
+            const data = await scheduler.schedule(url, () => webScraper.scrapeUrl(url), { respectRobots: true });
+            if (data.error || data.skipped) {
+                return {
+                    exitCode: EXIT_CODES.failed,
+                    result: { command: 'scrape', success: false, url, error: data.error || data.reason, statusCode: data.statusCode }
+                };
+            }
+
+            const stored = await this.storeContacts([data], pipeline, database, options);
+            return {
+                exitCode: EXIT_CODES.ok,
+                result: {
+                    command: 'scrape',
+                    success: true,
+                    url,
+                    method: data.method,
+                    contacts: pipeline.countContacts(data),
+                    stored: stored.pages,
+                    data: stored.records[0] || data
+                }
+            };
+
+        } finally {
+            await webScraper.close();
+            await database.close();
+        }
+    }
+
+    /**
+     * Crawl a site with EnhancedWebScraper (saved as a resumable crawl job) and store every page's contacts
+     */
+    async crawl(input, options) {
+        const url = this.toUrl(input);
+        const database = this.openDatabase(options);
+        const pipeline = new ExtractionPipeline();
+        const crawler = new EnhancedWebScraper({
+            pipeline,
+            maxPages: this.integerOption(options, 'max-pages', 50),
+            maxDepth: this.integerOption(options, 'depth', 3),
+            fetchStrategy: new FetchStrategy({ mode: this.fetchMode(options), pipeline }),
+            jobStore: options['no-store'] ? null : database
+        });
+
+        try {
+            const crawl = await crawler.crawlWebsite(url);
+            if (!crawl.success) {
+                return { exitCode: EXIT_CODES.failed, result: { command: 'crawl', success: false, url, jobId: crawl.jobId, error: crawl.error } };
+            }
+
+            const pages = Object.entries(crawl.contactsByPage).map(([pageUrl, data]) => ({ ...data, url: pageUrl }));
+            const stored = await this.storeContacts(pages, pipeline, database, options);
+            // Nothing crawled because robots.txt disallowed everything reached is not a dead site
+            const blocked = crawl.crawledPages === 0 && crawl.errors.length === 0 && crawl.skippedByRobots > 0;
+            const exitCode = blocked
+                ? EXIT_CODES.blocked
+                : crawl.crawledPages === 0
+                    ? EXIT_CODES.failed
+                    : crawl.errors.length > 0 ? EXIT_CODES.partial : EXIT_CODES.ok;
+
+            return {
+                exitCode,
+                result: {
+                    command: 'crawl',
+                    success: crawl.crawledPages > 0,
+                    url,
+                    jobId: crawl.jobId,
+                    status: crawl.status,
+                    crawledPages: crawl.crawledPages,
+                    skippedByRobots: crawl.skippedByRobots,
+                    ...(blocked ? { reason: 'robots', error: 'Disallowed by robots.txt' } : {}),
+                    ...(crawl.crawledPages === 0 && !blocked ? { error: crawl.errors[0]?.error || 'No pages crawled' } : {}),
+                    queuedPages: crawl.queuedPages,
+                    durationMs: crawl.durationMs,
+                    contacts: crawl.totalContacts,
+                    stored: { pages: stored.pages },
+                    errors: crawl.errors
+                }
+            };
+
+        } finally {
+            await crawler.close();
+            await database.close();
+        }
+    }
+
+    /**
+     * Import a URL list and run it through DataScraper as a batch job
+     */
+    async importList(filePath, options) {
+        const database = this.openDatabase(options);
+        const dataScraper = new DataScraper({
+            database,
+            scraping: { fetchMode: this.fetchMode(options) }
+        });
+        const batch = new BatchScraper({
+            dataScraper,
+            concurrency: this.integerOption(options, 'concurrency', 3)
+        });
+
+        batch.on('progress', progress => {
+            if (options.verbose) {
+                this.config.stderr.write(`[${progress.completed}/${progress.total}] ${progress.status} ${progress.url}\n`);
+            }
+        });
+
+        try {
+            const columns = {
+                url: this.columnOption(options['url-column']),
+                label: this.columnOption(options['label-column'])
+            };
+            const { jobId, format: listFormat, imported, skipped } = await batch.importFile(resolve(filePath), { columns });
+            const summary = await batch.run(jobId);
+
+            return {
+                exitCode: summary.failed > 0 ? EXIT_CODES.partial : EXIT_CODES.ok,
+                result: { command: 'import', success: true, format: listFormat, imported, ...summary, skippedEntries: skipped }
+            };
+
+        } finally {
+            await dataScraper.webScraper.close();
+            await database.close();
+        }
+    }
+
+    /**
+     * Export the stored contacts as CSV, JSON or vCard
+     */
+    async exportContacts(options) {
+        const exportFormat = (options.format || 'csv').toLowerCase();
+        if (!['csv', 'json', 'vcard'].includes(exportFormat)) {
+            throw new UsageError(`Unsupported export format: ${exportFormat}`);
+        }
+        if (!options.out && exportFormat !== 'json') {
+            throw new UsageError(`export --format ${exportFormat} needs --out <path>`);
+        }
+
+        const database = this.openDatabase(options);
+        try {
+            const contacts = await database.getAllContactData();
+            const result = { command: 'export', success: true, format: exportFormat, records: contacts.length };
+
+            if (exportFormat === 'csv') {
+                const written = await new CSVExporter(resolve(options.out)).write(contacts);
+                return { exitCode: EXIT_CODES.ok, result: { ...result, out: resolve(options.out), rowsWritten: written.rowsWritten } };
+            }
+
+            if (exportFormat === 'vcard') {
+                const written = await new VCardExporter(resolve(options.out)).write(contacts);
+                return { exitCode: EXIT_CODES.ok, result: { ...result, out: resolve(options.out), cardsWritten: written.cardsWritten } };
+            }
+
+            if (!options.out) {
+                return { exitCode: EXIT_CODES.ok, result: { ...result, contacts } };
+            }
+
+            await mkdir(dirname(resolve(options.out)), { recursive: true });
+            await writeFile(resolve(options.out), JSON.stringify(contacts, null, 2), 'utf8');
+            return { exitCode: EXIT_CODES.ok, result: { ...result, out: resolve(options.out) } };
+
+        } finally {
+            await database.close();
+        }
+    }
+
+    /**
+     * Stored contact counts plus crawl and batch job counts
+     */
+    async stats(options) {
+        const database = this.openDatabase(options);
+        try {
+            const contacts = await database.getContactStats();
+            const crawlJobs = await database.getCrawlJobs();
+            const batchJobs = await database.getBatchJobs();
+            const countByStatus = jobs => jobs.reduce((counts, job) => {
+                counts[job.status] = (counts[job.status] || 0) + 1;
+                return counts;
+            }, {});
+
+            return {
+                exitCode: EXIT_CODES.ok,
+                result: {
+                    command: 'stats',
+                    success: true,
+                    contacts,
+                    crawlJobs: countByStatus(crawlJobs),
+                    batchJobs: countByStatus(batchJobs)
+                }
+            };
+
+        } finally {
+            await database.close();
+        }
+    }
+
+    /**
+     * Process pages with contacts through DataProcessor and save them with DatabaseManager
+     */
+    async storeContacts(pages, pipeline, database, options) {
+        const withContacts = pages.filter(page => pipeline.hasContacts(page));
+        const processor = new DataProcessor({ enableDeduplication: true, enableValidation: true });
+        const records = await Promise.all(withContacts.map(page => processor.processContactData(page)));
+
+        if (!options['no-store']) {
+            for (const record of records) {
+                await database.storeContactData(record);
+            }
+        }
+        return { pages: options['no-store'] ? 0 : records.length, records };
+    }
+
+    /**
+     * DatabaseManager for --db, or the app's default database
+     */
+    openDatabase(options) {
+        return new DatabaseManager(options.db ? { dbPath: resolve(options.db) } : {});
+    }
+
+    /**
+     * A URL or bare domain argument as an absolute URL
+     */
+    toUrl(input) {
+        const url = new UrlListImporter().normalizeUrl(input);
+        if (!url) {
+            throw new UsageError(`Not a URL or domain: ${input}`);
+        }
+        return url;
+    }
+
+    /**
+     * --fetch-mode value, validated
+     */
+    fetchMode(options) {
+        const mode = options['fetch-mode'] || 'auto';
+        if (!['auto', 'static', 'dynamic'].includes(mode)) {
+            throw new UsageError(`Unsupported fetch mode: ${mode}`);
+        }
+        return mode;
+    }
+
+    /**
+     * Positive integer option with a default
+     */
+    integerOption(options, name, defaultValue) {
+        if (options[name] === undefined) return defaultValue;
+
+        const value = Number(options[name]);
+        if (!Number.isInteger(value) || value < 0) {
+            throw new UsageError(`--${name} must be a whole number`);
+        }
+        return value;
+    }
+
+    /**
+     * CSV column option: a header name, or a 0-based index given as digits
+     */
+    columnOption(value) {
+        if (value === undefined) return undefined;
+        return /^\d+$/.test(value) ? Number(value) : value;
+    }
+
+    /**
+     * First positional argument of a subcommand
+     */
+    requireArgument(args, usage) {
+        if (!args[0]) {
+            throw new UsageError(`Missing argument: ${usage}`);
+        }
+        return args[0];
+    }
+
+    /**
+     * Run a task with console output muted, or redirected to stderr with --verbose
+     */
+    async withQuietConsole(verbose, task) {
+        const methods = ['log', 'info', 'warn', 'error', 'debug'];
+        const original = Object.fromEntries(methods.map(method => [method, console[method]]));
+        methods.forEach(method => {
+            console[method] = verbose ? (...args) => this.config.stderr.write(`${format(...args)}\n`) : () => {};
+        });
+
+        try {
+            return await task();
+        } finally {
+            Object.assign(console, original);
+        }
+    }
+
+    /**
+     * Print a command result as JSON or as a short summary
+     */
+    print(result, options) {
+        if (options.json) {
+            this.config.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+            return;
+        }
+
+        const counts = contacts => Object.entries(contacts || {})
+            .filter(([, count]) => count > 0)
+            .map(([type, count]) => `${count} ${type}`)
+            .join(', ') || 'no contacts';
+
+        const lines = {
+            scrape: () => result.success
+                ? `Scraped ${result.url} (${result.method}): ${counts(result.contacts)}`
+                : `Failed to scrape ${result.url}: ${result.error}`,
+            crawl: () => result.success
+                ? `Crawled ${result.crawledPages} pages of ${result.url} (${result.status}): ${counts(result.contacts)}, ${result.errors.length} errors, ${result.skippedByRobots} skipped by robots.txt`
+                : `Failed to crawl ${result.url}: ${result.error}`,
+            import: () => [
+                `Batch job ${result.jobId} (${result.format}): ${result.done} done, ${result.failed} failed, ${result.skipped} skipped of ${result.total}`,
+                `Contacts: ${counts(result.contacts)}`,
+                ...result.failures.map(failure => `  failed ${failure.url}: ${failure.error}`)
+            ].join('\n'),
+            export: () => result.out
+                ? `Exported ${result.records} records to ${result.out}`
+                : JSON.stringify(result.contacts, null, 2),
+            stats: () => Object.entries(result.contacts || {}).map(([name, value]) => `${name}: ${value}`).join('\n')
+        };
+
+        this.config.stdout.write(`${lines[result.command]()}\n`);
+    }
+}
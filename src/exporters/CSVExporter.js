@@ -1,6 +1,10 @@
 import createCsvWriter from 'csv-writer';
 import { existsSync, mkdirSync } from 'fs';
 import { dirname } from 'path';
+import { SOCIAL_PLATFORMS } from '../extractors/SocialProfileExtractor.js';
+
+// One column per platform for the site's own profiles
+const SOCIAL_HEADERS = SOCIAL_PLATFORMS.map(platform => ({ id: `social_${platform.id}`, title: platform.label }));
 
 /**
  * CSV Exporter - Handles exporting contact data to CSV files
@@ -20,6 +24,14 @@ export class CSVExporter {
             { id: 'emails', title: 'Email Addresses' },
             { id: 'phones', title: 'Phone Numbers' },
             { id: 'names', title: 'Names' },
+            { id: 'addresses', title: 'Postal Addresses' },
+            { id: 'street', title: 'Street' },
+            { id: 'city', title: 'City' },
+            { id: 'region', title: 'Region' },
+            { id: 'postalCode', title: 'Postal Code' },
+            { id: 'country', title: 'Country' },
+            ...SOCIAL_HEADERS,
+            { id: 'socialLinks', title: 'Other Social Links' },
             { id: 'browser', title: 'Browser Used' },
             { id: 'method', title: 'Scrape Method' },
             { id: 'confidence', title: 'Confidence Score' }
@@ -133,7 +145,8 @@ export class CSVExporter {
         const confidenceScores = [
             ...(contact.emails || []).map(e => e.confidence || 0.5),
             ...(contact.phones || []).map(p => p.confidence || 0.5),
-            ...(contact.names || []).map(n => n.confidence || 0.5)
+            ...(contact.names || []).map(n => n.confidence || 0.5),
+            ...(contact.addresses || []).map(a => a.confidence || 0.5)
         ];
         
         const avgConfidence = confidenceScores.length > 0 
@@ -148,12 +161,52 @@ export class CSVExporter {
             emails: this.formatContactArray(contact.emails),
             phones: this.formatContactArray(contact.phones),
             names: this.formatContactArray(contact.names),
+            addresses: this.formatContactArray(contact.addresses),
+            ...this.primaryAddressColumns(contact.addresses),
+            ...this.socialProfileColumns(contact.socialProfiles),
             browser: contact.browserInfo?.browser || 'Unknown',
             method: contact.method || 'Unknown',
             confidence: Math.round(avgConfidence * 100) + '%'
         };
     }
 
+    /**
+     * Split the highest-confidence address into its structured columns
+     */
+    primaryAddressColumns(addresses) {
+        const primary = (addresses || []).find(address => typeof address === 'object') || {};
+
+        return {
+            street: this.cleanText(primary.street || ''),
+            city: this.cleanText(primary.city || ''),
+            region: this.cleanText(primary.region || ''),
+            postalCode: this.cleanText(primary.postalCode || ''),
+            country: this.cleanText(primary.country || '')
+        };
+    }
+
+    /**
+     * Split social profiles into per-platform owner columns and a tagged list of other links
+     */
+    socialProfileColumns(profiles) {
+        const columns = {};
+        const owned = (profiles || []).filter(profile => profile.relation === 'owner');
+
+        SOCIAL_PLATFORMS.forEach(platform => {
+            columns[`social_${platform.id}`] = owned
+                .filter(profile => profile.platform === platform.id)
+                .map(profile => this.cleanText(profile.url))
+                .join('; ');
+        });
+
+        columns.socialLinks = (profiles || [])
+            .filter(profile => profile.relation !== 'owner')
+            .map(profile => `${profile.relation} ${profile.platform}: ${this.cleanText(profile.url)}`)
+            .join('; ');
+
+        return columns;
+    }
+
     /**
      * Format contact arrays for CSV display
      */
@@ -164,7 +217,7 @@ export class CSVExporter {
             .map(item => {
                 if (typeof item === 'string') return this.cleanText(item);
                 if (typeof item === 'object') {
-                    const value = item.email || item.phone || item.name || JSON.stringify(item);
+                    const value = item.email || item.phone || item.name || item.formatted || JSON.stringify(item);
                     return this.cleanText(value);
                 }
                 return this.cleanText(String(item));
@@ -215,6 +268,15 @@ export class CSVExporter {
                 { id: 'name1', title: 'Name 1' },
                 { id: 'name2', title: 'Name 2' },
                 { id: 'name3', title: 'Name 3' },
+                { id: 'address1', title: 'Address 1' },
+                { id: 'address2', title: 'Address 2' },
+                { id: 'street', title: 'Street' },
+                { id: 'city', title: 'City' },
+                { id: 'region', title: 'Region' },
+                { id: 'postalCode', title: 'Postal Code' },
+                { id: 'country', title: 'Country' },
+                ...SOCIAL_HEADERS,
+                { id: 'socialLinks', title: 'Other Social Links' },
                 { id: 'browser', title: 'Browser' },
                 { id: 'method', title: 'Scrape Method' },
                 { id: 'confidence', title: 'Avg Confidence' }
@@ -252,17 +314,20 @@ export class CSVExporter {
         const emails = contact.emails || [];
         const phones = contact.phones || [];
         const names = contact.names || [];
+        const addresses = contact.addresses || [];
 
         // Extract values, handling both string and object formats
         const emailValues = emails.map(e => typeof e === 'string' ? e : e.email || '').filter(Boolean);
         const phoneValues = phones.map(p => typeof p === 'string' ? p : p.phone || p.formatted || '').filter(Boolean);
         const nameValues = names.map(n => typeof n === 'string' ? n : n.name || '').filter(Boolean);
+        const addressValues = addresses.map(a => typeof a === 'string' ? a : a.formatted || '').filter(Boolean);
 
         // Calculate average confidence
         const confidenceScores = [
             ...emails.map(e => typeof e === 'object' ? e.confidence || 0.5 : 0.5),
             ...phones.map(p => typeof p === 'object' ? p.confidence || 0.5 : 0.5),
-            ...names.map(n => typeof n === 'object' ? n.confidence || 0.5 : 0.5)
+            ...names.map(n => typeof n === 'object' ? n.confidence || 0.5 : 0.5),
+            ...addresses.map(a => typeof a === 'object' ? a.confidence || 0.5 : 0.5)
         ];
         
         const avgConfidence = confidenceScores.length > 0 
@@ -283,12 +348,84 @@ export class CSVExporter {
             name1: this.cleanText(nameValues[0] || ''),
             name2: this.cleanText(nameValues[1] || ''),
             name3: this.cleanText(nameValues[2] || ''),
+            address1: this.cleanText(addressValues[0] || ''),
+            address2: this.cleanText(addressValues[1] || ''),
+            ...this.primaryAddressColumns(addresses),
+            ...this.socialProfileColumns(contact.socialProfiles),
             browser: contact.browserInfo?.browser || 'Unknown',
             method: contact.method || 'Unknown',
             confidence: Math.round(avgConfidence * 100) + '%'
         };
     }
 
+    /**
+     * Export person records to a separate CSV with one row per person
+     */
+    async writePeople(contactDataArray) {
+        const rows = (contactDataArray || []).flatMap(contact => this.contactToPeopleRows(contact));
+
+        if (rows.length === 0) {
+            return { success: true, rowsWritten: 0 };
+        }
+
+        try {
+            const peoplePath = this.filePath.replace('.csv', '_people.csv');
+
+            // Ensure directory exists
+            const dir = dirname(peoplePath);
+            if (!existsSync(dir)) {
+                mkdirSync(dir, { recursive: true });
+            }
+
+            const peopleWriter = createCsvWriter.createObjectCsvWriter({
+                path: peoplePath,
+                header: [
+                    { id: 'name', title: 'Name' },
+                    { id: 'title', title: 'Job Title' },
+                    { id: 'organization', title: 'Organization' },
+                    { id: 'email', title: 'Email' },
+                    { id: 'phone', title: 'Phone' },
+                    { id: 'address', title: 'Address' },
+                    { id: 'profileUrl', title: 'Profile URL' },
+                    { id: 'photoUrl', title: 'Photo URL' },
+                    { id: 'url', title: 'Website URL' },
+                    { id: 'domain', title: 'Domain' },
+                    { id: 'timestamp', title: 'Timestamp' },
+                    { id: 'confidence', title: 'Confidence Score' }
+                ]
+            });
+
+            await peopleWriter.writeRecords(rows);
+
+            console.log(`Exported ${rows.length} people to CSV: ${peoplePath}`);
+            return { success: true, rowsWritten: rows.length, filePath: peoplePath };
+
+        } catch (error) {
+            console.error('Error writing people CSV:', error);
+            throw new Error(`Failed to write people CSV: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert a contact's person records to people CSV rows
+     */
+    contactToPeopleRows(contact) {
+        return (contact.people || []).map(person => ({
+            name: this.cleanText(person.name),
+            title: this.cleanText(person.title || ''),
+            organization: this.cleanText(person.organization || ''),
+            email: this.cleanText(person.email || ''),
+            phone: this.cleanText(person.phone || ''),
+            address: this.cleanText(person.address || ''),
+            profileUrl: person.url || '',
+            photoUrl: person.photoUrl || '',
+            url: contact.url || '',
+            domain: contact.domain || '',
+            timestamp: new Date(contact.timestamp || Date.now()).toLocaleString(),
+            confidence: Math.round((person.confidence || 0.5) * 100) + '%'
+        }));
+    }
+
     /**
      * Export summary statistics to CSV
      */
@@ -311,6 +448,9 @@ export class CSVExporter {
                 { metric: 'Total Email Addresses', value: stats.totalEmails || 0 },
                 { metric: 'Total Phone Numbers', value: stats.totalPhones || 0 },
                 { metric: 'Total Names', value: stats.totalNames || 0 },
+                { metric: 'Total Postal Addresses', value: stats.totalAddresses || 0 },
+                { metric: 'Total Social Profiles', value: stats.totalSocialProfiles || 0 },
+                { metric: 'Total People', value: stats.totalPeople || 0 },
                 { metric: 'Unique Domains', value: stats.uniqueDomains || 0 },
                 { metric: 'Export Date', value: new Date().toLocaleString() }
             ];
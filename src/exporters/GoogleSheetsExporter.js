@@ -1,4 +1,54 @@
 import { google } from 'googleapis';
+import { SOCIAL_PLATFORMS } from '../extractors/SocialProfileExtractor.js';
+
+// Column order of the 'Web Data' sheet (must match contactToRow)
+const SHEET_HEADERS = [
+    'Timestamp',
+    'Website URL',
+    'Website Title',
+    'Domain',
+    'Email Addresses',
+    'Phone Numbers',
+    'Names',
+    'Postal Addresses',
+    'Street',
+    'City',
+    'Region',
+    'Postal Code',
+    'Country',
+    ...SOCIAL_PLATFORMS.map(platform => platform.label),
+    'Other Social Links',
+    'Browser Used',
+    'Scrape Method',
+    'Confidence Score'
+];
+
+// Column order of the 'People' sheet (one row per person record)
+const PEOPLE_HEADERS = [
+    'Name',
+    'Job Title',
+    'Organization',
+    'Email',
+    'Phone',
+    'Address',
+    'Profile URL',
+    'Photo URL',
+    'Website URL',
+    'Domain',
+    'Timestamp',
+    'Confidence Score'
+];
+
+// Spreadsheet column letter of the last header (A..Z, AA..)
+const LAST_COLUMN = columnLetter(SHEET_HEADERS.length);
+
+function columnLetter(columnNumber) {
+    let letters = '';
+    for (let n = columnNumber; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
 
 /**
  * Google Sheets Exporter - Handles exporting contact data to Google Sheets
@@ -66,7 +116,7 @@ export class GoogleSheetsExporter {
                                     title: sheetName,
                                     gridProperties: {
                                         rowCount: 1000,
-                                        columnCount: 10
+                                        columnCount: SHEET_HEADERS.length
                                     }
                                 }
                             }
@@ -95,25 +145,12 @@ export class GoogleSheetsExporter {
      * Add headers to the spreadsheet
      */
     async addHeaders(sheetName) {
-        const headers = [
-            'Timestamp',
-            'Website URL',
-            'Website Title',
-            'Domain',
-            'Email Addresses',
-            'Phone Numbers',
-            'Names',
-            'Browser Used',
-            'Scrape Method',
-            'Confidence Score'
-        ];
-
         await this.sheets.spreadsheets.values.update({
             spreadsheetId: this.spreadsheetId,
-            range: `${sheetName}!A1:J1`,
+            range: `${sheetName}!A1:${LAST_COLUMN}1`,
             valueInputOption: 'USER_ENTERED',
             requestBody: {
-                values: [headers]
+                values: [SHEET_HEADERS]
             }
         });
 
@@ -128,7 +165,7 @@ export class GoogleSheetsExporter {
                             startRowIndex: 0,
                             endRowIndex: 1,
                             startColumnIndex: 0,
-                            endColumnIndex: 10
+                            endColumnIndex: SHEET_HEADERS.length
                         },
                         cell: {
                             userEnteredFormat: {
@@ -153,7 +190,7 @@ export class GoogleSheetsExporter {
         try {
             const response = await this.sheets.spreadsheets.values.get({
                 spreadsheetId: this.spreadsheetId,
-                range: `${sheetName}!A1:J1`
+                range: `${sheetName}!A1:${LAST_COLUMN}1`
             });
 
             if (!response.data.values || response.data.values.length === 0) {
@@ -188,7 +225,7 @@ export class GoogleSheetsExporter {
             const nextRow = await this.getNextEmptyRow(sheetName);
             
             // Write data
-            const range = `${sheetName}!A${nextRow}:J${nextRow + rows.length - 1}`;
+            const range = `${sheetName}!A${nextRow}:${LAST_COLUMN}${nextRow + rows.length - 1}`;
             
             await this.sheets.spreadsheets.values.update({
                 spreadsheetId: this.spreadsheetId,
@@ -228,7 +265,7 @@ export class GoogleSheetsExporter {
 
             await this.sheets.spreadsheets.values.append({
                 spreadsheetId: this.spreadsheetId,
-                range: `${sheetName}!A:J`,
+                range: `${sheetName}!A:${LAST_COLUMN}`,
                 valueInputOption: 'USER_ENTERED',
                 insertDataOption: 'INSERT_ROWS',
                 requestBody: {
@@ -245,6 +282,102 @@ export class GoogleSheetsExporter {
         }
     }
 
+    /**
+     * Append person records to the 'People' sheet, one row per person
+     */
+    async writePeople(contactDataArray) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const rows = (contactDataArray || []).flatMap(contact => this.contactToPeopleRows(contact));
+
+        if (rows.length === 0) {
+            return { success: true, rowsAdded: 0 };
+        }
+
+        try {
+            const sheetName = 'People';
+            await this.ensurePeopleSheet(sheetName);
+
+            await this.sheets.spreadsheets.values.append({
+                spreadsheetId: this.spreadsheetId,
+                range: `${sheetName}!A:${columnLetter(PEOPLE_HEADERS.length)}`,
+                valueInputOption: 'USER_ENTERED',
+                insertDataOption: 'INSERT_ROWS',
+                requestBody: {
+                    values: rows
+                }
+            });
+
+            console.log(`Appended ${rows.length} people to Google Sheets`);
+            return { success: true, rowsAdded: rows.length };
+
+        } catch (error) {
+            console.error('Error writing people to Google Sheets:', error);
+            throw new Error(`Failed to write people to Google Sheets: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create the people sheet with its header row if it does not exist yet
+     */
+    async ensurePeopleSheet(sheetName) {
+        const spreadsheet = await this.sheets.spreadsheets.get({
+            spreadsheetId: this.spreadsheetId
+        });
+
+        if (spreadsheet.data.sheets.some(s => s.properties.title === sheetName)) {
+            return;
+        }
+
+        await this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: this.spreadsheetId,
+            requestBody: {
+                requests: [{
+                    addSheet: {
+                        properties: {
+                            title: sheetName,
+                            gridProperties: {
+                                rowCount: 1000,
+                                columnCount: PEOPLE_HEADERS.length
+                            }
+                        }
+                    }
+                }]
+            }
+        });
+
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.spreadsheetId,
+            range: `${sheetName}!A1:${columnLetter(PEOPLE_HEADERS.length)}1`,
+            valueInputOption: 'USER_ENTERED',
+            requestBody: {
+                values: [PEOPLE_HEADERS]
+            }
+        });
+    }
+
+    /**
+     * Convert a contact's person records to people sheet rows
+     */
+    contactToPeopleRows(contact) {
+        return (contact.people || []).map(person => [
+            person.name, // Name
+            person.title || '', // Job Title
+            person.organization || '', // Organization
+            person.email || '', // Email
+            person.phone || '', // Phone
+            person.address || '', // Address
+            person.url || '', // Profile URL
+            person.photoUrl || '', // Photo URL
+            contact.url || '', // Website URL
+            contact.domain || '', // Domain
+            new Date(contact.timestamp || Date.now()).toLocaleString(), // Timestamp
+            Math.round((person.confidence || 0.5) * 100) + '%' // Confidence Score
+        ]);
+    }
+
     /**
      * Convert contact data to spreadsheet row
      */
@@ -253,13 +386,19 @@ export class GoogleSheetsExporter {
         const confidenceScores = [
             ...(contact.emails || []).map(e => e.confidence || 0.5),
             ...(contact.phones || []).map(p => p.confidence || 0.5),
-            ...(contact.names || []).map(n => n.confidence || 0.5)
+            ...(contact.names || []).map(n => n.confidence || 0.5),
+            ...(contact.addresses || []).map(a => a.confidence || 0.5)
         ];
         
         const avgConfidence = confidenceScores.length > 0 
             ? (confidenceScores.reduce((sum, score) => sum + score, 0) / confidenceScores.length)
             : 0.5;
 
+        // Structured columns come from the highest-confidence address
+        const primaryAddress = (contact.addresses || []).find(a => typeof a === 'object') || {};
+        const socialProfiles = contact.socialProfiles || [];
+        const ownedProfiles = socialProfiles.filter(profile => profile.relation === 'owner');
+
         return [
             new Date(contact.timestamp || Date.now()).toLocaleString(), // Timestamp
             contact.url || '', // Website URL
@@ -268,6 +407,20 @@ export class GoogleSheetsExporter {
             this.formatContactArray(contact.emails), // Email Addresses
             this.formatContactArray(contact.phones), // Phone Numbers
             this.formatContactArray(contact.names), // Names
+            this.formatContactArray(contact.addresses, '; '), // Postal Addresses
+            primaryAddress.street || '', // Street
+            primaryAddress.city || '', // City
+            primaryAddress.region || '', // Region
+            primaryAddress.postalCode || '', // Postal Code
+            primaryAddress.country || '', // Country
+            ...SOCIAL_PLATFORMS.map(platform => ownedProfiles // One column per platform
+                .filter(profile => profile.platform === platform.id)
+                .map(profile => profile.url)
+                .join(', ')),
+            socialProfiles // Other Social Links
+                .filter(profile => profile.relation !== 'owner')
+                .map(profile => `${profile.relation} ${profile.platform}: ${profile.url}`)
+                .join(', '),
             contact.browserInfo?.browser || 'Unknown', // Browser Used
             contact.method || 'Unknown', // Scrape Method
             Math.round(avgConfidence * 100) + '%' // Confidence Score
@@ -277,18 +430,18 @@ export class GoogleSheetsExporter {
     /**
      * Format contact arrays for display in sheets
      */
-    formatContactArray(contactArray) {
+    formatContactArray(contactArray, separator = ', ') {
         if (!contactArray || contactArray.length === 0) return '';
         
         return contactArray
             .map(item => {
                 if (typeof item === 'string') return item;
                 if (typeof item === 'object') {
-                    return item.email || item.phone || item.name || JSON.stringify(item);
+                    return item.email || item.phone || item.name || item.formatted || JSON.stringify(item);
                 }
                 return String(item);
             })
-            .join(', ');
+            .join(separator);
     }
 
     /**
@@ -359,6 +512,9 @@ export class GoogleSheetsExporter {
                 ['Total Email Addresses', stats.totalEmails || 0, '', '', ''],
                 ['Total Phone Numbers', stats.totalPhones || 0, '', '', ''],
                 ['Total Names', stats.totalNames || 0, '', '', ''],
+                ['Total Postal Addresses', stats.totalAddresses || 0, '', '', ''],
+                ['Total Social Profiles', stats.totalSocialProfiles || 0, '', '', ''],
+                ['Total People', stats.totalPeople || 0, '', '', ''],
                 ['Unique Domains', stats.uniqueDomains || 0, '', '', ''],
                 ['', '', '', '', ''],
                 ['Last Updated', new Date().toLocaleString(), '', '', '']
@@ -366,7 +522,7 @@ export class GoogleSheetsExporter {
 
             await this.sheets.spreadsheets.values.update({
                 spreadsheetId: this.spreadsheetId,
-                range: `${sheetName}!A1:E11`,
+                range: `${sheetName}!A1:E14`,
                 valueInputOption: 'USER_ENTERED',
                 requestBody: {
                     values: summaryData
@@ -486,7 +642,7 @@ export class GoogleSheetsExporter {
             // Clear all data except headers
             await this.sheets.spreadsheets.values.clear({
                 spreadsheetId: this.spreadsheetId,
-                range: `${sheetName}!A2:J1000`
+                range: `${sheetName}!A2:${LAST_COLUMN}1000`
             });
 
             console.log('Cleared all data from Google Sheets');
@@ -0,0 +1,275 @@
+import { existsSync, mkdirSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { PhoneNumberParser } from '../processor/PhoneNumberParser.js';
+
+const SUPPORTED_VERSIONS = ['3.0', '4.0'];
+
+/**
+ * vCard Exporter - Writes contacts as vCard 3.0/4.0 (.vcf) for address book import
+ * Every person record becomes a card; pages without people can also become an organization card
+ */
+export class VCardExporter {
+    /**
+     * @param {string} filePath - Combined .vcf file, or the directory for one file per contact
+     * @param {object} options
+     * @param {string} [options.version] - '3.0' (widest support) or '4.0'
+     * @param {string} [options.mode] - 'combined' (one file) or 'per-contact' (one file per card)
+     * @param {boolean} [options.includeOrganizations] - Add a card for pages with emails/phones but no people
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.options = {
+            version: '3.0',
+            mode: 'combined',
+            includeOrganizations: true,
+            ...options
+        };
+
+        if (!SUPPORTED_VERSIONS.includes(this.options.version)) {
+            throw new Error(`Unsupported vCard version "${this.options.version}" (use ${SUPPORTED_VERSIONS.join(' or ')})`);
+        }
+
+        this.phoneParser = new PhoneNumberParser();
+    }
+
+    /**
+     * Export contacts as vCards
+     * @param {object[]} contactDataArray - Contact records as stored by DatabaseManager
+     * @param {function} [filter] - Keep only cards for which filter(card, contact) returns true
+     */
+    async write(contactDataArray, filter = null) {
+        const cards = (contactDataArray || []).flatMap(contact =>
+            this.contactToCards(contact).filter(card => !filter || filter(card, contact))
+        );
+
+        if (cards.length === 0) {
+            return { success: true, cardsWritten: 0, files: [] };
+        }
+
+        try {
+            const files = this.options.mode === 'per-contact'
+                ? this.writeSeparate(cards)
+                : this.writeCombined(cards);
+
+            console.log(`Exported ${cards.length} contacts to vCard ${this.options.version}: ${this.filePath}`);
+            return { success: true, cardsWritten: cards.length, files };
+
+        } catch (error) {
+            console.error('Error writing vCard export:', error);
+            throw new Error(`Failed to write vCard export: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write all cards into one .vcf file
+     */
+    writeCombined(cards) {
+        const dir = dirname(this.filePath);
+        if (!existsSync(dir)) {
+            mkdirSync(dir, { recursive: true });
+        }
+
+        writeFileSync(this.filePath, cards.map(card => this.formatCard(card)).join(''), 'utf8');
+        return [this.filePath];
+    }
+
+    /**
+     * Write one .vcf file per card into the export directory
+     */
+    writeSeparate(cards) {
+        const dir = this.filePath.replace(/\.vcf$/i, '');
+        if (!existsSync(dir)) {
+            mkdirSync(dir, { recursive: true });
+        }
+
+        const usedNames = new Map();
+        return cards.map(card => {
+            const base = this.cardFileName(card);
+            const count = (usedNames.get(base) || 0) + 1;
+            usedNames.set(base, count);
+
+            const filePath = join(dir, count > 1 ? `${base}-${count}.vcf` : `${base}.vcf`);
+            writeFileSync(filePath, this.formatCard(card), 'utf8');
+            return filePath;
+        });
+    }
+
+    /**
+     * Build cards for a contact record: one per person, plus an organization card if enabled
+     */
+    contactToCards(contact) {
+        const organization = this.organizationName(contact);
+        const cards = (contact.people || []).map(person => ({
+            kind: 'individual',
+            name: person.name,
+            organization: person.organization || organization,
+            title: person.title || null,
+            emails: person.email ? [person.email] : [],
+            phones: person.phone ? [person.phone] : [],
+            address: person.address ? { formatted: person.address } : null,
+            url: person.url || null,
+            photoUrl: person.photoUrl || null,
+            source: contact.url || null
+        }));
+
+        const emails = (contact.emails || []).map(email => typeof email === 'string' ? email : email.email).filter(Boolean);
+        const phones = (contact.phones || []).map(phone => typeof phone === 'string' ? phone : phone.formatted || phone.phone).filter(Boolean);
+
+        if (cards.length === 0 && this.options.includeOrganizations && (emails.length > 0 || phones.length > 0)) {
+            cards.push({
+                kind: 'org',
+                name: organization || contact.domain || contact.url,
+                organization: organization || contact.domain || null,
+                title: null,
+                emails,
+                phones,
+                address: (contact.addresses || [])[0] || null,
+                url: this.siteUrl(contact.url),
+                photoUrl: null,
+                source: contact.url || null
+            });
+        }
+
+        return cards.filter(card => card.name);
+    }
+
+    /**
+     * Serialize one card (CRLF line endings, folded at 75 octets)
+     */
+    formatCard(card) {
+        const v4 = this.options.version === '4.0';
+        const lines = ['BEGIN:VCARD', `VERSION:${this.options.version}`];
+
+        if (v4) lines.push(`KIND:${card.kind === 'org' ? 'org' : 'individual'}`);
+        lines.push(`FN:${this.escape(card.name)}`);
+
+        if (card.kind === 'org') {
+            lines.push('N:;;;;');
+            if (!v4) lines.push('X-ABShowAs:COMPANY');
+        } else {
+            const [given, ...rest] = card.name.trim().split(/\s+/);
+            const family = rest.length > 0 ? rest.pop() : '';
+            lines.push(`N:${this.escape(family)};${this.escape(given)};${this.escape(rest.join(' '))};;`);
+        }
+
+        if (card.organization) lines.push(`ORG:${this.escape(card.organization)}`);
+        if (card.title) lines.push(`TITLE:${this.escape(card.title)}`);
+
+        card.emails.forEach(email => {
+            lines.push(v4 ? `EMAIL;TYPE=work:${this.escape(email)}` : `EMAIL;TYPE=INTERNET,WORK:${this.escape(email)}`);
+        });
+
+        card.phones.forEach(phone => lines.push(this.formatTel(phone, card.source)));
+
+        if (card.address) {
+            const address = card.address;
+            const components = address.street || address.city || address.postalCode
+                ? [address.street, address.city, address.region, address.postalCode, address.country]
+                : [address.formatted]; // Unstructured: keep the one-line address as the street
+            lines.push(`ADR;TYPE=${v4 ? 'work' : 'WORK'}:;;${components.map(part => this.escape(part || '')).join(';')}`);
+        }
+
+        if (card.url) lines.push(`URL:${card.url}`);
+        if (card.photoUrl) lines.push(v4 ? `PHOTO:${card.photoUrl}` : `PHOTO;VALUE=URI:${card.photoUrl}`);
+        if (card.source) lines.push(`NOTE:${this.escape(`Found on ${card.source}`)}`);
+
+        lines.push(`REV:${new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+        lines.push('END:VCARD');
+
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * TEL property; vCard 4.0 uses a tel: URI when the number parses to E.164
+     */
+    formatTel(phone, sourceUrl) {
+        if (this.options.version === '4.0') {
+            const parsed = this.phoneParser.parse(phone, this.phoneParser.regionForPage(sourceUrl || ''));
+            if (parsed && parsed.valid) {
+                const uri = `tel:${parsed.e164}${parsed.extension ? `;ext=${parsed.extension}` : ''}`;
+                return `TEL;VALUE=uri;TYPE="work,voice":${uri}`;
+            }
+            return `TEL;TYPE=work:${this.escape(phone)}`;
+        }
+
+        return `TEL;TYPE=WORK,VOICE:${this.escape(phone)}`;
+    }
+
+    /**
+     * Organization name for a contact record: the site name from the page title
+     */
+    organizationName(contact) {
+        const title = (contact.title || '').trim();
+        if (!title) return null;
+
+        // "Our Team - Harlow & Finch LLP" -> "Harlow & Finch LLP"
+        const parts = title.split(/\s+[|–—-]\s+/).map(part => part.trim()).filter(Boolean);
+        return parts.length > 1 ? parts[parts.length - 1] : title;
+    }
+
+    /**
+     * Site root URL for organization cards
+     */
+    siteUrl(url) {
+        try {
+            return new URL(url).origin;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * File name for a card in per-contact mode
+     */
+    cardFileName(card) {
+        const slug = card.name
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+        return slug || 'contact';
+    }
+
+    /**
+     * Escape a text value (RFC 6350 3.4)
+     */
+    escape(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/\r?\n/g, '\\n')
+            .replace(/,/g, '\\,')
+            .replace(/;/g, '\\;');
+    }
+
+    /**
+     * Fold a content line at 75 octets without splitting multi-byte characters
+     */
+    foldLine(line) {
+        const parts = [];
+        let current = '';
+        let bytes = 0;
+
+        for (const char of line) {
+            const size = Buffer.byteLength(char, 'utf8');
+            const limit = parts.length === 0 ? 75 : 74; // Continuation lines start with a space
+            if (bytes + size > limit) {
+                parts.push(current);
+                current = '';
+                bytes = 0;
+            }
+            current += char;
+            bytes += size;
+        }
+
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Get export file path
+     */
+    getFilePath() {
+        return this.filePath;
+    }
+}
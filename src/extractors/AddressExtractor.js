@@ -0,0 +1,400 @@
+import { ContactExtractor } from './ContactExtractor.js';
+
+// Street suffixes used to anchor free-text address matches
+const US_STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Parkway|Pkwy|Highway|Hwy|Terrace|Ter|Circle|Cir|Square|Sq|Trail|Trl|Plaza';
+const UK_STREET_SUFFIXES = 'Street|Road|Lane|Avenue|Way|Square|Place|Row|Hill|Close|Gardens|Terrace|Crescent|Drive|Walk|Mews|Grove|Park|Yard|Court';
+const EU_STREET_SUFFIXES = 'straße|strasse|str\\.|weg|gasse|platz|allee|ring|damm|ufer|laan|straat|plein|gracht|vej|gade|gatan|vägen';
+const EU_STREET_PREFIXES = 'rue|avenue|boulevard|place|chemin|quai|via|viale|piazza|corso|calle|avenida|plaza|paseo|rua';
+
+// Confidence by where the address came from (structured data beats free text)
+const SOURCE_CONFIDENCE = {
+    'json-ld': 0.95,
+    'microdata': 0.9,
+    'address-element': 0.75,
+    'text': 0.6
+};
+
+const COUNTRY_NAMES = {
+    'united states': 'US', 'united states of america': 'US', 'usa': 'US', 'u.s.a.': 'US',
+    'canada': 'CA',
+    'united kingdom': 'GB', 'uk': 'GB', 'great britain': 'GB', 'england': 'GB', 'scotland': 'GB', 'wales': 'GB',
+    'ireland': 'IE',
+    'germany': 'DE', 'deutschland': 'DE',
+    'austria': 'AT', 'österreich': 'AT',
+    'switzerland': 'CH', 'schweiz': 'CH', 'suisse': 'CH',
+    'france': 'FR',
+    'belgium': 'BE', 'belgique': 'BE', 'belgië': 'BE',
+    'netherlands': 'NL', 'nederland': 'NL', 'the netherlands': 'NL',
+    'luxembourg': 'LU',
+    'italy': 'IT', 'italia': 'IT',
+    'spain': 'ES', 'españa': 'ES',
+    'portugal': 'PT',
+    'denmark': 'DK', 'danmark': 'DK',
+    'sweden': 'SE', 'sverige': 'SE',
+    'norway': 'NO', 'norge': 'NO',
+    'finland': 'FI', 'suomi': 'FI',
+    'poland': 'PL', 'polska': 'PL',
+    'australia': 'AU',
+    'new zealand': 'NZ'
+};
+
+// Country guessed from the page TLD when an address carries no country of its own
+const TLD_COUNTRIES = {
+    us: 'US', ca: 'CA', uk: 'GB', ie: 'IE', de: 'DE', at: 'AT', ch: 'CH', fr: 'FR',
+    be: 'BE', nl: 'NL', lu: 'LU', it: 'IT', es: 'ES', pt: 'PT', dk: 'DK', se: 'SE',
+    no: 'NO', fi: 'FI', pl: 'PL', au: 'AU', nz: 'NZ'
+};
+
+/**
+ * Address Extractor - Finds postal addresses in JSON-LD, microdata, <address> elements and free text
+ * Returns structured { street, city, region, postalCode, country, formatted, extractedFrom } objects
+ */
+export class AddressExtractor extends ContactExtractor {
+    constructor(config = {}) {
+        super('addresses', { configKey: 'extractAddresses', config });
+    }
+
+    /**
+     * Extract addresses from the page context
+     */
+    extract(context) {
+        const addresses = [];
+
+        if (context.html) {
+            this.extractFromJsonLd(context, addresses);
+            this.extractFromMicrodata(context, addresses);
+            this.extractFromAddressElements(context, addresses);
+        }
+
+        this.parseAddressText(context.combinedText, 'text')
+            .forEach(address => addresses.push(address));
+
+        const fallbackCountry = this.countryFromDomain(context.domain);
+        return addresses.map(address => ({
+            ...address,
+            country: address.country || (address.postalCode ? fallbackCountry : null)
+        }));
+    }
+
+    /**
+     * Validate, deduplicate and order extracted addresses
+     */
+    validate(values) {
+        const byKey = new Map();
+
+        values
+            .filter(address => this.isValidAddress(address))
+            .map(address => this.finalizeAddress(address))
+            .forEach(address => {
+                const key = this.addressKey(address);
+                const existing = byKey.get(key);
+                if (!existing || address.confidence > existing.confidence) {
+                    byKey.set(key, existing ? this.mergeAddresses(address, existing) : address);
+                } else {
+                    byKey.set(key, this.mergeAddresses(existing, address));
+                }
+            });
+
+        return Array.from(byKey.values())
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, 10);
+    }
+
+    /**
+     * Extract PostalAddress objects from JSON-LD structured data
+     */
+    extractFromJsonLd(context, addresses) {
+        const visit = (node) => {
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            if (!node || typeof node !== 'object') return;
+
+            const types = [].concat(node['@type'] || []);
+            if (types.includes('PostalAddress')) {
+                addresses.push(this.fromSchemaAddress(node, 'json-ld'));
+            } else if (typeof node.address === 'string') {
+                const parsed = this.parseAddressText(node.address, 'json-ld');
+                if (parsed.length > 0) {
+                    addresses.push(...parsed);
+                } else {
+                    addresses.push({ street: node.address, extractedFrom: 'json-ld' });
+                }
+            }
+
+            Object.values(node).forEach(value => {
+                if (value && typeof value === 'object') visit(value);
+            });
+        };
+
+        context.getJsonLd().forEach(visit);
+    }
+
+    /**
+     * Extract schema.org PostalAddress microdata
+     */
+    extractFromMicrodata(context, addresses) {
+        const $ = context.$;
+
+        $('[itemtype*="PostalAddress" i]').each((i, elem) => {
+            const prop = (name) => {
+                const node = $(elem).find(`[itemprop="${name}"]`).first();
+                if (node.length === 0) return null;
+                return (node.attr('content') || node.text() || '').replace(/\s+/g, ' ').trim() || null;
+            };
+
+            addresses.push(this.fromSchemaAddress({
+                streetAddress: prop('streetAddress'),
+                addressLocality: prop('addressLocality'),
+                addressRegion: prop('addressRegion'),
+                postalCode: prop('postalCode'),
+                addressCountry: prop('addressCountry')
+            }, 'microdata'));
+        });
+    }
+
+    /**
+     * Extract addresses from <address> elements
+     */
+    extractFromAddressElements(context, addresses) {
+        const $ = context.$;
+
+        $('address').each((i, elem) => {
+            // Keep line breaks as separators so street/city lines stay apart
+            const html = $(elem).html() || '';
+            const text = html
+                .replace(/<br\s*\/?>/gi, ', ')
+                .replace(/<\/(p|div|span|li)>/gi, ', ')
+                .replace(/<[^>]+>/g, ' ')
+                .replace(/&nbsp;/gi, ' ')
+                .replace(/&amp;/gi, '&')
+                .replace(/\s+/g, ' ')
+                .replace(/(,\s*)+/g, ', ')
+                .trim();
+
+            this.parseAddressText(text, 'address-element')
+                .forEach(address => addresses.push(address));
+        });
+    }
+
+    /**
+     * Map a schema.org PostalAddress (JSON-LD or microdata) to an address object
+     */
+    fromSchemaAddress(node, extractedFrom) {
+        const text = (value) => {
+            if (!value) return null;
+            if (typeof value === 'object') return value.name || value['@id'] || null;
+            return String(value).replace(/\s+/g, ' ').trim() || null;
+        };
+
+        return {
+            street: text(node.streetAddress),
+            city: text(node.addressLocality),
+            region: text(node.addressRegion),
+            postalCode: text(node.postalCode),
+            country: this.normalizeCountry(text(node.addressCountry)),
+            extractedFrom
+        };
+    }
+
+    /**
+     * Parse free-text addresses (US/Canada, UK and continental European layouts)
+     */
+    parseAddressText(text, extractedFrom = 'text') {
+        if (!text) return [];
+
+        const addresses = [];
+        const normalized = text.replace(/\s+/g, ' ');
+
+        // US / Canada: 123 Main St, Suite 4, Springfield, IL 62704
+        const northAmerica = new RegExp(
+            `(\\d{1,6}\\s+(?:[NSEW]\\.?\\s+)?[A-Za-z0-9.'\\- ]{2,40}?\\s(?:${US_STREET_SUFFIXES})\\.?(?:,?\\s*(?:Suite|Ste\\.?|Unit|Apt\\.?|Floor|Fl\\.?|#)\\s*[\\w-]+)?)` +
+            `\\s*,?\\s*([A-Z][A-Za-z.'\\- ]{1,30}?)\\s*,\\s*([A-Z]{2})\\s+(\\d{5}(?:-\\d{4})?|[A-Z]\\d[A-Z]\\s?\\d[A-Z]\\d)` +
+            `(?:\\s*,?\\s*(USA|U\\.S\\.A\\.|United States(?: of America)?|Canada))?`,
+            'g'
+        );
+        for (const match of normalized.matchAll(northAmerica)) {
+            const postalCode = match[4];
+            addresses.push({
+                street: match[1].trim(),
+                city: match[2].trim(),
+                region: match[3],
+                postalCode,
+                country: this.normalizeCountry(match[5]) || (/^\d/.test(postalCode) ? 'US' : 'CA'),
+                extractedFrom
+            });
+        }
+
+        // UK: 10 Downing Street, London SW1A 2AA
+        const uk = new RegExp(
+            `(\\d{1,4}[A-Za-z]?\\s+[A-Z][A-Za-z'\\- ]{1,40}?\\s(?:${UK_STREET_SUFFIXES}))` +
+            `\\s*,\\s*(?:([A-Z][A-Za-z'\\- ]{1,30}?)\\s*,?\\s*)?([A-Z]{1,2}\\d[A-Z\\d]?\\s*\\d[A-Z]{2})\\b` +
+            `(?:\\s*,?\\s*(United Kingdom|UK|England|Scotland|Wales))?`,
+            'g'
+        );
+        for (const match of normalized.matchAll(uk)) {
+            addresses.push({
+                street: match[1].trim(),
+                city: match[2] ? match[2].trim() : null,
+                region: null,
+                postalCode: match[3].toUpperCase().replace(/^(\S+?)\s*(\d[A-Z]{2})$/, '$1 $2'),
+                country: 'GB',
+                extractedFrom
+            });
+        }
+
+        // Continental Europe, street first: Friedrichstraße 123, 10117 Berlin
+        const euStreetFirst = new RegExp(
+            `([A-ZÄÖÜÅÆØ][\\wäöüßéèàçåæø.'\\- ]{1,40}?(?:${EU_STREET_SUFFIXES})\\s*\\d{1,4}\\s?[a-z]?)` +
+            `\\s*,?\\s*(?:[A-Z]{1,2}-)?(\\d{4}\\s?[A-Z]{2}(?=\\s)|\\d{4,5})\\s+([A-ZÄÖÜÅÆØ][\\wäöüßéèàçåæø'\\-]+(?:\\s[A-ZÄÖÜ][\\wäöüß'\\-]+)?)` +
+            `(?:\\s*,?\\s*([A-Z][a-zäöüë]+))?`,
+            'giu'
+        );
+        for (const match of normalized.matchAll(euStreetFirst)) {
+            addresses.push({
+                street: match[1].trim(),
+                city: match[3].trim(),
+                region: null,
+                postalCode: match[2],
+                // Dutch postcodes (1016 BR) are the only four-digit-plus-letters format
+                country: this.normalizeCountry(match[4]) || (/^\d{4}\s?[A-Z]{2}$/.test(match[2]) ? 'NL' : null),
+                extractedFrom
+            });
+        }
+
+        // Continental Europe, number first: 12 rue de Rivoli, 75001 Paris
+        const euNumberFirst = new RegExp(
+            `(\\d{1,4}\\s?(?:bis|ter)?,?\\s+(?:${EU_STREET_PREFIXES})\\s+[^,\\d]{2,40}?)` +
+            `\\s*,\\s*(\\d{4,5})\\s+([A-Z][\\wéèàçâêîôû'\\-]+(?:[\\s-][A-Z][\\wéèàçâêîôû'\\-]+)?)` +
+            `(?:\\s*,?\\s*([A-Z][a-zé]+))?`,
+            'gu'
+        );
+        for (const match of normalized.matchAll(euNumberFirst)) {
+            addresses.push({
+                street: match[1].trim(),
+                city: match[3].trim(),
+                region: null,
+                postalCode: match[2],
+                country: this.normalizeCountry(match[4]),
+                extractedFrom
+            });
+        }
+
+        return addresses;
+    }
+
+    /**
+     * Check an address has enough parts to be useful
+     */
+    isValidAddress(address) {
+        if (!address || typeof address !== 'object') return false;
+
+        const hasStreet = Boolean(address.street && address.street.length >= 4 && address.street.length <= 120);
+        const hasLocality = Boolean(address.city || address.postalCode);
+
+        // Structured data may carry a single-line street, free text must have a locality too
+        if (address.extractedFrom === 'json-ld' || address.extractedFrom === 'microdata') {
+            return hasStreet || (Boolean(address.city) && Boolean(address.postalCode));
+        }
+
+        return hasStreet && hasLocality;
+    }
+
+    /**
+     * Add formatted text and confidence to an address
+     */
+    finalizeAddress(address) {
+        const finalized = {
+            street: address.street || null,
+            city: address.city || null,
+            region: address.region || null,
+            postalCode: address.postalCode || null,
+            country: address.country || null,
+            extractedFrom: address.extractedFrom || 'text'
+        };
+
+        finalized.formatted = this.formatAddress(finalized);
+        finalized.confidence = this.calculateAddressConfidence(finalized);
+        return finalized;
+    }
+
+    /**
+     * Format an address as a single line in the local order for its country
+     */
+    formatAddress(address) {
+        let locality;
+
+        if (['US', 'CA', 'AU'].includes(address.country) || (!address.country && address.region)) {
+            locality = [address.city, [address.region, address.postalCode].filter(Boolean).join(' ')];
+        } else if (address.country === 'GB' || address.country === 'IE') {
+            locality = [address.city, address.postalCode];
+        } else {
+            locality = [[address.postalCode, address.city].filter(Boolean).join(' ')];
+        }
+
+        return [address.street, ...locality, address.country]
+            .filter(part => part && String(part).trim())
+            .join(', ');
+    }
+
+    /**
+     * Calculate confidence score for an address (0-1)
+     */
+    calculateAddressConfidence(address) {
+        let score = SOURCE_CONFIDENCE[address.extractedFrom] || 0.5;
+
+        const parts = ['street', 'city', 'region', 'postalCode', 'country']
+            .filter(part => address[part]).length;
+        if (parts < 3) score -= 0.15;
+        if (parts === 5) score += 0.05;
+
+        return Math.min(1.0, Math.max(0.1, Math.round(score * 100) / 100));
+    }
+
+    /**
+     * Deduplication key (same street and postal code means the same place)
+     */
+    addressKey(address) {
+        const street = (address.street || '').toLowerCase()
+            .replace(/\bstreet\b/g, 'st')
+            .replace(/\bavenue\b/g, 'ave')
+            .replace(/\broad\b/g, 'rd')
+            .replace(/[^a-z0-9äöüß]/g, '');
+        const postal = (address.postalCode || '').toLowerCase().replace(/\s/g, '');
+        return `${street}|${postal}`;
+    }
+
+    /**
+     * Fill missing parts of one address from another describing the same place
+     */
+    mergeAddresses(primary, secondary) {
+        const merged = { ...primary };
+        ['street', 'city', 'region', 'postalCode', 'country'].forEach(part => {
+            if (!merged[part] && secondary[part]) merged[part] = secondary[part];
+        });
+        merged.formatted = this.formatAddress(merged);
+        return merged;
+    }
+
+    /**
+     * Normalize a country name or code to ISO 3166-1 alpha-2
+     */
+    normalizeCountry(country) {
+        if (!country) return null;
+
+        const trimmed = String(country).trim();
+        if (/^[A-Z]{2}$/.test(trimmed)) return trimmed === 'UK' ? 'GB' : trimmed;
+
+        return COUNTRY_NAMES[trimmed.toLowerCase()] || null;
+    }
+
+    /**
+     * Guess a country from the page domain's TLD
+     */
+    countryFromDomain(domain) {
+        if (!domain) return null;
+        const tld = domain.toLowerCase().split('.').pop();
+        return TLD_COUNTRIES[tld] || null;
+    }
+}
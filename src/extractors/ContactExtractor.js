@@ -0,0 +1,44 @@
+/**
+ * Contact Extractor - Base class for extractor modules registered with the ExtractionPipeline
+ *
+ * An extractor owns one field of the scrape result (e.g. `emails`). Third-party extractors
+ * can extend this class or register any object with the same `name`/`extract` shape.
+ */
+export class ContactExtractor {
+    /**
+     * @param {string} name - Result field this extractor populates (e.g. 'emails')
+     * @param {object} options
+     * @param {string} [options.configKey] - Scraper config flag that toggles this extractor (e.g. 'extractEmails')
+     * @param {object} [options.config] - Extractor-specific settings
+     */
+    constructor(name, options = {}) {
+        if (!name) {
+            throw new Error('Contact extractors require a result field name');
+        }
+
+        this.name = name;
+        this.configKey = options.configKey || null;
+        this.config = { ...(options.config || {}) };
+    }
+
+    /**
+     * Extract raw values from a PageContext (may return a Promise)
+     */
+    extract(context) {
+        return [];
+    }
+
+    /**
+     * Filter, score and order extracted values before they are returned to the scraper
+     */
+    validate(values, context) {
+        return values;
+    }
+
+    /**
+     * Whether a validated value counts as a contact on its own (used by ExtractionPipeline.hasContacts)
+     */
+    isContact(value) {
+        return true;
+    }
+}
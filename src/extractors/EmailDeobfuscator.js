@@ -0,0 +1,444 @@
+import * as cheerio from 'cheerio';
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+// Bidi control characters: RLO/LRO/RLE/LRE ... PDF, and the isolates RLI/LRI/FSI ... PDI
+const BIDI_OVERRIDE = /\u202E([^\u202C\u2069]*)(?:[\u202C\u2069]|$)/g;
+const BIDI_CONTROLS = /[\u200E\u200F\u202A-\u202E\u2066-\u2069]/g;
+
+// Handlers whose JavaScript commonly assembles a mailto: link
+const HANDLER_ATTRIBUTES = ['onclick', 'onmouseover', 'onmousedown', 'onfocus', 'href'];
+
+// Functions that are recognisable ROT13 decoders even when they aren't named rot13
+const ROT13_HINT = /rot_?13|charCodeAt\([^)]*\)\s*\+\s*13|\+\s*13\s*\)\s*%\s*26/i;
+
+/**
+ * Email Deobfuscator - Recovers email addresses hidden from plain-text scrapers
+ *
+ * Techniques (recorded on every recovered email):
+ *   cloudflare      Cloudflare email protection (data-cfemail / /cdn-cgi/l/email-protection#hex)
+ *   script-concat   String concatenation or String.fromCharCode in inline scripts and handlers
+ *   document-write  Markup written by document.write / innerHTML from inline scripts
+ *   css-rtl         Text stored reversed and flipped back with CSS direction: rtl / bidi-override
+ *   unicode-bidi    Text reversed with Unicode bidi override characters
+ *   rot13           ROT13-encoded addresses decoded by a mailto handler
+ *   base64          Base64-encoded addresses (atob or data attributes)
+ *
+ * Scripts are never executed: string expressions are evaluated statically.
+ */
+export class EmailDeobfuscator {
+    /**
+     * Recover obfuscated emails from page HTML
+     * @param {string} html - Page HTML
+     * @param {CheerioAPI} [$] - Already loaded document for the same HTML
+     * @returns {Array<{email: string, technique: string, encoded: string|null}>}
+     *   `encoded` is the on-page form when it could itself be mistaken for an email
+     */
+    deobfuscate(html, $ = null) {
+        if (!html) return [];
+        $ = $ || cheerio.load(html);
+
+        const found = new Map(); // email -> record
+        const add = (email, technique, encoded = null) => {
+            const key = email.toLowerCase();
+            if (!found.has(key)) {
+                found.set(key, { email: key, technique, encoded: encoded ? encoded.toLowerCase() : null });
+            }
+        };
+
+        this.fromCloudflare($).forEach(({ email }) => add(email, 'cloudflare'));
+        this.fromScripts($).forEach(({ email, technique, encoded }) => add(email, technique, encoded));
+        this.fromBase64Attributes($).forEach(({ email }) => add(email, 'base64'));
+        this.fromReversedText($).forEach(({ email, technique, encoded }) => add(email, technique, encoded));
+
+        return Array.from(found.values());
+    }
+
+    /**
+     * Cloudflare email protection: first byte is an XOR key for the remaining bytes
+     */
+    fromCloudflare($) {
+        const encoded = new Set();
+
+        $('[data-cfemail]').each((i, elem) => {
+            encoded.add($(elem).attr('data-cfemail'));
+        });
+
+        $('a[href*="/cdn-cgi/l/email-protection#"]').each((i, elem) => {
+            encoded.add($(elem).attr('href').split('#')[1]);
+        });
+
+        return Array.from(encoded)
+            .map(hex => this.decodeCloudflare(hex))
+            .flatMap(decoded => this.findEmails(decoded))
+            .map(email => ({ email }));
+    }
+
+    /**
+     * Decode a Cloudflare data-cfemail hex string
+     */
+    decodeCloudflare(hex) {
+        if (!hex || !/^[0-9a-f]+$/i.test(hex) || hex.length < 4 || hex.length % 2 !== 0) return '';
+
+        const key = parseInt(hex.slice(0, 2), 16);
+        let decoded = '';
+        for (let i = 2; i < hex.length; i += 2) {
+            decoded += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16) ^ key);
+        }
+        return decoded;
+    }
+
+    /**
+     * Emails assembled by inline scripts and event handlers
+     */
+    fromScripts($) {
+        const snippets = [];
+
+        $('script:not([src])').each((i, elem) => {
+            const type = ($(elem).attr('type') || '').toLowerCase();
+            if (!type || type.includes('javascript') || type === 'module') {
+                snippets.push($(elem).html() || '');
+            }
+        });
+
+        $('*').each((i, elem) => {
+            HANDLER_ATTRIBUTES.forEach(attribute => {
+                const value = $(elem).attr(attribute);
+                if (!value) return;
+                if (attribute === 'href') {
+                    if (/^\s*javascript:/i.test(value)) snippets.push(value.replace(/^\s*javascript:/i, ''));
+                } else {
+                    snippets.push(value);
+                }
+            });
+        });
+
+        const rot13Page = snippets.some(code => ROT13_HINT.test(code));
+        const results = [];
+
+        snippets.forEach(code => {
+            this.evaluateScript(code, rot13Page).forEach(result => results.push(result));
+        });
+
+        return results;
+    }
+
+    /**
+     * Statically evaluate the string expressions of one script
+     */
+    evaluateScript(code, rot13Page = false) {
+        const variables = new Map();
+        const results = [];
+
+        const record = (evaluated, writes) => {
+            if (!evaluated) return;
+
+            this.findEmails(evaluated.value).forEach(email => {
+                let technique = 'script-concat';
+                if (evaluated.techniques.has('base64')) technique = 'base64';
+                else if (evaluated.techniques.has('rot13')) technique = 'rot13';
+                else if (writes) technique = 'document-write';
+                else if (!evaluated.techniques.has('concat') && !evaluated.techniques.has('char-codes')) return; // Plain literal, regex extraction already sees it
+
+                const encoded = evaluated.techniques.has('rot13') ? this.findEmails(evaluated.source)[0] : null;
+                results.push({ email, technique, encoded: encoded || null });
+            });
+        };
+
+        // Statements are evaluated in order so later expressions can use earlier variables
+        this.splitStatements(code).forEach(statement => {
+            const assignment = statement.match(/^\s*(?:var|let|const)?\s*([A-Za-z_$][\w$]*)\s*(\+?=)\s*(.+)$/);
+            if (assignment && !/^\s*(?:if|return|function)\b/.test(statement)) {
+                const [, name, operator, expression] = assignment;
+                const evaluated = this.evaluateExpression(expression, variables, rot13Page);
+                if (evaluated) {
+                    const previous = operator === '+=' ? variables.get(name) : null;
+                    variables.set(name, previous ? this.concatenate(previous, evaluated) : evaluated);
+                    record(variables.get(name), false);
+                }
+            }
+
+            const write = statement.match(/document\.write(?:ln)?\s*\(\s*(.+)\)\s*$/) || statement.match(/\.innerHTML\s*\+?=\s*(.+)$/);
+            if (write) {
+                const evaluated = this.evaluateExpression(write[1], variables, rot13Page);
+                if (evaluated) record({ ...evaluated, value: this.decodeHtml(evaluated.value) }, true);
+            }
+
+            const location = statement.match(/(?:location(?:\.href)?|\.href)\s*=\s*(.+)$/);
+            if (location) {
+                record(this.evaluateExpression(location[1], variables, rot13Page), false);
+            }
+        });
+
+        return results;
+    }
+
+    /**
+     * Evaluate a string expression built from literals, known variables and decoding calls
+     * @returns {{value: string, techniques: Set<string>, source: string}|null} null when not statically known
+     */
+    evaluateExpression(expression, variables, rot13Page = false) {
+        const terms = this.splitTerms(expression.trim().replace(/;\s*$/, ''));
+        if (terms.length === 0) return null;
+
+        const techniques = new Set(terms.length > 1 ? ['concat'] : []);
+        let value = '';
+        let source = '';
+
+        for (const term of terms) {
+            const evaluated = this.evaluateTerm(term.trim(), variables, rot13Page);
+            if (!evaluated) return null;
+
+            value += evaluated.value;
+            source += evaluated.source;
+            evaluated.techniques.forEach(technique => techniques.add(technique));
+        }
+
+        return { value, techniques, source };
+    }
+
+    /**
+     * Evaluate a single term of a concatenation
+     */
+    evaluateTerm(term, variables, rot13Page) {
+        const literal = this.parseLiteral(term);
+        if (literal !== null) {
+            return { value: literal, techniques: new Set(), source: literal };
+        }
+
+        if (variables.has(term)) {
+            return variables.get(term);
+        }
+
+        // 'moc.emca'.split('').reverse().join('')
+        const reversed = term.match(/^(.+?)\.split\(\s*(['"])\2\s*\)\.reverse\(\)\.join\(\s*(['"])\3\s*\)$/);
+        if (reversed) {
+            const inner = this.evaluateTerm(reversed[1], variables, rot13Page);
+            return inner && { ...inner, value: [...inner.value].reverse().join('') };
+        }
+
+        // String.fromCharCode(105, 110, 102, 111)
+        const charCodes = term.match(/^String\.fromCharCode\(([\d\s,]+)\)$/);
+        if (charCodes) {
+            const value = String.fromCharCode(...charCodes[1].split(',').map(code => parseInt(code.trim(), 10)));
+            return { value, techniques: new Set(['char-codes']), source: value };
+        }
+
+        const call = term.match(/^([\w$.]+)\((.*)\)$/);
+        if (!call) return null;
+
+        const [, fn, argument] = call;
+        const inner = this.evaluateExpression(argument, variables, rot13Page);
+        if (!inner) return null;
+
+        if (fn === 'atob' || fn === 'window.atob') {
+            const value = this.decodeBase64(inner.value);
+            return value === null ? null : { value, techniques: new Set([...inner.techniques, 'base64']), source: inner.source };
+        }
+
+        if (['unescape', 'decodeURIComponent', 'decodeURI'].includes(fn)) {
+            try {
+                return { ...inner, value: decodeURIComponent(inner.value) };
+            } catch {
+                return null;
+            }
+        }
+
+        // Unknown helper: only a ROT13 decoder is common enough to assume
+        if (/rot_?13/i.test(fn) || (rot13Page && this.looksLikeRot13(inner.value))) {
+            return { value: this.rot13(inner.value), techniques: new Set([...inner.techniques, 'rot13']), source: inner.value };
+        }
+
+        return null;
+    }
+
+    /**
+     * Split a script into statements on `;` and newlines outside string literals
+     */
+    splitStatements(code) {
+        return this.splitOutsideQuotes(code, (char, depth) => char === ';' || (char === '\n' && depth === 0));
+    }
+
+    /**
+     * Split an expression on top-level `+` operators (outside quotes and parentheses)
+     */
+    splitTerms(expression) {
+        return this.splitOutsideQuotes(expression, (char, depth) => char === '+' && depth === 0);
+    }
+
+    /**
+     * Split text at separator characters that are not inside a string literal
+     */
+    splitOutsideQuotes(text, isSeparator) {
+        const parts = [];
+        let current = '';
+        let quote = null;
+        let depth = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quote) {
+                current += char;
+                if (char === '\\') {
+                    current += text[++i] || '';
+                } else if (char === quote) {
+                    quote = null;
+                }
+                continue;
+            }
+
+            if (char === '\'' || char === '"' || char === '`') quote = char;
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+
+            if (isSeparator(char, depth)) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        parts.push(current);
+        return parts.map(part => part.trim()).filter(Boolean);
+    }
+
+    /**
+     * Value of a quoted JavaScript string literal (null if the term isn't one)
+     */
+    parseLiteral(term) {
+        const match = term.match(/^(['"`])([\s\S]*)\1$/);
+        if (!match || (match[1] === '`' && match[2].includes('${'))) return null;
+
+        return match[2]
+            .replace(/\\x([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)))
+            .replace(/\\u([0-9a-f]{4})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)))
+            .replace(/\\(.)/g, '$1');
+    }
+
+    /**
+     * Concatenate two evaluated values (for `+=` assignments)
+     */
+    concatenate(left, right) {
+        return {
+            value: left.value + right.value,
+            techniques: new Set([...left.techniques, ...right.techniques, 'concat']),
+            source: left.source + right.source
+        };
+    }
+
+    /**
+     * Base64-encoded emails or mailto links in data attributes (data-mail="aW5mb0BhY21lLmNvbQ==")
+     */
+    fromBase64Attributes($) {
+        const results = [];
+
+        $('*').each((i, elem) => {
+            Object.entries(elem.attribs || {}).forEach(([name, value]) => {
+                if (!name.startsWith('data-') || name === 'data-cfemail' || !/^[A-Za-z0-9+/]{8,}={0,2}$/.test(value)) return;
+
+                const decoded = this.decodeBase64(value);
+                if (decoded) {
+                    this.findEmails(decoded).forEach(email => results.push({ email }));
+                }
+            });
+        });
+
+        return results;
+    }
+
+    /**
+     * Reversed text flipped back for display by CSS or Unicode bidi controls
+     */
+    fromReversedText($) {
+        const results = [];
+
+        // CSS: inline styles and <style> rules that set direction: rtl / unicode-bidi: bidi-override
+        const reversingSelectors = ['[style*="rtl" i]', '[style*="bidi-override" i]'];
+        $('style').each((i, elem) => {
+            const css = $(elem).html() || '';
+            for (const rule of css.matchAll(/([^{}]+)\{([^}]*)\}/g)) {
+                if (/direction\s*:\s*rtl|unicode-bidi\s*:\s*bidi-override/i.test(rule[2])) {
+                    reversingSelectors.push(rule[1].trim());
+                }
+            }
+        });
+
+        reversingSelectors.forEach(selector => {
+            let elements;
+            try {
+                elements = $(selector);
+            } catch {
+                return; // Selectors cheerio can't evaluate (pseudo-elements, @media blocks)
+            }
+
+            elements.each((i, elem) => {
+                const text = $(elem).text().trim();
+                const reversed = [...text].reverse().join('');
+                this.findEmails(reversed).forEach(email => results.push({ email, technique: 'css-rtl', encoded: text }));
+            });
+        });
+
+        // Unicode: text between RLO and PDF is displayed reversed
+        const bodyText = $('body').text() || $.root().text();
+        if (/\u202E/.test(bodyText)) {
+            bodyText.split(/\n/).filter(line => /\u202E/.test(line)).forEach(line => {
+                const visual = line
+                    .replace(BIDI_OVERRIDE, (m, segment) => [...segment].reverse().join(''))
+                    .replace(BIDI_CONTROLS, '');
+                this.findEmails(visual).forEach(email => results.push({ email, technique: 'unicode-bidi' }));
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Email addresses in a decoded string (mailto: prefixes and markup allowed)
+     */
+    findEmails(text) {
+        if (!text) return [];
+        return (text.match(EMAIL_PATTERN) || []).map(email => email.toLowerCase());
+    }
+
+    /**
+     * ROT13 (letters only, digits and punctuation unchanged)
+     */
+    rot13(text) {
+        return text.replace(/[a-z]/gi, char => {
+            const base = char <= 'Z' ? 65 : 97;
+            return String.fromCharCode(((char.charCodeAt(0) - base + 13) % 26) + base);
+        });
+    }
+
+    /**
+     * Whether a string decodes to an email or mailto link under ROT13
+     */
+    looksLikeRot13(text) {
+        return /^znvygb:/i.test(text) || this.findEmails(this.rot13(text)).length > 0;
+    }
+
+    /**
+     * Decode base64, returning null for input that isn't printable text once decoded
+     */
+    decodeBase64(text) {
+        try {
+            const decoded = Buffer.from(text, 'base64').toString('utf8');
+            return /^[\x20-\x7E]+$/.test(decoded) ? decoded : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Decode the HTML entities that matter for email addresses in written markup
+     */
+    decodeHtml(markup) {
+        return markup
+            .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(parseInt(code, 10)))
+            .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)))
+            .replace(/&commat;/g, '@')
+            .replace(/&period;/g, '.');
+    }
+}
@@ -0,0 +1,389 @@
+import { ContactExtractor } from './ContactExtractor.js';
+import { extractUrlsFromHtml } from './PageContext.js';
+
+/**
+ * Email Extractor - Finds email addresses in page text, links and structured data
+ */
+export class EmailExtractor extends ContactExtractor {
+    constructor(config = {}) {
+        super('emails', { configKey: 'extractEmails', config });
+    }
+
+    /**
+     * Extract emails from the page context, including addresses recovered by the deobfuscation stage
+     */
+    extract(context) {
+        const deobfuscated = context.getDeobfuscatedEmails();
+
+        // The encoded form of a ROT13 address is itself email-shaped (vasb@npzr.pbz)
+        const encoded = new Set(deobfuscated.map(item => item.encoded).filter(Boolean));
+        const emails = this.extractEmails(context.combinedText, context.html).filter(email => !encoded.has(email));
+
+        deobfuscated.forEach(({ email }) => {
+            if (!emails.includes(email)) emails.push(email);
+        });
+
+        return emails;
+    }
+
+    /**
+     * Validate, score and order extracted emails
+     */
+    validate(values) {
+        return values
+            .filter(email => this.isValidEmail(email))
+            .filter(email => !this.isEmailFalsePositive(email))
+            .map(email => ({
+                value: email,
+                confidence: this.calculateEmailConfidence(email),
+                type: this.classifyEmailType(email)
+            }))
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, 10)
+            .map(item => item.value); // Return just values for now
+    }
+
+    /**
+     * Extract email addresses from text with advanced patterns
+     * Based on research from Scrapy and Crawlee frameworks
+     */
+    extractEmails(text, html = '') {
+        const emails = new Set();
+        
+        // RFC 5322 compliant email regex (most comprehensive) - from Crawlee
+        const EMAIL_REGEX_STRING = '(?:[a-z0-9!#$%&\'*+/=?^_`{|}~-]+(?:\\.[a-z0-9!#$%&\'*+/=?^_`{|}~-]+)*|"(?:[\x01-\x08\x0b\x0c\x0e-\x1f\x21\x23-\x5b\x5d-\x7f]|\\\\[\x01-\x09\x0b\x0c\x0e-\x7f])*")@(?:(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\\.)+[a-z0-9](?:[a-z0-9-]*[a-z0-9])?|\\[(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?|[a-z0-9-]*[a-z0-9]:(?:[\x01-\x08\x0b\x0c\x0e-\x1f\x21-\x5a\x53-\x7f]|\\\\[\x01-\x09\x0b\x0c\x0e-\x7f])+)\\])';
+        const EMAIL_REGEX_GLOBAL = new RegExp(EMAIL_REGEX_STRING, 'ig');
+        
+        // Comprehensive email patterns based on Scrapy research
+        const emailPatterns = [
+            // Primary RFC-compliant pattern from Crawlee
+            EMAIL_REGEX_GLOBAL,
+            
+            // Standard email pattern
+            /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g,
+            
+            // Obfuscation patterns commonly found in scraped data
+            /\b[A-Za-z0-9._%+-]+\s*\[\s*at\s*\]\s*[A-Za-z0-9.-]+\s*\[\s*dot\s*\]\s*[A-Z|a-z]{2,}\b/gi,
+            /\b[A-Za-z0-9._%+-]+\s*\(\s*at\s*\)\s*[A-Za-z0-9.-]+\s*\(\s*dot\s*\)\s*[A-Z|a-z]{2,}\b/gi,
+            /\b[A-Za-z0-9._%+-]+\s+at\s+[A-Za-z0-9.-]+\s+dot\s+[A-Z|a-z]{2,}\b/gi,
+            
+            // HTML entity obfuscation
+            /\b[A-Za-z0-9._%+-]+&#64;[A-Za-z0-9.-]+&#46;[A-Z|a-z]{2,}\b/gi,
+            /\b[A-Za-z0-9._%+-]+&at;[A-Za-z0-9.-]+&dot;[A-Z|a-z]{2,}\b/gi,
+            
+            // Space-separated obfuscation
+            /\b[A-Za-z0-9._%+-]+\s+@\s+[A-Za-z0-9.-]+\s+\.\s+[A-Z|a-z]{2,}\b/g,
+            
+            // JavaScript/ROT13 basic patterns
+            /\b[A-Za-z0-9._%+-]+\s*\{\s*@\s*\}\s*[A-Za-z0-9.-]+\s*\{\s*\.\s*\}\s*[A-Z|a-z]{2,}\b/gi
+        ];
+        
+        // Extract from text content using all patterns
+        emailPatterns.forEach(pattern => {
+            const matches = text.match(pattern) || [];
+            matches.forEach(email => {
+                const cleanEmail = this.cleanObfuscatedEmail(email);
+                if (cleanEmail && this.isValidEmail(cleanEmail)) {
+                    emails.add(cleanEmail.toLowerCase());
+                }
+            });
+        });
+        
+        // Extract from HTML URLs (Crawlee approach)
+        if (html) {
+            const linkUrls = extractUrlsFromHtml(html);
+            const emailsFromUrls = this.emailsFromUrls(linkUrls);
+            emailsFromUrls.forEach(email => emails.add(email.toLowerCase()));
+            
+            // Mailto links with query parameter handling
+            const mailtoRegex = /href\s*=\s*['"]\s*mailto:([^'"?]+)(?:\?[^'"]*)?['"]/gi;
+            const mailtoMatches = html.match(mailtoRegex) || [];
+            mailtoMatches.forEach(match => {
+                const emailMatch = match.match(/mailto:([^'"?]+)/i);
+                if (emailMatch) {
+                    const email = emailMatch[1].trim();
+                    if (this.isValidEmail(email)) {
+                        emails.add(email.toLowerCase());
+                    }
+                }
+            });
+            
+            // Data attributes and JavaScript variables (enhanced)
+            const jsEmailPatterns = [
+                /['""]([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,})['"]/g,
+                /email\s*[:=]\s*['""]?([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,})['""]?/gi,
+                /contact\s*[:=]\s*['""]?([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,})['""]?/gi,
+                /data-email\s*=\s*['""]([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,})['"]/gi,
+                /var\s+\w*email\w*\s*=\s*['""]([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,})['"]/gi
+            ];
+            
+            jsEmailPatterns.forEach(pattern => {
+                const matches = html.match(pattern) || [];
+                matches.forEach(match => {
+                    const emailMatch = match.match(/([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,})/);
+                    if (emailMatch && this.isValidEmail(emailMatch[1])) {
+                        emails.add(emailMatch[1].toLowerCase());
+                    }
+                });
+            });
+            
+            // Schema.org structured data (enhanced)
+            const schemaPatterns = [
+                /"email":\s*"([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,})"/gi,
+                /"contactPoint":[^}]*"email":\s*"([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,})"/gi,
+                /itemprop\s*=\s*['""]email['""][^>]*content\s*=\s*['""]([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,})['"]/gi
+            ];
+            
+            schemaPatterns.forEach(pattern => {
+                const matches = html.match(pattern) || [];
+                matches.forEach(match => {
+                    const emailMatch = match.match(/"?([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,})"?/);
+                    if (emailMatch && this.isValidEmail(emailMatch[1])) {
+                        emails.add(emailMatch[1].toLowerCase());
+                    }
+                });
+            });
+        }
+        
+        // Enhanced filtering with domain validation
+        const filtered = Array.from(emails)
+            .filter(email => this.isValidEmail(email))
+            .filter(email => !this.isEmailFalsePositive(email))
+            .filter(email => this.isValidEmailDomain(email))
+            .sort() // Sort for consistency
+            .filter((email, index, arr) => arr.indexOf(email) === index); // Remove duplicates
+        
+        return filtered.slice(0, 15); // Return top results
+    }
+
+    /**
+     * Extract emails from URLs (Crawlee emailsFromUrls function)
+     */
+    emailsFromUrls(urls) {
+        const emails = [];
+        const EMAIL_URL_PREFIX_REGEX = /^mailto:/i;
+        
+        for (const url of urls) {
+            if (!url || !EMAIL_URL_PREFIX_REGEX.test(url)) continue;
+            
+            const email = url.replace(EMAIL_URL_PREFIX_REGEX, '').split('?')[0].trim();
+            if (this.isValidEmail(email)) {
+                emails.push(email);
+            }
+        }
+        
+        return emails;
+    }
+
+    /**
+     * Validate email domain (enhanced from Scrapy research)
+     */
+    isValidEmailDomain(email) {
+        const domain = email.split('@')[1];
+        if (!domain) return false;
+        
+        // Basic domain validation
+        if (domain.length < 3 || domain.length > 255) return false;
+        if (!domain.includes('.')) return false;
+        if (domain.startsWith('.') || domain.endsWith('.')) return false;
+        if (domain.includes('..')) return false;
+        
+        // TLD validation (basic)
+        const tld = domain.split('.').pop();
+        if (!tld || tld.length < 2 || tld.length > 6) return false;
+        
+        // Common valid TLD pattern
+        if (!/^[a-z]{2,6}$/i.test(tld)) return false;
+        
+        return true;
+    }
+
+    /**
+     * Clean obfuscated emails
+     */
+    cleanObfuscatedEmail(email) {
+        return email
+            .replace(/\s*\[\s*at\s*\]\s*/gi, '@')
+            .replace(/\s*\[\s*dot\s*\]\s*/gi, '.')
+            .replace(/\s*\(\s*@\s*\)\s*/gi, '@')
+            .replace(/\s*\(\s*\.\s*\)\s*/gi, '.')
+            .replace(/\s+@\s+/g, '@')
+            .replace(/\s+\.\s+/g, '.')
+            .replace(/\s/g, '');
+    }
+
+    /**
+     * Validate email format
+     */
+    isValidEmail(email) {
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        return emailRegex.test(email) && 
+               email.length <= 254 && 
+               !email.startsWith('.') && 
+               !email.endsWith('.') &&
+               !email.includes('..') &&
+               email.split('@').length === 2;
+    }
+
+    /**
+     * Check if email is a false positive with comprehensive filtering
+     */
+    isEmailFalsePositive(email) {
+        if (!email || typeof email !== 'string') return true;
+        
+        const lowerEmail = email.toLowerCase();
+        
+        // Enhanced false positive patterns based on Scrapy/Crawlee research
+        const falsePositives = [
+            // Standard test/example emails
+            'test@example.com', 'user@example.com', 'admin@example.com',
+            'info@example.com', 'support@example.com', 'contact@example.com',
+            'noreply@example.com', 'no-reply@example.com', 'hello@example.com',
+            'mail@example.com', 'email@example.com', 'name@example.com',
+            
+            // Common development/testing patterns
+            'test@test.com', 'admin@test.com', 'user@test.com',
+            'test@localhost', 'admin@localhost', 'user@localhost',
+            'test@domain.com', 'user@domain.com', 'example@domain.com',
+            
+            // Placeholder patterns
+            'your.email@example.com', 'youremail@example.com',
+            'jane@example.com', 'john@example.com', 'doe@example.com',
+            'jane.doe@example.com', 'john.doe@example.com', 'john.smith@example.com',
+            
+            // Website builder placeholders
+            'info@yoursite.com', 'contact@yoursite.com', 'admin@yoursite.com',
+            'info@yourcompany.com', 'contact@yourcompany.com',
+            'info@company.com', 'contact@company.com',
+            
+            // Social media false positives
+            'share@facebook.com', 'like@facebook.com', 'post@facebook.com',
+            'tweet@twitter.com', 'share@twitter.com', 'follow@twitter.com'
+        ];
+        
+        const domainFalsePositives = [
+            // Standard test domains (Crawlee research)
+            'example.com', 'example.org', 'example.net',
+            'test.com', 'test.org', 'test.net',
+            'domain.com', 'yourdomain.com', 'yoursite.com',
+            'company.com', 'yourcompany.com', 'mycompany.com',
+            'website.com', 'yourwebsite.com',
+            'sample.com', 'demo.com', 'localhost', 'local',
+            'tempuri.org', 'tempuri.com',
+            
+            // Developer testing domains
+            'dev.local', 'test.local', 'staging.com',
+            'dev.example.com', 'test.example.com'
+        ];
+        
+        // Extract domain
+        const domain = email.split('@')[1];
+        if (!domain) return true;
+        
+        // Check exact matches
+        if (falsePositives.includes(lowerEmail)) return true;
+        if (domainFalsePositives.includes(domain)) return true;
+        
+        // Enhanced placeholder detection (Scrapy inspired)
+        const placeholderWords = [
+            'lorem', 'ipsum', 'placeholder', 'sample', 'test', 'dummy', 'fake', 'mock',
+            'default', 'example', 'demo', 'temp', 'temporary', 'invalid',
+            'enter', 'insert', 'put', 'type', 'write', 'click'
+        ];
+        if (placeholderWords.some(word => lowerEmail.includes(word))) return true;
+        
+        // Invalid email patterns (enhanced)
+        if (lowerEmail.includes('..') || lowerEmail.startsWith('.') || lowerEmail.endsWith('.')) return true;
+        if (lowerEmail.includes('@.') || lowerEmail.includes('.@')) return true;
+        if (domain.includes('..') || domain.startsWith('.') || domain.endsWith('.')) return true;
+        
+        // Too many repeated characters (Crawlee pattern)
+        if (/(.)\1{4,}/.test(lowerEmail)) return true;
+        
+        // Enhanced suspicious patterns (Scrapy research)
+        const suspiciousPatterns = [
+            // No-reply patterns
+            /^(no-?reply|do-?not-?reply|noreply)@/i,
+            /^(bounce|mailer-daemon|postmaster)@/i,
+            
+            // Development/testing patterns
+            /^(info|support|admin|webmaster|postmaster)@.*\.(test|local|localhost)$/i,
+            /^(test|admin|user|demo)@(test|demo|local|localhost)\./i,
+            
+            // Pattern-based false positives
+            /^\d+@\d+\.\d+$/, // All numbers
+            /^[a-z]@[a-z]\.[a-z]{2,3}$/i, // Single character username/domain
+            /^.{1,2}@.{1,2}\./i, // Too short username or domain
+            /^[^@]+@[^.]+$/, // Domain without TLD
+            /^[^@]{1,2}@.+/, // Username too short
+            /^.+@[^.]{1,2}\..+/, // Domain name too short
+            
+            // Suspicious character patterns
+            /[<>"`']/,  // HTML/script characters
+            /^\d+[a-z]*@.+/, // Starts with only numbers
+            /^[a-z]+\d+@example\./i, // Common test patterns
+            
+            // Website template patterns
+            /^(contact|info|support)@(company|business|website|site)\./i,
+            /^email@(company|business|website|site)\./i,
+            /^(your|my)(email|mail|address)@/i,
+            
+            // Invalid TLD patterns
+            /@[^.]+\.(test|local|invalid|localhost|example)$/i,
+            
+            // Asset filenames that look like emails (e.g. logo@2x.png)
+            /\.(png|jpg|jpeg|gif|svg|webp|pdf|doc|docx|zip|rar)$/i
+        ];
+        
+        if (suspiciousPatterns.some(pattern => pattern.test(lowerEmail))) return true;
+        
+        // Domain-specific validation (Crawlee inspired)
+        const tldParts = domain.split('.');
+        const tld = tldParts[tldParts.length - 1];
+        
+        // Invalid TLD check
+        if (tld.length < 2 || tld.length > 6) return true;
+        if (!/^[a-z]+$/i.test(tld)) return true;
+        
+        // Common invalid domains
+        const invalidTlds = ['test', 'local', 'localhost', 'invalid', 'example'];
+        if (invalidTlds.includes(tld)) return true;
+        
+        return false;
+    }
+
+    /**
+     * Calculate confidence score for emails (0-1)
+     */
+    calculateEmailConfidence(email) {
+        let score = 0.5; // Base score
+        
+        // Domain reputation (common business domains get higher score)
+        const businessDomains = ['gmail.com', 'outlook.com', 'yahoo.com', 'hotmail.com'];
+        const domain = email.split('@')[1];
+        
+        if (!businessDomains.includes(domain)) {
+            score += 0.2; // Custom domains often more reliable for business
+        }
+        
+        // Length considerations
+        if (email.length > 8 && email.length < 50) score += 0.1;
+        
+        // Professional patterns
+        if (/^[a-zA-Z]+\.[a-zA-Z]+@/.test(email)) score += 0.2; // firstname.lastname pattern
+        if (/^(info|contact|hello|support)@/.test(email)) score += 0.1; // Business emails
+        
+        return Math.min(score, 1.0);
+    }
+
+    /**
+     * Classify email type
+     */
+    classifyEmailType(email) {
+        if (/^(info|contact|hello)@/.test(email)) return 'general';
+        if (/^(support|help)@/.test(email)) return 'support';
+        if (/^(sales|marketing)@/.test(email)) return 'sales';
+        if (/^[a-zA-Z]+\.[a-zA-Z]+@/.test(email)) return 'personal';
+        return 'other';
+    }
+}
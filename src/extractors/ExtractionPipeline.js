@@ -0,0 +1,145 @@
+import { PageContext } from './PageContext.js';
+import { EmailExtractor } from './EmailExtractor.js';
+import { ObfuscatedEmailExtractor } from './ObfuscatedEmailExtractor.js';
+import { PhoneExtractor } from './PhoneExtractor.js';
+import { NameExtractor } from './NameExtractor.js';
+import { AddressExtractor } from './AddressExtractor.js';
+import { SocialProfileExtractor } from './SocialProfileExtractor.js';
+import { PersonExtractor } from './PersonExtractor.js';
+
+/**
+ * Extraction Pipeline - Runs registered extractor modules over a scraped page
+ * Shared by WebScraper, EnhancedWebScraper and DataScraper so every scraping mode
+ * produces the same contact fields from the same rules
+ */
+export class ExtractionPipeline {
+    constructor(config = {}) {
+        this.config = {
+            registerDefaults: config.registerDefaults !== false,
+            ...config
+        };
+
+        this.extractors = new Map(); // result field -> extractor
+
+        if (this.config.registerDefaults) {
+            this.register(new EmailExtractor());
+            this.register(new ObfuscatedEmailExtractor());
+            this.register(new PhoneExtractor());
+            this.register(new NameExtractor());
+            this.register(new AddressExtractor());
+            this.register(new SocialProfileExtractor());
+            this.register(new PersonExtractor());
+        }
+    }
+
+    /**
+     * Register an extractor module (replaces any extractor with the same name)
+     */
+    register(extractor) {
+        if (!extractor || !extractor.name || typeof extractor.extract !== 'function') {
+            throw new Error('Extractor must have a name and an extract(context) method');
+        }
+
+        this.extractors.set(extractor.name, extractor);
+        return this;
+    }
+
+    /**
+     * Remove a registered extractor by result field name
+     */
+    unregister(name) {
+        return this.extractors.delete(name);
+    }
+
+    /**
+     * Get a registered extractor by result field name
+     */
+    get(name) {
+        return this.extractors.get(name) || null;
+    }
+
+    /**
+     * Result fields produced by the registered extractors
+     */
+    getFieldNames() {
+        return Array.from(this.extractors.keys());
+    }
+
+    /**
+     * Check whether an extractor is enabled by the scraper settings
+     */
+    isEnabled(extractor, settings = {}) {
+        if (!extractor.configKey) return true;
+        return settings[extractor.configKey] !== false;
+    }
+
+    /**
+     * Build the shared page context for a raw scrape result
+     */
+    createContext(rawData) {
+        return new PageContext(rawData);
+    }
+
+    /**
+     * Run every enabled extractor over a raw scrape result
+     * @param {object} rawData - { url, title, content, textContent|text, method, timestamp }
+     * @param {object} settings - Scraper config holding the extractEmails/extractPhones/... toggles
+     */
+    async process(rawData, settings = {}) {
+        const context = this.createContext(rawData);
+        const result = {
+            url: context.url,
+            title: context.title,
+            domain: context.domain,
+            timestamp: context.timestamp,
+            method: context.method
+        };
+
+        for (const extractor of this.extractors.values()) {
+            result[extractor.name] = [];
+
+            if (!this.isEnabled(extractor, settings)) {
+                continue;
+            }
+
+            try {
+                const values = await extractor.extract(context);
+                result[extractor.name] = typeof extractor.validate === 'function'
+                    ? extractor.validate(values || [], context)
+                    : (values || []);
+            } catch (error) {
+                // One failing extractor should not lose the other contact types
+                console.error(`Extractor "${extractor.name}" failed for ${context.url}:`, error.message);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Check if a processed result holds any extracted contact values
+     */
+    hasContacts(result) {
+        return Array.from(this.extractors.values()).some(extractor => {
+            const values = result[extractor.name];
+            if (!Array.isArray(values)) return false;
+            return typeof extractor.isContact === 'function'
+                ? values.some(value => extractor.isContact(value))
+                : values.length > 0;
+        });
+    }
+
+    /**
+     * Count contact values per field, skipping values an extractor doesn't treat as contacts (e.g. share links)
+     */
+    countContacts(result) {
+        const counts = {};
+        this.extractors.forEach((extractor, name) => {
+            const values = Array.isArray(result[name]) ? result[name] : [];
+            counts[name] = typeof extractor.isContact === 'function'
+                ? values.filter(value => extractor.isContact(value)).length
+                : values.length;
+        });
+        return counts;
+    }
+}
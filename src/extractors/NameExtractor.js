@@ -0,0 +1,436 @@
+import { ContactExtractor } from './ContactExtractor.js';
+
+/**
+ * Name Extractor - Finds person names in page text, meta tags and structured data
+ */
+export class NameExtractor extends ContactExtractor {
+    constructor(config = {}) {
+        super('names', { configKey: 'extractNames', config });
+    }
+
+    /**
+     * Extract names from the page context
+     */
+    extract(context) {
+        return this.extractNames(context.combinedText, context.html);
+    }
+
+    /**
+     * Validate, score and order extracted names
+     */
+    validate(values) {
+        return values
+            .filter(name => this.isValidName(name))
+            .filter(name => !this.isNameFalsePositive(name))
+            .map(name => ({
+                value: name,
+                confidence: this.calculateNameConfidence(name),
+                completeness: this.assessNameCompleteness(name)
+            }))
+            .sort((a, b) => {
+                // Sort by confidence, then by completeness
+                if (a.confidence !== b.confidence) {
+                    return b.confidence - a.confidence;
+                }
+                return b.completeness - a.completeness;
+            })
+            .slice(0, 5)
+            .map(item => item.value);
+    }
+
+    /**
+     * Extract names from text with advanced pattern recognition
+     * Enhanced with patterns inspired by Scrapy and Crawlee research
+     */
+    extractNames(text, html = '') {
+        const names = new Set();
+        
+        // Enhanced name extraction patterns based on research
+        const namePatterns = [
+            // Professional titles with names (enhanced)
+            /(?:Dr\.?|Doctor|Prof\.?|Professor|Mr\.?|Ms\.?|Mrs\.?|Miss|CEO|President|Director|Manager|VP|Vice\s+President)\s+([A-Z][a-z]+'?(?:\s+[A-Z]\.?\s*)?[A-Z][a-z]+'?(?:\s+[A-Z][a-z]+'?)?)/gi,
+            
+            // Contact information patterns (enhanced)
+            /(?:contact|reach(?:\s+out\s+to)?|speak\s+with|talk\s+to|meet|ask\s+for|call|email)\s+(?:us\s+at\s+)?([A-Z][a-z]{1,15}(?:\s+[A-Z]\.?\s*)?[A-Z][a-z]{1,20})/gi,
+            
+            // About/Team sections
+            /(?:about|team|staff|meet|our|founder|co-founder|ceo|president|owner|director|manager|lead|head|senior|principal|chief)[\s:]*([A-Z][a-z]{1,15}\s+[A-Z][a-z]{1,20})/gi,
+            
+            // Author/byline patterns
+            /(?:by|author|written\s+by|created\s+by|developed\s+by):\s*([A-Z][a-z]{1,15}(?:\s+[A-Z]\.?\s*)?[A-Z][a-z]{1,20})/gi,
+            
+            // Job title patterns
+            /([A-Z][a-z]{1,15}(?:\s+[A-Z]\.?\s*)?[A-Z][a-z]{1,20}),?\s+(?:is\s+(?:our|the|a)|works?\s+as|serves?\s+as)?\s*(?:CEO|President|Director|Manager|Engineer|Developer|Designer|Consultant|Specialist|Coordinator|Analyst|Associate)/gi,
+            
+            // Introduction patterns
+            /(?:hello,?\s+i'?m|hi,?\s+i'?m|my\s+name\s+is|i'?m|this\s+is)\s+([A-Z][a-z]{1,15}(?:\s+[A-Z]\.?\s*)?[A-Z][a-z]{1,20})/gi,
+            
+            // Quote attribution patterns
+            /["""].*?["""],?\s*(?:said|says|according\s+to|states?)\s+([A-Z][a-z]{1,15}(?:\s+[A-Z]\.?\s*)?[A-Z][a-z]{1,20})/gi,
+            
+            // Business card style patterns
+            /([A-Z][a-z]{1,15}(?:\s+[A-Z]\.?\s*)?[A-Z][a-z]{1,20})\s*[,\n]\s*(?:CEO|President|Director|Manager|Partner|Owner|Founder)/gi,
+            
+            // Email signature patterns
+            /(?:best\s+regards?|sincerely|thank\s+you),?\s*\n?\s*([A-Z][a-z]{1,15}(?:\s+[A-Z]\.?\s*)?[A-Z][a-z]{1,20})/gi,
+            
+            // Three-part names (First Middle Last)
+            /\b([A-Z][a-z]{2,12}\s+[A-Z][a-z]{1,12}\s+[A-Z][a-z]{2,15})\b/g,
+            
+            // Standard full name patterns (2-3 parts)
+            /\b([A-Z][a-z]{2,15}\s+(?:[A-Z]\.?\s+)?[A-Z][a-z]{2,20}(?:\s+[A-Z][a-z]{2,20})?)\b/g
+        ];
+        
+        // Extract from text with enhanced pattern matching
+        namePatterns.forEach(pattern => {
+            const matches = text.match(pattern) || [];
+            matches.forEach(match => {
+                // Extract the name part - handle different capture group positions
+                let nameMatch = null;
+                
+                // Try to find the name in various capture group positions
+                const fullMatch = pattern.exec(match);
+                if (fullMatch && fullMatch[1]) {
+                    nameMatch = fullMatch[1];
+                } else {
+                    // Fallback to pattern matching
+                    const namePattern = /([A-Z][a-z]{1,15}(?:\s+[A-Z]\.?\s*)?(?:\s+[A-Z][a-z]{1,20})+)/;
+                    const result = match.match(namePattern);
+                    if (result) nameMatch = result[1];
+                }
+                
+                if (nameMatch) {
+                    const name = nameMatch.trim()
+                        .replace(/\s+/g, ' ') // Normalize spaces
+                        .replace(/([A-Z])\.\s*([A-Z])/g, '$1. $2') // Fix middle initial spacing
+                        .replace(/,.*$/, ''); // Remove trailing job titles/credentials
+                    
+                    if (this.isValidName(name) && !this.isNameFalsePositive(name)) {
+                        names.add(name);
+                    }
+                }
+                // Reset regex for next iteration
+                pattern.lastIndex = 0;
+            });
+        });
+        
+        // Extract from HTML with structured data (enhanced)
+        if (html) {
+            this.extractNamesFromStructuredData(html, names);
+            this.extractNamesFromMetaTags(html, names);
+            this.extractNamesFromSchemaOrg(html, names);
+            this.extractNamesFromMicrodata(html, names);
+            this.extractNamesFromSocialProfiles(html, names);
+        }
+        
+        // Enhanced post-processing with confidence scoring
+        const processedNames = Array.from(names)
+            .map(name => this.normalizeName(name))
+            .filter(name => name && this.isValidName(name))
+            .filter(name => !this.isNameFalsePositive(name))
+            .filter((name, index, arr) => arr.indexOf(name) === index) // Remove duplicates
+            .sort((a, b) => {
+                // Score names by quality indicators
+                const scoreA = this.calculateNameConfidence(a);
+                const scoreB = this.calculateNameConfidence(b);
+                
+                if (scoreA !== scoreB) {
+                    return scoreB - scoreA; // Higher confidence first
+                }
+                
+                // Secondary sort: prefer longer names (more complete)
+                if (a.split(' ').length !== b.split(' ').length) {
+                    return b.split(' ').length - a.split(' ').length;
+                }
+                
+                return a.localeCompare(b);
+            });
+        
+        return processedNames.slice(0, 8); // Return top-quality names
+    }
+
+    /**
+     * Extract names from social media profiles in HTML
+     */
+    extractNamesFromSocialProfiles(html, names) {
+        // LinkedIn profile patterns
+        const linkedinPatterns = [
+            /linkedin\.com\/in\/([A-Za-z-]+)/gi,
+            /"name":\s*"([^"]+)"[^}]*"@type":\s*"Person"/gi
+        ];
+        
+        // Twitter profile patterns  
+        const twitterPatterns = [
+            /twitter\.com\/([A-Za-z0-9_]+)/gi,
+            /"name":\s*"([^"]+)"[^}]*twitter/gi
+        ];
+        
+        // Extract from social media links
+        const allPatterns = [...linkedinPatterns, ...twitterPatterns];
+        allPatterns.forEach(pattern => {
+            const matches = html.match(pattern) || [];
+            matches.forEach(match => {
+                const nameMatch = match.match(/"([^"]+)"/);
+                if (nameMatch) {
+                    const name = nameMatch[1].replace(/[-_]/g, ' ');
+                    if (this.isValidName(name)) {
+                        names.add(name);
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Extract names from structured data in HTML
+     */
+    extractNamesFromStructuredData(html, names) {
+        // Schema.org Person markup
+        const schemaPatterns = [
+            /"@type":\s*"Person"[^}]*"name":\s*"([^"]+)"/gi,
+            /"@type":\s*"Person"[^}]*"givenName":\s*"([^"]+)"[^}]*"familyName":\s*"([^"]+)"/gi,
+            /"name":\s*"([A-Z][a-z]{1,15}\s+[A-Z][a-z]{1,20})"/gi
+        ];
+        
+        schemaPatterns.forEach(pattern => {
+            const matches = html.match(pattern) || [];
+            matches.forEach(match => {
+                const nameMatches = match.match(/"([A-Z][^"]*[a-z])"/g);
+                if (nameMatches) {
+                    nameMatches.forEach(nameMatch => {
+                        const name = nameMatch.replace(/"/g, '').trim();
+                        if (this.isValidName(name)) {
+                            names.add(name);
+                        }
+                    });
+                }
+            });
+        });
+    }
+
+    /**
+     * Extract names from meta tags
+     */
+    extractNamesFromMetaTags(html, names) {
+        const metaPatterns = [
+            /<meta[^>]+name="author"[^>]+content="([^"]+)"/gi,
+            /<meta[^>]+name="creator"[^>]+content="([^"]+)"/gi,
+            /<meta[^>]+property="article:author"[^>]+content="([^"]+)"/gi,
+            /<meta[^>]+property="profile:first_name"[^>]+content="([^"]+)"[^>]*>/gi,
+            /<meta[^>]+property="profile:last_name"[^>]+content="([^"]+)"[^>]*>/gi
+        ];
+        
+        metaPatterns.forEach(pattern => {
+            const matches = html.match(pattern) || [];
+            matches.forEach(match => {
+                const contentMatch = match.match(/content="([^"]+)"/);
+                if (contentMatch) {
+                    const name = contentMatch[1].trim();
+                    if (this.isValidName(name)) {
+                        names.add(name);
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Extract names from Schema.org markup
+     */
+    extractNamesFromSchemaOrg(html, names) {
+        // Look for itemprop="name" with itemtype="http://schema.org/Person"
+        const schemaOrgPattern = /itemtype="[^"]*Person"[^>]*>[\s\S]*?itemprop="name"[^>]*>([^<]+)</gi;
+        const matches = html.match(schemaOrgPattern) || [];
+        
+        matches.forEach(match => {
+            const nameMatch = match.match(/itemprop="name"[^>]*>([^<]+)</);
+            if (nameMatch) {
+                const name = nameMatch[1].trim();
+                if (this.isValidName(name)) {
+                    names.add(name);
+                }
+            }
+        });
+    }
+
+    /**
+     * Extract names from microdata
+     */
+    extractNamesFromMicrodata(html, names) {
+        // Look for common microdata patterns
+        const microdataPatterns = [
+            /<[^>]+class="[^"]*(?:author|name|person|contact)[^"]*"[^>]*>([A-Z][a-z]+\s+[A-Z][a-z]+)</gi,
+            /<[^>]+id="[^"]*(?:author|name|person|contact)[^"]*"[^>]*>([A-Z][a-z]+\s+[A-Z][a-z]+)</gi,
+            /<span[^>]+class="[^"]*name[^"]*"[^>]*>([A-Z][a-z]+\s+[A-Z][a-z]+)</gi
+        ];
+        
+        microdataPatterns.forEach(pattern => {
+            const matches = html.match(pattern) || [];
+            matches.forEach(match => {
+                const nameMatch = match.match(/>([A-Z][a-z]+\s+[A-Z][a-z]+)</);
+                if (nameMatch) {
+                    const name = nameMatch[1].trim();
+                    if (this.isValidName(name)) {
+                        names.add(name);
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Validate if a name looks legitimate
+     */
+    isValidName(name) {
+        if (!name || typeof name !== 'string') return false;
+        
+        const trimmed = name.trim();
+        if (trimmed.length < 3 || trimmed.length > 50) return false;
+        
+        // Must have at least first and last name
+        const parts = trimmed.split(/\s+/);
+        if (parts.length < 2) return false;
+        
+        // Each part should be reasonable length
+        if (parts.some(part => part.length < 2 || part.length > 20)) return false;
+        
+        // Should not contain numbers or special characters (except apostrophes, periods, hyphens)
+        if (!/^[A-Za-z\s.'-]+$/.test(trimmed)) return false;
+        
+        // Should start with capital letter
+        if (!/^[A-Z]/.test(trimmed)) return false;
+        
+        // Each word should start with capital
+        const words = parts.filter(part => part.length > 1); // Ignore single letters (initials)
+        if (words.some(word => !/^[A-Z]/.test(word))) return false;
+        
+        return true;
+    }
+
+    /**
+     * Normalize name formatting
+     */
+    normalizeName(name) {
+        return name
+            .trim()
+            .replace(/\s+/g, ' ') // Normalize whitespace
+            .replace(/([a-z])([A-Z])/g, '$1 $2') // Split camelCase
+            .replace(/\b([A-Z])\.?\s*([A-Z])\b/g, '$1. $2') // Fix initials
+            .replace(/\b([A-Z][a-z]+)\s+([A-Z])\b/g, '$1 $2.') // Add period to single letter
+            .split(' ')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+            .join(' ');
+    }
+
+    /**
+     * Enhanced name false positive detection
+     */
+    isNameFalsePositive(name) {
+        if (!name || typeof name !== 'string') return true;
+        
+        const lowerName = name.toLowerCase().trim();
+        
+        // Common placeholder names
+        const falsePositives = [
+            'john doe', 'jane doe', 'john smith', 'jane smith',
+            'lorem ipsum', 'test user', 'sample name', 'your name',
+            'first last', 'fname lname', 'firstname lastname',
+            'user name', 'full name', 'company name', 'business name',
+            'admin user', 'site admin', 'web admin', 'administrator',
+            'default user', 'guest user', 'anonymous user',
+            'example name', 'sample person', 'test person',
+            'dummy name', 'fake name', 'placeholder name'
+        ];
+        
+        if (falsePositives.includes(lowerName)) return true;
+        
+        // Contains placeholder words
+        const placeholderWords = ['lorem', 'ipsum', 'example', 'sample', 'test', 'dummy', 'fake', 'placeholder', 'default'];
+        if (placeholderWords.some(word => lowerName.includes(word))) return true;
+        
+        // Common business terms that aren't names
+        const businessTerms = [
+            'company', 'corporation', 'business', 'enterprise', 'organization',
+            'department', 'division', 'office', 'branch', 'headquarters',
+            'customer service', 'tech support', 'sales team', 'marketing team',
+            'help desk', 'information desk', 'reception', 'front desk',
+            'about us', 'contact us', 'home page', 'main page', 'news events',
+            'domain names', 'abuse information', 'protocols numbers',
+            'root zone', 'time zones', 'root servers', 'special use'
+        ];
+        
+        if (businessTerms.some(term => lowerName.includes(term))) return true;
+        
+        // Job titles that might be extracted as names
+        const jobTitles = [
+            'customer service', 'tech support', 'sales representative',
+            'marketing manager', 'account manager', 'project manager',
+            'general manager', 'operations manager', 'office manager'
+        ];
+        
+        if (jobTitles.some(title => lowerName.includes(title))) return true;
+        
+        // Names that are too generic or common in documentation
+        const genericNames = [
+            'contact person', 'sales person', 'support person',
+            'your contact', 'our representative', 'team member',
+            'staff member', 'company representative'
+        ];
+        
+        if (genericNames.some(generic => lowerName.includes(generic))) return true;
+        
+        // Technical/programming related false positives
+        const techTerms = ['api key', 'user id', 'client id', 'session id', 'auth token'];
+        if (techTerms.some(term => lowerName.includes(term))) return true;
+        
+        // Opening-hours text (e.g. "Monday Friday")
+        if (/\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/.test(lowerName)) return true;
+        
+        // Names with suspicious patterns
+        const suspiciousPatterns = [
+            /^(mr|mrs|ms|dr|prof)\.?\s+(example|sample|test)/i,
+            /^(example|sample|test)\s+/i,
+            /^[a-z]{1,2}\s+[a-z]{1,2}$/i, // Too short (single letters)
+            /^(.+)\s+\1$/i, // Repeated words (e.g., "John John")
+            /\d/,  // Contains numbers
+            /[!@#$%^&*(),.?":{}|<>]/,  // Contains special characters
+            /^[A-Z]+\s+[A-Z]+$/,  // All caps (likely not a real name)
+        ];
+        
+        return suspiciousPatterns.some(pattern => pattern.test(name));
+    }
+
+    /**
+     * Calculate confidence score for names (0-1)
+     */
+    calculateNameConfidence(name) {
+        let score = 0.5; // Base score
+        
+        const parts = name.trim().split(/\s+/);
+        
+        // Completeness (more parts usually better)
+        if (parts.length >= 2) score += 0.2;
+        if (parts.length >= 3) score += 0.1; // Full name with middle
+        
+        // Length considerations
+        if (name.length > 6 && name.length < 40) score += 0.1;
+        
+        // Proper capitalization
+        if (parts.every(part => /^[A-Z][a-z]+$/.test(part) || /^[A-Z]\.$/.test(part))) {
+            score += 0.2;
+        }
+        
+        return Math.min(score, 1.0);
+    }
+
+    /**
+     * Assess name completeness (0-1)
+     */
+    assessNameCompleteness(name) {
+        const parts = name.trim().split(/\s+/);
+        
+        if (parts.length >= 3) return 1.0; // First Middle Last
+        if (parts.length === 2) return 0.8; // First Last
+        return 0.3; // Just one name
+    }
+}
@@ -0,0 +1,36 @@
+import { ContactExtractor } from './ContactExtractor.js';
+import { EmailExtractor } from './EmailExtractor.js';
+
+/**
+ * Obfuscated Email Extractor - Records which deobfuscation technique recovered each email
+ * The recovered addresses themselves are also merged into `emails` by the EmailExtractor
+ */
+export class ObfuscatedEmailExtractor extends ContactExtractor {
+    constructor(config = {}) {
+        super('obfuscatedEmails', { configKey: 'extractEmails', config });
+        this.emailExtractor = new EmailExtractor();
+    }
+
+    /**
+     * Emails decoded from Cloudflare protection, scripts, reversed text, ROT13 and base64
+     */
+    extract(context) {
+        return context.getDeobfuscatedEmails().map(({ email, technique }) => ({ email, technique }));
+    }
+
+    /**
+     * Drop decoded values that are not usable email addresses
+     */
+    validate(values) {
+        return values
+            .filter(({ email }) => this.emailExtractor.isValidEmail(email))
+            .filter(({ email }) => !this.emailExtractor.isEmailFalsePositive(email));
+    }
+
+    /**
+     * Technique records describe addresses already counted under `emails`
+     */
+    isContact(value) {
+        return false;
+    }
+}
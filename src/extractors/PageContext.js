@@ -0,0 +1,388 @@
+import * as cheerio from 'cheerio';
+import { EmailDeobfuscator } from './EmailDeobfuscator.js';
+
+/**
+ * Page Context - Shared view of a scraped page handed to every registered extractor
+ * Parses the HTML, targeted contact sections and structured data once per page
+ */
+export class PageContext {
+    constructor(rawData = {}) {
+        this.url = rawData.url || '';
+        this.title = rawData.title || '';
+        this.html = rawData.content || '';
+        this.text = rawData.textContent ?? rawData.text ?? '';
+        this.method = rawData.method || null;
+        this.timestamp = rawData.timestamp || new Date().toISOString();
+        this.domain = this.extractDomain(this.url);
+        this.pageLang = rawData.lang || null;
+
+        this.document = null;
+        this.targetedContent = null;
+        this.jsonLd = null;
+        this.linkUrls = null;
+        this.deobfuscatedEmails = null;
+    }
+
+    /**
+     * Cheerio document for the page HTML (loaded on first use)
+     */
+    get $() {
+        if (!this.document) {
+            this.document = cheerio.load(this.html);
+        }
+        return this.document;
+    }
+
+    /**
+     * Page language from <html lang> (e.g. 'en-GB'), used as a locale hint
+     */
+    get lang() {
+        if (!this.pageLang && this.html) {
+            this.pageLang = this.$('html').attr('lang') || null;
+        }
+        return this.pageLang;
+    }
+
+    /**
+     * Title, priority sections and general text combined for pattern matching
+     */
+    get combinedText() {
+        const targeted = this.getTargetedContent();
+        return `${this.title} ${targeted.priorityText} ${targeted.generalText}`;
+    }
+
+    /**
+     * Targeted content sections (computed once per page)
+     */
+    getTargetedContent() {
+        if (!this.targetedContent) {
+            this.targetedContent = this.extractTargetedContent();
+        }
+        return this.targetedContent;
+    }
+
+    /**
+     * Parsed JSON-LD blocks embedded in the page
+     */
+    getJsonLd() {
+        if (this.jsonLd) return this.jsonLd;
+
+        this.jsonLd = [];
+        const jsonLdPattern = /<script[^>]+type="application\/ld\+json"[^>]*>([\s\S]*?)<\/script>/gi;
+        const jsonLdMatches = this.html.match(jsonLdPattern) || [];
+
+        jsonLdMatches.forEach(match => {
+            try {
+                const jsonContent = match.replace(/<script[^>]*>|<\/script>/gi, '');
+                this.jsonLd.push(JSON.parse(jsonContent));
+            } catch (error) {
+                // Skip invalid JSON-LD
+            }
+        });
+
+        return this.jsonLd;
+    }
+
+    /**
+     * Emails recovered from obfuscated markup and scripts: [{ email, technique, encoded }]
+     */
+    getDeobfuscatedEmails() {
+        if (!this.deobfuscatedEmails) {
+            this.deobfuscatedEmails = this.html ? new EmailDeobfuscator().deobfuscate(this.html, this.$) : [];
+        }
+        return this.deobfuscatedEmails;
+    }
+
+    /**
+     * Extract targeted content from specific sections likely to contain contact information
+     */
+    extractTargetedContent() {
+        const result = {
+            priorityText: '',
+            generalText: this.text || ''
+        };
+
+        if (!this.html) {
+            return result;
+        }
+
+        const $ = this.$;
+        
+        // Priority selectors for contact-rich sections
+        const prioritySelectors = [
+            // Contact sections
+            'section[id*="contact" i], div[id*="contact" i], footer[id*="contact" i]',
+            'section[class*="contact" i], div[class*="contact" i]',
+            '[id*="contact-info" i], [class*="contact-info" i]',
+            
+            // About sections
+            'section[id*="about" i], div[id*="about" i]',
+            'section[class*="about" i], div[class*="about" i]',
+            '[id*="about-us" i], [class*="about-us" i]',
+            
+            // Team sections
+            'section[id*="team" i], div[id*="team" i]',
+            'section[class*="team" i], div[class*="team" i]',
+            '[id*="our-team" i], [class*="our-team" i]',
+            
+            // Footer sections (often contain contact info)
+            'footer, .footer, #footer',
+            '.site-footer, #site-footer',
+            
+            // Header contact info
+            'header, .header, #header',
+            '.site-header, #site-header',
+            '.top-bar, #top-bar',
+            
+            // Sidebar contact info
+            '.sidebar, #sidebar',
+            '.widget, .contact-widget',
+            
+            // Business info sections
+            '[id*="business-info" i], [class*="business-info" i]',
+            '[id*="company-info" i], [class*="company-info" i]',
+            
+            // Address/location sections
+            '[id*="address" i], [class*="address" i]',
+            '[id*="location" i], [class*="location" i]',
+            
+            // Staff/personnel sections
+            '[id*="staff" i], [class*="staff" i]',
+            '[id*="personnel" i], [class*="personnel" i]',
+            '[id*="directory" i], [class*="directory" i]',
+            
+            // Bio/profile sections
+            '.bio, .profile, .author-bio',
+            '[id*="bio" i], [class*="bio" i]',
+            
+            // Contact forms and their containers
+            'form[id*="contact" i], form[class*="contact" i]',
+            '.contact-form, #contact-form',
+            
+            // Navigation with contact links
+            'nav a[href*="contact" i], .nav a[href*="contact" i]',
+            'a[href*="tel:"], a[href*="mailto:"]'
+        ];
+
+        // Secondary selectors for potentially relevant content
+        const secondarySelectors = [
+            // Social media sections
+            '.social, .social-media, #social',
+            '[class*="social" i], [id*="social" i]',
+            
+            // Info boxes and callouts
+            '.info-box, .callout, .highlight',
+            '.notice, .important',
+            
+            // Article author sections
+            '.author, .byline, .post-author',
+            '.article-author, .entry-author',
+            
+            // Testimonials (might have client names)
+            '.testimonial, .testimonials',
+            '[class*="testimonial" i]',
+            
+            // Event information
+            '.event-info, .event-details',
+            
+            // Press releases
+            '.press-release, .news-item'
+        ];
+
+        // Extract priority content
+        let priorityContent = [];
+        prioritySelectors.forEach(selector => {
+            try {
+                $(selector).each((i, elem) => {
+                    const text = $(elem).text().trim();
+                    if (text && text.length > 10) { // Minimum meaningful content
+                        priorityContent.push(text);
+                    }
+                });
+            } catch (error) {
+                // Skip invalid selectors
+            }
+        });
+
+        // Extract secondary content
+        let secondaryContent = [];
+        secondarySelectors.forEach(selector => {
+            try {
+                $(selector).each((i, elem) => {
+                    const text = $(elem).text().trim();
+                    if (text && text.length > 20) { // Slightly higher threshold for secondary
+                        secondaryContent.push(text);
+                    }
+                });
+            } catch (error) {
+                // Skip invalid selectors
+            }
+        });
+
+        // Combine and deduplicate priority content
+        result.priorityText = this.deduplicateContent([...priorityContent, ...secondaryContent]).join(' ');
+
+        // Also extract from meta tags and structured data
+        const metaContent = this.extractMetaContactInfo(this.html);
+        if (metaContent) {
+            result.priorityText = `${metaContent} ${result.priorityText}`;
+        }
+
+        return result;
+    }
+
+    /**
+     * Extract contact information from meta tags and structured data
+     */
+    extractMetaContactInfo(html) {
+        const contactInfo = [];
+
+        // Extract from common meta tags
+        const metaPatterns = [
+            /<meta[^>]+name="contact"[^>]+content="([^"]+)"/gi,
+            /<meta[^>]+name="phone"[^>]+content="([^"]+)"/gi,
+            /<meta[^>]+name="email"[^>]+content="([^"]+)"/gi,
+            /<meta[^>]+name="address"[^>]+content="([^"]+)"/gi,
+            /<meta[^>]+property="business:contact_data"[^>]+content="([^"]+)"/gi,
+            /<meta[^>]+property="og:phone_number"[^>]+content="([^"]+)"/gi,
+            /<meta[^>]+property="og:email"[^>]+content="([^"]+)"/gi
+        ];
+
+        metaPatterns.forEach(pattern => {
+            const matches = html.match(pattern) || [];
+            matches.forEach(match => {
+                const contentMatch = match.match(/content="([^"]+)"/);
+                if (contentMatch) {
+                    contactInfo.push(contentMatch[1]);
+                }
+            });
+        });
+
+        // Extract contact info from various schema types in JSON-LD structured data
+        this.getJsonLd().forEach(data => this.extractContactFromJsonLd(data, contactInfo));
+
+        return contactInfo.join(' ');
+    }
+
+    /**
+     * Extract contact information from JSON-LD structured data
+     */
+    extractContactFromJsonLd(data, contactInfo) {
+        if (Array.isArray(data)) {
+            data.forEach(item => this.extractContactFromJsonLd(item, contactInfo));
+            return;
+        }
+
+        if (typeof data !== 'object' || !data) return;
+
+        // Common properties that might contain contact info
+        const contactProperties = [
+            'telephone', 'phone', 'email', 'contactPoint',
+            'address', 'name', 'givenName', 'familyName',
+            'founder', 'employee', 'member', 'author'
+        ];
+
+        contactProperties.forEach(prop => {
+            if (data[prop]) {
+                if (typeof data[prop] === 'string') {
+                    contactInfo.push(data[prop]);
+                } else if (typeof data[prop] === 'object') {
+                    this.extractContactFromJsonLd(data[prop], contactInfo);
+                }
+            }
+        });
+
+        // Check for Organization or Person schema types
+        if (data['@type']) {
+            const type = Array.isArray(data['@type']) ? data['@type'] : [data['@type']];
+            if (type.some(t => ['Organization', 'Person', 'LocalBusiness', 'Corporation'].includes(t))) {
+                // This is likely to have contact information
+                Object.values(data).forEach(value => {
+                    if (typeof value === 'string' && value.length > 5) {
+                        contactInfo.push(value);
+                    } else if (typeof value === 'object') {
+                        this.extractContactFromJsonLd(value, contactInfo);
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Deduplicate content to avoid processing the same text multiple times
+     */
+    deduplicateContent(contentArray) {
+        const seen = new Set();
+        const minLength = 15;
+        
+        return contentArray.filter(content => {
+            if (!content || content.length < minLength) return false;
+            
+            // Create a normalized version for comparison
+            const normalized = content.toLowerCase().replace(/\s+/g, ' ').trim();
+            
+            // Check if we've seen very similar content
+            for (const seenContent of seen) {
+                if (this.stringSimilarity(normalized, seenContent) > 0.8) {
+                    return false; // Too similar, skip
+                }
+            }
+            
+            seen.add(normalized);
+            return true;
+        });
+    }
+
+    /**
+     * Calculate string similarity (simple Jaccard similarity)
+     */
+    stringSimilarity(str1, str2) {
+        const words1 = new Set(str1.split(' '));
+        const words2 = new Set(str2.split(' '));
+        
+        const intersection = new Set([...words1].filter(x => words2.has(x)));
+        const union = new Set([...words1, ...words2]);
+        
+        return intersection.size / union.size;
+    }
+
+    /**
+     * Link URLs found in the page HTML
+     */
+    getLinkUrls() {
+        if (!this.linkUrls) {
+            this.linkUrls = extractUrlsFromHtml(this.html);
+        }
+        return this.linkUrls;
+    }
+
+    /**
+     * Extract domain from URL
+     */
+    extractDomain(url) {
+        try {
+            const urlObj = new URL(url);
+            return urlObj.hostname;
+        } catch {
+            return url;
+        }
+    }
+}
+
+/**
+ * Extract URLs from HTML href attributes (Crawlee approach)
+ */
+export function extractUrlsFromHtml(html) {
+    const urls = [];
+    const linkRegex = /href\s*=\s*['""]([^'""]+)['"]/gi;
+    const matches = (html || '').match(linkRegex) || [];
+
+    matches.forEach(match => {
+        const urlMatch = match.match(/href\s*=\s*['""]([^'""]+)['"]/i);
+        if (urlMatch) {
+            urls.push(urlMatch[1]);
+        }
+    });
+
+    return urls;
+}
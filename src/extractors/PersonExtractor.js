@@ -0,0 +1,662 @@
+import { ContactExtractor } from './ContactExtractor.js';
+import { NameExtractor } from './NameExtractor.js';
+import { EmailExtractor } from './EmailExtractor.js';
+import { PhoneExtractor } from './PhoneExtractor.js';
+import { VCardParser } from './VCardParser.js';
+import axios from 'axios';
+
+// Sections that hold team, staff and directory listings (mirrors PageContext's team/staff/directory selectors)
+const DIRECTORY_SELECTORS = [
+    'section[id*="team" i], div[id*="team" i], section[class*="team" i], div[class*="team" i], ul[class*="team" i]',
+    '[id*="staff" i], [class*="staff" i]',
+    '[id*="directory" i], [class*="directory" i]',
+    '[id*="people" i], [class*="people" i]',
+    '[id*="leadership" i], [class*="leadership" i]',
+    '[id*="personnel" i], [class*="personnel" i]'
+];
+
+// URL paths of pages that are directories as a whole
+const DIRECTORY_PATH_PATTERN = /\/(team|our-team|staff|people|directory|leadership|management|faculty|board|about|contact|kontakt|ansprechpartner)(\/|\.html?$|$)/i;
+
+// Elements most likely to hold the person's name inside a card
+const NAME_SELECTORS = '[itemprop="name"], [class*="name" i], h1, h2, h3, h4, h5, h6, strong, b, figcaption, dt';
+
+// Elements most likely to hold the job title inside a card
+const TITLE_SELECTORS = '[itemprop="jobTitle"], [class*="title" i], [class*="role" i], [class*="position" i], [class*="job" i], [class*="designation" i]';
+
+// Table header labels mapped to person fields
+const COLUMN_PATTERNS = {
+    name: /^(full\s*)?name$|^(staff|employee|person|contact)(\s*name)?$/i,
+    title: /title|role|position|function|job|designation/i,
+    email: /e-?mail/i,
+    phone: /phone|tel|mobile|direct|extension|ext\b/i
+};
+
+// Confidence by where the record came from
+const SOURCE_CONFIDENCE = {
+    'vcard': 0.95,
+    'json-ld': 0.9,
+    'microdata': 0.9,
+    'h-card': 0.9,
+    'table': 0.8,
+    'card': 0.7
+};
+
+// hCard properties as [microformats2 classes, microformats1 classes]
+const HCARD_PROPERTIES = {
+    name: ['p-name', 'fn'],
+    organization: ['p-org', 'org'],
+    title: ['p-job-title p-role', 'title role'],
+    email: ['u-email', 'email'],
+    phone: ['p-tel u-tel', 'tel'],
+    address: ['p-adr h-adr', 'adr'],
+    url: ['u-url', 'url'],
+    photoUrl: ['u-photo', 'photo']
+};
+
+// hCard address parts as [microformats2 class, microformats1 class]
+const HCARD_ADDRESS_PARTS = {
+    street: ['p-street-address', 'street-address'],
+    city: ['p-locality', 'locality'],
+    region: ['p-region', 'region'],
+    postalCode: ['p-postal-code', 'postal-code'],
+    country: ['p-country-name', 'country-name']
+};
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+const PHONE_PATTERN = /(?:\+|\(?\d)[\d\s().-]{6,}\d/;
+
+/**
+ * Person Extractor - Groups team, staff and directory listings into person records
+ * Each record links { name, title, organization, email, phone, address, url, photoUrl } found in the same
+ * card, table row, Person markup, hCard or vCard
+ */
+export class PersonExtractor extends ContactExtractor {
+    constructor(config = {}) {
+        super('people', { configKey: 'extractPeople', config });
+        this.config = {
+            fetchLinkedVCards: true, // Download .vcf files linked from the page
+            maxLinkedVCards: 10,
+            vCardTimeout: 5000,
+            ...this.config
+        };
+
+        // Field validation is shared with the flat extractors
+        this.nameExtractor = new NameExtractor();
+        this.emailExtractor = new EmailExtractor();
+        this.phoneExtractor = new PhoneExtractor();
+        this.vCardParser = new VCardParser();
+    }
+
+    /**
+     * Extract person records from vCards, structured data, microformats, tables and repeated cards
+     */
+    async extract(context) {
+        const people = [];
+
+        if (!context.html) return people;
+
+        await this.extractFromVCards(context, people);
+        this.extractFromJsonLd(context, people);
+        this.extractFromMicrodata(context, people);
+        this.extractFromMicroformats(context, people);
+
+        const roots = this.findDirectoryRoots(context);
+        if (roots.length > 0) {
+            this.extractFromTables(context, roots, people);
+            this.extractFromCards(context, roots, people);
+        }
+
+        return people;
+    }
+
+    /**
+     * Merge records for the same person and drop records that only carry a name
+     */
+    validate(values) {
+        const byName = new Map();
+
+        values
+            .filter(person => person && this.isValidPersonName(person.name))
+            .forEach(person => {
+                const key = person.name.toLowerCase();
+                const existing = byName.get(key);
+                byName.set(key, existing ? this.mergePeople(existing, person) : person);
+            });
+
+        // Keep page order: directories are usually sorted by seniority or name
+        return Array.from(byName.values())
+            .filter(person => person.title || person.email || person.phone || person.organization || person.address)
+            .map(person => ({ ...person, confidence: this.calculatePersonConfidence(person) }))
+            .slice(0, 200);
+    }
+
+    /**
+     * Extract Person nodes from JSON-LD structured data
+     */
+    extractFromJsonLd(context, people) {
+        const visit = (node) => {
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            if (!node || typeof node !== 'object') return;
+
+            const types = [].concat(node['@type'] || []);
+            if (types.includes('Person') && typeof node.name === 'string') {
+                const image = Array.isArray(node.image) ? node.image[0] : node.image;
+                people.push(this.buildPerson({
+                    name: node.name,
+                    title: node.jobTitle,
+                    email: node.email,
+                    phone: node.telephone,
+                    photoUrl: typeof image === 'object' ? image?.url : image
+                }, 'json-ld', context.url));
+            }
+
+            Object.values(node).forEach(value => {
+                if (value && typeof value === 'object') visit(value);
+            });
+        };
+
+        context.getJsonLd().forEach(visit);
+    }
+
+    /**
+     * Extract schema.org Person microdata
+     */
+    extractFromMicrodata(context, people) {
+        const $ = context.$;
+
+        $('[itemtype*="schema.org/Person" i]').each((i, elem) => {
+            const $person = $(elem);
+            const prop = (name) => {
+                const $prop = $person.find(`[itemprop="${name}"]`).first();
+                return $prop.attr('content') || $prop.attr('href') || $prop.attr('src') || $prop.text();
+            };
+
+            people.push(this.buildPerson({
+                name: prop('name'),
+                title: prop('jobTitle'),
+                email: prop('email'),
+                phone: prop('telephone'),
+                photoUrl: prop('image')
+            }, 'microdata', context.url));
+        });
+    }
+
+    /**
+     * Extract h-card (microformats2) and vcard (microformats1) markup
+     */
+    extractFromMicroformats(context, people) {
+        const $ = context.$;
+
+        $('.h-card, .vcard').each((i, elem) => {
+            const $card = $(elem);
+
+            // An organization card nested as a property is read as part of its parent
+            if ($card.is('.p-org, .org') && $card.parent().closest('.h-card, .vcard').length > 0) return;
+
+            people.push(this.buildPerson(this.parseHCard($, $card), 'h-card', context.url));
+        });
+    }
+
+    /**
+     * Read the hCard properties of one card element
+     */
+    parseHCard($, $card) {
+        const version = $card.hasClass('h-card') ? 0 : 1;
+        const fields = {};
+
+        Object.entries(HCARD_PROPERTIES).forEach(([field, classes]) => {
+            const $prop = this.findCardProperty($, $card, classes[version]);
+            if ($prop.length === 0) return;
+
+            if (field === 'address') {
+                fields.address = this.parseHCardAddress($, $prop, version);
+            } else if (['email', 'url', 'photoUrl'].includes(field) || $prop.is('.u-tel')) {
+                fields[field] = $prop.attr('href') || $prop.attr('src') || this.microformatValue($, $prop);
+            } else {
+                fields[field] = this.microformatValue($, $prop);
+            }
+        });
+
+        // Address parts written directly on the card (mf2 allows p-locality etc. without p-adr)
+        if (!fields.address) {
+            fields.address = this.parseHCardAddress($, $card, version);
+        }
+
+        // Implied name: <a class="h-card" href="...">Jane Doe</a>
+        if (!fields.name && version === 0 && $card.children().length === 0) {
+            fields.name = $card.text();
+            fields.url = fields.url || $card.attr('href');
+        }
+
+        // mf1 "fn org" marks an organization card: the name is the organization
+        if (fields.name && !fields.organization && $card.find('.fn.org').length > 0) {
+            fields.organization = fields.name;
+        }
+
+        return fields;
+    }
+
+    /**
+     * First element with one of the classes that belongs to this card rather than a nested one
+     */
+    findCardProperty($, $card, classNames) {
+        const selector = classNames.split(' ').map(name => `.${name}`).join(', ');
+        const card = $card[0];
+
+        return $card.find(selector)
+            .filter((i, elem) => $(elem).parent().closest('.h-card, .vcard')[0] === card)
+            .first();
+    }
+
+    /**
+     * Structured address from an h-adr/adr element, formatted like the address extractor
+     */
+    parseHCardAddress($, $adr, version) {
+        const address = {};
+        Object.entries(HCARD_ADDRESS_PARTS).forEach(([part, classes]) => {
+            const $part = this.findCardProperty($, $adr.closest('.h-card, .vcard'), classes[version]);
+            if ($part.length > 0 && $.contains($adr[0], $part[0])) {
+                address[part] = this.cleanText(this.microformatValue($, $part));
+            }
+        });
+
+        const formatted = [address.street, address.city, [address.region, address.postalCode].filter(Boolean).join(' '), address.country]
+            .filter(Boolean)
+            .join(', ');
+
+        // A plain p-adr without parts is a one-line address
+        if (!formatted && !$adr.is('.h-card, .vcard')) {
+            return this.cleanText(this.elementText($adr)) || null;
+        }
+        return formatted || null;
+    }
+
+    /**
+     * Text value of a microformat property (value-class pattern, abbr/data/img values)
+     */
+    microformatValue($, $prop) {
+        const $values = $prop.find('.value');
+        if ($values.length > 0) {
+            return $values.toArray().map(elem => $(elem).attr('title') || $(elem).text()).join('');
+        }
+
+        if ($prop.is('abbr[title]')) return $prop.attr('title');
+        if ($prop.is('data[value]')) return $prop.attr('value');
+        if ($prop.is('img[alt]')) return $prop.attr('alt');
+
+        return this.elementText($prop);
+    }
+
+    /**
+     * Extract contacts from embedded and linked vCard (.vcf) files
+     */
+    async extractFromVCards(context, people) {
+        const $ = context.$;
+        const texts = [];
+
+        // Embedded: data: URIs, <script type="text/vcard"> and vCards pasted into the page
+        $('a[href^="data:text/vcard" i], a[href^="data:text/x-vcard" i]').each((i, elem) => {
+            texts.push(this.decodeDataUri($(elem).attr('href')));
+        });
+        $('script[type*="vcard" i], pre, code, textarea').each((i, elem) => {
+            const text = $(elem).text();
+            if (/BEGIN:VCARD/i.test(text)) texts.push(text);
+        });
+
+        // Linked: download .vcf files (same limits as any other page fetch)
+        if (this.config.fetchLinkedVCards) {
+            const links = new Set();
+            $('a[href$=".vcf" i], a[href*=".vcf?" i], a[type*="vcard" i]').each((i, elem) => {
+                try {
+                    links.add(new URL($(elem).attr('href'), context.url).href);
+                } catch {
+                    // Skip malformed links
+                }
+            });
+
+            for (const link of Array.from(links).slice(0, this.config.maxLinkedVCards)) {
+                texts.push(await this.fetchVCard(link));
+            }
+        }
+
+        texts.filter(Boolean).forEach(text => {
+            this.vCardParser.parse(text).forEach(card => {
+                people.push(this.buildPerson({
+                    name: card.name,
+                    title: card.title,
+                    organization: card.organization,
+                    email: card.emails[0],
+                    phone: card.phones[0],
+                    address: card.address?.formatted,
+                    url: card.url,
+                    photoUrl: card.photoUrl
+                }, 'vcard', context.url));
+            });
+        });
+    }
+
+    /**
+     * Download a linked vCard (returns null on failure)
+     */
+    async fetchVCard(url) {
+        if (!/^https?:/i.test(url)) return null;
+
+        try {
+            const response = await axios.get(url, {
+                timeout: this.config.vCardTimeout,
+                responseType: 'text',
+                maxContentLength: 256 * 1024
+            });
+            return typeof response.data === 'string' ? response.data : null;
+        } catch (error) {
+            console.error(`Failed to fetch vCard ${url}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Decode a data: URI (base64 or percent-encoded)
+     */
+    decodeDataUri(uri) {
+        const match = (uri || '').match(/^data:[^,]*?(;base64)?,(.*)$/is);
+        if (!match) return null;
+
+        try {
+            return match[1] ? Buffer.from(match[2], 'base64').toString('utf8') : decodeURIComponent(match[2]);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Find the page regions that hold staff listings
+     */
+    findDirectoryRoots(context) {
+        const $ = context.$;
+        let path = '';
+        try {
+            path = new URL(context.url).pathname;
+        } catch {
+            // Relative or missing URL: rely on section selectors only
+        }
+
+        if (DIRECTORY_PATH_PATTERN.test(path)) {
+            const main = $('main, [role="main"], article').first();
+            return main.length > 0 ? [main.get(0)] : [$('body').get(0) || $.root().get(0)];
+        }
+
+        const roots = [];
+        DIRECTORY_SELECTORS.forEach(selector => {
+            $(selector).each((i, elem) => roots.push(elem));
+        });
+
+        // Nested matches are covered by their outermost section
+        return roots.filter(root => !roots.some(other => other !== root && $(other).find(root).length > 0));
+    }
+
+    /**
+     * Extract one record per table row from tables with a name column
+     */
+    extractFromTables(context, roots, people) {
+        const $ = context.$;
+
+        roots.forEach(root => {
+            $(root).find('table').each((i, table) => {
+                const $rows = $(table).find('tr');
+                const headers = $rows.first().find('th, td').toArray().map(cell => $(cell).text().trim());
+                const columns = this.mapColumns(headers);
+                if (columns.name === undefined) return;
+
+                $rows.slice(1).each((j, row) => {
+                    const $cells = $(row).find('td, th');
+                    const cell = (field) => columns[field] === undefined ? null : $cells.eq(columns[field]);
+
+                    people.push(this.buildPerson({
+                        name: cell('name')?.text(),
+                        title: cell('title')?.text(),
+                        email: this.emailFromElement($, cell('email') || $(row)),
+                        phone: this.phoneFromElement($, cell('phone') || $(row)),
+                        photoUrl: $(row).find('img').first().attr('src')
+                    }, 'table', context.url));
+                });
+            });
+        });
+    }
+
+    /**
+     * Map table header labels to column indexes
+     */
+    mapColumns(headers) {
+        const columns = {};
+
+        headers.forEach((header, index) => {
+            for (const [field, pattern] of Object.entries(COLUMN_PATTERNS)) {
+                if (columns[field] === undefined && pattern.test(header)) {
+                    columns[field] = index;
+                    break;
+                }
+            }
+        });
+
+        return columns;
+    }
+
+    /**
+     * Extract records from repeated sibling elements (cards, list items) that each describe one person
+     */
+    extractFromCards(context, roots, people) {
+        const $ = context.$;
+
+        roots.forEach(root => {
+            $(root).find('*').addBack().each((i, parent) => {
+                if (parent.tagName === 'table' || $(parent).closest('table').length > 0) return;
+
+                this.findRepeatedChildren($, parent).forEach(group => {
+                    const cards = group
+                        .map(card => this.parseCard($, card, context.url))
+                        .filter(Boolean);
+
+                    // A real listing has several named cards, not one heading among paragraphs
+                    if (cards.length >= 2 && cards.length * 2 >= group.length) {
+                        people.push(...cards);
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Group an element's children by tag and class signature, keeping groups of two or more
+     */
+    findRepeatedChildren($, parent) {
+        const groups = new Map();
+
+        $(parent).children().each((i, child) => {
+            const classes = ($(child).attr('class') || '').split(/\s+/).filter(Boolean).sort().join('.');
+            const signature = `${child.tagName}.${classes}`;
+            if (!groups.has(signature)) groups.set(signature, []);
+            groups.get(signature).push(child);
+        });
+
+        return Array.from(groups.values()).filter(group => group.length >= 2);
+    }
+
+    /**
+     * Parse a single card into a person record (null when it does not look like one person)
+     */
+    parseCard($, card, baseUrl) {
+        const $card = $(card);
+
+        // Containers that hold several people are not cards
+        const mailtoCount = new Set($card.find('a[href^="mailto:" i]').toArray().map(a => $(a).attr('href').toLowerCase())).size;
+        if (mailtoCount > 1) return null;
+
+        const $name = $card.find(NAME_SELECTORS).addBack(NAME_SELECTORS)
+            .filter((i, elem) => this.isValidPersonName(this.splitNameLine($(elem).text()).name))
+            .first();
+        if ($name.length === 0) return null;
+
+        const { name, title: inlineTitle } = this.splitNameLine($name.text());
+        const $title = $card.find(TITLE_SELECTORS).not($name).not($name.find('*')).first();
+        const title = ($title.length > 0 ? $title.text() : null) || inlineTitle || this.titleAfterName($, $card, $name, name);
+
+        const $img = $card.find('img').first();
+
+        return this.buildPerson({
+            name,
+            title,
+            email: this.emailFromElement($, $card),
+            phone: this.phoneFromElement($, $card),
+            photoUrl: $img.attr('data-src') || $img.attr('src')
+        }, 'card', baseUrl);
+    }
+
+    /**
+     * Split "Jane Roe, CEO" / "Jane Roe – CEO" heading lines into name and title
+     */
+    splitNameLine(text) {
+        const line = this.cleanText(text);
+        const [name, ...rest] = line.split(/\s*(?:,|\||\s[–—-]\s)\s*/);
+        return { name, title: rest.join(', ') || null };
+    }
+
+    /**
+     * Take the first short text line after the name as the title when no title element is marked up
+     */
+    titleAfterName($, $card, $name, name) {
+        const lines = $card.find('*').addBack().toArray()
+            .filter(elem => $(elem).children().length === 0)
+            .map(elem => this.cleanText($(elem).text()))
+            .filter(Boolean);
+
+        const start = lines.findIndex(line => line.includes(name));
+        const candidate = lines.slice(start + 1).find(line => line !== name);
+
+        if (!candidate || candidate.length > 80 || candidate.split(' ').length > 10) return null;
+        if (EMAIL_PATTERN.test(candidate) || PHONE_PATTERN.test(candidate)) return null;
+        return candidate;
+    }
+
+    /**
+     * Find an email address in a mailto: link or the element text
+     */
+    emailFromElement($, $elem) {
+        const href = $elem.find('a[href^="mailto:" i]').addBack('a[href^="mailto:" i]').first().attr('href');
+        if (href) {
+            return decodeURIComponent(href.replace(/^mailto:/i, '').split('?')[0]);
+        }
+
+        const match = this.elementText($elem).match(EMAIL_PATTERN);
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Find a phone number in a tel: link or the element text
+     */
+    phoneFromElement($, $elem) {
+        const href = $elem.find('a[href^="tel:" i]').addBack('a[href^="tel:" i]').first().attr('href');
+        if (href) {
+            return decodeURIComponent(href.replace(/^tel:/i, ''));
+        }
+
+        const match = this.elementText($elem).match(PHONE_PATTERN);
+        return match ? match[0].trim() : null;
+    }
+
+    /**
+     * Clean and validate raw fields into a person record
+     */
+    buildPerson(fields, extractedFrom, baseUrl) {
+        const email = this.cleanText(fields.email).replace(/^mailto:/i, '').toLowerCase();
+        const phone = this.cleanText(fields.phone).replace(/^tel:/i, '');
+
+        return {
+            name: this.cleanText(fields.name),
+            title: this.cleanText(fields.title) || null,
+            organization: this.cleanText(fields.organization) || null,
+            email: email && this.emailExtractor.isValidEmail(email) ? email : null,
+            phone: phone && this.isValidPersonPhone(phone) ? phone : null,
+            address: this.cleanText(fields.address) || null,
+            url: this.resolveUrl(fields.url, baseUrl),
+            photoUrl: this.resolveUrl(fields.photoUrl, baseUrl),
+            extractedFrom
+        };
+    }
+
+    /**
+     * Check a phone number's digit count and the shared false-positive list
+     */
+    isValidPersonPhone(phone) {
+        const digits = phone.replace(/\D/g, '');
+        return digits.length >= 7 && digits.length <= 15 && !this.phoneExtractor.isPhoneFalsePositive(phone);
+    }
+
+    /**
+     * Resolve a photo or profile URL against the page URL (data:, mailto: and other non-web URLs are dropped)
+     */
+    resolveUrl(src, baseUrl) {
+        if (!src || typeof src !== 'string') return null;
+
+        try {
+            const url = new URL(src.trim(), baseUrl || undefined);
+            return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether text is a plausible person name
+     */
+    isValidPersonName(name) {
+        return this.nameExtractor.isValidName(name) && !this.nameExtractor.isNameFalsePositive(name);
+    }
+
+    /**
+     * Fill missing fields of one record from another record for the same person
+     */
+    mergePeople(primary, secondary) {
+        const merged = { ...primary };
+        ['title', 'organization', 'email', 'phone', 'address', 'url', 'photoUrl'].forEach(field => {
+            if (!merged[field] && secondary[field]) merged[field] = secondary[field];
+        });
+        if ((SOURCE_CONFIDENCE[secondary.extractedFrom] || 0) > (SOURCE_CONFIDENCE[merged.extractedFrom] || 0)) {
+            merged.extractedFrom = secondary.extractedFrom;
+        }
+        return merged;
+    }
+
+    /**
+     * Calculate confidence score for a person record (0-1)
+     */
+    calculatePersonConfidence(person) {
+        let score = SOURCE_CONFIDENCE[person.extractedFrom] || 0.6;
+
+        if (person.email) score += 0.05;
+        if (person.phone) score += 0.03;
+        if (person.title) score += 0.02;
+
+        return Math.min(1.0, Math.round(score * 100) / 100);
+    }
+
+    /**
+     * Text of an element with its text nodes space-separated (cheerio's text() runs block elements together)
+     */
+    elementText($elem) {
+        return $elem.find('*').addBack().contents().toArray()
+            .filter(node => node.type === 'text')
+            .map(node => node.data)
+            .join(' ');
+    }
+
+    /**
+     * Collapse whitespace in extracted text
+     */
+    cleanText(text) {
+        return text ? String(text).replace(/\s+/g, ' ').trim() : '';
+    }
+}
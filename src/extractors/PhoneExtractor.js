@@ -0,0 +1,326 @@
+import { findPhoneNumbersInText } from 'libphonenumber-js/max';
+import { ContactExtractor } from './ContactExtractor.js';
+import { extractUrlsFromHtml } from './PageContext.js';
+import { PhoneNumberParser } from '../processor/PhoneNumberParser.js';
+
+// NANP numbers spelled with keypad letters: 1-800-FLOWERS, (888) GO-APPLE
+const VANITY_PATTERN = /(?:\+?1[-.\s]?)?\(?[2-9]\d{2}\)?[-.\s]?(?=[A-Z0-9-]*[A-Z]{3})[A-Z0-9]{2,4}-?[A-Z0-9]{2,7}(?:-[A-Z]{2,4})?\b/g;
+
+/**
+ * Phone Extractor - Finds phone numbers in page text, tel: links and structured data
+ */
+export class PhoneExtractor extends ContactExtractor {
+    constructor(config = {}) {
+        super('phones', { configKey: 'extractPhones', config });
+        this.parser = new PhoneNumberParser(this.config);
+    }
+
+    /**
+     * Extract phone numbers from the page context
+     * National-format numbers are read in the region implied by the page TLD or <html lang>
+     */
+    extract(context) {
+        const region = this.parser.regionForPage(context.url, context.lang);
+        return this.extractPhoneNumbers(context.combinedText, context.html, region);
+    }
+
+    /**
+     * Validate, score and order extracted phone numbers
+     */
+    validate(values) {
+        return values
+            .filter(phone => !this.isPhoneFalsePositive(phone))
+            .map(phone => ({
+                value: phone,
+                confidence: this.calculatePhoneConfidence(phone),
+                type: this.classifyPhoneType(phone)
+            }))
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, 6)
+            .map(item => item.value);
+    }
+
+    /**
+     * Extract phone numbers from text, tel: links and structured data
+     * Numbers are matched against numbering-plan metadata, so national formats need the page's default region
+     * @param {string} text - Page text
+     * @param {string} html - Page HTML (tel: links, schema.org telephone, data-phone)
+     * @param {string} [defaultRegion] - ISO country for numbers written without a country code
+     */
+    extractPhoneNumbers(text, html = '', defaultRegion = null) {
+        const region = defaultRegion || this.parser.config.defaultRegion;
+        const found = new Map(); // E.164 (+ extension) -> display string
+
+        const addPhone = (raw, parsed = this.parser.parse(raw, region)) => {
+            if (!parsed || !parsed.valid || this.isPhoneFalsePositive(raw, parsed.country)) return;
+
+            const key = parsed.extension ? `${parsed.e164};ext=${parsed.extension}` : parsed.e164;
+            if (!found.has(key)) {
+                found.set(key, { parsed, display: parsed.vanity || this.formatPhoneNumber(raw, region) });
+            }
+        };
+
+        // Numbers in running text, including extensions (libphonenumber's matcher)
+        findPhoneNumbersInText(text || '', { defaultCountry: region, v2: true }).forEach(match => {
+            addPhone(text.slice(match.startsAt, match.endsAt));
+        });
+
+        // Vanity numbers such as 1-800-FLOWERS
+        (text || '').match(VANITY_PATTERN)?.forEach(vanity => addPhone(vanity));
+
+        if (html) {
+            // tel:/callto: links (Crawlee approach)
+            this.phonesFromUrls(extractUrlsFromHtml(html)).forEach(phone => addPhone(phone));
+
+            // Schema.org and structured data
+            const schemaPatterns = [
+                /"telephone":\s*"([^"]+)"/gi,
+                /"phone":\s*"([^"]+)"/gi,
+                /itemprop\s*=\s*['"]telephone['"][^>]*content\s*=\s*['"]([^'"]+)['"]/gi,
+                /data-phone\s*=\s*['"]([^'"]+)['"]/gi
+            ];
+
+            schemaPatterns.forEach(pattern => {
+                for (const match of html.matchAll(pattern)) {
+                    addPhone(match[1].trim());
+                }
+            });
+        }
+
+        // A number listed both with and without an extension is the same line: keep the extension
+        const withExtension = new Set(Array.from(found.values())
+            .filter(({ parsed }) => parsed.extension)
+            .map(({ parsed }) => parsed.e164));
+
+        return Array.from(found.values())
+            .filter(({ parsed }) => parsed.extension || !withExtension.has(parsed.e164))
+            .map(({ display }) => display)
+            .slice(0, 10); // Return top results
+    }
+
+    /**
+     * Extract phones from URLs (Crawlee phonesFromUrls function)
+     */
+    phonesFromUrls(urls) {
+        const phones = [];
+        const PHONE_URL_PREFIX_REGEX = /^(tel|phone|telephone|callto):(\/)?(\/)?/i;
+        
+        for (const url of urls) {
+            if (!url || !PHONE_URL_PREFIX_REGEX.test(url)) continue;
+            
+            const phone = decodeURIComponent(url.replace(PHONE_URL_PREFIX_REGEX, '')).trim();
+            if (phone) {
+                phones.push(phone);
+            }
+        }
+        
+        return phones;
+    }
+
+    /**
+     * Clean phone number for validation
+     */
+    cleanPhoneNumber(phone) {
+        return phone.replace(/[^\d+]/g, '');
+    }
+
+    /**
+     * Validate phone number (enhanced with Crawlee logic)
+     */
+    isValidPhoneNumber(cleaned) {
+        // Minimum digits validation (Crawlee uses 7 minimum)
+        const PHONE_MIN_DIGITS = 7;
+        const digitCount = (cleaned.match(/[0-9]/g) || []).length;
+        
+        if (digitCount < PHONE_MIN_DIGITS) return false;
+        
+        // Must have between 7 and 15 digits (international standard)
+        if (cleaned.length < 7 || cleaned.length > 15) return false;
+        
+        // False positive patterns (based on Crawlee research)
+        const SKIP_PHONE_REGEXS = [
+            '^[0-9]{4}-[0-9]{2}-[0-9]{2}$', // Date format: 2018-11-10
+            '^[0-9]{4}/[0-9]{2}/[0-9]{2}$', // Date format: 2018/11/10
+            '^[0-9]{2}/[0-9]{2}/[0-9]{4}$', // Date format: 11/10/2018
+            '^[0-9]{8,}$' // Too many consecutive digits (likely false positive)
+        ];
+        
+        const skipRegex = new RegExp(`(${SKIP_PHONE_REGEXS.join('|')})`, 'i');
+        if (skipRegex.test(cleaned)) return false;
+        
+        // If starts with +, must have country code
+        if (cleaned.startsWith('+')) {
+            return cleaned.length >= 8 && cleaned.length <= 15;
+        }
+        
+        // US/Canada specific validation
+        if (cleaned.length === 10 || (cleaned.length === 11 && cleaned.startsWith('1'))) {
+            const number = cleaned.startsWith('1') ? cleaned.substring(1) : cleaned;
+            if (number.length === 10) {
+                const areaCode = number.substring(0, 3);
+                const exchange = number.substring(3, 6);
+                
+                // Area code cannot start with 0 or 1
+                if (areaCode.startsWith('0') || areaCode.startsWith('1')) return false;
+                
+                // Exchange cannot start with 0 or 1
+                if (exchange.startsWith('0') || exchange.startsWith('1')) return false;
+                
+                return true;
+            }
+        }
+        
+        // International numbers (basic validation)
+        return cleaned.length >= 7 && cleaned.length <= 15;
+    }
+
+    /**
+     * Format phone number for display
+     */
+    formatPhoneNumber(phone, defaultRegion = null) {
+        const parsed = this.parser.parse(phone, defaultRegion);
+
+        // International format keeps EU/UK numbers unambiguous once they leave the page
+        if (parsed && parsed.valid) {
+            return parsed.international;
+        }
+
+        // Keep original formatting for numbers the numbering plan does not know
+        return phone.trim();
+    }
+
+    /**
+     * Check if phone number is a false positive with enhanced Crawlee patterns
+     * @param {string} phone - Number as found on the page
+     * @param {string} [country] - Parsed country; area-code/exchange rules only apply to NANP numbers
+     */
+    isPhoneFalsePositive(phone, country = null) {
+        if (!phone || typeof phone !== 'string') return true;
+        
+        // Judge vanity numbers (1-800-FLOWERS) by their keypad digits
+        if (this.parser.isVanity(phone)) {
+            phone = this.parser.vanityToDigits(phone);
+        }
+        
+        const cleaned = phone.replace(/[^\d]/g, '');
+        
+        // Enhanced false positive patterns based on Crawlee research
+        const falsePositives = [
+            // Common sequential/repeated patterns
+            '1234567890', '0000000000', '1111111111', '2222222222',
+            '3333333333', '4444444444', '5555555555', '6666666666',
+            '7777777777', '8888888888', '9999999999',
+            '1234567800', '1234567890', '0987654321',
+            
+            // Hollywood/TV numbers
+            '5551234567', '8005551234', '5551212000', '5552345678',
+            '5551234', '5559876', '5551212',
+            
+            // Test numbers
+            '1234567', '9876543', '5555555', '1111111',
+            '0123456789', '1230984567'
+        ];
+        
+        if (falsePositives.includes(cleaned)) return true;
+        
+        // Date-like patterns (Crawlee SKIP_PHONE_REGEXS)
+        const datePatterns = [
+            /^\d{4}\d{2}\d{2}$/, // YYYYMMDD: 20181110
+            /^\d{2}\d{2}\d{4}$/, // MMDDYYYY: 11102018
+            /^\d{4}$/, // Just year: 2018
+            /^\d{8}$/ // Generic 8-digit (often dates)
+        ];
+        
+        if (datePatterns.some(pattern => pattern.test(cleaned))) return true;
+        
+        const isNanp = !country || country === 'US' || country === 'CA';
+        
+        // Sequential number patterns
+        if (/^(012|123|234|345|456|567|678|789|890|987|876|765|654|543|432|321|210)/.test(cleaned)) {
+            return true;
+        }
+        
+        // Too many repeated digits
+        if (/(\d)\1{6,}/.test(cleaned)) return true;
+        
+        // Suspicious patterns for US numbers
+        if (isNanp && cleaned.length === 10) {
+            const area = cleaned.substring(0, 3);
+            const exchange = cleaned.substring(3, 6);
+            const number = cleaned.substring(6);
+            
+            // Invalid area codes
+            const invalidAreaCodes = ['000', '001', '111', '911'];
+            if (invalidAreaCodes.includes(area)) return true;
+            
+            // Pattern-based false positives
+            if (area === exchange && exchange === number) return true; // All same
+            if (area === '555' && exchange === '555') return true; // Double 555
+        }
+        
+        // Common placeholder/test patterns in the original phone string
+        const originalLower = phone.toLowerCase();
+        const placeholderWords = [
+            'xxx', 'yyy', 'zzz', 'test', 'phone', 'number',
+            'call', 'dial', 'contact', 'placeholder', 'sample'
+        ];
+        
+        if (placeholderWords.some(word => originalLower.includes(word))) return true;
+        
+        // Enhanced validation based on Scrapy research
+        if (isNanp && (cleaned.length === 10 || (cleaned.length === 11 && cleaned.startsWith('1')))) {
+            const number = cleaned.startsWith('1') ? cleaned.substring(1) : cleaned;
+            if (number.length === 10) {
+                const areaCode = number.substring(0, 3);
+                const exchange = number.substring(3, 6);
+                
+                // Invalid area codes (enhanced list)
+                const invalidAreaCodes = ['000', '001', '111', '211', '311', '411', '511', '611', '711', '811', '911'];
+                if (invalidAreaCodes.includes(areaCode)) return true;
+                
+                // Area codes that don't exist or are reserved
+                if (areaCode.startsWith('0') || areaCode.startsWith('1')) return true;
+                if (areaCode.endsWith('11')) return true; // N11 codes are reserved
+                
+                // Invalid exchanges
+                if (exchange.startsWith('0') || exchange.startsWith('1')) return true;
+                if (exchange === '555' && number.substring(6, 8) === '01') return true; // 555-01xx reserved for fiction
+            }
+        }
+        
+        // Too short or too long for any real phone number
+        if (cleaned.length < 7 || cleaned.length > 15) return true;
+        
+        // Contains suspicious patterns
+        if (phone.toLowerCase().includes('extension') && !phone.match(/ext\.?\s?\d{1,5}/i)) return true;
+        
+        return false;
+    }
+
+    /**
+     * Calculate confidence score for phone numbers (0-1)
+     */
+    calculatePhoneConfidence(phone, defaultRegion = null) {
+        const parsed = this.parser.parse(phone, defaultRegion);
+        if (!parsed) return 0.3;
+
+        let score = 0.5; // Base score
+        
+        // Numbering-plan validity
+        if (parsed.valid) score += 0.3;
+        
+        // Line types people publish as contact numbers
+        if (['fixed', 'mobile', 'fixed-or-mobile', 'toll-free'].includes(parsed.type)) score += 0.2;
+        if (parsed.type === 'premium') score -= 0.2;
+        
+        return Math.min(score, 1.0);
+    }
+
+    /**
+     * Classify phone line type (mobile, fixed, toll-free, premium, ...)
+     */
+    classifyPhoneType(phone, defaultRegion = null) {
+        const parsed = this.parser.parse(phone, defaultRegion);
+        return parsed ? parsed.type : 'unknown';
+    }
+}
@@ -0,0 +1,426 @@
+import { ContactExtractor } from './ContactExtractor.js';
+
+// Supported platforms in export column order
+export const SOCIAL_PLATFORMS = [
+    { id: 'linkedin', label: 'LinkedIn' },
+    { id: 'twitter', label: 'X/Twitter' },
+    { id: 'facebook', label: 'Facebook' },
+    { id: 'instagram', label: 'Instagram' },
+    { id: 'github', label: 'GitHub' },
+    { id: 'youtube', label: 'YouTube' },
+    { id: 'whatsapp', label: 'WhatsApp' },
+    { id: 'telegram', label: 'Telegram' },
+    { id: 'skype', label: 'Skype' }
+];
+
+// First path segments that are site features rather than account handles
+const RESERVED_PATHS = {
+    twitter: ['home', 'search', 'explore', 'hashtag', 'i', 'intent', 'share', 'settings', 'login', 'signup', 'tos', 'privacy', 'messages', 'notifications'],
+    facebook: ['sharer', 'sharer.php', 'dialog', 'plugins', 'login', 'login.php', 'policies', 'privacy', 'help', 'tr', 'watch', 'groups', 'events', 'hashtag', 'legal', 'business'],
+    instagram: ['explore', 'accounts', 'about', 'developer', 'legal', 'direct', 'p', 'reel', 'reels', 'tv', 'stories'],
+    github: ['features', 'pricing', 'login', 'join', 'signup', 'about', 'marketplace', 'topics', 'apps', 'settings', 'site', 'contact', 'enterprise', 'explore', 'security', 'collections', 'trending', 'customer-stories', 'readme', 'team', 'sponsors', 'notifications', 'search'],
+    telegram: ['share', 'joinchat', 'addstickers', 'iv', 's']
+};
+
+// Page regions whose social links belong to the site itself
+const OWNER_SELECTORS = [
+    'header', 'footer', 'nav', 'address',
+    '[class*="social" i]', '[id*="social" i]',
+    '[class*="contact" i]', '[id*="contact" i]',
+    '[class*="follow" i]', '[itemtype*="Organization" i]', '[itemtype*="Person" i]'
+];
+
+// Confidence by how the link was found
+const RELATION_CONFIDENCE = {
+    owner: 0.85,
+    mention: 0.5,
+    embed: 0.4,
+    share: 0.3
+};
+
+/**
+ * Social Profile Extractor - Finds social profile URLs and messaging handles
+ * Each result is tagged with its platform and its relation to the page:
+ *   owner   - the site's own profile (structured data sameAs, rel="me", header/footer/social blocks, chat links)
+ *   mention - a profile linked from the page body
+ *   share   - a share/intent button (no handle)
+ *   embed   - an embedded post, video or widget
+ */
+export class SocialProfileExtractor extends ContactExtractor {
+    constructor(config = {}) {
+        super('socialProfiles', { configKey: 'extractSocialProfiles', config });
+    }
+
+    /**
+     * Extract social links from structured data, anchors and embeds
+     */
+    extract(context) {
+        const profiles = [];
+
+        if (!context.html) return profiles;
+
+        this.extractFromJsonLd(context, profiles);
+        this.extractFromLinks(context, profiles);
+        this.extractFromEmbeds(context, profiles);
+
+        return profiles;
+    }
+
+    /**
+     * Deduplicate profiles, keeping the strongest relation for each handle
+     */
+    validate(values) {
+        const byKey = new Map();
+
+        values
+            .filter(profile => profile && profile.platform && (profile.handle || profile.relation === 'share' || profile.relation === 'embed'))
+            .forEach(profile => {
+                const key = this.profileKey(profile);
+                const existing = byKey.get(key);
+                if (!existing || profile.confidence > existing.confidence) {
+                    byKey.set(key, profile);
+                }
+            });
+
+        return Array.from(byKey.values())
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, 25);
+    }
+
+    /**
+     * Share buttons and embeds are not contact channels on their own
+     */
+    isContact(profile) {
+        return profile.relation === 'owner' || profile.relation === 'mention';
+    }
+
+    /**
+     * Extract sameAs profile URLs from JSON-LD structured data
+     */
+    extractFromJsonLd(context, profiles) {
+        const visit = (node) => {
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            if (!node || typeof node !== 'object') return;
+
+            [].concat(node.sameAs || []).forEach(url => {
+                const profile = this.parseSocialUrl(url);
+                if (profile && profile.relation === 'profile') {
+                    profiles.push(this.tagProfile(profile, 'owner', 'json-ld', 0.95));
+                }
+            });
+
+            Object.values(node).forEach(value => {
+                if (value && typeof value === 'object') visit(value);
+            });
+        };
+
+        context.getJsonLd().forEach(visit);
+    }
+
+    /**
+     * Extract profile, chat and share links from anchors and rel="me" links
+     */
+    extractFromLinks(context, profiles) {
+        const $ = context.$;
+
+        $('a[href], link[rel~="me"][href]').each((i, elem) => {
+            const $elem = $(elem);
+            const profile = this.parseSocialUrl($elem.attr('href'), context.url);
+            if (!profile) return;
+
+            if (profile.relation !== 'profile') {
+                profiles.push(this.tagProfile(profile, profile.relation, 'link'));
+                return;
+            }
+
+            const rel = ($elem.attr('rel') || '').toLowerCase().split(/\s+/);
+            if (rel.includes('me')) {
+                profiles.push(this.tagProfile(profile, 'owner', 'rel-me', 0.95));
+            } else if (profile.channel || this.isOwnerRegion($elem)) {
+                profiles.push(this.tagProfile(profile, 'owner', 'link'));
+            } else {
+                profiles.push(this.tagProfile(profile, 'mention', 'link'));
+            }
+        });
+    }
+
+    /**
+     * Extract embedded posts, videos and widgets from iframes and embed scripts
+     */
+    extractFromEmbeds(context, profiles) {
+        const $ = context.$;
+
+        $('iframe[src], script[src], blockquote[cite]').each((i, elem) => {
+            const $elem = $(elem);
+            const profile = this.parseSocialUrl($elem.attr('src') || $elem.attr('cite'), context.url);
+            if (profile) {
+                profiles.push(this.tagProfile(profile, 'embed', 'embed'));
+            }
+        });
+
+        // Embedded tweets and Instagram posts are blockquotes wrapping a status link
+        $('blockquote.twitter-tweet a[href], blockquote.instagram-media a[href]').each((i, elem) => {
+            const profile = this.parseSocialUrl($(elem).attr('href'), context.url);
+            if (profile && profile.relation === 'embed') {
+                profiles.push(this.tagProfile(profile, 'embed', 'embed'));
+            }
+        });
+    }
+
+    /**
+     * Check whether a link sits in a region that describes the site itself
+     */
+    isOwnerRegion($elem) {
+        return OWNER_SELECTORS.some(selector => $elem.closest(selector).length > 0);
+    }
+
+    /**
+     * Build the stored profile object for a parsed link
+     */
+    tagProfile(profile, relation, extractedFrom, confidence = RELATION_CONFIDENCE[relation]) {
+        return {
+            platform: profile.platform,
+            handle: profile.handle || null,
+            url: profile.url,
+            relation,
+            extractedFrom,
+            confidence
+        };
+    }
+
+    /**
+     * Parse a URL into { platform, handle, url, relation } where relation is 'profile', 'share' or 'embed'
+     * Chat links (wa.me, skype:, t.me) set `channel` so they count as the owner's contact channel
+     */
+    parseSocialUrl(href, baseUrl) {
+        if (!href || typeof href !== 'string') return null;
+
+        const trimmed = href.trim();
+
+        if (/^skype:/i.test(trimmed)) {
+            const handle = decodeURIComponent(trimmed.slice(6).split('?')[0]).trim();
+            return handle ? { platform: 'skype', handle, url: `skype:${handle}?chat`, relation: 'profile', channel: true } : null;
+        }
+
+        if (/^(whatsapp|tg):/i.test(trimmed)) {
+            return this.parseAppLink(trimmed);
+        }
+
+        let url;
+        try {
+            url = new URL(trimmed, baseUrl || undefined);
+        } catch {
+            return null;
+        }
+
+        if (!/^https?:$/.test(url.protocol)) return null;
+
+        const host = url.hostname.toLowerCase().replace(/^(www|m|mobile|web)\./, '');
+        const segments = url.pathname.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+        const first = (segments[0] || '').toLowerCase();
+
+        switch (host) {
+            case 'linkedin.com':
+                return this.parseLinkedIn(url, segments, first);
+            case 'twitter.com':
+            case 'x.com':
+            case 'platform.twitter.com':
+                return this.parseTwitter(url, host, segments, first);
+            case 'facebook.com':
+            case 'fb.com':
+                return this.parseFacebook(url, segments, first);
+            case 'instagram.com':
+                return this.parseInstagram(url, segments, first);
+            case 'github.com':
+            case 'gist.github.com':
+                return this.parseGitHub(url, host, segments, first);
+            case 'youtube.com':
+            case 'youtube-nocookie.com':
+            case 'youtu.be':
+                return this.parseYouTube(url, host, segments, first);
+            case 'wa.me':
+            case 'api.whatsapp.com':
+            case 'whatsapp.com':
+                return this.parseWhatsApp(url, host, segments);
+            case 't.me':
+            case 'telegram.me':
+                return this.parseTelegram(url, segments, first);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Parse LinkedIn profile, company, share and embed URLs
+     */
+    parseLinkedIn(url, segments, first) {
+        if (['shareArticle', 'sharing', 'cws'].some(path => path.toLowerCase() === first)) {
+            return { platform: 'linkedin', url: url.href, relation: 'share' };
+        }
+        if (first === 'embed') {
+            return { platform: 'linkedin', url: url.href, relation: 'embed' };
+        }
+        if (['in', 'company', 'school', 'showcase'].includes(first) && segments[1]) {
+            const handle = segments[1];
+            return { platform: 'linkedin', handle, url: `https://www.linkedin.com/${first}/${handle}`, relation: 'profile' };
+        }
+        return null;
+    }
+
+    /**
+     * Parse X/Twitter profile, intent and embedded status URLs
+     */
+    parseTwitter(url, host, segments, first) {
+        if (host === 'platform.twitter.com') {
+            return { platform: 'twitter', url: url.href, relation: 'embed' };
+        }
+        if (first === 'intent' || first === 'share') {
+            // Follow buttons name the account to follow; tweet/share intents do not
+            const screenName = url.searchParams.get('screen_name');
+            if (segments[1] === 'follow' && screenName) {
+                return this.twitterProfile(screenName);
+            }
+            return { platform: 'twitter', url: url.href, relation: 'share' };
+        }
+        if (!first || RESERVED_PATHS.twitter.includes(first)) return null;
+        if (segments[1] === 'status' && segments[2]) {
+            return { platform: 'twitter', handle: segments[0], url: `https://x.com/${segments[0]}/status/${segments[2]}`, relation: 'embed' };
+        }
+        return /^[A-Za-z0-9_]{1,15}$/.test(segments[0]) ? this.twitterProfile(segments[0]) : null;
+    }
+
+    /**
+     * Build a canonical X/Twitter profile
+     */
+    twitterProfile(handle) {
+        return { platform: 'twitter', handle, url: `https://x.com/${handle}`, relation: 'profile' };
+    }
+
+    /**
+     * Parse Facebook page, profile, sharer and plugin URLs
+     */
+    parseFacebook(url, segments, first) {
+        if (['sharer', 'sharer.php', 'dialog'].includes(first)) {
+            return { platform: 'facebook', url: url.href, relation: 'share' };
+        }
+        if (first === 'plugins') {
+            // Page plugins embed a specific page; keep the page as the handle
+            const pageUrl = url.searchParams.get('href');
+            const page = pageUrl ? this.parseSocialUrl(pageUrl) : null;
+            return { platform: 'facebook', handle: page?.handle || null, url: url.href, relation: 'embed' };
+        }
+        if (first === 'profile.php') {
+            const id = url.searchParams.get('id');
+            return id ? { platform: 'facebook', handle: id, url: `https://www.facebook.com/profile.php?id=${id}`, relation: 'profile' } : null;
+        }
+        if (first === 'pages' && segments[1]) {
+            const handle = segments[2] || segments[1];
+            return { platform: 'facebook', handle, url: `https://www.facebook.com/${segments.slice(0, 3).join('/')}`, relation: 'profile' };
+        }
+        if (!first || RESERVED_PATHS.facebook.includes(first) || !/^[A-Za-z0-9.\-]{2,}$/.test(segments[0])) return null;
+        return { platform: 'facebook', handle: segments[0], url: `https://www.facebook.com/${segments[0]}`, relation: 'profile' };
+    }
+
+    /**
+     * Parse Instagram profile and post URLs
+     */
+    parseInstagram(url, segments, first) {
+        if (['p', 'reel', 'tv'].includes(first) && segments[1]) {
+            return { platform: 'instagram', url: `https://www.instagram.com/${first}/${segments[1]}/`, relation: 'embed' };
+        }
+        if (!first || RESERVED_PATHS.instagram.includes(first) || !/^[A-Za-z0-9._]{1,30}$/.test(segments[0])) return null;
+        return { platform: 'instagram', handle: segments[0], url: `https://www.instagram.com/${segments[0]}`, relation: 'profile' };
+    }
+
+    /**
+     * Parse GitHub user/organization and gist URLs
+     */
+    parseGitHub(url, host, segments, first) {
+        if (host === 'gist.github.com') {
+            return { platform: 'github', handle: segments[0] || null, url: url.href, relation: 'embed' };
+        }
+        if (first === 'orgs' && segments[1]) {
+            return { platform: 'github', handle: segments[1], url: `https://github.com/${segments[1]}`, relation: 'profile' };
+        }
+        if (!first || RESERVED_PATHS.github.includes(first) || !/^[A-Za-z0-9-]{1,39}$/.test(segments[0])) return null;
+        return { platform: 'github', handle: segments[0], url: `https://github.com/${segments[0]}`, relation: 'profile' };
+    }
+
+    /**
+     * Parse YouTube channel and embed URLs
+     */
+    parseYouTube(url, host, segments, first) {
+        if (host === 'youtube-nocookie.com' || first === 'embed') {
+            return { platform: 'youtube', url: url.href, relation: 'embed' };
+        }
+        if (segments[0]?.startsWith('@')) {
+            return { platform: 'youtube', handle: segments[0], url: `https://www.youtube.com/${segments[0]}`, relation: 'profile' };
+        }
+        if (['channel', 'c', 'user'].includes(first) && segments[1]) {
+            return { platform: 'youtube', handle: segments[1], url: `https://www.youtube.com/${first}/${segments[1]}`, relation: 'profile' };
+        }
+        // Plain video links (watch, youtu.be) name neither a channel nor a share action
+        return null;
+    }
+
+    /**
+     * Parse wa.me and api.whatsapp.com chat/share links
+     */
+    parseWhatsApp(url, host, segments) {
+        const phone = host === 'wa.me' ? segments[0] : url.searchParams.get('phone');
+        const digits = (phone || '').replace(/\D/g, '');
+
+        if (digits.length >= 7) {
+            return { platform: 'whatsapp', handle: `+${digits}`, url: `https://wa.me/${digits}`, relation: 'profile', channel: true };
+        }
+        if (url.searchParams.has('text')) {
+            return { platform: 'whatsapp', url: url.href, relation: 'share' };
+        }
+        return null;
+    }
+
+    /**
+     * Parse t.me channel and share links
+     */
+    parseTelegram(url, segments, first) {
+        if (first === 'share') {
+            return { platform: 'telegram', url: url.href, relation: 'share' };
+        }
+        if (!first || RESERVED_PATHS.telegram.includes(first) || !/^[A-Za-z0-9_]{5,32}$/.test(segments[0])) return null;
+        return { platform: 'telegram', handle: segments[0], url: `https://t.me/${segments[0]}`, relation: 'profile', channel: true };
+    }
+
+    /**
+     * Parse whatsapp:// and tg:// app links
+     */
+    parseAppLink(href) {
+        const [scheme, rest = ''] = href.split(':');
+        const params = new URLSearchParams(rest.split('?')[1] || '');
+
+        if (scheme.toLowerCase() === 'whatsapp') {
+            const digits = (params.get('phone') || '').replace(/\D/g, '');
+            if (digits.length >= 7) {
+                return { platform: 'whatsapp', handle: `+${digits}`, url: `https://wa.me/${digits}`, relation: 'profile', channel: true };
+            }
+            return params.has('text') ? { platform: 'whatsapp', url: href, relation: 'share' } : null;
+        }
+
+        const domain = params.get('domain');
+        if (domain) {
+            return { platform: 'telegram', handle: domain, url: `https://t.me/${domain}`, relation: 'profile', channel: true };
+        }
+        return /^\/\/msg_url/i.test(rest) ? { platform: 'telegram', url: href, relation: 'share' } : null;
+    }
+
+    /**
+     * Deduplication key: one entry per handle, one share button per platform
+     */
+    profileKey(profile) {
+        if (profile.relation === 'share') return `${profile.platform}:share`;
+        if (profile.relation === 'embed') return `${profile.platform}:embed:${profile.url}`;
+        return `${profile.platform}:${profile.handle.toLowerCase()}`;
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * vCard Parser - Reads vCard 2.1/3.0/4.0 text (.vcf files) into contact cards
+ * Each card maps to { name, organization, title, emails, phones, address, url, photoUrl }
+ */
+export class VCardParser {
+    /**
+     * Parse every BEGIN:VCARD ... END:VCARD block in a text
+     */
+    parse(text) {
+        if (!text || typeof text !== 'string') return [];
+
+        const cards = [];
+        let current = null;
+
+        this.unfold(text).forEach(line => {
+            const property = this.parseLine(line);
+            if (!property) return;
+
+            if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+                current = [];
+            } else if (property.name === 'END' && property.value.toUpperCase() === 'VCARD') {
+                if (current) cards.push(this.toCard(current));
+                current = null;
+            } else if (current) {
+                current.push(property);
+            }
+        });
+
+        return cards.filter(card => card.name || card.organization);
+    }
+
+    /**
+     * Split into logical lines, joining folded continuation lines (RFC 6350 3.2)
+     */
+    unfold(text) {
+        return text
+            .replace(/\r\n|\r/g, '\n')
+            .replace(/\n[ \t]/g, '')
+            .replace(/=\n/g, '') // Quoted-printable soft line breaks (vCard 2.1)
+            .split('\n')
+            .filter(line => line.trim());
+    }
+
+    /**
+     * Parse "group.NAME;PARAM=a,b:value" into { name, params, value }
+     */
+    parseLine(line) {
+        const separator = this.findValueSeparator(line);
+        if (separator === -1) return null;
+
+        const [nameWithGroup, ...rawParams] = line.slice(0, separator).split(';');
+        const name = nameWithGroup.split('.').pop().toUpperCase();
+        const params = {};
+
+        rawParams.forEach(param => {
+            const [key, value] = param.includes('=') ? param.split('=') : ['TYPE', param]; // vCard 2.1 bare types
+            const values = value.replace(/"/g, '').toLowerCase().split(',');
+            params[key.toUpperCase()] = [...(params[key.toUpperCase()] || []), ...values];
+        });
+
+        let value = line.slice(separator + 1);
+        if ((params.ENCODING || []).includes('quoted-printable')) {
+            value = this.decodeQuotedPrintable(value);
+        }
+
+        return { name, params, value };
+    }
+
+    /**
+     * Index of the colon that ends the property name and parameters (quoted parameter values may hold colons)
+     */
+    findValueSeparator(line) {
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') quoted = !quoted;
+            if (line[i] === ':' && !quoted) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Map parsed properties onto a contact card
+     */
+    toCard(properties) {
+        const card = {
+            name: null,
+            organization: null,
+            title: null,
+            emails: [],
+            phones: [],
+            address: null,
+            url: null,
+            photoUrl: null
+        };
+        let structuredName = null;
+
+        properties.forEach(({ name, params, value }) => {
+            switch (name) {
+                case 'FN':
+                    card.name = card.name || this.unescape(value);
+                    break;
+                case 'N':
+                    structuredName = this.splitComponents(value);
+                    break;
+                case 'ORG':
+                    card.organization = card.organization || this.splitComponents(value)[0] || null;
+                    break;
+                case 'TITLE':
+                case 'ROLE':
+                    card.title = card.title || this.unescape(value);
+                    break;
+                case 'EMAIL':
+                    card.emails.push(this.unescape(value).replace(/^mailto:/i, '').trim());
+                    break;
+                case 'TEL':
+                    card.phones.push(this.unescape(value).replace(/^tel:/i, '').trim());
+                    break;
+                case 'ADR':
+                    if (!card.address || (params.TYPE || []).includes('work')) {
+                        card.address = this.toAddress(this.splitComponents(value));
+                    }
+                    break;
+                case 'URL':
+                    card.url = card.url || this.unescape(value);
+                    break;
+                case 'PHOTO':
+                    // Inline base64 photos are not kept
+                    if (/^https?:/i.test(value)) card.photoUrl = card.photoUrl || value;
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        // FN is mandatory in 3.0/4.0 but 2.1 cards often only carry N (Family;Given;Middle;Prefix;Suffix)
+        if (!card.name && structuredName) {
+            const [family, given, middle, prefix, suffix] = structuredName;
+            card.name = [prefix, given, middle, family, suffix].filter(Boolean).join(' ') || null;
+        }
+
+        return card;
+    }
+
+    /**
+     * ADR components: PO box; extended; street; locality; region; postal code; country
+     */
+    toAddress(components) {
+        const [poBox, extended, street, city, region, postalCode, country] = components;
+        const streetLine = [street, extended, poBox ? `PO Box ${poBox}` : null].filter(Boolean).join(', ');
+        const address = {
+            street: streetLine || null,
+            city: city || null,
+            region: region || null,
+            postalCode: postalCode || null,
+            country: country || null
+        };
+
+        const formatted = [address.street, address.city, [address.region, address.postalCode].filter(Boolean).join(' '), address.country]
+            .filter(Boolean)
+            .join(', ');
+
+        return formatted ? { ...address, formatted } : null;
+    }
+
+    /**
+     * Split a structured value on unescaped semicolons
+     */
+    splitComponents(value) {
+        return value.split(/(?<!\\);/).map(component => this.unescape(component).trim());
+    }
+
+    /**
+     * Undo vCard text escaping (\, \; \n)
+     */
+    unescape(value) {
+        return value
+            .replace(/\\n/gi, '\n')
+            .replace(/\\([,;\\])/g, '$1')
+            .trim();
+    }
+
+    /**
+     * Decode a quoted-printable value (vCard 2.1)
+     */
+    decodeQuotedPrintable(value) {
+        const bytes = [];
+        for (let i = 0; i < value.length; i++) {
+            if (value[i] === '=' && /^[0-9A-F]{2}$/i.test(value.slice(i + 1, i + 3))) {
+                bytes.push(parseInt(value.slice(i + 1, i + 3), 16));
+                i += 2;
+            } else {
+                bytes.push(value.charCodeAt(i));
+            }
+        }
+        return Buffer.from(bytes).toString('utf8');
+    }
+}
@@ -0,0 +1,225 @@
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import Papa from 'papaparse';
+import * as cheerio from 'cheerio';
+
+/**
+ * CSV header names recognised as the URL column when no mapping is given
+ */
+const URL_HEADERS = /^(url|urls|website|web site|site|domain|homepage|home page|link|web|www)$/i;
+
+/**
+ * CSV header names recognised as a label (company or page name)
+ */
+const LABEL_HEADERS = /^(name|company|company name|organization|organisation|title|business)$/i;
+
+/**
+ * URL List Importer - Reads URLs or bare domains from CSV, TXT and browser bookmark exports
+ * - CSV: the URL column is mapped with { columns: { url, label } } (header name or 0-based index),
+ *   otherwise found by header name or by the values that look like URLs
+ * - TXT: one URL or domain per line; '#' starts a comment
+ * - Bookmarks HTML: every link of a Netscape bookmark file (Chrome, Firefox, Edge and Safari exports)
+ * Domains become https:// URLs, fragments are dropped and duplicates are reported as skipped.
+ */
+export class UrlListImporter {
+    constructor(config = {}) {
+        this.config = {
+            maxUrls: 10000,
+            ...config
+        };
+    }
+
+    /**
+     * Import a file; the format comes from options.format, the extension or the content
+     * @returns {Promise<{format: string, urls: Array<{url, label}>, skipped: Array<{value, line, reason}>}>}
+     */
+    async importFile(filePath, options = {}) {
+        const content = await readFile(filePath, 'utf8');
+        return this.parse(content, { ...options, format: options.format || this.detectFormat(filePath, content) });
+    }
+
+    /**
+     * Parse file content in the given format ('csv', 'tsv', 'txt' or 'bookmarks')
+     */
+    parse(content, options = {}) {
+        const format = options.format || this.detectFormat('', content);
+        const text = content.replace(/^\uFEFF/, '');
+
+        let candidates;
+        if (format === 'bookmarks') {
+            candidates = this.parseBookmarks(text);
+        } else if (format === 'csv' || format === 'tsv') {
+            candidates = this.parseCsv(text, { ...options, delimiter: format === 'tsv' ? '\t' : options.delimiter });
+        } else if (format === 'txt') {
+            candidates = this.parseText(text);
+        } else {
+            throw new Error(`Unsupported URL list format: ${format}`);
+        }
+
+        return { format, ...this.collect(candidates) };
+    }
+
+    /**
+     * Guess the format from the file extension, falling back to the content
+     */
+    detectFormat(filePath, content = '') {
+        const extension = extname(filePath).toLowerCase();
+        if (['.html', '.htm'].includes(extension)) return 'bookmarks';
+        if (extension === '.csv') return 'csv';
+        if (extension === '.tsv') return 'tsv';
+        if (extension === '.txt' || extension === '.list') return 'txt';
+
+        const head = content.slice(0, 2000);
+        if (/<!DOCTYPE NETSCAPE-Bookmark-file|<a\s[^>]*href=/i.test(head)) return 'bookmarks';
+        if (/[,;\t]/.test(head.split('\n')[0] || '')) return 'csv';
+        return 'txt';
+    }
+
+    /**
+     * Rows of a CSV file mapped to { value, label, line }
+     * @param {object} options.columns - { url, label }: header names or 0-based column indexes
+     */
+    parseCsv(text, options = {}) {
+        const parsed = Papa.parse(text.trim(), {
+            skipEmptyLines: 'greedy',
+            delimiter: options.delimiter || ''
+        });
+        const rows = parsed.data;
+        if (rows.length === 0) return [];
+
+        const columns = options.columns || {};
+        const header = rows[0].map(cell => String(cell).trim());
+        const hasHeader = options.header ?? !header.some(cell => this.normalizeUrl(cell));
+        const dataRows = hasHeader ? rows.slice(1) : rows;
+
+        const urlIndex = this.columnIndex(columns.url, header, hasHeader)
+            ?? (hasHeader ? this.findColumn(header, URL_HEADERS) : null)
+            ?? this.guessUrlColumn(dataRows);
+        if (urlIndex === null || urlIndex === undefined) {
+            throw new Error(columns.url !== undefined
+                ? `URL column "${columns.url}" not found in CSV header`
+                : 'No URL column found in CSV; map one with columns.url');
+        }
+
+        const labelIndex = this.columnIndex(columns.label, header, hasHeader)
+            ?? (hasHeader && columns.label === undefined ? this.findColumn(header, LABEL_HEADERS) : null);
+
+        return dataRows.map((row, index) => ({
+            value: row[urlIndex],
+            label: labelIndex !== null && labelIndex !== undefined ? String(row[labelIndex] || '').trim() || null : null,
+            line: index + (hasHeader ? 2 : 1)
+        }));
+    }
+
+    /**
+     * Resolve a column mapping (header name or index) to an index
+     */
+    columnIndex(column, header, hasHeader) {
+        if (column === undefined || column === null) return null;
+        if (Number.isInteger(column)) return column < header.length ? column : undefined;
+        if (!hasHeader) return undefined;
+
+        const index = header.findIndex(cell => cell.toLowerCase() === String(column).trim().toLowerCase());
+        return index === -1 ? undefined : index;
+    }
+
+    /**
+     * First header cell matching a pattern
+     */
+    findColumn(header, pattern) {
+        const index = header.findIndex(cell => pattern.test(cell));
+        return index === -1 ? null : index;
+    }
+
+    /**
+     * Column whose values are most often URLs or domains (at least half of the sampled rows)
+     */
+    guessUrlColumn(rows) {
+        const sample = rows.slice(0, 50);
+        const width = Math.max(0, ...sample.map(row => row.length));
+        let best = null;
+        let bestHits = 0;
+
+        for (let index = 0; index < width; index++) {
+            const hits = sample.filter(row => this.normalizeUrl(row[index])).length;
+            if (hits > bestHits) {
+                best = index;
+                bestHits = hits;
+            }
+        }
+
+        return bestHits >= Math.ceil(sample.length / 2) ? best : null;
+    }
+
+    /**
+     * Lines of a text file; '#' comments and blank lines are ignored
+     */
+    parseText(text) {
+        return text.split(/\r?\n/)
+            .map((line, index) => ({ value: line.replace(/(^|\s)#.*$/, '').trim(), label: null, line: index + 1 }))
+            .filter(entry => entry.value)
+            .map(entry => ({ ...entry, value: entry.value.split(/[\s,;]+/)[0] }));
+    }
+
+    /**
+     * Links of a Netscape bookmark file, labelled with the bookmark title
+     */
+    parseBookmarks(html) {
+        const $ = cheerio.load(html);
+        return $('a[href]').toArray().map((link, index) => ({
+            value: $(link).attr('href'),
+            label: $(link).text().trim() || null,
+            line: index + 1
+        }));
+    }
+
+    /**
+     * Normalise candidates, dropping invalid values and duplicates
+     */
+    collect(candidates) {
+        const urls = [];
+        const skipped = [];
+        const seen = new Set();
+
+        for (const { value, label, line } of candidates) {
+            const url = this.normalizeUrl(value);
+            if (!url) {
+                skipped.push({ value: String(value ?? ''), line, reason: 'invalid-url' });
+            } else if (seen.has(url)) {
+                skipped.push({ value: String(value), line, reason: 'duplicate' });
+            } else if (urls.length >= this.config.maxUrls) {
+                skipped.push({ value: String(value), line, reason: 'limit-reached' });
+            } else {
+                seen.add(url);
+                urls.push({ url, label });
+            }
+        }
+
+        return { urls, skipped };
+    }
+
+    /**
+     * A URL or bare domain as an absolute http(s) URL without fragment, or null
+     */
+    normalizeUrl(value) {
+        let candidate = String(value ?? '').trim().replace(/^["'<]+|[>"',;]+$/g, '');
+        if (!candidate || /\s/.test(candidate)) return null;
+
+        if (candidate.startsWith('//')) {
+            candidate = `https:${candidate}`;
+        } else if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(candidate)) {
+            if (/^[a-z][a-z0-9+.-]*:(?!\d)/i.test(candidate)) return null; // mailto:, javascript:, place:
+            candidate = `https://${candidate}`;
+        }
+
+        try {
+            const url = new URL(candidate);
+            if (!['http:', 'https:'].includes(url.protocol)) return null;
+            if (!url.hostname.includes('.') && url.hostname !== 'localhost') return null;
+            url.hash = '';
+            return url.href;
+        } catch {
+            return null;
+        }
+    }
+}
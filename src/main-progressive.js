@@ -1,4 +1,4 @@
-import { app, BrowserWindow, ipcMain, Menu, dialog } from 'electron';
+import { app, BrowserWindow, ipcMain, Menu, dialog, clipboard } from 'electron';
 import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
 import fs from 'fs/promises';
@@ -12,6 +12,8 @@ const __dirname = dirname(__filename);
 
 let mainWindow;
 let dataScraper = null;
+let batchScraper = null;
+let ingestServer = null;
 let isScrapingActive = false;
 
 // Simple settings store (we'll replace with electron-store later)
@@ -21,6 +23,7 @@ let appSettings = {
     extractEmails: true,
     extractPhones: true,
     extractNames: true,
+    liveDom: false, // Read pages from the user's browser tab over CDP instead of re-fetching them
     delay: 2000
   },
   googleSheets: {
@@ -101,6 +104,36 @@ function createMenu() {
             }
           }
         },
+        {
+          label: 'Export Contacts (vCard)',
+          click: async () => {
+            const result = await dialog.showSaveDialog(mainWindow, {
+              defaultPath: 'contacts.vcf',
+              filters: [
+                { name: 'vCard Files', extensions: ['vcf'] }
+              ]
+            });
+
+            if (!result.canceled) {
+              await exportToVCard(result.filePath);
+            }
+          }
+        },
+        {
+          label: 'Import URL List...',
+          click: async () => {
+            const result = await importUrlList();
+            if (!result.success && result.error !== 'Import cancelled') {
+              mainWindow.webContents.send('scraper-error', `URL import failed: ${result.error}`);
+            }
+          }
+        },
+        {
+          label: 'Pair Browser Extension...',
+          click: async () => {
+            await showExtensionPairing();
+          }
+        },
         { type: 'separator' },
         {
           label: 'Quit',
@@ -186,6 +219,11 @@ async function initializeDataScraper() {
       console.log('Status update:', status);
       mainWindow.webContents.send('status-update', status);
     });
+
+    // Browsers that need a launch flag before their tabs can be read (Firefox remote agent)
+    dataScraper.on('setup-required', (guidance) => {
+      mainWindow.webContents.send('browser-setup-required', guidance);
+    });
     
     console.log('DataScraper initialized successfully');
     return true;
@@ -195,6 +233,126 @@ async function initializeDataScraper() {
   }
 }
 
+// Batch scraper for imported URL lists; it shares the DataScraper pipeline and database
+async function getBatchScraper() {
+  if (!dataScraper) {
+    const initialized = await initializeDataScraper();
+    if (!initialized) {
+      throw new Error('Failed to initialize data scraper');
+    }
+  }
+
+  if (!batchScraper) {
+    const { BatchScraper } = await import('./scraper/BatchScraper.js');
+    batchScraper = new BatchScraper({ dataScraper });
+
+    batchScraper.on('progress', (progress) => {
+      mainWindow.webContents.send('batch-progress', progress);
+      mainWindow.webContents.send('status-update', `Batch ${progress.jobId}: ${progress.completed}/${progress.total} URLs`);
+    });
+
+    batchScraper.on('completed', (summary) => {
+      console.log('Batch job finished:', summary);
+      mainWindow.webContents.send('batch-completed', summary);
+      mainWindow.webContents.send('status-update',
+        `Batch "${summary.name}" ${summary.status}: ${summary.done} done, ${summary.failed} failed, ${summary.skipped} skipped`);
+    });
+  }
+
+  return batchScraper;
+}
+
+// Run a batch job in the background; the renderer follows it through progress events
+function runInBackground(jobPromise) {
+  jobPromise.catch((error) => {
+    console.error('Batch job failed:', error);
+    mainWindow.webContents.send('scraper-error', `Batch job failed: ${error.message}`);
+  });
+}
+
+// Import a CSV, TXT or bookmarks file and start scraping it as a batch job
+async function importUrlList(filePath = null, options = {}) {
+  try {
+    if (!filePath) {
+      const result = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openFile'],
+        filters: [
+          { name: 'URL Lists', extensions: ['csv', 'tsv', 'txt', 'html', 'htm'] },
+          { name: 'All Files', extensions: ['*'] }
+        ]
+      });
+
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, error: 'Import cancelled' };
+      }
+      filePath = result.filePaths[0];
+    }
+
+    const batch = await getBatchScraper();
+    const { jobId, format, imported, skipped } = await batch.importFile(filePath, options);
+    mainWindow.webContents.send('status-update', `Imported ${imported} URLs (${skipped.length} skipped), starting batch ${jobId}`);
+    runInBackground(batch.run(jobId));
+
+    return { success: true, jobId, format, imported, skipped };
+  } catch (error) {
+    console.error('URL list import failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Local endpoint the companion browser extension sends page snapshots to
+async function startIngestServer() {
+  const { IngestServer } = await import('./server/IngestServer.js');
+  const server = new IngestServer({
+    port: parseInt(process.env.EXTENSION_INGEST_PORT, 10) || 47600,
+    onSnapshot: async (snapshot) => {
+      // Start/Stop applies to the extension too
+      if (!isScrapingActive) {
+        return { ignored: true, reason: 'Scraping is stopped in the app' };
+      }
+
+      const data = await dataScraper.ingestSnapshot(snapshot);
+      return data.unchanged
+        ? { unchanged: true }
+        : { contacts: dataScraper.extractionPipeline.countContacts(data) };
+    }
+  });
+
+  try {
+    await server.start();
+    ingestServer = server;
+  } catch (error) {
+    console.error('Extension ingest endpoint unavailable:', error.message);
+  }
+}
+
+// Show the endpoint and pairing token to enter in the extension
+async function showExtensionPairing() {
+  if (!ingestServer) {
+    dialog.showErrorBox('Pair Browser Extension', 'The extension endpoint is not running (is another Data Scraper open?).');
+    return;
+  }
+
+  const { endpoint, token } = ingestServer.getPairing();
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'info',
+    title: 'Pair Browser Extension',
+    message: 'Enter these in the Data Scraper Companion extension popup',
+    detail: `Endpoint: ${endpoint}\nPairing token: ${token}`,
+    buttons: ['Copy Token', 'New Token', 'Close'],
+    defaultId: 0,
+    cancelId: 2
+  });
+
+  if (response === 0) {
+    clipboard.writeText(token);
+  } else if (response === 1) {
+    // Revokes the old token: extensions paired with it have to be paired again
+    await ingestServer.regenerateToken();
+    await showExtensionPairing();
+  }
+}
+
 // Export functions with error handling
 async function exportToCSV(filePath, data = null) {
   try {
@@ -220,6 +378,28 @@ async function exportToCSV(filePath, data = null) {
   }
 }
 
+// vCard export function
+async function exportToVCard(filePath, options = {}) {
+  try {
+    console.log('Exporting to vCard:', filePath);
+
+    const exportData = dataScraper ? await dataScraper.getAllScrapedData() : [];
+    if (!exportData || exportData.length === 0) {
+      return { success: false, error: 'No data to export' };
+    }
+
+    const { VCardExporter } = await import('./exporters/VCardExporter.js');
+    const exporter = new VCardExporter(filePath, options);
+    const result = await exporter.write(exportData);
+
+    console.log('vCard export successful');
+    return result;
+  } catch (error) {
+    console.error('vCard export error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 // Google Sheets export function
 async function exportToGoogleSheets(data = null) {
   try {
@@ -330,6 +510,26 @@ ipcMain.handle('export-csv', async (event, filePath) => {
   return await exportToCSV(filePath);
 });
 
+ipcMain.handle('export-vcard', async (event, filePath, options = {}) => {
+  console.log('export-vcard IPC called with path:', filePath);
+
+  if (!filePath) {
+    const result = await dialog.showSaveDialog(mainWindow, {
+      defaultPath: 'contacts.vcf',
+      filters: [
+        { name: 'vCard Files', extensions: ['vcf'] }
+      ]
+    });
+
+    if (result.canceled) {
+      return { success: false, error: 'Export cancelled' };
+    }
+    filePath = result.filePath;
+  }
+
+  return await exportToVCard(filePath, options);
+});
+
 ipcMain.handle('export-google-sheets', async () => {
   console.log('export-google-sheets IPC called');
   try {
@@ -367,6 +567,7 @@ ipcMain.handle('export-google-sheets', async () => {
     
     // Export the data
     const exportResult = await exporter.write(scrapedData);
+    await exporter.writePeople(scrapedData);
     
     if (exportResult.success) {
       // Create summary
@@ -375,6 +576,10 @@ ipcMain.handle('export-google-sheets', async () => {
         totalEmails: scrapedData.reduce((sum, item) => sum + (item.emails?.length || 0), 0),
         totalPhones: scrapedData.reduce((sum, item) => sum + (item.phones?.length || 0), 0),
         totalNames: scrapedData.reduce((sum, item) => sum + (item.names?.length || 0), 0),
+        totalAddresses: scrapedData.reduce((sum, item) => sum + (item.addresses?.length || 0), 0),
+        totalSocialProfiles: scrapedData.reduce((sum, item) =>
+          sum + (item.socialProfiles || []).filter(profile => profile.relation === 'owner').length, 0),
+        totalPeople: scrapedData.reduce((sum, item) => sum + (item.people?.length || 0), 0),
         uniqueDomains: new Set(scrapedData.map(item => item.domain)).size
       };
       
@@ -411,10 +616,64 @@ ipcMain.handle('get-scraped-data', async () => {
   }
 });
 
+ipcMain.handle('import-url-list', async (event, filePath = null, options = {}) => {
+  console.log('import-url-list IPC called with path:', filePath);
+  return await importUrlList(filePath, options);
+});
+
+ipcMain.handle('get-batch-jobs', async () => {
+  try {
+    const batch = await getBatchScraper();
+    const jobs = await batch.jobStore.getBatchJobs();
+    return { success: true, jobs };
+  } catch (error) {
+    console.error('Failed to get batch jobs:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-batch-job', async (event, jobId) => {
+  try {
+    const batch = await getBatchScraper();
+    const summary = await batch.summarize(jobId);
+    const urls = await batch.jobStore.getBatchUrls(jobId);
+    return { success: true, summary, urls, running: batch.isRunning(jobId) };
+  } catch (error) {
+    console.error('Failed to get batch job:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('retry-batch-job', async (event, jobId) => {
+  try {
+    const batch = await getBatchScraper();
+    runInBackground(batch.retryFailed(jobId));
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to retry batch job:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('cancel-batch-job', async (event, jobId) => {
+  if (!batchScraper) {
+    return { success: false, error: 'No batch job is running' };
+  }
+  return { success: batchScraper.cancel(jobId) };
+});
+
+ipcMain.handle('get-extension-pairing', async () => {
+  if (!ingestServer) {
+    return { success: false, error: 'Extension endpoint is not running' };
+  }
+  return { success: true, ...ingestServer.getPairing() };
+});
+
 // App event handlers
 app.whenReady().then(() => {
   console.log('Electron app is ready');
   createWindow();
+  startIngestServer();
   
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -426,6 +685,11 @@ app.whenReady().then(() => {
 app.on('window-all-closed', async () => {
   console.log('All windows closed');
   
+  if (ingestServer) {
+    await ingestServer.stop();
+    ingestServer = null;
+  }
+  
   // Clean up scraper before quitting
   if (dataScraper && isScrapingActive) {
     try {
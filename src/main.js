@@ -173,6 +173,7 @@ async function exportToCSV(filePath, data = null) {
     } else {
       const allData = await dataScraper.getAllScrapedData();
       await exporter.write(allData);
+      await exporter.writePeople(allData);
     }
     return { success: true };
   } catch (error) {
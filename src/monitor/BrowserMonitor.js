@@ -1,6 +1,27 @@
 import { EventEmitter } from 'events';
 import activeWin from 'active-win';
 import { spawn } from 'child_process';
+import { DevToolsDiscovery } from './DevToolsDiscovery.js';
+import { TabTracker } from './TabTracker.js';
+import { FirefoxTabTracker } from './FirefoxTabTracker.js';
+
+/**
+ * Chromium-based browsers whose tabs are read over the DevTools protocol
+ */
+const CHROMIUM_BROWSERS = ['chrome', 'chromium', 'edge', 'brave', 'vivaldi'];
+
+/**
+ * Shown when a Firefox window is active but its remote agent can't be reached
+ */
+const FIREFOX_SETUP = {
+    browser: 'firefox',
+    message: 'Firefox tabs can only be read through its remote agent, which is not enabled.',
+    steps: [
+        'Close Firefox and start it with: firefox --remote-debugging-port 9222',
+        'On Windows, add --remote-debugging-port 9222 to the Firefox shortcut target',
+        'If Chrome already uses port 9222, pick another port and set it as firefoxPorts'
+    ]
+};
 
 /**
  * Browser Monitor - Detects active browser tabs and URLs
@@ -17,11 +38,30 @@ export class BrowserMonitor extends EventEmitter {
                 'msedge.exe',
                 'opera.exe',
                 'brave.exe',
-                'vivaldi.exe'
+                'vivaldi.exe',
+                'chromium',
+                'microsoft-edge'
             ],
+            devToolsPorts: config.devToolsPorts || [9222], // Remote-debugging ports probed besides DevToolsActivePort files
+            devToolsUserDataDirs: config.devToolsUserDataDirs || [], // Extra browser profiles to look for DevToolsActivePort in
+            trackTabs: config.trackTabs !== false, // Follow Chromium and Firefox tabs over persistent connections instead of polling
+            firefoxPorts: config.firefoxPorts || [9222], // Firefox remote agent (WebDriver BiDi) ports
             ...config
         };
         
+        this.devTools = config.devTools || new DevToolsDiscovery({
+            ports: this.config.devToolsPorts,
+            userDataDirs: this.config.devToolsUserDataDirs
+        });
+        this.tabTracker = this.config.trackTabs
+            ? config.tabTracker || new TabTracker({ discovery: this.devTools })
+            : null;
+        this.firefoxTracker = this.config.trackTabs
+            ? config.firefoxTracker || new FirefoxTabTracker({ ports: this.config.firefoxPorts })
+            : null;
+        this.trackers = [this.tabTracker, this.firefoxTracker].filter(Boolean);
+        this.setupReported = new Set(); // Browsers whose setup guidance was emitted
+        
         this.isMonitoring = false;
         this.lastUrl = null;
         this.lastTitle = null;
@@ -39,6 +79,18 @@ export class BrowserMonitor extends EventEmitter {
 
         console.log('Starting browser monitoring...');
         this.isMonitoring = true;
+        this.setupReported.clear();
+        
+        // Tabs of browsers with remote debugging are reported by the trackers as they change
+        this.onTrackedUrl = urlInfo => this.reportUrl(urlInfo, urlInfo.browser);
+        for (const tracker of this.trackers) {
+            tracker.on('url-changed', this.onTrackedUrl);
+            try {
+                await tracker.start();
+            } catch (error) {
+                console.error('Tab tracking unavailable, falling back to polling:', error.message);
+            }
+        }
         
         // Start polling for active window changes
         this.monitoringInterval = setInterval(() => {
@@ -64,6 +116,11 @@ export class BrowserMonitor extends EventEmitter {
             this.monitoringInterval = null;
         }
         
+        for (const tracker of this.trackers) {
+            tracker.off('url-changed', this.onTrackedUrl);
+            await tracker.stop();
+        }
+        
         this.emit('monitoring-stopped');
     }
 
@@ -78,31 +135,16 @@ export class BrowserMonitor extends EventEmitter {
                 return;
             }
 
+            // Tracked browsers report their focused tab themselves; polling them would only
+            // hit whichever tab a new connection lands on
+            const browserName = this.getBrowserName(window.owner.name);
+            if (this.trackers.some(tracker => tracker.tracksBrowser(browserName))) {
+                return;
+            }
+
             // Try to extract URL from the window title or use browser-specific methods
             const urlInfo = await this.extractUrlFromWindow(window);
-            
-            if (urlInfo && urlInfo.url && urlInfo.url !== this.lastUrl) {
-                this.lastUrl = urlInfo.url;
-                this.lastTitle = urlInfo.title;
-                
-                // Only emit if this is a new URL we haven't seen recently
-                if (!this.visitedUrls.has(urlInfo.url)) {
-                    this.visitedUrls.add(urlInfo.url);
-                    
-                    // Clean up old URLs to prevent memory leaks (keep last 1000)
-                    if (this.visitedUrls.size > 1000) {
-                        const urlsArray = Array.from(this.visitedUrls);
-                        this.visitedUrls = new Set(urlsArray.slice(-500));
-                    }
-                    
-                    this.emit('url-changed', {
-                        url: urlInfo.url,
-                        title: urlInfo.title,
-                        browser: this.getBrowserName(window.owner.name),
-                        timestamp: new Date().toISOString()
-                    });
-                }
-            }
+            this.reportUrl(urlInfo, browserName);
         } catch (error) {
             // Don't log every error as this runs frequently
             // Only emit error events for significant issues
@@ -112,6 +154,37 @@ export class BrowserMonitor extends EventEmitter {
         }
     }
 
+    /**
+     * Emit url-changed for a URL that differs from the last one and wasn't seen recently
+     */
+    reportUrl(urlInfo, browser) {
+        if (!urlInfo || !urlInfo.url || urlInfo.url === this.lastUrl) {
+            return;
+        }
+
+        this.lastUrl = urlInfo.url;
+        this.lastTitle = urlInfo.title;
+        
+        // Only emit if this is a new URL we haven't seen recently
+        if (!this.visitedUrls.has(urlInfo.url)) {
+            this.visitedUrls.add(urlInfo.url);
+            
+            // Clean up old URLs to prevent memory leaks (keep last 1000)
+            if (this.visitedUrls.size > 1000) {
+                const urlsArray = Array.from(this.visitedUrls);
+                this.visitedUrls = new Set(urlsArray.slice(-500));
+            }
+            
+            this.emit('url-changed', {
+                url: urlInfo.url,
+                title: urlInfo.title,
+                browser,
+                targetId: urlInfo.targetId || null, // Tracked tab, for reading its live DOM
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
     /**
      * Check if the given window belongs to a supported browser
      */
@@ -132,6 +205,11 @@ export class BrowserMonitor extends EventEmitter {
     async extractUrlFromWindow(window) {
         const browserName = this.getBrowserName(window.owner.name);
         
+        // Firefox is read through its remote agent on every platform
+        if (browserName === 'firefox') {
+            return (await this.getFirefoxUrl()) || this.parseUrlFromTitle(window.title);
+        }
+        
         // Try different extraction methods based on browser and platform
         if (process.platform === 'win32') {
             return this.extractUrlWindows(window, browserName);
@@ -150,14 +228,9 @@ export class BrowserMonitor extends EventEmitter {
         // This is a fallback method as direct URL extraction requires more complex solutions
         
         try {
-            // Try PowerShell method for Chrome-based browsers
-            if (['chrome', 'edge', 'brave', 'vivaldi'].includes(browserName)) {
-                return await this.getChromeBrowserUrl();
-            }
-            
-            // Try Firefox-specific method
-            if (browserName === 'firefox') {
-                return await this.getFirefoxUrl();
+            // DevTools protocol (PowerShell title lookup as fallback) for Chrome-based browsers
+            if (CHROMIUM_BROWSERS.includes(browserName)) {
+                return await this.getChromeBrowserUrl(window, browserName);
             }
             
             // Fallback to title parsing
@@ -185,47 +258,53 @@ export class BrowserMonitor extends EventEmitter {
     async extractUrlLinux(window, browserName) {
         // Linux URL extraction using various methods
         try {
-            return await this.getUrlViaLinuxMethod(browserName);
+            const urlInfo = await this.getUrlViaLinuxMethod(window, browserName);
+            return urlInfo || this.parseUrlFromTitle(window.title);
         } catch (error) {
             return this.parseUrlFromTitle(window.title);
         }
     }
 
     /**
-     * Get Chrome browser URL using Chrome DevTools Protocol
+     * Get the active tab's URL of a Chromium-based browser over the DevTools protocol
+     * The window is mapped to its browser's remote-debugging endpoint by DevToolsDiscovery
      */
-    async getChromeBrowserUrl() {
+    async getChromeBrowserUrl(window, browserName) {
         try {
-            // Import chrome-remote-interface dynamically
-            const CDP = await import('chrome-remote-interface');
-            
-            // Try to connect to Chrome DevTools
-            const client = await CDP.default({ port: 9222 });
-            const { Runtime, Page } = client;
-            
-            // Enable necessary domains
-            await Runtime.enable();
-            await Page.enable();
-            
-            // Get current URL
-            const result = await Runtime.evaluate({
-                expression: 'window.location.href'
-            });
-            
-            await client.close();
-            
-            if (result && result.result && result.result.value) {
-                return {
-                    url: result.result.value,
-                    title: null // Will be extracted by WebScraper
-                };
+            const endpoint = await this.devTools.endpointForWindow(window, browserName);
+            if (endpoint) {
+                const pages = await this.devTools.listPages(endpoint);
+                const page = this.findActiveTab(pages, window?.title);
+                if (page) {
+                    return {
+                        url: page.url,
+                        title: page.title,
+                        method: 'devtools',
+                        port: endpoint.port
+                    };
+                }
+                return null;
             }
-            
-            return null;
         } catch (error) {
-            // Chrome DevTools not available, try alternative method
-            return await this.getChromeBrowserUrlAlternative();
+            // Endpoint went away between discovery and listing; discover again next time
+            this.devTools.invalidate();
         }
+
+        // No remote debugging: fall back to window automation on Windows
+        return process.platform === 'win32' ? await this.getChromeBrowserUrlAlternative() : null;
+    }
+
+    /**
+     * The tab shown in a window: the page whose title starts the window title, else the most recently
+     * active page; internal pages (chrome://, devtools://) yield null
+     */
+    findActiveTab(pages, windowTitle = '') {
+        const byTitle = pages
+            .filter(page => page.title && windowTitle?.startsWith(page.title))
+            .sort((a, b) => b.title.length - a.title.length)[0];
+        const page = byTitle || pages[0];
+
+        return page && /^https?:/i.test(page.url) ? page : null;
     }
 
     /**
@@ -302,12 +381,36 @@ export class BrowserMonitor extends EventEmitter {
     }
 
     /**
-     * Get Firefox URL using specific methods
+     * Get the focused Firefox tab's URL from the WebDriver BiDi tracker
+     * Without a connection to the remote agent, setup guidance is emitted once ('setup-required').
      */
     async getFirefoxUrl() {
-        // Firefox URL extraction would go here
-        // This is more complex and would require browser extension or debugging protocol
-        return null;
+        if (!this.firefoxTracker) {
+            return null;
+        }
+
+        if (!this.firefoxTracker.tracksBrowser('firefox')) {
+            this.reportSetupRequired(FIREFOX_SETUP);
+            return null;
+        }
+
+        const tab = this.firefoxTracker.getFocusedTab();
+        return tab && /^https?:/i.test(tab.url)
+            ? { url: tab.url, title: tab.title, method: 'bidi' }
+            : null;
+    }
+
+    /**
+     * Emit setup guidance for a browser once per monitoring session
+     */
+    reportSetupRequired(guidance) {
+        if (this.setupReported.has(guidance.browser)) {
+            return;
+        }
+
+        this.setupReported.add(guidance.browser);
+        console.log(`${guidance.message} ${guidance.steps[0]}`);
+        this.emit('setup-required', guidance);
     }
 
     /**
@@ -358,11 +461,12 @@ export class BrowserMonitor extends EventEmitter {
     }
 
     /**
-     * Get URL via Linux-specific methods
+     * Get URL via Linux-specific methods: DevTools endpoints for Chromium-based browsers
      */
-    async getUrlViaLinuxMethod(browserName) {
-        // Linux methods would include checking browser debugging ports,
-        // window manager properties, etc.
+    async getUrlViaLinuxMethod(window, browserName) {
+        if (CHROMIUM_BROWSERS.includes(browserName)) {
+            return this.getChromeBrowserUrl(window, browserName);
+        }
         return null;
     }
 
@@ -419,6 +523,7 @@ export class BrowserMonitor extends EventEmitter {
     getBrowserName(processName) {
         const name = processName.toLowerCase();
         
+        if (name.includes('chromium')) return 'chromium';
         if (name.includes('chrome')) return 'chrome';
         if (name.includes('firefox')) return 'firefox';
         if (name.includes('edge')) return 'edge';
@@ -443,4 +548,27 @@ export class BrowserMonitor extends EventEmitter {
     getVisitedUrls() {
         return Array.from(this.visitedUrls);
     }
+
+    /**
+     * Read a reported page from the user's own tab instead of downloading it again (read-only)
+     * @param {object} urlInfo - url-changed event of a tracked tab ({ url, targetId })
+     * @returns {Promise<object|null>} Raw page data with method 'live-dom', or null when the tab isn't
+     *   tracked or has moved on to another URL
+     */
+    async captureLiveDom({ url, targetId }) {
+        const tracker = targetId && this.trackers.find(candidate => candidate.hasTab(targetId));
+        if (!tracker) {
+            return null;
+        }
+
+        const page = await tracker.captureDom(targetId);
+        return page.url === url ? page : null;
+    }
+
+    /**
+     * Open windows of tracked browsers, each with its visible tab
+     */
+    getOpenWindows() {
+        return this.trackers.flatMap(tracker => tracker.getWindows());
+    }
 }
\ No newline at end of file
@@ -0,0 +1,282 @@
+import { readFile, readlink } from 'fs/promises';
+import { homedir } from 'os';
+import { join } from 'path';
+import axios from 'axios';
+
+/**
+ * Default user data directories of Chromium-based browsers, relative to the platform's base directory
+ */
+const PROFILE_LOCATIONS = {
+    linux: [
+        ['chrome', '.config/google-chrome'],
+        ['chrome', '.config/google-chrome-beta'],
+        ['chrome', '.config/google-chrome-unstable'],
+        ['chromium', '.config/chromium'],
+        ['chromium', 'snap/chromium/common/chromium'],
+        ['edge', '.config/microsoft-edge'],
+        ['edge', '.config/microsoft-edge-beta'],
+        ['edge', '.config/microsoft-edge-dev'],
+        ['brave', '.config/BraveSoftware/Brave-Browser'],
+        ['vivaldi', '.config/vivaldi'],
+        ['chrome', '.var/app/com.google.Chrome/config/google-chrome'],
+        ['chromium', '.var/app/org.chromium.Chromium/config/chromium'],
+        ['brave', '.var/app/com.brave.Browser/config/BraveSoftware/Brave-Browser']
+    ],
+    darwin: [
+        ['chrome', 'Library/Application Support/Google/Chrome'],
+        ['chrome', 'Library/Application Support/Google/Chrome Beta'],
+        ['chromium', 'Library/Application Support/Chromium'],
+        ['edge', 'Library/Application Support/Microsoft Edge'],
+        ['brave', 'Library/Application Support/BraveSoftware/Brave-Browser'],
+        ['vivaldi', 'Library/Application Support/Vivaldi']
+    ],
+    win32: [
+        ['chrome', 'Google/Chrome/User Data'],
+        ['chrome', 'Google/Chrome Beta/User Data'],
+        ['chromium', 'Chromium/User Data'],
+        ['edge', 'Microsoft/Edge/User Data'],
+        ['brave', 'BraveSoftware/Brave-Browser/User Data'],
+        ['vivaldi', 'Vivaldi/User Data']
+    ]
+};
+
+/**
+ * DevTools Discovery - Finds the remote-debugging endpoints of running Chromium-based browsers
+ * - Reads DevToolsActivePort (port and browser WebSocket path) from each browser's user data
+ *   directory, which Chrome, Chromium, Edge, Brave and Vivaldi write when started with
+ *   --remote-debugging-port (0 picks a free port)
+ * - Probes the configured ports (9222 by default) as well
+ * - Maps a window to its endpoint by process id (the profile's SingletonLock names the browser
+ *   process on Linux and macOS), then by browser, then falls back to the only endpoint found
+ * Results are cached for cacheTtl ms because the monitor polls every second.
+ */
+export class DevToolsDiscovery {
+    constructor(config = {}) {
+        this.config = {
+            host: '127.0.0.1',
+            ports: [9222], // Extra ports to probe, e.g. browsers started with a fixed --remote-debugging-port
+            userDataDirs: [], // Extra user data directories: paths or { browser, dir }
+            profileDirs: null, // Replaces the platform defaults: [{ browser, dir }]
+            probeTimeout: 500,
+            cacheTtl: 5000,
+            platform: process.platform,
+            ...config
+        };
+
+        this.cache = null; // { endpoints, expiresAt }
+    }
+
+    /**
+     * User data directories to check for a DevToolsActivePort file
+     * @returns {Array<{browser: string, dir: string}>}
+     */
+    profileDirs() {
+        const extra = this.config.userDataDirs.map(entry => (typeof entry === 'string' ? { browser: null, dir: entry } : entry));
+        if (this.config.profileDirs) {
+            return [...this.config.profileDirs, ...extra];
+        }
+
+        const base = this.config.platform === 'win32'
+            ? process.env.LOCALAPPDATA || join(homedir(), 'AppData', 'Local')
+            : homedir();
+        const defaults = (PROFILE_LOCATIONS[this.config.platform] || PROFILE_LOCATIONS.linux)
+            .map(([browser, location]) => ({ browser, dir: join(base, ...location.split('/')) }));
+
+        // A CHROME_USER_DATA_DIR set for a custom profile is checked first
+        const fromEnv = process.env.CHROME_USER_DATA_DIR ? [{ browser: 'chrome', dir: process.env.CHROME_USER_DATA_DIR }] : [];
+        return [...fromEnv, ...extra, ...defaults];
+    }
+
+    /**
+     * Live DevTools endpoints, from DevToolsActivePort files and configured ports
+     * @returns {Promise<Array<{browser, host, port, wsPath, userDataDir, pid, source, version}>>}
+     */
+    async discover({ refresh = false } = {}) {
+        if (!refresh && this.cache && this.cache.expiresAt > Date.now()) {
+            return this.cache.endpoints;
+        }
+
+        const fromFiles = (await Promise.all(this.profileDirs().map(profile => this.readActivePort(profile)))).filter(Boolean);
+        const knownPorts = new Set(fromFiles.map(endpoint => endpoint.port));
+        const configured = this.config.ports
+            .filter(port => !knownPorts.has(port))
+            .map(port => ({ browser: null, host: this.config.host, port, wsPath: null, userDataDir: null, pid: null, source: 'configured' }));
+
+        const probed = await Promise.all([...fromFiles, ...configured].map(endpoint => this.probe(endpoint)));
+        const endpoints = probed.filter(Boolean);
+
+        this.cache = { endpoints, expiresAt: Date.now() + this.config.cacheTtl };
+        return endpoints;
+    }
+
+    /**
+     * Endpoint from a profile's DevToolsActivePort file (first line port, second line browser WebSocket path)
+     */
+    async readActivePort({ browser, dir }) {
+        let content;
+        try {
+            content = await readFile(join(dir, 'DevToolsActivePort'), 'utf8');
+        } catch {
+            return null; // Browser not installed, or not started with remote debugging
+        }
+
+        const [portLine, wsPath] = content.split(/\r?\n/);
+        const port = parseInt(portLine, 10);
+        if (!Number.isInteger(port) || port <= 0) return null;
+
+        return {
+            browser,
+            host: this.config.host,
+            port,
+            wsPath: wsPath?.trim() || null,
+            userDataDir: dir,
+            pid: await this.readBrowserPid(dir),
+            source: 'DevToolsActivePort'
+        };
+    }
+
+    /**
+     * Browser process id from the profile's SingletonLock symlink ("hostname-pid"), or null
+     */
+    async readBrowserPid(dir) {
+        try {
+            const target = await readlink(join(dir, 'SingletonLock'));
+            const pid = parseInt(target.slice(target.lastIndexOf('-') + 1), 10);
+            return Number.isInteger(pid) ? pid : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Check that an endpoint answers; stale DevToolsActivePort files of closed browsers are dropped
+     * Browsers that only expose the WebSocket (no /json HTTP endpoints) are kept when the file names one.
+     */
+    async probe(endpoint) {
+        try {
+            const response = await axios.get(`http://${endpoint.host}:${endpoint.port}/json/version`, {
+                timeout: this.config.probeTimeout
+            });
+            const version = response.data || {};
+            return {
+                ...endpoint,
+                browser: endpoint.browser || this.browserFromVersion(version),
+                version: version.Browser || null,
+                webSocketDebuggerUrl: version.webSocketDebuggerUrl || this.webSocketUrl(endpoint)
+            };
+
+        } catch (error) {
+            const answered = Boolean(error.response); // Port open, HTTP endpoints disabled
+            if (answered && endpoint.wsPath) {
+                return { ...endpoint, version: null, webSocketDebuggerUrl: this.webSocketUrl(endpoint) };
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Browser name from /json/version ("Edg/..." for Edge; Brave and Vivaldi report Chrome)
+     */
+    browserFromVersion(version) {
+        const product = `${version.Browser || ''} ${version['User-Agent'] || ''}`;
+        if (/\bEdg\//.test(product)) return 'edge';
+        if (/HeadlessChrome/.test(product)) return 'chrome';
+        if (/Chromium\//.test(product)) return 'chromium';
+        if (/Chrome\//.test(product)) return 'chrome';
+        return null;
+    }
+
+    /**
+     * Browser-level WebSocket URL of an endpoint
+     */
+    webSocketUrl(endpoint) {
+        return endpoint.wsPath ? `ws://${endpoint.host}:${endpoint.port}${endpoint.wsPath}` : null;
+    }
+
+    /**
+     * The endpoint of the browser that owns a window
+     * @param {object} window - active-win result ({ owner: { processId, name } })
+     * @param {string} browserName - Name from BrowserMonitor.getBrowserName
+     */
+    async endpointForWindow(window, browserName) {
+        const endpoints = await this.discover();
+        if (endpoints.length === 0) return null;
+
+        const pid = window?.owner?.processId;
+        if (pid) {
+            const ancestors = await this.processAncestors(pid);
+            const byPid = endpoints.find(endpoint => endpoint.pid && ancestors.includes(endpoint.pid));
+            if (byPid) return byPid;
+        }
+
+        const sameBrowser = endpoints.filter(endpoint => endpoint.browser === browserName);
+        if (sameBrowser.length > 0) {
+            // Prefer endpoints without a known pid: a known pid that didn't match belongs to another window
+            return sameBrowser.find(endpoint => !endpoint.pid) || sameBrowser[0];
+        }
+
+        return endpoints.length === 1 ? endpoints[0] : null;
+    }
+
+    /**
+     * A process id followed by its parent ids (Linux /proc); other platforms only return the id
+     */
+    async processAncestors(pid) {
+        const chain = [pid];
+        if (this.config.platform !== 'linux') return chain;
+
+        let current = pid;
+        for (let depth = 0; depth < 8; depth++) {
+            try {
+                const stat = await readFile(`/proc/${current}/stat`, 'utf8');
+                // The command name may contain spaces and parentheses; the fields after it are fixed
+                const parent = parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1], 10);
+                if (!Number.isInteger(parent) || parent <= 1) break;
+                chain.push(parent);
+                current = parent;
+            } catch {
+                break;
+            }
+        }
+        return chain;
+    }
+
+    /**
+     * Page targets (tabs) of an endpoint; the HTTP list is ordered by last activity, newest first
+     */
+    async listPages(endpoint) {
+        try {
+            const response = await axios.get(`http://${endpoint.host}:${endpoint.port}/json/list`, {
+                timeout: this.config.probeTimeout
+            });
+            return response.data.filter(target => target.type === 'page');
+
+        } catch (error) {
+            if (!endpoint.webSocketDebuggerUrl) throw error;
+            return this.listPagesOverWebSocket(endpoint);
+        }
+    }
+
+    /**
+     * Page targets through the browser WebSocket, for browsers without the HTTP endpoints
+     */
+    async listPagesOverWebSocket(endpoint) {
+        const CDP = await import('chrome-remote-interface');
+        const client = await CDP.default({ target: endpoint.webSocketDebuggerUrl });
+        try {
+            const { targetInfos } = await client.Target.getTargets();
+            return targetInfos
+                .filter(target => target.type === 'page')
+                .map(target => ({ id: target.targetId, type: target.type, title: target.title, url: target.url }));
+        } finally {
+            await client.close();
+        }
+    }
+
+    /**
+     * Forget cached endpoints, e.g. after a browser was started
+     */
+    invalidate() {
+        this.cache = null;
+    }
+}
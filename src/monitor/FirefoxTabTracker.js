@@ -0,0 +1,253 @@
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { TabTracker } from './TabTracker.js';
+
+/**
+ * script.message channel the page script reports through
+ */
+const CHANNEL = 'data-scraper-tab-state';
+
+/**
+ * Sandbox the tracker's scripts run in; page scripts can't reach its channel to send fake reports
+ */
+const SANDBOX = 'data-scraper-tracker';
+
+/**
+ * Runs in every tab (as a preload script for new documents) and reports URL, title, visibility and focus
+ */
+const TAB_STATE_FUNCTION = `(channel) => {
+    if (window.__dataScraperTabStateInstalled) return;
+    window.__dataScraperTabStateInstalled = true;
+    const report = () => channel(JSON.stringify({
+        url: location.href,
+        title: document.title,
+        visible: document.visibilityState === 'visible',
+        focused: document.visibilityState === 'visible' && document.hasFocus()
+    }));
+    document.addEventListener('visibilitychange', report);
+    window.addEventListener('focus', report);
+    window.addEventListener('blur', report);
+    window.addEventListener('pageshow', report);
+    report();
+}`;
+
+/**
+ * Waits for the page to finish loading (at most timeout ms), then reports its URL, title, markup and rendered text
+ */
+const PAGE_STATE_SCRIPT = timeout => `new Promise(resolve => {
+    const done = () => resolve(JSON.stringify({
+        url: location.href,
+        title: document.title,
+        html: document.documentElement.outerHTML,
+        text: document.body ? document.body.innerText : ''
+    }));
+    if (document.readyState === 'complete') return done();
+    window.addEventListener('load', done, { once: true });
+    setTimeout(done, ${timeout});
+})`;
+
+/**
+ * BiDi events the tracker subscribes to
+ */
+const EVENTS = [
+    'browsingContext.contextCreated',
+    'browsingContext.contextDestroyed',
+    'browsingContext.fragmentNavigated',
+    'script.message'
+];
+
+/**
+ * Firefox Tab Tracker - Follows Firefox tabs over the WebDriver BiDi remote agent
+ * Firefox started with --remote-debugging-port serves WebDriver BiDi on ws://host:port/session.
+ * Top-level browsing contexts are the tabs; a preload script in a sandbox reports each tab's URL, title,
+ * visibility and focus on a script.message channel, so navigation and tab switches arrive as
+ * events like they do for Chromium (see TabTracker, whose tab bookkeeping this reuses).
+ * The agent accepts one session at a time: while Firefox is automated elsewhere it can't be tracked.
+ */
+export class FirefoxTabTracker extends TabTracker {
+    constructor(config = {}) {
+        super({
+            host: '127.0.0.1',
+            ports: [9222], // Firefox's --remote-debugging-port (9222 when given without a value)
+            connectTimeout: 2000,
+            ...config
+        });
+    }
+
+    /**
+     * The configured remote agent ports
+     */
+    async discoverEndpoints() {
+        return this.config.ports.map(port => ({
+            browser: 'firefox',
+            host: this.config.host,
+            port,
+            webSocketDebuggerUrl: `ws://${this.config.host}:${port}/session`
+        }));
+    }
+
+    /**
+     * BiDi client for the remote agent
+     */
+    async openConnection(endpoint) {
+        if (this.config.connect) {
+            return this.config.connect(endpoint);
+        }
+        return connectBiDi(endpoint.webSocketDebuggerUrl, this.config.connectTimeout);
+    }
+
+    /**
+     * Start a session, subscribe to tab events and install the tab state script in open and future tabs
+     */
+    async subscribe(browser) {
+        const { client } = browser;
+        const channel = { type: 'channel', value: { channel: CHANNEL } };
+
+        await client.send('session.new', { capabilities: {} });
+        await client.send('session.subscribe', { events: EVENTS });
+        await client.send('script.addPreloadScript', { functionDeclaration: TAB_STATE_FUNCTION, arguments: [channel], sandbox: SANDBOX });
+
+        const { contexts } = await client.send('browsingContext.getTree', { maxDepth: 0 });
+        for (const context of contexts) {
+            this.trackContext(browser, context);
+            client.send('script.callFunction', {
+                functionDeclaration: TAB_STATE_FUNCTION,
+                arguments: [channel],
+                target: { context: context.context, sandbox: SANDBOX },
+                awaitPromise: false
+            }).catch(() => {}); // about: pages don't run content scripts
+        }
+    }
+
+    /**
+     * Dispatch a BiDi event
+     */
+    handleEvent(browser, { method, params }) {
+        switch (method) {
+            case 'browsingContext.contextCreated':
+                if (!params.parent) this.trackContext(browser, params);
+                break;
+            case 'browsingContext.contextDestroyed':
+                this.removeTab(params.context);
+                break;
+            case 'browsingContext.fragmentNavigated': {
+                const tab = this.tabs.get(params.context);
+                if (tab) this.updateTab({ targetId: tab.targetId, url: params.url, title: tab.title });
+                break;
+            }
+            case 'script.message':
+                if (params.channel === CHANNEL && this.tabs.has(params.source?.context)) {
+                    this.updateContextState(params.source.context, params.data?.value);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Read a tab's live document without navigating or reloading it (BiDi has no DOM domain)
+     */
+    async captureDom(contextId) {
+        const tab = this.tabs.get(contextId);
+        const browser = tab && this.browsers.get(tab.browserKey);
+        if (!browser) {
+            throw new Error('Tab is not tracked');
+        }
+
+        const evaluation = await browser.client.send('script.evaluate', {
+            expression: PAGE_STATE_SCRIPT(this.config.captureTimeout),
+            target: { context: contextId, sandbox: SANDBOX },
+            awaitPromise: true
+        });
+        if (evaluation.type === 'exception') {
+            throw new Error(`Reading the page failed: ${evaluation.exceptionDetails?.text}`);
+        }
+        const state = JSON.parse(evaluation.result.value);
+
+        return {
+            url: state.url,
+            title: state.title,
+            content: `<!DOCTYPE html>\n${state.html}`,
+            textContent: state.text,
+            method: 'live-dom',
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Track a top-level browsing context (a tab)
+     */
+    trackContext(browser, context) {
+        if (this.tabs.has(context.context)) return;
+
+        const tab = this.addTab(browser, {
+            targetId: context.context,
+            url: context.url,
+            windowId: context.clientWindow ?? null
+        });
+        this.emit('tab-updated', this.describe(tab));
+    }
+
+    /**
+     * Report from a tab's script: a new document's URL counts as navigation, then visibility/focus
+     */
+    updateContextState(contextId, payload) {
+        let state;
+        try {
+            state = JSON.parse(payload);
+        } catch {
+            return;
+        }
+
+        const tab = this.tabs.get(contextId);
+        if (state.url !== tab.url || state.title !== tab.title) {
+            this.updateTab({ targetId: contextId, url: state.url, title: state.title });
+        }
+        this.updateTabState(contextId, payload);
+    }
+}
+
+/**
+ * Minimal WebDriver BiDi client with the CDP client's surface: send(), 'event', 'disconnect', close()
+ */
+async function connectBiDi(url, timeout) {
+    const socket = new WebSocket(url, { handshakeTimeout: timeout });
+    await new Promise((resolve, reject) => {
+        socket.once('open', resolve);
+        socket.once('error', reject);
+    });
+
+    const client = new EventEmitter();
+    const pending = new Map();
+    let nextId = 1;
+
+    socket.on('message', data => {
+        const message = JSON.parse(data);
+        if (message.type === 'event') {
+            client.emit('event', { method: message.method, params: message.params });
+            return;
+        }
+
+        const request = pending.get(message.id);
+        if (!request) return;
+        pending.delete(message.id);
+        if (message.type === 'error') {
+            request.reject(new Error(`${message.error}: ${message.message}`));
+        } else {
+            request.resolve(message.result);
+        }
+    });
+    socket.on('error', () => {}); // Followed by close
+    socket.on('close', () => {
+        pending.forEach(request => request.reject(new Error('WebDriver BiDi connection closed')));
+        pending.clear();
+        client.emit('disconnect');
+    });
+
+    client.send = (method, params = {}) => new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        socket.send(JSON.stringify({ id, method, params }));
+    });
+    client.close = async () => socket.close();
+    return client;
+}
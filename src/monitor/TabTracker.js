@@ -0,0 +1,457 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Runtime binding the page script reports visibility and focus through
+ */
+const BINDING = '__dataScraperTabState';
+
+/**
+ * Isolated world the tracker's scripts run in; the binding exists only there, so page scripts can't
+ * call it to report a background tab as focused
+ */
+const WORLD = '__dataScraperTracker';
+
+/**
+ * Runs in every tab (current and future documents) and reports visibility/focus changes
+ */
+const VISIBILITY_SCRIPT = `(() => {
+    if (window.${BINDING}Installed || typeof window.${BINDING} !== 'function') return;
+    window.${BINDING}Installed = true;
+    const report = () => window.${BINDING}(JSON.stringify({
+        visible: document.visibilityState === 'visible',
+        focused: document.visibilityState === 'visible' && document.hasFocus()
+    }));
+    document.addEventListener('visibilitychange', report);
+    window.addEventListener('focus', report);
+    window.addEventListener('blur', report);
+    window.addEventListener('pageshow', report);
+    report();
+})()`;
+
+/**
+ * Waits for the page to finish loading (at most timeout ms), then reports its URL, title and rendered text
+ */
+const PAGE_STATE_SCRIPT = timeout => `new Promise(resolve => {
+    const done = () => resolve(JSON.stringify({
+        url: location.href,
+        title: document.title,
+        text: document.body ? document.body.innerText : ''
+    }));
+    if (document.readyState === 'complete') return done();
+    window.addEventListener('load', done, { once: true });
+    setTimeout(done, ${timeout});
+})`;
+
+/**
+ * Tab Tracker - Follows the tabs of Chromium-based browsers over one persistent CDP connection each
+ * - Target discovery (targetCreated/targetInfoChanged/targetDestroyed) tracks every tab of every window
+ * - A small script in each tab reports visibility and focus through a Runtime binding, so the
+ *   focused tab is known without polling; script and binding live in an isolated world, and URLs
+ *   come from target events, never from the page
+ * - 'url-changed' is emitted only when the focused tab navigates or focus moves to another tab;
+ *   'tab-updated' reports changes to any tab
+ * - captureDom() reads a tab's live document (read-only) for scraping what the user actually sees
+ * Browsers are found with DevToolsDiscovery; new ones are picked up every discoveryInterval ms.
+ */
+export class TabTracker extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = {
+            discovery: null, // DevToolsDiscovery
+            connect: null, // async endpoint => CDP client (defaults to chrome-remote-interface)
+            discoveryInterval: 10000,
+            captureTimeout: 5000, // Longest wait for a loading page before its DOM is read anyway
+            ...config
+        };
+
+        this.browsers = new Map(); // host:port -> { key, endpoint, client, sessions: Map(sessionId -> targetId) }
+        this.tabs = new Map(); // targetId -> tab state
+        this.focusedTabId = null;
+        this.connectErrors = new Map(); // host:port -> last connection error message
+        this.discoveryTimer = null;
+        this.isTracking = false;
+    }
+
+    /**
+     * Connect to the browsers that are running now and keep looking for new ones
+     */
+    async start() {
+        if (this.isTracking) return;
+        this.isTracking = true;
+
+        await this.refresh();
+        this.discoveryTimer = setInterval(() => {
+            this.refresh().catch(error => console.error('Tab tracker discovery failed:', error.message));
+        }, this.config.discoveryInterval);
+    }
+
+    /**
+     * Close all connections
+     */
+    async stop() {
+        this.isTracking = false;
+        clearInterval(this.discoveryTimer);
+        this.discoveryTimer = null;
+
+        const browsers = [...this.browsers.values()];
+        this.browsers.clear();
+        this.tabs.clear();
+        this.focusedTabId = null;
+        await Promise.all(browsers.map(browser => browser.client.close().catch(() => {})));
+    }
+
+    /**
+     * Connect to discovered endpoints that aren't tracked yet
+     */
+    async refresh() {
+        const endpoints = await this.discoverEndpoints();
+
+        for (const endpoint of endpoints) {
+            const key = `${endpoint.host}:${endpoint.port}`;
+            if (this.browsers.has(key) || !endpoint.webSocketDebuggerUrl) continue;
+
+            try {
+                await this.connectBrowser(key, endpoint);
+                this.connectErrors.delete(key);
+            } catch (error) {
+                // Every refresh retries; the same failure is only logged once
+                if (this.connectErrors.get(key) !== error.message) {
+                    console.error(`Tab tracker could not connect to ${key}:`, error.message);
+                }
+                this.connectErrors.set(key, error.message);
+            }
+        }
+    }
+
+    /**
+     * Browser endpoints to connect to
+     * @returns {Promise<Array<{browser, host, port, webSocketDebuggerUrl}>>}
+     */
+    async discoverEndpoints() {
+        return this.config.discovery.discover({ refresh: true });
+    }
+
+    /**
+     * Open the browser-level connection and subscribe to target events
+     */
+    async connectBrowser(key, endpoint) {
+        const client = await this.openConnection(endpoint);
+        const browser = { key, endpoint, client, sessions: new Map() };
+        this.browsers.set(key, browser);
+
+        client.on('event', message => this.handleEvent(browser, message));
+        client.on('disconnect', () => this.handleDisconnect(browser));
+
+        try {
+            await this.subscribe(browser);
+        } catch (error) {
+            this.browsers.delete(key);
+            await client.close().catch(() => {});
+            throw error;
+        }
+        console.log(`Tracking tabs of ${endpoint.browser || 'browser'} on port ${endpoint.port}`);
+        this.emit('browser-connected', { browser: endpoint.browser, port: endpoint.port });
+    }
+
+    /**
+     * Subscribe to tab events; target discovery also reports the tabs that are already open
+     */
+    async subscribe(browser) {
+        await browser.client.send('Target.setDiscoverTargets', { discover: true });
+    }
+
+    /**
+     * CDP client for a browser endpoint
+     */
+    async openConnection(endpoint) {
+        if (this.config.connect) {
+            return this.config.connect(endpoint);
+        }
+
+        const CDP = await import('chrome-remote-interface');
+        return CDP.default({ target: endpoint.webSocketDebuggerUrl });
+    }
+
+    /**
+     * Dispatch a browser or tab session event
+     */
+    handleEvent(browser, { method, params, sessionId }) {
+        switch (method) {
+            case 'Target.targetCreated':
+                if (params.targetInfo.type === 'page') {
+                    this.trackTab(browser, params.targetInfo).catch(error => this.dropTab(browser, params.targetInfo.targetId, error));
+                }
+                break;
+            case 'Target.targetInfoChanged':
+                this.updateTab(params.targetInfo);
+                break;
+            case 'Target.targetDestroyed':
+                this.removeTab(params.targetId);
+                break;
+            case 'Target.detachedFromTarget':
+                browser.sessions.delete(params.sessionId);
+                break;
+            case 'Runtime.bindingCalled':
+                if (params.name === BINDING && browser.sessions.has(sessionId)) {
+                    this.updateTabState(browser.sessions.get(sessionId), params.payload);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Start tracking a tab: attach to it, install the visibility script and look up its window
+     */
+    async trackTab(browser, targetInfo) {
+        const tab = this.addTab(browser, targetInfo);
+
+        const { client } = browser;
+        const { sessionId } = await client.send('Target.attachToTarget', { targetId: tab.targetId, flatten: true });
+        browser.sessions.set(sessionId, tab.targetId);
+        tab.sessionId = sessionId;
+
+        try {
+            const { windowId } = await client.send('Browser.getWindowForTarget', { targetId: tab.targetId });
+            tab.windowId = windowId;
+        } catch {
+            // Some embedders don't implement the Browser domain; tabs then share an unknown window
+        }
+
+        await client.send('Runtime.addBinding', { name: BINDING, executionContextName: WORLD }, sessionId);
+        await client.send('Page.addScriptToEvaluateOnNewDocument', { source: VISIBILITY_SCRIPT, worldName: WORLD }, sessionId);
+        await client.send('Runtime.evaluate', {
+            expression: VISIBILITY_SCRIPT,
+            contextId: await this.isolatedContext(client, sessionId)
+        }, sessionId);
+        this.emit('tab-updated', this.describe(tab));
+    }
+
+    /**
+     * Execution context of the tracker's isolated world in a tab's current document
+     */
+    async isolatedContext(client, sessionId) {
+        const { frameTree } = await client.send('Page.getFrameTree', {}, sessionId);
+        const { executionContextId } = await client.send('Page.createIsolatedWorld', {
+            frameId: frameTree.frame.id,
+            worldName: WORLD
+        }, sessionId);
+        return executionContextId;
+    }
+
+    /**
+     * Stop tracking a tab that couldn't be set up (browser-internal pages, tabs closed meanwhile)
+     */
+    dropTab(browser, targetId, error) {
+        const tab = this.tabs.get(targetId);
+        if (tab?.sessionId) {
+            browser.sessions.delete(tab.sessionId);
+            browser.client.send('Target.detachFromTarget', { sessionId: tab.sessionId }).catch(() => {});
+        }
+        console.log(`Not tracking tab ${targetId}: ${error.message}`);
+        this.removeTab(targetId);
+    }
+
+    /**
+     * Start keeping state for a tab
+     */
+    addTab(browser, { targetId, url, title = '', windowId = null }) {
+        const tab = {
+            targetId,
+            browserKey: browser.key,
+            browser: browser.endpoint.browser,
+            url,
+            title,
+            windowId,
+            sessionId: null,
+            visible: false,
+            focused: false,
+            lastEmittedUrl: null
+        };
+        this.tabs.set(targetId, tab);
+        return tab;
+    }
+
+    /**
+     * Read a tab's live document without navigating or reloading it
+     * @returns {Promise<{url, title, content, textContent, method: 'live-dom', timestamp}>} Raw page data
+     *   for the extraction pipeline
+     */
+    async captureDom(targetId) {
+        const tab = this.tabs.get(targetId);
+        const browser = tab && this.browsers.get(tab.browserKey);
+        if (!browser || !tab.sessionId) {
+            throw new Error('Tab is not attached');
+        }
+
+        const { client } = browser;
+        const { sessionId } = tab;
+        const { result, exceptionDetails } = await client.send('Runtime.evaluate', {
+            expression: PAGE_STATE_SCRIPT(this.config.captureTimeout),
+            contextId: await this.isolatedContext(client, sessionId), // Page scripts can't patch what it reads
+            awaitPromise: true,
+            returnByValue: true
+        }, sessionId);
+        if (exceptionDetails) {
+            throw new Error(`Reading the page failed: ${exceptionDetails.text}`);
+        }
+        const state = JSON.parse(result.value);
+
+        // getDocument enables the DOM domain; it is turned off again so the tab doesn't stream DOM events
+        let content;
+        try {
+            const { root } = await client.send('DOM.getDocument', { depth: 0 }, sessionId);
+            ({ outerHTML: content } = await client.send('DOM.getOuterHTML', { nodeId: root.nodeId }, sessionId));
+        } finally {
+            await client.send('DOM.disable', {}, sessionId).catch(() => {});
+        }
+
+        return {
+            url: state.url,
+            title: state.title,
+            content,
+            textContent: state.text,
+            method: 'live-dom',
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * A tab's URL or title changed; only a navigation of the focused tab is reported as url-changed
+     */
+    updateTab(targetInfo) {
+        const tab = this.tabs.get(targetInfo.targetId);
+        if (!tab) return;
+
+        const navigated = targetInfo.url !== tab.url;
+        tab.url = targetInfo.url;
+        tab.title = targetInfo.title;
+        this.emit('tab-updated', this.describe(tab));
+
+        if (navigated && tab.targetId === this.focusedTabId && tab.visible) {
+            this.emitUrl(tab, 'navigated');
+        }
+    }
+
+    /**
+     * Visibility/focus report from a tab's script
+     */
+    updateTabState(targetId, payload) {
+        const tab = this.tabs.get(targetId);
+        if (!tab) return;
+
+        let state;
+        try {
+            state = JSON.parse(payload);
+        } catch {
+            return;
+        }
+
+        tab.visible = Boolean(state.visible);
+        tab.focused = Boolean(state.focused);
+        this.emit('tab-updated', this.describe(tab));
+
+        if (tab.focused && this.focusedTabId !== targetId) {
+            const previous = this.tabs.get(this.focusedTabId);
+            if (previous) previous.focused = false;
+            this.focusedTabId = targetId;
+            this.emitUrl(tab, 'focused');
+        }
+    }
+
+    /**
+     * Report a focused tab's URL once per URL (switching back to a tab doesn't repeat it)
+     */
+    emitUrl(tab, reason) {
+        if (!/^https?:/i.test(tab.url) || tab.url === tab.lastEmittedUrl) return;
+
+        tab.lastEmittedUrl = tab.url;
+        this.emit('url-changed', {
+            url: tab.url,
+            title: tab.title,
+            browser: tab.browser,
+            targetId: tab.targetId,
+            windowId: tab.windowId,
+            reason,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Forget a closed tab
+     */
+    removeTab(targetId) {
+        const tab = this.tabs.get(targetId);
+        if (!tab) return;
+
+        this.tabs.delete(targetId);
+        if (this.focusedTabId === targetId) this.focusedTabId = null;
+        this.emit('tab-closed', this.describe(tab));
+    }
+
+    /**
+     * The browser closed or crashed: drop its tabs; discovery reconnects when it comes back
+     */
+    handleDisconnect(browser) {
+        if (this.browsers.get(browser.key) !== browser) return;
+
+        this.browsers.delete(browser.key);
+        for (const tab of [...this.tabs.values()]) {
+            if (tab.browserKey === browser.key) this.removeTab(tab.targetId);
+        }
+        this.config.discovery?.invalidate?.();
+        console.log(`Stopped tracking tabs on ${browser.key}: browser disconnected`);
+        this.emit('browser-disconnected', { browser: browser.endpoint.browser, port: browser.endpoint.port });
+    }
+
+    /**
+     * Public view of a tab
+     */
+    describe(tab) {
+        const { targetId, browser, url, title, windowId, visible, focused } = tab;
+        return { targetId, browser, url, title, windowId, visible, focused };
+    }
+
+    /**
+     * Whether a browser (by BrowserMonitor name) is tracked over CDP
+     */
+    tracksBrowser(browserName) {
+        return [...this.browsers.values()].some(browser => browser.endpoint.browser === browserName);
+    }
+
+    /**
+     * Whether a tab (by target id) is tracked
+     */
+    hasTab(targetId) {
+        return this.tabs.has(targetId);
+    }
+
+    /**
+     * Every tracked tab
+     */
+    getTabs() {
+        return [...this.tabs.values()].map(tab => this.describe(tab));
+    }
+
+    /**
+     * The focused tab, or null
+     */
+    getFocusedTab() {
+        const tab = this.tabs.get(this.focusedTabId);
+        return tab ? this.describe(tab) : null;
+    }
+
+    /**
+     * Open windows with their visible tab and tab count
+     */
+    getWindows() {
+        const windows = new Map();
+        for (const tab of this.tabs.values()) {
+            const key = `${tab.browserKey}/${tab.windowId}`;
+            const window = windows.get(key) || { browser: tab.browser, windowId: tab.windowId, activeTab: null, tabCount: 0 };
+            window.tabCount++;
+            if (tab.visible) window.activeTab = this.describe(tab);
+            windows.set(key, window);
+        }
+        return [...windows.values()];
+    }
+}
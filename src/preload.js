@@ -14,14 +14,28 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   // Data export
   exportCSV: (filePath) => ipcRenderer.invoke('export-csv', filePath),
+  exportVCard: (filePath, options) => ipcRenderer.invoke('export-vcard', filePath, options),
   exportGoogleSheets: () => ipcRenderer.invoke('export-google-sheets'),
   getScrapedData: () => ipcRenderer.invoke('get-scraped-data'),
 
+  // Batch jobs from imported URL lists
+  importUrlList: (filePath, options) => ipcRenderer.invoke('import-url-list', filePath, options),
+  getBatchJobs: () => ipcRenderer.invoke('get-batch-jobs'),
+  getBatchJob: (jobId) => ipcRenderer.invoke('get-batch-job', jobId),
+  retryBatchJob: (jobId) => ipcRenderer.invoke('retry-batch-job', jobId),
+  cancelBatchJob: (jobId) => ipcRenderer.invoke('cancel-batch-job', jobId),
+
+  // Companion browser extension
+  getExtensionPairing: () => ipcRenderer.invoke('get-extension-pairing'),
+
   // Event listeners
   onDataScraped: (callback) => ipcRenderer.on('data-scraped', callback),
   onScraperError: (callback) => ipcRenderer.on('scraper-error', callback),
   onStatusUpdate: (callback) => ipcRenderer.on('status-update', callback),
   onShowSettings: (callback) => ipcRenderer.on('show-settings', callback),
+  onBatchProgress: (callback) => ipcRenderer.on('batch-progress', callback),
+  onBatchCompleted: (callback) => ipcRenderer.on('batch-completed', callback),
+  onBrowserSetupRequired: (callback) => ipcRenderer.on('browser-setup-required', callback),
 
   // Clean up listeners
   removeAllListeners: (channel) => ipcRenderer.removeAllListeners(channel)
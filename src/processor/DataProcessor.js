@@ -1,3 +1,5 @@
+import { PhoneNumberParser } from './PhoneNumberParser.js';
+
 /**
  * Data Processor - Cleans, validates, and deduplicates contact information
  */
@@ -13,6 +15,7 @@ export class DataProcessor {
         this.processedData = new Map(); // For deduplication
         this.emailPatterns = this.initializeEmailPatterns();
         this.phonePatterns = this.initializePhonePatterns();
+        this.phoneParser = new PhoneNumberParser({ defaultRegion: this.config.defaultPhoneRegion || 'US' });
         this.namePatterns = this.initializeNamePatterns();
     }
 
@@ -25,12 +28,15 @@ export class DataProcessor {
             emails: [],
             phones: [],
             names: [],
+            addresses: [],
+            socialProfiles: [],
+            people: [],
             processedAt: new Date().toISOString()
         };
 
         // Process emails
         if (rawData.emails && rawData.emails.length > 0) {
-            processed.emails = await this.processEmails(rawData.emails, rawData.url);
+            processed.emails = await this.processEmails(rawData.emails, rawData.url, rawData.obfuscatedEmails);
         }
 
         // Process phone numbers
@@ -43,6 +49,21 @@ export class DataProcessor {
             processed.names = await this.processNames(rawData.names, rawData.url);
         }
 
+        // Process postal addresses
+        if (rawData.addresses && rawData.addresses.length > 0) {
+            processed.addresses = await this.processAddresses(rawData.addresses, rawData.url);
+        }
+
+        // Process social profiles and messaging handles
+        if (rawData.socialProfiles && rawData.socialProfiles.length > 0) {
+            processed.socialProfiles = await this.processSocialProfiles(rawData.socialProfiles, rawData.url);
+        }
+
+        // Process person records from team/staff pages
+        if (rawData.people && rawData.people.length > 0) {
+            processed.people = await this.processPeople(rawData.people, rawData.url);
+        }
+
         // Deduplicate if enabled
         if (this.config.enableDeduplication) {
             return this.deduplicateData(processed);
@@ -53,10 +74,12 @@ export class DataProcessor {
 
     /**
      * Process and validate email addresses
+     * @param {Array} obfuscated - [{ email, technique }] for addresses recovered by deobfuscation
      */
-    async processEmails(emails, sourceUrl = '') {
+    async processEmails(emails, sourceUrl = '', obfuscated = []) {
         const processed = [];
         const seenEmails = new Set();
+        const techniques = new Map((obfuscated || []).map(item => [this.cleanEmail(item.email), item.technique]));
 
         for (const email of emails) {
             const cleanEmail = this.cleanEmail(email);
@@ -79,6 +102,7 @@ export class DataProcessor {
                 domain: this.extractEmailDomain(cleanEmail),
                 type: this.classifyEmailType(cleanEmail),
                 confidence: this.calculateEmailConfidence(cleanEmail, sourceUrl),
+                obfuscation: techniques.get(cleanEmail) || null,
                 source: sourceUrl,
                 foundAt: new Date().toISOString()
             };
@@ -97,30 +121,41 @@ export class DataProcessor {
     async processPhones(phones, sourceUrl = '') {
         const processed = [];
         const seenPhones = new Set();
+        const region = this.phoneParser.regionForPage(sourceUrl);
 
         for (const phone of phones) {
             const cleanPhone = this.cleanPhone(phone);
-            
-            if (!cleanPhone || seenPhones.has(cleanPhone)) {
+            if (!cleanPhone) {
+                continue;
+            }
+
+            if (this.config.enableValidation && !this.isValidPhone(cleanPhone, region)) {
                 continue;
             }
 
-            if (this.config.enableValidation && !this.isValidPhone(cleanPhone)) {
+            const parsed = this.phoneParser.parse(cleanPhone, region);
+            const key = this.phoneKey(cleanPhone, parsed);
+            if (seenPhones.has(key)) {
                 continue;
             }
 
             const processedPhone = {
                 phone: cleanPhone,
-                formatted: this.formatPhone(cleanPhone),
-                country: this.detectPhoneCountry(cleanPhone),
-                type: this.classifyPhoneType(cleanPhone),
-                confidence: this.calculatePhoneConfidence(cleanPhone, sourceUrl),
+                formatted: parsed && parsed.valid ? parsed.international : cleanPhone,
+                e164: parsed ? parsed.e164 : null,
+                country: parsed && parsed.country ? parsed.country : 'Unknown',
+                region: parsed ? parsed.region : null,
+                type: parsed ? parsed.type : 'unknown',
+                extension: parsed ? parsed.extension : null,
+                vanity: parsed ? parsed.vanity : null,
+                valid: Boolean(parsed && parsed.valid),
+                confidence: this.calculatePhoneConfidence(cleanPhone, sourceUrl, parsed),
                 source: sourceUrl,
                 foundAt: new Date().toISOString()
             };
 
             processed.push(processedPhone);
-            seenPhones.add(cleanPhone);
+            seenPhones.add(key);
         }
 
         return processed.sort((a, b) => b.confidence - a.confidence);
@@ -161,6 +196,111 @@ export class DataProcessor {
         return processed.sort((a, b) => b.confidence - a.confidence);
     }
 
+    /**
+     * Process and validate postal addresses
+     */
+    async processAddresses(addresses, sourceUrl = '') {
+        const processed = [];
+        const seenAddresses = new Set();
+
+        for (const address of addresses) {
+            const cleanAddress = this.cleanAddress(address);
+            
+            if (!cleanAddress || seenAddresses.has(cleanAddress.formatted.toLowerCase())) {
+                continue;
+            }
+
+            if (this.config.enableValidation && !this.isValidAddress(cleanAddress)) {
+                continue;
+            }
+
+            const processedAddress = {
+                ...cleanAddress,
+                confidence: address.confidence || this.calculateAddressConfidence(cleanAddress, sourceUrl),
+                source: sourceUrl,
+                foundAt: new Date().toISOString()
+            };
+
+            processed.push(processedAddress);
+            seenAddresses.add(cleanAddress.formatted.toLowerCase());
+        }
+
+        return processed.sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * Process and validate social profiles and messaging handles
+     */
+    async processSocialProfiles(profiles, sourceUrl = '') {
+        const processed = [];
+        const seenUrls = new Set();
+
+        for (const profile of profiles) {
+            if (!profile || typeof profile !== 'object' || seenUrls.has(String(profile.url).toLowerCase())) {
+                continue;
+            }
+
+            if (this.config.enableValidation && !this.isValidSocialProfile(profile)) {
+                continue;
+            }
+
+            processed.push({
+                platform: profile.platform,
+                handle: profile.handle ? String(profile.handle).trim() : null,
+                url: profile.url.trim(),
+                relation: profile.relation || 'mention',
+                extractedFrom: profile.extractedFrom || null,
+                confidence: profile.confidence || 0.5,
+                source: sourceUrl,
+                foundAt: new Date().toISOString()
+            });
+            seenUrls.add(profile.url.toLowerCase());
+        }
+
+        return processed.sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * Process and validate person records (name linked to title, email and phone)
+     */
+    async processPeople(people, sourceUrl = '') {
+        const processed = [];
+        const seenNames = new Set();
+
+        for (const person of people) {
+            const name = person && person.name ? person.name.replace(/\s+/g, ' ').trim() : '';
+
+            if (!name || seenNames.has(name.toLowerCase())) {
+                continue;
+            }
+
+            if (this.config.enableValidation && !this.isValidName(name)) {
+                continue;
+            }
+
+            const email = person.email ? this.cleanEmail(person.email) : null;
+            const phone = person.phone ? this.cleanPhone(person.phone) : null;
+
+            processed.push({
+                name,
+                title: person.title || null,
+                organization: person.organization || null,
+                email: email && this.isValidEmail(email) ? email : null,
+                phone: phone && this.isValidPhone(phone) ? this.formatPhone(phone, this.phoneParser.regionForPage(sourceUrl)) : null,
+                address: person.address || null,
+                url: person.url || null,
+                photoUrl: person.photoUrl || null,
+                extractedFrom: person.extractedFrom || null,
+                confidence: person.confidence || 0.5,
+                source: sourceUrl,
+                foundAt: new Date().toISOString()
+            });
+            seenNames.add(name.toLowerCase());
+        }
+
+        return processed;
+    }
+
     /**
      * Clean email address
      */
@@ -181,11 +321,17 @@ export class DataProcessor {
     cleanPhone(phone) {
         if (!phone) return null;
         
-        return phone
-            .trim()
-            .replace(/^tel:/i, '') // Remove tel:
+        const trimmed = phone.trim().replace(/^tel:/i, ''); // Remove tel:
+        
+        // Keypad letters are the number (1-800-FLOWERS)
+        if (this.phoneParser.isVanity(trimmed)) return trimmed.trim();
+        
+        const [number, extension] = this.phoneParser.normalizeExtension(trimmed).split(' ext. ');
+        const cleaned = number
             .replace(/[^\d+\-\(\)\s\.]/g, '') // Keep only valid phone characters
             .trim();
+        
+        return extension ? `${cleaned} ext. ${extension}` : cleaned;
     }
 
     /**
@@ -202,6 +348,43 @@ export class DataProcessor {
             .trim();
     }
 
+    /**
+     * Clean postal address (accepts structured objects or single-line strings)
+     */
+    cleanAddress(address) {
+        if (!address) return null;
+
+        const clean = (value) => value ? String(value).replace(/\s+/g, ' ').trim() || null : null;
+
+        if (typeof address === 'string') {
+            const formatted = clean(address);
+            if (!formatted) return null;
+            return {
+                street: null,
+                city: null,
+                region: null,
+                postalCode: null,
+                country: null,
+                formatted,
+                extractedFrom: null
+            };
+        }
+
+        const cleaned = {
+            street: clean(address.street),
+            city: clean(address.city),
+            region: clean(address.region),
+            postalCode: clean(address.postalCode),
+            country: clean(address.country),
+            extractedFrom: address.extractedFrom || null
+        };
+
+        cleaned.formatted = clean(address.formatted) ||
+            [cleaned.street, cleaned.city, cleaned.region, cleaned.postalCode, cleaned.country].filter(Boolean).join(', ');
+
+        return cleaned.formatted ? cleaned : null;
+    }
+
     /**
      * Validate email address
      */
@@ -213,8 +396,10 @@ export class DataProcessor {
     /**
      * Validate phone number
      */
-    isValidPhone(phone) {
-        const digits = phone.replace(/\D/g, '');
+    isValidPhone(phone, region = null) {
+        // Count digits of the parsed number so extensions and keypad letters don't skew the length
+        const parsed = this.phoneParser.parse(phone, region);
+        const digits = (parsed ? parsed.e164 : phone).replace(/\D/g, '');
         return digits.length >= 7 && digits.length <= 15;
     }
 
@@ -239,6 +424,27 @@ export class DataProcessor {
         return true;
     }
 
+    /**
+     * Validate postal address
+     */
+    isValidAddress(address) {
+        if (!address.formatted || address.formatted.length < 8 || address.formatted.length > 250) return false;
+        
+        // Must contain a letter and a digit (house number or postal code)
+        return /[a-zA-Z]/.test(address.formatted) && /\d/.test(address.formatted);
+    }
+
+    /**
+     * Validate social profile
+     */
+    isValidSocialProfile(profile) {
+        if (!profile.platform || typeof profile.url !== 'string') return false;
+        if (profile.url.length < 8 || profile.url.length > 500) return false;
+
+        // Profiles need a handle; share buttons and embeds are identified by their URL
+        return Boolean(profile.handle) || ['share', 'embed'].includes(profile.relation);
+    }
+
     /**
      * Check for spam/fake emails
      */
@@ -313,48 +519,39 @@ export class DataProcessor {
     /**
      * Format phone number for display
      */
-    formatPhone(phone) {
-        const digits = phone.replace(/\D/g, '');
-        
-        // US format
-        if (digits.length === 10) {
-            return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
-        }
-        
-        // US format with country code
-        if (digits.length === 11 && digits.startsWith('1')) {
-            return `+1 (${digits.slice(1, 4)}) ${digits.slice(4, 7)}-${digits.slice(7)}`;
-        }
+    formatPhone(phone, region = null) {
+        const parsed = this.phoneParser.parse(phone, region);
         
-        // International format
-        if (digits.length > 11) {
-            return `+${digits}`;
+        // International format, e.g. +44 20 7946 0011
+        if (parsed && parsed.valid) {
+            return parsed.international;
         }
         
         return phone; // Return original if can't format
     }
 
     /**
-     * Detect phone country
+     * Detect phone country (ISO 3166 code, from the country calling code or the default region)
      */
-    detectPhoneCountry(phone) {
-        const digits = phone.replace(/\D/g, '');
-        
-        if (digits.length === 10 || (digits.length === 11 && digits.startsWith('1'))) {
-            return 'US';
-        }
-        
-        // Add more country detection logic as needed
-        return 'Unknown';
+    detectPhoneCountry(phone, region = null) {
+        const parsed = this.phoneParser.parse(phone, region);
+        return parsed && parsed.country ? parsed.country : 'Unknown';
     }
 
     /**
-     * Classify phone type
+     * Classify phone line type (mobile, fixed, toll-free, premium, ...)
      */
-    classifyPhoneType(phone) {
-        // This is a basic implementation
-        // In practice, you'd use a phone number library for accurate detection
-        return 'unknown';
+    classifyPhoneType(phone, region = null) {
+        const parsed = this.phoneParser.parse(phone, region);
+        return parsed ? parsed.type : 'unknown';
+    }
+
+    /**
+     * Deduplication key for a phone: E.164 plus extension when the number parses
+     */
+    phoneKey(phone, parsed = this.phoneParser.parse(phone)) {
+        if (!parsed) return phone.replace(/\D/g, '');
+        return parsed.extension ? `${parsed.e164};ext=${parsed.extension}` : parsed.e164;
     }
 
     /**
@@ -410,7 +607,7 @@ export class DataProcessor {
         return Math.min(1.0, Math.max(0.1, confidence));
     }
 
-    calculatePhoneConfidence(phone, sourceUrl) {
+    calculatePhoneConfidence(phone, sourceUrl, parsed = this.phoneParser.parse(phone)) {
         let confidence = 0.5; // Base confidence
         
         // Boost for contact pages
@@ -418,10 +615,16 @@ export class DataProcessor {
             confidence += 0.3;
         }
         
-        // Boost for properly formatted numbers
-        const digits = phone.replace(/\D/g, '');
-        if (digits.length === 10 || digits.length === 11) {
+        // Boost for numbers valid in their numbering plan, penalize the rest
+        if (parsed && parsed.valid) {
             confidence += 0.2;
+        } else {
+            confidence -= 0.2;
+        }
+        
+        // Premium-rate lines are rarely the contact number
+        if (parsed && parsed.type === 'premium') {
+            confidence -= 0.2;
         }
         
         return Math.min(1.0, Math.max(0.1, confidence));
@@ -443,6 +646,22 @@ export class DataProcessor {
         return Math.min(1.0, Math.max(0.1, confidence));
     }
 
+    calculateAddressConfidence(address, sourceUrl) {
+        let confidence = 0.4; // Base confidence
+        
+        // Boost for contact/location pages
+        if (/contact|location|about|impressum|imprint/.test(sourceUrl.toLowerCase())) {
+            confidence += 0.2;
+        }
+        
+        // Boost for complete addresses
+        if (address.street && address.postalCode) {
+            confidence += 0.2;
+        }
+        
+        return Math.min(1.0, Math.max(0.1, confidence));
+    }
+
     /**
      * Deduplicate data across all sources
      */
@@ -458,6 +677,15 @@ export class DataProcessor {
         // Deduplicate names
         deduped.names = this.deduplicateNames(data.names);
         
+        // Deduplicate addresses
+        deduped.addresses = this.deduplicateAddresses(data.addresses || []);
+
+        // Deduplicate social profiles
+        deduped.socialProfiles = this.deduplicateSocialProfiles(data.socialProfiles || []);
+
+        // Deduplicate people
+        deduped.people = this.deduplicatePeople(data.people || []);
+        
         return deduped;
     }
 
@@ -480,7 +708,9 @@ export class DataProcessor {
     deduplicatePhones(phones) {
         const seen = new Set();
         return phones.filter(phoneObj => {
-            const key = phoneObj.phone.replace(/\D/g, ''); // Compare by digits only
+            const key = phoneObj.e164
+                ? (phoneObj.extension ? `${phoneObj.e164};ext=${phoneObj.extension}` : phoneObj.e164)
+                : phoneObj.phone.replace(/\D/g, ''); // Compare by digits only
             if (seen.has(key)) return false;
             seen.add(key);
             return true;
@@ -500,6 +730,47 @@ export class DataProcessor {
         });
     }
 
+    /**
+     * Deduplicate addresses
+     */
+    deduplicateAddresses(addresses) {
+        const seen = new Set();
+        return addresses.filter(addressObj => {
+            const key = addressObj.formatted.toLowerCase().replace(/[^a-z0-9]/g, '');
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Deduplicate social profiles (one entry per platform handle)
+     */
+    deduplicateSocialProfiles(profiles) {
+        const seen = new Set();
+        return profiles.filter(profileObj => {
+            const key = profileObj.handle && !['share', 'embed'].includes(profileObj.relation)
+                ? `${profileObj.platform}:${profileObj.handle.toLowerCase()}`
+                : profileObj.url.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Deduplicate people (same name, or same personal email)
+     */
+    deduplicatePeople(people) {
+        const seen = new Set();
+        return people.filter(personObj => {
+            const keys = [personObj.name.toLowerCase(), personObj.email].filter(Boolean);
+            if (keys.some(key => seen.has(key))) return false;
+            keys.forEach(key => seen.add(key));
+            return true;
+        });
+    }
+
     /**
      * Initialize regex patterns
      */
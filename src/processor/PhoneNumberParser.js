@@ -0,0 +1,224 @@
+import { parsePhoneNumberFromString, isSupportedCountry } from 'libphonenumber-js/max';
+
+// libphonenumber line types mapped to the types we store
+const LINE_TYPES = {
+    MOBILE: 'mobile',
+    FIXED_LINE: 'fixed',
+    FIXED_LINE_OR_MOBILE: 'fixed-or-mobile',
+    TOLL_FREE: 'toll-free',
+    PREMIUM_RATE: 'premium',
+    SHARED_COST: 'shared-cost',
+    VOIP: 'voip',
+    PERSONAL_NUMBER: 'personal',
+    PAGER: 'pager',
+    UAN: 'uan',
+    VOICEMAIL: 'voicemail'
+};
+
+// Country implied by a bare language code (used when <html lang> carries no region)
+const LANGUAGE_COUNTRIES = {
+    de: 'DE', fr: 'FR', nl: 'NL', it: 'IT', es: 'ES', pt: 'PT', pl: 'PL', sv: 'SE',
+    da: 'DK', nb: 'NO', nn: 'NO', no: 'NO', fi: 'FI', cs: 'CZ', sk: 'SK', hu: 'HU',
+    ro: 'RO', el: 'GR', bg: 'BG', hr: 'HR', sl: 'SI', et: 'EE', lv: 'LV', lt: 'LT', ja: 'JP'
+};
+
+// ccTLDs that are not the ISO code of their country
+const TLD_ALIASES = { uk: 'GB' };
+
+// ccTLDs marketed as generic domains (startup.io, brand.co) that say nothing about the country
+const GENERIC_TLDS = new Set(['io', 'co', 'ai', 'me', 'tv', 'ly', 'fm', 'gg', 'to', 'cc', 'ws', 'sh', 'ac', 'la', 'so', 'vc']);
+
+// Geographic areas for NANP area codes (state/province)
+const NANP_AREA_CODES = {
+    AL: '205 251 256 334 659 938', AK: '907', AZ: '480 520 602 623 928', AR: '479 501 870',
+    CA: '209 213 279 310 323 341 350 408 415 424 442 510 530 559 562 619 626 628 650 657 661 669 707 714 747 760 805 818 820 831 840 858 909 916 925 949 951',
+    CO: '303 719 720 970 983', CT: '203 475 860 959', DE: '302', DC: '202 771',
+    FL: '239 305 321 352 386 407 448 561 656 727 754 772 786 813 850 863 904 941 954',
+    GA: '229 404 470 478 678 706 762 770 912 943', HI: '808', ID: '208 986',
+    IL: '217 224 309 312 331 447 464 618 630 708 773 779 815 847 872',
+    IN: '219 260 317 463 574 765 812 930', IA: '319 515 563 641 712', KS: '316 620 785 913',
+    KY: '270 364 502 606 859', LA: '225 318 337 504 985', ME: '207', MD: '227 240 301 410 443 667',
+    MA: '339 351 413 508 617 774 781 857 978', MI: '231 248 269 313 517 586 616 679 734 810 906 947 989',
+    MN: '218 320 507 612 651 763 952', MS: '228 601 662 769', MO: '314 417 557 573 636 660 816 975',
+    MT: '406', NE: '308 402 531', NV: '702 725 775', NH: '603', NJ: '201 551 609 640 732 848 856 862 908 973',
+    NM: '505 575', NY: '212 315 332 347 363 516 518 585 607 631 646 680 716 718 838 845 914 917 929 934',
+    NC: '252 336 472 704 743 828 910 919 980 984', ND: '701', OH: '216 220 234 326 330 380 419 440 513 567 614 740 937',
+    OK: '405 539 572 580 918', OR: '458 503 541 971', PA: '215 223 267 272 412 445 484 570 582 610 717 724 814 835 878',
+    RI: '401', SC: '803 821 839 843 854 864', SD: '605', TN: '423 615 629 731 865 901 931',
+    TX: '210 214 254 281 325 346 361 409 430 432 469 512 682 713 726 737 806 817 830 832 903 915 936 940 945 956 972 979',
+    UT: '385 435 801', VT: '802', VA: '276 434 540 571 703 757 804 826 948', WA: '206 253 360 425 509 564',
+    WV: '304 681', WI: '262 274 414 534 608 715 920', WY: '307',
+    AB: '368 403 587 780 825', BC: '236 250 604 672 778', MB: '204 431', NB: '428 506', NL: '709',
+    NS: '782 902', ON: '226 249 289 343 365 382 416 437 519 548 613 647 683 705 742 753 807 905',
+    QC: '263 354 367 418 438 450 468 514 579 581 819 873', SK: '306 474 639', YT: '867'
+};
+
+// Geographic areas for the main European fixed-line prefixes (national significant number prefix)
+const AREA_PREFIXES = {
+    GB: { '20': 'London', '121': 'Birmingham', '131': 'Edinburgh', '141': 'Glasgow', '151': 'Liverpool', '161': 'Manchester', '113': 'Leeds', '114': 'Sheffield', '115': 'Nottingham', '116': 'Leicester', '117': 'Bristol', '118': 'Reading', '28': 'Northern Ireland', '29': 'Cardiff' },
+    IE: { '1': 'Dublin', '21': 'Cork', '61': 'Limerick', '91': 'Galway' },
+    DE: { '30': 'Berlin', '40': 'Hamburg', '89': 'München', '69': 'Frankfurt am Main', '221': 'Köln', '211': 'Düsseldorf', '711': 'Stuttgart', '341': 'Leipzig', '351': 'Dresden', '911': 'Nürnberg' },
+    AT: { '1': 'Wien', '316': 'Graz', '662': 'Salzburg', '512': 'Innsbruck' },
+    CH: { '44': 'Zürich', '22': 'Genève', '31': 'Bern', '61': 'Basel' },
+    FR: { '1': 'Île-de-France', '2': 'Nord-Ouest', '3': 'Nord-Est', '4': 'Sud-Est', '5': 'Sud-Ouest' },
+    NL: { '20': 'Amsterdam', '10': 'Rotterdam', '70': 'Den Haag', '30': 'Utrecht', '40': 'Eindhoven' },
+    BE: { '2': 'Brussel/Bruxelles', '3': 'Antwerpen', '9': 'Gent', '4': 'Liège' },
+    ES: { '91': 'Madrid', '93': 'Barcelona', '96': 'Valencia', '95': 'Andalucía' },
+    IT: { '06': 'Roma', '02': 'Milano', '011': 'Torino', '055': 'Firenze', '081': 'Napoli' }
+};
+
+// Phone keypad letters for vanity numbers (1-800-FLOWERS)
+const KEYPAD = { ABC: '2', DEF: '3', GHI: '4', JKL: '5', MNO: '6', PQRS: '7', TUV: '8', WXYZ: '9' };
+
+/**
+ * Phone Number Parser - International parsing on libphonenumber numbering-plan metadata
+ * Produces E.164, country, region, line type, extension and vanity spelling for a raw number
+ */
+export class PhoneNumberParser {
+    constructor(config = {}) {
+        this.config = {
+            defaultRegion: 'US', // Used when neither the number nor the page names a country
+            ...config
+        };
+
+        this.nanpRegions = new Map();
+        Object.entries(NANP_AREA_CODES).forEach(([region, codes]) => {
+            codes.split(' ').forEach(code => this.nanpRegions.set(code, region));
+        });
+    }
+
+    /**
+     * Parse a raw phone string
+     * @param {string} raw - Number as found on the page (may include an extension or keypad letters)
+     * @param {string} [defaultRegion] - ISO country for numbers written in national format
+     * @returns {object|null} { e164, national, international, country, region, type, extension, vanity, valid }
+     */
+    parse(raw, defaultRegion = null) {
+        if (!raw || typeof raw !== 'string') return null;
+
+        const vanity = this.isVanity(raw) ? this.stripLabel(raw) : null;
+        const input = this.normalizeExtension(vanity ? this.vanityToDigits(raw) : raw)
+            .replace(/^(tel|callto|phone):\/{0,2}/i, '')
+            .replace(/^00(?=[1-9])/, '+');
+
+        const region = defaultRegion || this.config.defaultRegion;
+        let number;
+        try {
+            number = parsePhoneNumberFromString(input, region);
+        } catch (error) {
+            return null;
+        }
+        if (!number) return null;
+
+        const country = number.country || null;
+        const options = { formatExtension: (formatted, extension) => `${formatted} ext. ${extension}` };
+
+        return {
+            e164: number.number,
+            national: number.formatNational(options),
+            international: number.formatInternational(options),
+            country,
+            region: this.detectRegion(country, number.nationalNumber),
+            type: LINE_TYPES[number.getType()] || 'unknown',
+            extension: number.ext || null,
+            vanity,
+            valid: number.isValid()
+        };
+    }
+
+    /**
+     * Default region for national-format numbers on a page: country-code TLD first, then <html lang>
+     */
+    regionForPage(url, lang) {
+        let hostname = '';
+        try {
+            hostname = new URL(url).hostname;
+        } catch {
+            // Fall through to lang
+        }
+
+        const tld = hostname.split('.').pop().toLowerCase();
+        if (tld.length === 2 && !GENERIC_TLDS.has(tld)) {
+            const country = TLD_ALIASES[tld] || tld.toUpperCase();
+            if (isSupportedCountry(country)) return country;
+        }
+
+        if (lang) {
+            const [language, country] = lang.toLowerCase().split(/[-_]/);
+            const fromLang = country && country.length === 2 ? country.toUpperCase() : LANGUAGE_COUNTRIES[language];
+            if (fromLang && isSupportedCountry(fromLang)) return fromLang;
+        }
+
+        return null;
+    }
+
+    /**
+     * Geographic region (state, province or city area) for fixed-line numbering plans we know
+     */
+    detectRegion(country, nationalNumber) {
+        if (!country || !nationalNumber) return null;
+
+        if (country === 'US' || country === 'CA') {
+            return this.nanpRegions.get(nationalNumber.slice(0, 3)) || null;
+        }
+
+        const prefixes = AREA_PREFIXES[country];
+        if (!prefixes) return null;
+
+        // Longest matching prefix wins (GB 121 before 1x)
+        for (let length = 3; length >= 1; length--) {
+            const area = prefixes[nationalNumber.slice(0, length)];
+            if (area) return area;
+        }
+        return null;
+    }
+
+    /**
+     * Check whether a number is spelled with keypad letters (1-800-FLOWERS)
+     * The letters have to stand in for digits: they start after the area code and before the
+     * 10-digit number is complete, so labels (CALL 312-555-0147) and trailing words don't count.
+     */
+    isVanity(raw) {
+        const number = this.stripLabel(raw).replace(/\b(ext|extension|tel|phone|fax)\b.*$/i, '');
+        const firstLetter = number.search(/[A-Z]/);
+        if (firstLetter < 0) return false;
+
+        const national = number.slice(0, firstLetter).replace(/\D/g, '').replace(/^1/, '');
+        const letters = number.slice(firstLetter).replace(/[^A-Z]/g, '');
+        return national.length >= 3 && national.length < 10 && letters.length >= 3;
+    }
+
+    /**
+     * Drop label words in front of a number (CALL, PHONE:, Toll-free)
+     */
+    stripLabel(raw) {
+        return raw.trim().replace(/^[^\d+(]*/, '');
+    }
+
+    /**
+     * Convert keypad letters to digits (vanity numbers are a NANP convention)
+     */
+    vanityToDigits(raw) {
+        const [number, extension] = this.stripLabel(raw).toUpperCase().split(/\s*(?:EXT\.?|EXTENSION|X)\s*(?=\d+\s*$)/);
+
+        let digits = '';
+        for (const char of number) {
+            if (/\d/.test(char)) {
+                digits += char;
+            } else if (/[A-Z]/.test(char)) {
+                digits += Object.entries(KEYPAD).find(([letters]) => letters.includes(char))[1];
+            }
+        }
+
+        // Extra letters after the subscriber number are marketing (1-800-FLOWERS-NOW)
+        const national = digits.startsWith('1') ? digits.slice(1) : digits;
+        return `+1${national.slice(0, 10)}${extension ? ` ext. ${extension}` : ''}`;
+    }
+
+    /**
+     * Rewrite extension markers (x123, ext 123, extension 123, #123) to the form libphonenumber expects
+     */
+    normalizeExtension(raw) {
+        return raw.replace(/\s*(?:,|;)?\s*(?:ext\.?|extension|x|#|doorkiesnummer|durchwahl|poste)\s*:?\s*(\d{1,6})\s*$/i, ' ext. $1');
+    }
+}
@@ -27,6 +27,7 @@ class DataScraperUI {
         
         // Export buttons
         this.exportCSVBtn = document.getElementById('export-csv-btn');
+        this.exportVCardBtn = document.getElementById('export-vcard-btn');
         this.exportSheetsBtn = document.getElementById('export-sheets-btn');
         
         // Footer buttons
@@ -43,6 +44,7 @@ class DataScraperUI {
         this.extractEmailsCheck = document.getElementById('extract-emails');
         this.extractPhonesCheck = document.getElementById('extract-phones');
         this.extractNamesCheck = document.getElementById('extract-names');
+        this.liveDomCheck = document.getElementById('live-dom');
         this.scrapingDelayInput = document.getElementById('scraping-delay');
         this.enableSheetsCheck = document.getElementById('enable-sheets');
         this.spreadsheetIdInput = document.getElementById('spreadsheet-id');
@@ -61,6 +63,7 @@ class DataScraperUI {
         
         // Export buttons
         this.exportCSVBtn.addEventListener('click', () => this.exportToCSV());
+        this.exportVCardBtn.addEventListener('click', () => this.exportToVCard());
         this.exportSheetsBtn.addEventListener('click', () => this.exportToGoogleSheets());
         
         // Footer buttons
@@ -87,6 +90,7 @@ class DataScraperUI {
         window.electronAPI.onScraperError((event, error) => this.showToast(error, 'error'));
         window.electronAPI.onStatusUpdate((event, status) => this.updateStatus(status));
         window.electronAPI.onShowSettings(() => this.openSettings());
+        window.electronAPI.onBrowserSetupRequired((event, guidance) => this.showSetupGuidance(guidance));
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
@@ -266,6 +270,21 @@ class DataScraperUI {
         }
     }
 
+    async exportToVCard() {
+        try {
+            const result = await window.electronAPI.exportVCard();
+            
+            if (result.success) {
+                this.showToast(`Exported ${result.cardsWritten} contacts to vCard`, 'success');
+            } else if (result.error !== 'Export cancelled') {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error('vCard export failed:', error);
+            this.showToast(`vCard export failed: ${error.message}`, 'error');
+        }
+    }
+
     async exportToGoogleSheets() {
         try {
             if (!this.settings.googleSheets?.enabled) {
@@ -292,6 +311,7 @@ class DataScraperUI {
         this.extractEmailsCheck.checked = this.settings.scraping?.extractEmails !== false;
         this.extractPhonesCheck.checked = this.settings.scraping?.extractPhones !== false;
         this.extractNamesCheck.checked = this.settings.scraping?.extractNames !== false;
+        this.liveDomCheck.checked = this.settings.scraping?.liveDom === true;
         this.scrapingDelayInput.value = this.settings.scraping?.delay || 2000;
         
         this.enableSheetsCheck.checked = this.settings.googleSheets?.enabled || false;
@@ -315,6 +335,7 @@ class DataScraperUI {
                     extractEmails: this.extractEmailsCheck.checked,
                     extractPhones: this.extractPhonesCheck.checked,
                     extractNames: this.extractNamesCheck.checked,
+                    liveDom: this.liveDomCheck.checked,
                     delay: parseInt(this.scrapingDelayInput.value)
                 },
                 googleSheets: {
@@ -370,7 +391,7 @@ class DataScraperUI {
         }
     }
 
-    showToast(message, type = 'info') {
+    showToast(message, type = 'info', duration = 5000) {
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
         toast.textContent = message;
@@ -379,7 +400,14 @@ class DataScraperUI {
         
         setTimeout(() => {
             toast.remove();
-        }, 5000);
+        }, duration);
+    }
+
+    showSetupGuidance(guidance) {
+        // Steps are on their own lines; the toast stays long enough to follow them
+        const message = [guidance.message, ...guidance.steps.map(step => `• ${step}`)].join('\n');
+        this.showToast(message, 'warning', 20000);
+        this.updateStatus(`${guidance.browser} needs setup: ${guidance.steps[0]}`);
     }
 
     formatArray(arr) {
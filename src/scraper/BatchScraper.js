@@ -0,0 +1,208 @@
+import { EventEmitter } from 'events';
+import { basename } from 'path';
+import { UrlListImporter } from '../importers/UrlListImporter.js';
+
+/**
+ * Batch Scraper - Runs an imported URL list through DataScraper as a persistent batch job
+ * - Every URL goes through DataScraper.scrapeUrl, so robots.txt, the host scheduler, the HTTP cache
+ *   and the usual storage of contacts in the database all apply
+ * - Each URL's status (queued, running, done, failed, skipped) is saved, so a cancelled or
+ *   interrupted job continues where it stopped and failures can be retried later
+ * - Emits 'url-status' per finished URL, 'progress' with the job counters and 'completed' with the summary
+ */
+export class BatchScraper extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = {
+            concurrency: 3, // URLs in flight; DataScraper's scheduler still limits each host
+            retryAttempts: 1, // Extra attempts for a failed URL within one run
+            ...config
+        };
+
+        this.dataScraper = config.dataScraper;
+        this.jobStore = config.jobStore || this.dataScraper.database;
+        this.importer = config.importer || new UrlListImporter();
+        this.runs = new Map(); // jobId -> { cancelled, counts }
+    }
+
+    /**
+     * Import a CSV, TXT or bookmarks file as a new batch job
+     * @param {object} options - Importer options (format, columns) and the job name
+     * @returns {Promise<{jobId, format, imported, skipped}>}
+     */
+    async importFile(filePath, options = {}) {
+        const { format, urls, skipped } = await this.importer.importFile(filePath, options);
+        if (urls.length === 0) {
+            throw new Error(`No URLs found in ${basename(filePath)}`);
+        }
+
+        const jobId = await this.createJob({ name: options.name || basename(filePath), source: filePath, format, urls });
+        console.log(`Batch job ${jobId}: imported ${urls.length} URLs from ${basename(filePath)} (${skipped.length} skipped)`);
+        return { jobId, format, imported: urls.length, skipped };
+    }
+
+    /**
+     * Create a batch job from a list of { url, label } entries
+     * @returns {Promise<number>} Job id
+     */
+    async createJob({ name, source = null, format = null, urls }) {
+        const jobId = await this.jobStore.createBatchJob({ name, source, format });
+        await this.jobStore.addBatchUrls(jobId, urls);
+        return jobId;
+    }
+
+    /**
+     * Scrape a job's queued URLs (including ones left running by an interrupted run)
+     * @returns {Promise<object>} Summary of the whole job
+     */
+    async run(jobId) {
+        if (this.runs.has(jobId)) {
+            throw new Error(`Batch job ${jobId} is already running`);
+        }
+
+        const job = await this.jobStore.getBatchJob(jobId);
+        if (!job) {
+            throw new Error(`Batch job ${jobId} not found`);
+        }
+
+        const queue = await this.jobStore.getBatchUrls(jobId, ['queued', 'running']);
+        const run = {
+            cancelled: false,
+            startedAt: Date.now(),
+            counts: { total: job.totalUrls, done: job.done, failed: job.failed, skipped: job.skipped }
+        };
+        this.runs.set(jobId, run);
+
+        try {
+            await this.jobStore.updateBatchJob(jobId, { status: 'running' });
+            console.log(`Batch job ${jobId} running: ${queue.length} of ${job.totalUrls} URLs to scrape`);
+
+            const worker = async () => {
+                while (!run.cancelled && queue.length > 0) {
+                    await this.scrapeEntry(jobId, queue.shift(), queue, run);
+                }
+            };
+            const workers = Math.max(1, Math.min(this.config.concurrency, queue.length));
+            await Promise.all(Array.from({ length: workers }, worker));
+
+            await this.dataScraper.flush();
+            await this.jobStore.updateBatchJob(jobId, { status: run.cancelled ? 'paused' : 'completed' });
+            const summary = await this.summarize(jobId, Date.now() - run.startedAt);
+            this.emit('completed', summary);
+            return summary;
+
+        } finally {
+            this.runs.delete(jobId);
+        }
+    }
+
+    /**
+     * Put a job's failed URLs back in the queue and run it again
+     */
+    async retryFailed(jobId) {
+        const requeued = await this.jobStore.requeueBatchUrls(jobId, 'failed');
+        console.log(`Batch job ${jobId}: retrying ${requeued} failed URLs`);
+        return this.run(jobId);
+    }
+
+    /**
+     * Stop a running job after the URLs in flight; run() resolves with the job paused
+     */
+    cancel(jobId) {
+        const run = this.runs.get(jobId);
+        if (!run) return false;
+
+        run.cancelled = true;
+        return true;
+    }
+
+    /**
+     * Scrape one URL, retrying failures at the end of the queue, and save its status
+     */
+    async scrapeEntry(jobId, entry, queue, run) {
+        const attempts = (entry.attempts || 0) + 1;
+        await this.jobStore.updateBatchUrl(jobId, entry.url, { status: 'running', attempts });
+
+        let result;
+        try {
+            result = await this.dataScraper.scrapeUrl({
+                url: entry.url,
+                browser: 'batch-import',
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            result = { url: entry.url, error: error.message };
+        }
+
+        const outcome = this.outcomeOf(result);
+        if (outcome.status === 'failed' && attempts <= this.config.retryAttempts && !run.cancelled) {
+            await this.jobStore.updateBatchUrl(jobId, entry.url, { status: 'queued', error: outcome.error });
+            queue.push({ ...entry, attempts });
+            return;
+        }
+
+        await this.jobStore.updateBatchUrl(jobId, entry.url, outcome);
+        run.counts[outcome.status]++;
+
+        this.emit('url-status', { jobId, url: entry.url, label: entry.label, attempts, ...outcome });
+        this.emit('progress', {
+            jobId,
+            ...run.counts,
+            completed: run.counts.done + run.counts.failed + run.counts.skipped,
+            url: entry.url,
+            status: outcome.status
+        });
+    }
+
+    /**
+     * Batch status of a DataScraper result
+     */
+    outcomeOf(result) {
+        if (result.skipped) {
+            return { status: 'skipped', error: typeof result.skipped === 'string' ? result.skipped : result.reason || null };
+        }
+        if (result.error) {
+            return { status: 'failed', error: result.error };
+        }
+        return { status: 'done', contacts: this.dataScraper.extractionPipeline.countContacts(result) };
+    }
+
+    /**
+     * Counters, contact totals and failures of a job
+     */
+    async summarize(jobId, durationMs = null) {
+        const job = await this.jobStore.getBatchJob(jobId);
+        const urls = await this.jobStore.getBatchUrls(jobId);
+        const contacts = {};
+        let withContacts = 0;
+
+        urls.filter(entry => entry.contacts).forEach(entry => {
+            Object.entries(entry.contacts).forEach(([type, count]) => {
+                contacts[type] = (contacts[type] || 0) + count;
+            });
+            if (Object.values(entry.contacts).some(count => count > 0)) withContacts++;
+        });
+
+        return {
+            jobId,
+            name: job.name,
+            status: job.status,
+            total: job.totalUrls,
+            done: job.done,
+            failed: job.failed,
+            skipped: job.skipped,
+            queued: job.queued,
+            withContacts,
+            contacts,
+            failures: urls.filter(entry => entry.status === 'failed').map(({ url, error }) => ({ url, error })),
+            durationMs
+        };
+    }
+
+    /**
+     * Whether a job is running in this process
+     */
+    isRunning(jobId) {
+        return this.runs.has(jobId);
+    }
+}
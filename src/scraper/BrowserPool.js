@@ -0,0 +1,311 @@
+import puppeteer from 'puppeteer';
+import { EventEmitter } from 'events';
+
+/**
+ * Browser Pool - One managed Chromium with a small pool of warm pages
+ * - Each page lives in its own browser context and is recycled after maxUsesPerPage uses,
+ *   which drops its cookies, caches and leaked memory
+ * - A task that runs longer than pageTimeout is abandoned and its page killed
+ * - If Chromium crashes or disconnects it is relaunched; pages of the old browser are dropped
+ * - getHealth() reports the counters for status displays
+ */
+export class BrowserPool extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = {
+            launchOptions: { headless: 'new' },
+            launch: null, // Custom launcher: async () => browser (defaults to puppeteer.launch(launchOptions))
+            preparePage: null, // async page => {} run once per new page (stealth scripts, headers)
+            maxPages: 2,
+            maxUsesPerPage: 20,
+            pageTimeout: 60000, // Hard limit for one task on a page
+            closeTimeout: 5000, // A page that doesn't close within this is treated as a hung browser
+            ...config
+        };
+
+        this.browser = null;
+        this.launching = null;
+        this.idle = []; // Slots ready for a task: { id, browser, context, page, uses }
+        this.busy = new Set();
+        this.opening = 0;
+        this.waiters = [];
+        this.nextSlotId = 1;
+        this.stats = {
+            launches: 0,
+            restarts: 0,
+            pagesCreated: 0,
+            pagesRecycled: 0,
+            pagesKilled: 0,
+            tasksCompleted: 0,
+            tasksFailed: 0,
+            lastError: null,
+            lastRestartAt: null,
+            launchedAt: null
+        };
+    }
+
+    /**
+     * The running browser, launched on first use
+     */
+    async getBrowser() {
+        if (this.browser?.connected) return this.browser;
+
+        if (!this.launching) {
+            this.launching = this.launchBrowser().finally(() => {
+                this.launching = null;
+            });
+        }
+        return this.launching;
+    }
+
+    /**
+     * Launch Chromium and watch for it going away
+     */
+    async launchBrowser() {
+        const browser = this.config.launch
+            ? await this.config.launch()
+            : await puppeteer.launch(this.config.launchOptions);
+
+        browser.on('disconnected', () => this.handleDisconnect(browser));
+        this.browser = browser;
+        this.stats.launches++;
+        this.stats.launchedAt = Date.now();
+        this.emit('launched', browser);
+        return browser;
+    }
+
+    /**
+     * Chromium crashed or was closed from outside: drop its pages and start a new one
+     */
+    handleDisconnect(browser) {
+        if (browser !== this.browser) return; // Closed on purpose by close() or restart()
+
+        console.error('Browser disconnected, restarting');
+        this.browser = null;
+        this.idle = [];
+        this.stats.restarts++;
+        this.stats.lastRestartAt = new Date().toISOString();
+        this.emit('disconnected');
+
+        this.getBrowser().catch(error => {
+            this.stats.lastError = `Relaunch failed: ${error.message}`;
+            console.error('Failed to relaunch browser:', error);
+        });
+        this.wakeWaiter();
+    }
+
+    /**
+     * Run a task on a pooled page; the page is returned to the pool, recycled or killed afterwards
+     * @param {Function} task - async (page) => result
+     */
+    async withPage(task) {
+        const slot = await this.acquire();
+        let timer;
+        let timedOut = false;
+
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                timedOut = true;
+                reject(new Error(`Page task timed out after ${this.config.pageTimeout}ms`));
+            }, this.config.pageTimeout);
+        });
+
+        try {
+            const result = await Promise.race([task(slot.page), timeout]);
+            this.stats.tasksCompleted++;
+            await this.release(slot);
+            return result;
+
+        } catch (error) {
+            this.stats.tasksFailed++;
+            this.stats.lastError = error.message;
+            if (timedOut) {
+                await this.kill(slot);
+            } else {
+                await this.release(slot, { discard: !slot.page || slot.page.isClosed() });
+            }
+            throw error;
+
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Take an idle page, open a new one if the pool has room, or wait for one
+     */
+    async acquire() {
+        for (;;) {
+            const slot = this.idle.pop();
+            if (slot) {
+                this.busy.add(slot);
+                return slot;
+            }
+
+            if (this.busy.size + this.opening < this.config.maxPages) {
+                return this.openSlot();
+            }
+
+            await new Promise(resolve => this.waiters.push(resolve));
+        }
+    }
+
+    /**
+     * Open a page in a fresh browser context
+     */
+    async openSlot() {
+        this.opening++;
+        try {
+            const browser = await this.getBrowser();
+            const context = await browser.createBrowserContext();
+            const page = await context.newPage();
+            if (this.config.preparePage) {
+                await this.config.preparePage(page);
+            }
+
+            const slot = { id: this.nextSlotId++, browser, context, page, uses: 0 };
+            this.stats.pagesCreated++;
+            this.busy.add(slot);
+            return slot;
+
+        } catch (error) {
+            this.stats.lastError = error.message;
+            this.wakeWaiter();
+            throw error;
+
+        } finally {
+            this.opening--;
+        }
+    }
+
+    /**
+     * Put a page back after a task, or close it once it is worn out or its browser is gone
+     */
+    async release(slot, { discard = false } = {}) {
+        this.busy.delete(slot);
+        slot.uses++;
+
+        const stale = slot.browser !== this.browser || !slot.browser.connected;
+        const wornOut = slot.uses >= this.config.maxUsesPerPage;
+
+        if (discard || stale || wornOut) {
+            if (wornOut && !discard && !stale) this.stats.pagesRecycled++;
+            await this.closeSlot(slot);
+        } else {
+            try {
+                await slot.page.goto('about:blank', { timeout: this.config.closeTimeout }); // Free the old document
+                this.idle.push(slot);
+            } catch {
+                await this.closeSlot(slot);
+            }
+        }
+
+        this.wakeWaiter();
+    }
+
+    /**
+     * Abandon a page stuck in a task; if even closing it hangs, the browser is restarted
+     */
+    async kill(slot) {
+        this.busy.delete(slot);
+        this.stats.pagesKilled++;
+        console.error(`Killing page ${slot.id} after ${this.config.pageTimeout}ms`);
+
+        const closed = await this.closeSlot(slot);
+        if (!closed && slot.browser === this.browser) {
+            await this.restart('page did not close').catch(error => {
+                this.stats.lastError = `Restart failed: ${error.message}`;
+            });
+        }
+        this.wakeWaiter();
+    }
+
+    /**
+     * Close a page's context; resolves false if it didn't close within closeTimeout
+     */
+    async closeSlot(slot) {
+        let timer;
+        const timedOut = new Promise(resolve => {
+            timer = setTimeout(() => resolve(false), this.config.closeTimeout);
+        });
+        const close = slot.context.close().then(() => true, () => true); // Already gone counts as closed
+
+        try {
+            return await Promise.race([close, timedOut]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Close the browser and launch a new one
+     */
+    async restart(reason) {
+        console.error(`Restarting browser: ${reason}`);
+        const browser = this.browser;
+        this.browser = null;
+        this.idle = [];
+        this.stats.restarts++;
+        this.stats.lastRestartAt = new Date().toISOString();
+
+        if (browser) {
+            await this.forceClose(browser);
+        }
+        await this.getBrowser();
+    }
+
+    /**
+     * Close a browser, killing its process if it doesn't respond
+     */
+    async forceClose(browser) {
+        let timer;
+        const timedOut = new Promise(resolve => {
+            timer = setTimeout(() => resolve(false), this.config.closeTimeout);
+        });
+
+        const closed = await Promise.race([browser.close().then(() => true, () => false), timedOut]);
+        clearTimeout(timer);
+        if (!closed) {
+            browser.process?.()?.kill('SIGKILL');
+        }
+    }
+
+    /**
+     * Let one waiting task try again after a page was freed
+     */
+    wakeWaiter() {
+        const waiter = this.waiters.shift();
+        if (waiter) waiter();
+    }
+
+    /**
+     * Pool and browser health for status displays
+     */
+    getHealth() {
+        return {
+            browserConnected: Boolean(this.browser?.connected),
+            browserPid: this.browser?.process?.()?.pid || null,
+            uptimeMs: this.browser && this.stats.launchedAt ? Date.now() - this.stats.launchedAt : 0,
+            pagesOpen: this.idle.length + this.busy.size,
+            pagesBusy: this.busy.size,
+            pagesIdle: this.idle.length,
+            waiting: this.waiters.length,
+            maxPages: this.config.maxPages,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Close all pages and the browser; the next task launches a new one
+     */
+    async close() {
+        const browser = this.browser;
+        this.browser = null;
+        this.idle = [];
+        this.busy.clear();
+
+        if (browser) {
+            await this.forceClose(browser);
+        }
+    }
+}
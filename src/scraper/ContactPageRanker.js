@@ -0,0 +1,129 @@
+/**
+ * Match whole words only; \b doesn't treat accented letters as word characters
+ */
+const keywords = alternatives => new RegExp(`(?<![\\p{L}])(?:${alternatives})(?![\\p{L}])`, 'iu');
+
+/**
+ * Keywords that mark a page as a likely source of contact details
+ * Matched against URL path segments and link text; weight is added once per signal
+ */
+const CONTACT_KEYWORDS = [
+    { pattern: keywords('contact(?:[\\s-]?us)?|get[\\s-]in[\\s-]touch|kontakt|contacto|contatti|contato|nous[\\s-]contacter'), weight: 10, label: 'contact' },
+    { pattern: keywords('impressum|imprint|legal[\\s-]notice|mentions[\\s-]l[ée]gales|aviso[\\s-]legal|colofon'), weight: 9, label: 'imprint' },
+    { pattern: keywords('team|our[\\s-]team|staff|people|leadership|management|attorneys|lawyers|faculty|directory|ueber[\\s-]uns|über[\\s-]uns|equipo|équipe'), weight: 7, label: 'team' },
+    { pattern: keywords('about(?:[\\s-]us)?|who[\\s-]we[\\s-]are|company'), weight: 6, label: 'about' },
+    { pattern: keywords('locations?|offices?|find[\\s-]us|visit[\\s-]us|directions|store[\\s-]locator|standorte?'), weight: 5, label: 'locations' },
+    { pattern: keywords('legal'), weight: 2, label: 'legal' }
+];
+
+/**
+ * Pages that rarely list contacts and eat the crawl budget
+ */
+const LOW_VALUE_PATTERNS = [
+    /\/(?:blog|news|articles?|posts?|press-releases|stories|insights)(?:\/|$)/i,
+    /\/(?:tags?|category|categories|author|archive)(?:\/|$)/i,
+    /\/(?:products?|shop|store|collections?|cart|checkout)(?:\/|$)/i,
+    /\/(?:19|20)\d{2}\/\d{1,2}(?:\/|$)/, // Dated permalinks: /2024/03/...
+    /\/page\/\d+/i,
+    /[?&](?:page|p|s|q)=/i
+];
+
+/**
+ * Bonus for where the link sits on the page; contact and imprint links live in the header and footer
+ */
+const REGION_WEIGHTS = {
+    nav: 3,
+    header: 2,
+    footer: 2,
+    main: 0
+};
+
+/**
+ * Contact Page Ranker - Scores candidate links by URL, anchor text and navigation position
+ * Used by the "find contacts" crawl to visit contact/about/team/imprint pages before anything else
+ */
+export class ContactPageRanker {
+    constructor(config = {}) {
+        this.config = {
+            lowValuePenalty: 8,
+            depthPenalty: 0.5, // Per path segment beyond the first
+            ...config
+        };
+    }
+
+    /**
+     * Score a single link
+     * @param {{href: string, text?: string, title?: string, region?: string}} link
+     * @returns {{url: string, score: number, reasons: string[]}}
+     */
+    score(link) {
+        const url = new URL(link.href);
+        const path = this.decodePath(url.pathname).replace(/[_.]/g, '-');
+        const anchor = `${link.text || ''} ${link.title || ''}`.replace(/\s+/g, ' ').trim();
+        const reasons = [];
+        let score = 0;
+
+        CONTACT_KEYWORDS.forEach(({ pattern, weight, label }) => {
+            if (pattern.test(path)) {
+                score += weight;
+                reasons.push(`url:${label}`);
+            }
+            // Long anchors are usually teaser text ("read about our new office..."), not navigation
+            if (anchor && anchor.length <= 40 && pattern.test(anchor)) {
+                score += weight * 0.8;
+                reasons.push(`text:${label}`);
+            }
+        });
+
+        if (LOW_VALUE_PATTERNS.some(pattern => pattern.test(url.pathname + url.search))) {
+            score -= this.config.lowValuePenalty;
+            reasons.push('low-value');
+        }
+
+        const regionWeight = REGION_WEIGHTS[link.region] || 0;
+        if (regionWeight > 0 && score > 0) {
+            score += regionWeight;
+            reasons.push(`region:${link.region}`);
+        }
+
+        const segments = url.pathname.split('/').filter(Boolean).length;
+        score -= Math.max(0, segments - 1) * this.config.depthPenalty;
+
+        return { url: url.href, score: Math.round(score * 10) / 10, reasons };
+    }
+
+    /**
+     * Score and sort links, keeping the best score for links repeated across the page
+     */
+    rank(links) {
+        const best = new Map();
+
+        links.forEach(link => {
+            let ranked;
+            try {
+                ranked = this.score(link);
+            } catch {
+                return; // Unparseable href
+            }
+
+            const key = ranked.url.split('#')[0];
+            const existing = best.get(key);
+            if (!existing || ranked.score > existing.score) {
+                best.set(key, { ...ranked, url: key });
+            }
+        });
+
+        return Array.from(best.values()).sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Decoded URL path; paths with malformed escapes (e.g. "/%E0%A4%A/") are matched as they are
+     */
+    decodePath(pathname) {
+        try {
+            return decodeURIComponent(pathname);
+        } catch {
+            return pathname;
+        }
+    }
+}
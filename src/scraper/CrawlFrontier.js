@@ -0,0 +1,139 @@
+/**
+ * Crawl Frontier - Queue of URLs waiting to be crawled
+ * Orders breadth-first (shallowest depth first, then discovery order) or by priority
+ * (highest priority first, then shallowest); every URL is only ever queued once
+ */
+export class CrawlFrontier {
+    /**
+     * @param {string} order - 'breadth-first' or 'priority'
+     */
+    constructor(order = 'breadth-first') {
+        if (!['breadth-first', 'priority'].includes(order)) {
+            throw new Error(`Unknown crawl order "${order}" (use breadth-first or priority)`);
+        }
+
+        this.order = order;
+        this.heap = [];
+        this.pending = new Map(); // URL -> queued entry
+        this.seen = new Set();
+        this.sequence = 0;
+    }
+
+    /**
+     * Queue a URL unless it was queued before
+     * In priority order a pending URL found again with a higher priority moves up
+     * @returns {boolean} Whether the URL was queued or re-prioritised
+     */
+    enqueue(url, { depth = 0, priority = 0, ...data } = {}) {
+        const key = this.normalize(url);
+
+        const queued = this.pending.get(key);
+        if (queued) {
+            if (this.order !== 'priority' || priority <= queued.priority) return false;
+            queued.stale = true; // Left in the heap and skipped when popped
+        } else if (this.seen.has(key)) {
+            return false;
+        }
+
+        const entry = { ...data, url: key, depth, priority, sequence: this.sequence++, stale: false };
+        this.seen.add(key);
+        this.pending.set(key, entry);
+        this.push(entry);
+        return true;
+    }
+
+    /**
+     * Remove and return the next URL to crawl, or null when the frontier is empty
+     */
+    next() {
+        while (this.heap.length > 0) {
+            const entry = this.pop();
+            if (entry.stale) continue;
+
+            this.pending.delete(entry.url);
+            delete entry.stale;
+            delete entry.sequence;
+            return entry;
+        }
+        return null;
+    }
+
+    /**
+     * Mark a URL as handled without queueing it (e.g. the crawl's start page after a redirect)
+     */
+    markSeen(url) {
+        this.seen.add(this.normalize(url));
+    }
+
+    /**
+     * Whether a URL was ever queued or marked seen
+     */
+    hasSeen(url) {
+        return this.seen.has(this.normalize(url));
+    }
+
+    /**
+     * Number of URLs waiting to be crawled
+     */
+    get size() {
+        return this.pending.size;
+    }
+
+    /**
+     * Fragments never change the fetched document
+     */
+    normalize(url) {
+        return url.split('#')[0];
+    }
+
+    /**
+     * Whether entry a should be crawled before entry b
+     */
+    before(a, b) {
+        if (this.order === 'priority' && a.priority !== b.priority) return a.priority > b.priority;
+        if (a.depth !== b.depth) return a.depth < b.depth;
+        return a.sequence < b.sequence;
+    }
+
+    /**
+     * Binary heap insert
+     */
+    push(entry) {
+        const heap = this.heap;
+        heap.push(entry);
+
+        let index = heap.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.before(heap[index], heap[parent])) break;
+            [heap[index], heap[parent]] = [heap[parent], heap[index]];
+            index = parent;
+        }
+    }
+
+    /**
+     * Binary heap removal of the first entry
+     */
+    pop() {
+        const heap = this.heap;
+        const top = heap[0];
+        const last = heap.pop();
+
+        if (heap.length > 0) {
+            heap[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let first = index;
+                if (left < heap.length && this.before(heap[left], heap[first])) first = left;
+                if (right < heap.length && this.before(heap[right], heap[first])) first = right;
+                if (first === index) break;
+                [heap[index], heap[first]] = [heap[first], heap[index]];
+                index = first;
+            }
+        }
+
+        return top;
+    }
+}
@@ -1,8 +1,14 @@
 import { EventEmitter } from 'events';
+import { createHash } from 'crypto';
 import { BrowserMonitor } from '../monitor/BrowserMonitor.js';
 import { WebScraper } from './WebScraper.js';
+import { ExtractionPipeline } from '../extractors/ExtractionPipeline.js';
 import { DataProcessor } from '../processor/DataProcessor.js';
 import { DatabaseManager } from '../storage/DatabaseManager.js';
+import { RobotsManager } from './RobotsManager.js';
+import { HostScheduler } from './HostScheduler.js';
+import { HttpCache } from './HttpCache.js';
+import { FetchStrategy } from './FetchStrategy.js';
 
 /**
  * Main DataScraper class - Coordinates browser monitoring, web scraping, and data processing
@@ -16,32 +22,78 @@ export class DataScraper extends EventEmitter {
             extractEmails: config.scraping?.extractEmails !== false,
             extractPhones: config.scraping?.extractPhones !== false,
             extractNames: config.scraping?.extractNames !== false,
+            extractAddresses: config.scraping?.extractAddresses !== false,
+            extractSocialProfiles: config.scraping?.extractSocialProfiles !== false,
+            extractPeople: config.scraping?.extractPeople !== false,
             maxConcurrentScrapes: config.maxConcurrentScrapes || 2,
+            pageTimeout: config.scraping?.pageTimeout || 60000, // Rendered pages stuck longer are killed
+            maxPageUses: config.scraping?.maxPageUses || 20, // Browser pages are recycled after this many scrapes
+            respectRobots: config.scraping?.respectRobots !== false,
+            useCache: config.scraping?.cache !== false,
+            cacheMaxAge: config.scraping?.cacheMaxAge || 0, // ms before a cached page is revalidated
+            cacheDomainMaxAge: config.scraping?.cacheDomainMaxAge || {}, // { 'example.com': ms }
+            fetchMode: config.scraping?.fetchMode || 'auto', // 'auto' (static first), 'static' or 'dynamic'
+            blockResources: config.scraping?.blockResources !== false, // Images, media, fonts and trackers when rendering
+            resourcePolicy: config.scraping?.resourcePolicy || {}, // ResourceBlocker options, e.g. domainOverrides
+            firefoxPorts: config.monitoring?.firefoxPorts || [9222], // Firefox remote agent (WebDriver BiDi) ports
+            liveDom: config.scraping?.liveDom === true, // Read tracked pages from the user's tab instead of re-fetching them
+            snapshotTtl: config.extension?.snapshotTtl || 10 * 60 * 1000, // Pages sent by the extension aren't downloaded again for this long
             ...config
         };
         
         this.isActive = false;
         this.pendingUrls = new Set();
-        this.scrapeQueue = [];
-        this.lastScrapeTime = 0;
+        this.snapshots = new Map(); // url -> { hash, snapshotAt } of pages read from the user's browser (extension or live DOM)
+        this.pendingStores = new Set(); // Results being processed and saved
         
         // Initialize components
-        this.browserMonitor = new BrowserMonitor({
+        this.browserMonitor = config.browserMonitor || new BrowserMonitor({
             pollInterval: 1000,
             supportedBrowsers: [
                 'chrome.exe',
                 'firefox.exe',
                 'msedge.exe',
                 'opera.exe',
-                'brave.exe'
-            ]
+                'brave.exe',
+                'vivaldi.exe',
+                'chromium',
+                'microsoft-edge'
+            ],
+            firefoxPorts: this.config.firefoxPorts
+        });
+        
+        // Shared extraction pipeline (custom extractors can be passed via config.extractors)
+        this.extractionPipeline = new ExtractionPipeline();
+        (this.config.extractors || []).forEach(extractor => this.extractionPipeline.register(extractor));
+        
+        // Re-visits send conditional requests and skip extraction for unchanged pages
+        this.httpCache = config.httpCache || (this.config.useCache
+            ? new HttpCache({ maxAge: this.config.cacheMaxAge, domainMaxAge: this.config.cacheDomainMaxAge })
+            : null);
+        
+        // Static fetch first, Puppeteer only for domains that need it (pass config.fetchStrategy to share decisions)
+        this.fetchStrategy = config.fetchStrategy || new FetchStrategy({
+            mode: this.config.fetchMode,
+            pipeline: this.extractionPipeline
         });
         
         this.webScraper = new WebScraper({
             extractEmails: this.config.extractEmails,
             extractPhones: this.config.extractPhones,
             extractNames: this.config.extractNames,
-            timeout: 15000
+            extractAddresses: this.config.extractAddresses,
+            extractSocialProfiles: this.config.extractSocialProfiles,
+            extractPeople: this.config.extractPeople,
+            timeout: 15000,
+            pipeline: this.extractionPipeline,
+            httpCache: this.httpCache,
+            fetchStrategy: this.fetchStrategy,
+            browserPool: config.browserPool,
+            maxConcurrent: this.config.maxConcurrentScrapes,
+            pageTimeout: this.config.pageTimeout,
+            maxPageUses: this.config.maxPageUses,
+            blockResources: this.config.blockResources,
+            resourcePolicy: this.config.resourcePolicy
         });
         
         this.dataProcessor = new DataProcessor({
@@ -49,7 +101,18 @@ export class DataScraper extends EventEmitter {
             enableValidation: true
         });
         
-        this.database = new DatabaseManager();
+        this.database = config.database || new DatabaseManager();
+        
+        // Same robots.txt rules as the site crawler (pass config.robots to share its cache)
+        this.robots = config.robots || new RobotsManager();
+        
+        // Per-host politeness: scrapeDelay between visits to one host, 429/503 backoff
+        // (pass config.scheduler to share it with the site crawler)
+        this.scheduler = config.scheduler || new HostScheduler({
+            maxPerHost: 1,
+            maxConcurrent: this.config.maxConcurrentScrapes,
+            robots: this.robots
+        });
         
         this.setupEventListeners();
     }
@@ -63,6 +126,10 @@ export class DataScraper extends EventEmitter {
             this.handleNewUrl(urlInfo);
         });
         
+        this.browserMonitor.on('setup-required', (guidance) => {
+            this.emit('setup-required', guidance);
+        });
+        
         this.browserMonitor.on('error', (error) => {
             console.error('Browser monitor error:', error);
             this.emit('error', new Error(`Browser monitoring error: ${error.message}`));
@@ -70,7 +137,7 @@ export class DataScraper extends EventEmitter {
         
         // Web scraper events
         this.webScraper.on('scrape-completed', (result) => {
-            this.handleScrapeCompleted(result);
+            this.trackStore(this.handleScrapeCompleted(result));
         });
         
         this.webScraper.on('scrape-failed', (result) => {
@@ -78,6 +145,10 @@ export class DataScraper extends EventEmitter {
             this.emit('status-update', `Failed to scrape ${this.shortenUrl(result.url)}`);
         });
         
+        this.webScraper.on('scrape-unchanged', (result) => {
+            this.emit('status-update', `No changes on ${this.shortenUrl(result.url)}`);
+        });
+        
         this.webScraper.on('scrape-started', (result) => {
             this.emit('status-update', `Scraping ${this.shortenUrl(result.url)}...`);
         });
@@ -98,15 +169,9 @@ export class DataScraper extends EventEmitter {
             // Initialize database
             await this.database.initialize();
             
-            // Initialize web scraper
-            await this.webScraper.initialize();
-            
             // Start browser monitoring
             await this.browserMonitor.start();
             
-            // Start processing queue
-            this.startQueueProcessor();
-            
             this.emit('status-update', 'Data scraper started - monitoring browser activity');
             console.log('Data scraper started successfully');
             
@@ -136,7 +201,7 @@ export class DataScraper extends EventEmitter {
             await this.webScraper.close();
             
             // Clear pending operations
-            this.scrapeQueue = [];
+            this.scheduler.clear();
             this.pendingUrls.clear();
             
             this.emit('status-update', 'Data scraper stopped');
@@ -166,13 +231,22 @@ export class DataScraper extends EventEmitter {
             return;
         }
         
+        // The extension already sent what the user sees
+        if (this.hasRecentSnapshot(url)) {
+            return;
+        }
+        
         console.log(`New URL detected: ${url}`);
         this.pendingUrls.add(url);
         
-        // Add to scrape queue
-        this.scrapeQueue.push({
+        // Queue with the scheduler; it starts the scrape once the host is free
+        this.scrapeUrl({
             ...urlInfo,
             addedAt: Date.now()
+        }).catch(error => {
+            if (this.isActive) {
+                console.error(`Background scrape error for ${url}:`, error);
+            }
         });
         
         // Clean up old pending URLs (keep only last 100)
@@ -182,54 +256,36 @@ export class DataScraper extends EventEmitter {
         }
     }
 
-    /**
-     * Process the scrape queue with rate limiting
-     */
-    startQueueProcessor() {
-        const processQueue = async () => {
-            if (!this.isActive || this.scrapeQueue.length === 0) {
-                setTimeout(processQueue, 1000); // Check again in 1 second
-                return;
-            }
-            
-            // Rate limiting - ensure minimum delay between scrapes
-            const now = Date.now();
-            if (now - this.lastScrapeTime < this.config.scrapeDelay) {
-                setTimeout(processQueue, this.config.scrapeDelay - (now - this.lastScrapeTime));
-                return;
-            }
-            
-            // Check if we have capacity for more scrapes
-            const activeScrapes = this.webScraper.getActiveScrapeCount();
-            if (activeScrapes >= this.config.maxConcurrentScrapes) {
-                setTimeout(processQueue, 1000);
-                return;
-            }
-            
-            // Process next URL in queue
-            const urlInfo = this.scrapeQueue.shift();
-            if (urlInfo) {
-                this.lastScrapeTime = now;
-                
-                // Don't await - let it run in background
-                this.scrapeUrl(urlInfo).catch(error => {
-                    console.error(`Background scrape error for ${urlInfo.url}:`, error);
-                });
-            }
-            
-            // Schedule next processing
-            setTimeout(processQueue, 500);
-        };
-        
-        processQueue();
-    }
-
     /**
      * Scrape a specific URL
      */
     async scrapeUrl(urlInfo) {
         try {
-            const result = await this.webScraper.scrapeUrl(urlInfo.url);
+            if (this.config.respectRobots) {
+                const robots = await this.robots.check(urlInfo.url);
+                if (robots.reason === 'robots') {
+                    console.log(`Skipped by robots.txt: ${urlInfo.url}`);
+                    return { success: false, skipped: 'robots', url: urlInfo.url };
+                }
+                if (!robots.allowed) {
+                    // A dead or misspelled host, not a robots.txt rule
+                    console.log(`Failed to scrape ${urlInfo.url}: ${robots.error}`);
+                    return { success: false, error: robots.error, url: urlInfo.url };
+                }
+            }
+
+            // A snapshot may arrive while the URL waits for its host
+            const result = await this.scheduler.schedule(urlInfo.url, () => {
+                if (this.hasRecentSnapshot(urlInfo.url)) {
+                    return { success: false, skipped: 'extension', url: urlInfo.url };
+                }
+                return this.config.liveDom && urlInfo.targetId
+                    ? this.scrapeLiveDom(urlInfo)
+                    : this.webScraper.scrapeUrl(urlInfo.url);
+            }, {
+                minInterval: this.config.scrapeDelay,
+                respectRobots: this.config.respectRobots
+            });
             
             // Add browser context to result
             result.browserInfo = {
@@ -244,21 +300,48 @@ export class DataScraper extends EventEmitter {
         }
     }
 
+    /**
+     * Scrape the page the user has open by reading its DOM from the browser tab (no navigation)
+     * A separate fetch can get a different page (login wall, cookie banner, geo variant). Falls back
+     * to fetching when the tab can't be read or already shows another URL.
+     */
+    async scrapeLiveDom(urlInfo) {
+        let page = null;
+        try {
+            page = await this.browserMonitor.captureLiveDom(urlInfo);
+        } catch (error) {
+            console.log(`Live DOM capture failed for ${urlInfo.url}, fetching instead:`, error.message);
+        }
+
+        if (!page) {
+            return this.webScraper.scrapeUrl(urlInfo.url);
+        }
+
+        this.emit('status-update', `Reading ${this.shortenUrl(urlInfo.url)} from the open tab...`);
+        return this.storeCapturedPage({ ...page, url: urlInfo.url });
+    }
+
+    /**
+     * Remember a store in progress so flush() can wait for it
+     */
+    trackStore(store) {
+        this.pendingStores.add(store);
+        store.finally(() => this.pendingStores.delete(store));
+        return store;
+    }
+
     /**
      * Handle completed scrape
+     * @returns {Promise<boolean>} False when the data could not be stored
      */
     async handleScrapeCompleted(result) {
         try {
             const data = result.data;
             
             // Skip if no contact information found
-            const hasContacts = (data.emails && data.emails.length > 0) ||
-                              (data.phones && data.phones.length > 0) ||
-                              (data.names && data.names.length > 0);
-            
-            if (!hasContacts) {
+            if (!this.extractionPipeline.hasContacts(data)) {
                 console.log(`No contact info found for ${data.url}`);
-                return;
+                return true;
             }
             
             // Process the data (validate, deduplicate, etc.)
@@ -273,12 +356,94 @@ export class DataScraper extends EventEmitter {
             console.log(`Contact data extracted from ${data.url}:`, {
                 emails: processedData.emails.length,
                 phones: processedData.phones.length,
-                names: processedData.names.length
+                names: processedData.names.length,
+                addresses: processedData.addresses.length,
+                socialProfiles: processedData.socialProfiles.length,
+                people: processedData.people.length
             });
+            return true;
             
         } catch (error) {
             console.error('Error handling scraped data:', error);
             this.emit('error', error);
+            return false;
+        }
+    }
+
+    /**
+     * Extract and store contacts from a page snapshot sent by the companion browser extension
+     * The snapshot is exactly what the user sees (pages behind logins, content rendered after
+     * interaction), so it runs through the same pipeline as a scrape with method 'extension'.
+     * @param {object} snapshot - { url, title, html, text, capturedAt } from IngestServer
+     * @returns {Promise<object>} Processed data, or { url, unchanged: true } for a repeated snapshot
+     */
+    async ingestSnapshot({ url, title, html, text, capturedAt }) {
+        return this.storeCapturedPage({
+            url,
+            title,
+            content: html,
+            textContent: text,
+            method: 'extension',
+            timestamp: capturedAt
+        });
+    }
+
+    /**
+     * Store a page read from the user's browser (extension snapshot or live DOM), once per content
+     * Repeats of a URL's last content emit scrape-unchanged instead of being stored again.
+     * @param {object} page - Raw page data for WebScraper.processScrapedData
+     * @returns {Promise<object>} Processed data, or { url, unchanged: true }
+     */
+    async storeCapturedPage(page) {
+        const { url, method } = page;
+        const hash = createHash('sha1').update(page.textContent || page.content || '').digest('hex');
+        const previous = this.snapshots.get(url);
+        if (previous?.hash === hash) {
+            this.rememberSnapshot(url, hash, method, previous);
+            this.emit('scrape-unchanged', { url, method });
+            this.emit('status-update', `No changes on ${this.shortenUrl(url)}`);
+            return { url, unchanged: true };
+        }
+
+        const data = await this.webScraper.processScrapedData(page);
+        if (method === 'extension') {
+            this.emit('status-update', `Received ${this.shortenUrl(url)} from the browser extension`);
+        }
+        // A page that failed to store is processed again when it is sent again
+        if (await this.handleScrapeCompleted({ url, data })) {
+            this.rememberSnapshot(url, hash, method, previous);
+        }
+        return data;
+    }
+
+    /**
+     * Record the content hash of a captured page, keeping the last 500 URLs
+     */
+    rememberSnapshot(url, hash, method, previous) {
+        this.snapshots.delete(url); // Re-inserted last so the oldest entries are trimmed first
+        this.snapshots.set(url, {
+            hash,
+            snapshotAt: method === 'extension' ? Date.now() : previous?.snapshotAt ?? null
+        });
+        if (this.snapshots.size > 500) {
+            this.snapshots.delete(this.snapshots.keys().next().value);
+        }
+    }
+
+    /**
+     * Whether the extension sent this page within snapshotTtl
+     */
+    hasRecentSnapshot(url) {
+        const snapshotAt = this.snapshots.get(url)?.snapshotAt;
+        return Boolean(snapshotAt) && Date.now() - snapshotAt < this.config.snapshotTtl;
+    }
+
+    /**
+     * Wait until the results scraped so far are processed and stored
+     */
+    async flush() {
+        while (this.pendingStores.size > 0) {
+            await Promise.all(this.pendingStores);
         }
     }
 
@@ -341,6 +506,14 @@ export class DataScraper extends EventEmitter {
         }
     }
 
+    /**
+     * Register an additional extractor module with the shared extraction pipeline
+     */
+    registerExtractor(extractor) {
+        this.extractionPipeline.register(extractor);
+        return this;
+    }
+
     /**
      * Get all scraped data
      */
@@ -354,11 +527,19 @@ export class DataScraper extends EventEmitter {
     updateConfig(newConfig) {
         this.config = { ...this.config, ...newConfig };
         
+        if (newConfig.maxConcurrentScrapes) {
+            this.scheduler.config.maxConcurrent = newConfig.maxConcurrentScrapes;
+        }
+        
         // Update component configurations
         if (newConfig.scraping) {
             this.webScraper.config.extractEmails = newConfig.scraping.extractEmails;
             this.webScraper.config.extractPhones = newConfig.scraping.extractPhones;
             this.webScraper.config.extractNames = newConfig.scraping.extractNames;
+            this.webScraper.config.extractAddresses = newConfig.scraping.extractAddresses;
+            this.webScraper.config.extractSocialProfiles = newConfig.scraping.extractSocialProfiles;
+            this.webScraper.config.extractPeople = newConfig.scraping.extractPeople;
+            this.config.liveDom = newConfig.scraping.liveDom === true;
         }
     }
 
@@ -368,9 +549,11 @@ export class DataScraper extends EventEmitter {
     getStatus() {
         return {
             isActive: this.isActive,
-            queueSize: this.scrapeQueue.length,
+            queueSize: this.scheduler.getStats().queued,
             activeScrapes: this.webScraper?.getActiveScrapeCount() || 0,
-            pendingUrls: this.pendingUrls.size
+            pendingUrls: this.pendingUrls.size,
+            openWindows: this.browserMonitor.getOpenWindows().length,
+            browser: this.webScraper.browserPool.getHealth()
         };
     }
 
@@ -3,12 +3,23 @@ import * as cheerio from 'cheerio';
 import axios from 'axios';
 import { EventEmitter } from 'events';
 import { URL } from 'url';
+import { ExtractionPipeline } from '../extractors/ExtractionPipeline.js';
+import { ContactPageRanker } from './ContactPageRanker.js';
+import { CrawlFrontier } from './CrawlFrontier.js';
+import { SitemapLoader } from './SitemapLoader.js';
+import { RobotsManager } from './RobotsManager.js';
+import { HostScheduler } from './HostScheduler.js';
+import { FetchStrategy } from './FetchStrategy.js';
+import { BrowserPool } from './BrowserPool.js';
+import { ResourceBlocker } from './ResourceBlocker.js';
 
 /**
  * Enhanced Web Scraper with full-site crawling and Tor/Proxy support
  * Features:
  * - Full website crawling following internal links
  * - Tor browser integration with SOCKS5 proxy support
+ * - Static-first fetching that renders with Puppeteer only where needed
+ * - Images, media, fonts and trackers blocked while rendering
  * - Advanced anti-detection measures
  * - Comprehensive contact extraction based on Scrapy/Crawlee research
  */
@@ -23,6 +34,9 @@ export class EnhancedWebScraper extends EventEmitter {
             extractEmails: config.extractEmails !== false,
             extractPhones: config.extractPhones !== false,
             extractNames: config.extractNames !== false,
+            extractAddresses: config.extractAddresses !== false,
+            extractSocialProfiles: config.extractSocialProfiles !== false,
+            extractPeople: config.extractPeople !== false,
             
             // Full-site crawling options
             maxDepth: config.maxDepth || 3,
@@ -30,6 +44,13 @@ export class EnhancedWebScraper extends EventEmitter {
             respectRobots: config.respectRobots !== false,
             crawlDelay: config.crawlDelay || 1000,
             followExternalLinks: config.followExternalLinks === true,
+            crawlOrder: config.crawlOrder || 'breadth-first', // or 'priority' (contact pages first)
+            useSitemaps: config.useSitemaps !== false, // Seed crawls from robots.txt Sitemap: lines and /sitemap.xml
+            
+            // Contact discovery ("find contacts") options
+            discoveryMaxPages: config.discoveryMaxPages || 10,
+            coverageGoal: config.coverageGoal || { emails: 1, phones: 1 },
+            minLinkScore: config.minLinkScore ?? 1,
             
             // Tor/Proxy options
             useTor: config.useTor === true,
@@ -43,15 +64,42 @@ export class EnhancedWebScraper extends EventEmitter {
             simulateHumanBehavior: config.simulateHumanBehavior === true,
             stealthMode: config.stealthMode === true,
             
+            // Browser pool options
+            pageTimeout: config.pageTimeout || 60000, // Hard limit per rendered page
+            maxPageUses: config.maxPageUses || 20, // Pages are recycled after this many scrapes
+            blockResources: config.blockResources !== false, // Skip images, media, fonts and trackers when rendering
+            resourcePolicy: config.resourcePolicy || {}, // ResourceBlocker options, e.g. domainOverrides
+            
             ...config
         };
         
-        this.browser = null;
+        this.browserPool = config.browserPool || new BrowserPool({
+            launch: () => this.launchBrowser(),
+            preparePage: page => this.prepareStealthPage(page),
+            maxPages: this.config.maxConcurrent,
+            maxUsesPerPage: this.config.maxPageUses,
+            pageTimeout: this.config.pageTimeout
+        });
+        this.resourceBlocker = config.resourceBlocker
+            || (this.config.blockResources ? new ResourceBlocker(this.config.resourcePolicy) : null);
         this.activeScrapes = new Set();
         this.visitedUrls = new Map(); // URL -> depth
         this.foundContacts = new Map(); // URL -> contacts
-        this.robotsCache = new Map();
+        this.robots = config.robots || new RobotsManager({ timeout: 5000 }); // Shared with DataScraper when passed in
+        // Every page fetch goes through the scheduler (pass config.scheduler to share it with DataScraper)
+        this.scheduler = config.scheduler || new HostScheduler({
+            maxPerHost: this.config.maxConcurrent,
+            maxConcurrent: this.config.maxConcurrent,
+            robots: this.robots
+        });
         this.siteMap = new Map(); // domain -> internal links
+        this.pipeline = config.pipeline || new ExtractionPipeline();
+        this.ranker = config.ranker || new ContactPageRanker();
+        this.sitemapLoader = config.sitemapLoader || new SitemapLoader({ userAgent: this.config.userAgent, scheduler: this.scheduler });
+        this.jobStore = config.jobStore || null; // DatabaseManager that persists crawl jobs
+        this.httpCache = config.httpCache || null; // HttpCache for conditional re-scrapes
+        this.fetchStrategy = config.fetchStrategy || new FetchStrategy({ pipeline: this.pipeline, ranker: this.ranker });
+        this.activeCrawl = null;
         
         // User agents for randomization
         this.userAgents = [
@@ -76,42 +124,8 @@ export class EnhancedWebScraper extends EventEmitter {
      * Initialize the enhanced browser with Tor/proxy support
      */
     async initialize() {
-        if (this.browser) return;
-
         try {
-            const launchOptions = {
-                headless: this.config.stealthMode ? 'new' : false,
-                args: [
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-web-security',
-                    '--disable-features=VizDisplayCompositor',
-                    '--disable-dev-shm-usage',
-                    '--disable-blink-features=AutomationControlled',
-                    '--disable-extensions-except=/dev/null',
-                    '--disable-extensions',
-                    '--no-first-run',
-                    '--disable-default-apps',
-                    '--disable-infobars',
-                    '--window-size=1920,1080'
-                ]
-            };
-
-            // Configure proxy if specified
-            if (this.config.useTor || this.config.customProxy) {
-                const proxyServer = this.config.customProxy || this.config.torProxy;
-                launchOptions.args.push(`--proxy-server=${proxyServer}`);
-                
-                // For SOCKS proxies, ensure proper handling
-                if (proxyServer.startsWith('socks')) {
-                    launchOptions.args.push('--host-resolver-rules=MAP * ~NOTFOUND , EXCLUDE 127.0.0.1');
-                }
-                
-                console.log(`Using proxy: ${proxyServer}`);
-            }
-
-            this.browser = await puppeteer.launch(launchOptions);
-            
+            await this.browserPool.getBrowser();
             console.log('Enhanced web scraper with full-site crawling initialized');
         } catch (error) {
             console.error('Failed to initialize enhanced browser:', error);
@@ -119,57 +133,167 @@ export class EnhancedWebScraper extends EventEmitter {
         }
     }
 
+    /**
+     * Launch Chromium for the browser pool with the configured proxy
+     */
+    async launchBrowser() {
+        const launchOptions = {
+            headless: this.config.stealthMode ? 'new' : false,
+            args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-web-security',
+                '--disable-features=VizDisplayCompositor',
+                '--disable-dev-shm-usage',
+                '--disable-blink-features=AutomationControlled',
+                '--disable-extensions-except=/dev/null',
+                '--disable-extensions',
+                '--no-first-run',
+                '--disable-default-apps',
+                '--disable-infobars',
+                '--window-size=1920,1080'
+            ]
+        };
+
+        // Configure proxy if specified
+        if (this.config.useTor || this.config.customProxy) {
+            const proxyServer = this.config.customProxy || this.config.torProxy;
+            launchOptions.args.push(`--proxy-server=${proxyServer}`);
+            
+            // For SOCKS proxies, ensure proper handling
+            if (proxyServer.startsWith('socks')) {
+                launchOptions.args.push('--host-resolver-rules=MAP * ~NOTFOUND , EXCLUDE 127.0.0.1');
+            }
+            
+            console.log(`Using proxy: ${proxyServer}`);
+        }
+
+        return puppeteer.launch(launchOptions);
+    }
+
     /**
      * Full-site crawling with comprehensive contact extraction
+     * A pool of maxConcurrent workers takes pages from a frontier ordered breadth-first or by
+     * contact-page priority (crawlOrder), spacing requests to each host by crawlDelay.
+     * With a jobStore the crawl is saved as a job page by page and can be paused and resumed
      */
     async crawlWebsite(startUrl, options = {}) {
         const crawlOptions = { ...this.config, ...options };
-        this.visitedUrls.clear();
-        this.foundContacts.clear();
-        this.siteMap.clear();
-        
         const domain = this.extractDomain(startUrl);
-        const results = {
-            crawledPages: 0,
-            totalContacts: { emails: 0, phones: 0, names: 0 },
-            contacts: new Map(),
-            sitemap: [],
-            errors: []
-        };
+        const state = this.createCrawlState(crawlOptions);
 
         try {
-            // Check robots.txt if enabled
-            if (crawlOptions.respectRobots) {
-                await this.loadRobotsTxt(domain);
+            const origin = new URL(startUrl).origin;
+
+            if (this.jobStore) {
+                state.jobId = await this.jobStore.createCrawlJob({
+                    startUrl,
+                    domain,
+                    options: this.crawlJobOptions(crawlOptions)
+                });
+                console.log(`Crawl job ${state.jobId} started for ${domain}`);
             }
 
-            // Start crawling
-            await this.crawlUrl(startUrl, 0, crawlOptions, results);
+            await this.enqueueCrawlUrls(state, [{ url: startUrl, depth: 0, priority: Infinity }]);
 
-            // Aggregate results
-            const aggregatedContacts = this.aggregateContacts();
-            
+            if (crawlOptions.useSitemaps) {
+                await this.seedFromSitemaps(state, startUrl, origin);
+            }
+
+            return await this.runCrawl(state, domain);
+
+        } catch (error) {
+            console.error('Website crawling failed:', error);
+            await this.failCrawlJob(state, error);
             return {
-                success: true,
-                domain,
-                crawledPages: results.crawledPages,
-                emails: aggregatedContacts.emails,
-                phones: aggregatedContacts.phones,
-                names: aggregatedContacts.names,
-                totalContacts: {
-                    emails: aggregatedContacts.emails.length,
-                    phones: aggregatedContacts.phones.length,
-                    names: aggregatedContacts.names.length
-                },
-                sitemap: Array.from(this.visitedUrls.keys()),
-                contactsByPage: Object.fromEntries(this.foundContacts),
-                errors: results.errors
+                success: false,
+                jobId: state.jobId,
+                error: error.message,
+                partialResults: this.aggregateContacts()
             };
+        }
+    }
+
+    /**
+     * Seed the frontier with the pages listed in the site's sitemaps, one level below the start page
+     * Sitemap priority orders the seeds (and adds to the link score in priority order);
+     * scope rules apply to the sitemap files and their entries, and maxPages still caps what gets crawled
+     */
+    async seedFromSitemaps(state, startUrl, origin) {
+        const { options } = state;
+        if (options.maxDepth < 1) return;
+
+        const inScope = url => this.extractInternalLinks([{ href: url }], startUrl, options.followExternalLinks).length > 0;
+        // Sitemap files only need to be on the crawled site (a robots.txt can name any host)
+        const onSite = url => options.followExternalLinks || this.extractDomain(url) === this.extractDomain(startUrl);
+        const robotsSitemaps = await this.robots.getSitemaps(startUrl);
+        const entries = await this.sitemapLoader.load(this.sitemapLoader.discover(origin, robotsSitemaps), {
+            inScope: onSite,
+            minInterval: options.crawlDelay,
+            respectRobots: options.respectRobots
+        });
+
+        const seeds = this.sitemapLoader.sortEntries(entries)
+            .filter(entry => inScope(entry.url))
+            .map(entry => ({
+                url: entry.url,
+                depth: 1,
+                priority: options.crawlOrder === 'priority'
+                    ? this.ranker.score({ href: entry.url }).score + (entry.priority ?? 0.5)
+                    : entry.priority ?? 0.5
+            }));
+
+        await this.enqueueCrawlUrls(state, seeds);
+        state.sitemapUrls = seeds.length;
+        console.log(`Seeded ${seeds.length} URLs from ${entries.length} sitemap entries`);
+    }
+
+    /**
+     * Resume a paused or interrupted crawl job from its saved frontier and visited pages
+     * @param {number} jobId - Job id returned by crawlWebsite
+     * @param {object} options - Overrides for the job's saved crawl options
+     */
+    async resumeCrawlJob(jobId, options = {}) {
+        if (!this.jobStore) {
+            throw new Error('Resuming a crawl job requires a jobStore (DatabaseManager)');
+        }
+
+        const saved = await this.jobStore.getCrawlJobState(jobId);
+        if (!saved) {
+            throw new Error(`Crawl job ${jobId} not found`);
+        }
+
+        const crawlOptions = { ...this.config, ...saved.job.options, ...options };
+        const state = this.createCrawlState(crawlOptions);
+        state.jobId = jobId;
+
+        try {
+            saved.visited.forEach(page => {
+                state.frontier.markSeen(page.url);
+                this.visitedUrls.set(page.url, page.depth);
+
+                if (page.status === 'done' && page.result) {
+                    this.foundContacts.set(page.url, page.result);
+                    state.crawledPages++;
+                } else if (page.status === 'failed') {
+                    state.errors.push({ url: page.url, error: page.error });
+                } else if (page.status === 'skipped') {
+                    state.robotsSkipped++;
+                }
+            });
+            saved.queued.forEach(({ url, ...item }) => state.frontier.enqueue(url, item));
+
+            console.log(`Resuming crawl job ${jobId}: ${state.crawledPages} pages done, ${state.frontier.size} queued`);
+            await this.jobStore.updateCrawlJob(jobId, { status: 'running' });
+
+            return await this.runCrawl(state, saved.job.domain);
 
         } catch (error) {
-            console.error('Website crawling failed:', error);
+            console.error(`Resuming crawl job ${jobId} failed:`, error);
+            await this.failCrawlJob(state, error);
             return {
                 success: false,
+                jobId,
                 error: error.message,
                 partialResults: this.aggregateContacts()
             };
@@ -177,63 +301,373 @@ export class EnhancedWebScraper extends EventEmitter {
     }
 
     /**
-     * Recursive URL crawling with depth control
+     * Pause the running crawl: pages in flight finish and are saved, nothing new is started
+     * @returns {boolean} Whether a crawl was running
+     */
+    pauseCrawl() {
+        if (!this.activeCrawl) return false;
+
+        this.activeCrawl.paused = true;
+        this.activeCrawl.waiters.splice(0).forEach(resolve => resolve());
+        return true;
+    }
+
+    /**
+     * Reset the in-memory crawl state and create the state shared by the crawl workers
+     */
+    createCrawlState(options) {
+        this.visitedUrls.clear();
+        this.foundContacts.clear();
+        this.siteMap.clear();
+
+        return {
+            options,
+            jobId: null,
+            frontier: new CrawlFrontier(options.crawlOrder),
+            crawledPages: 0,
+            robotsSkipped: 0, // Frontier URLs robots.txt disallowed
+            inFlight: 0,
+            paused: false,
+            sitemapUrls: 0,
+            waiters: [],
+            errors: [],
+            startedAt: Date.now()
+        };
+    }
+
+    /**
+     * Run the worker pool until the frontier is drained, the budget is spent or the crawl is paused
      */
-    async crawlUrl(url, depth, options, results) {
-        // Check depth and page limits
-        if (depth > options.maxDepth || results.crawledPages >= options.maxPages) {
-            return;
+    async runCrawl(state, domain) {
+        const { options } = state;
+        this.activeCrawl = state;
+
+        try {
+            const workerCount = Math.max(1, Math.min(options.maxConcurrent, options.maxPages));
+            await Promise.all(Array.from({ length: workerCount }, () => this.crawlWorker(state)));
+        } finally {
+            this.activeCrawl = null;
         }
 
-        // Skip if already visited
-        if (this.visitedUrls.has(url)) {
-            return;
+        const status = state.paused ? 'paused' : 'completed';
+        if (state.jobId) {
+            await this.jobStore.updateCrawlJob(state.jobId, {
+                status,
+                crawledPages: state.crawledPages,
+                errorCount: state.errors.length
+            });
+            console.log(`Crawl job ${state.jobId} ${status} after ${state.crawledPages} pages`);
         }
 
-        // Check if URL is allowed by robots.txt
-        if (options.respectRobots && !this.isAllowedByRobots(url)) {
-            console.log(`Skipped by robots.txt: ${url}`);
-            return;
+        // Aggregate results
+        const aggregatedContacts = this.aggregateContacts();
+
+        return {
+            success: true,
+            jobId: state.jobId,
+            status,
+            domain,
+            crawlOrder: options.crawlOrder,
+            crawledPages: state.crawledPages,
+            skippedByRobots: state.robotsSkipped,
+            queuedPages: state.frontier.size,
+            sitemapUrls: state.sitemapUrls,
+            durationMs: Date.now() - state.startedAt,
+            ...aggregatedContacts,
+            totalContacts: Object.fromEntries(
+                Object.entries(aggregatedContacts).map(([field, values]) => [field, values.length])
+            ),
+            sitemap: Array.from(this.visitedUrls.keys()),
+            contactsByPage: Object.fromEntries(this.foundContacts),
+            errors: state.errors
+        };
+    }
+
+    /**
+     * Crawl worker: takes URLs from the frontier until it is drained, the page budget is spent or the crawl is paused
+     */
+    async crawlWorker(state) {
+        const { frontier, options } = state;
+
+        while (!state.paused) {
+            // Pages in flight count against the budget so the pool never overshoots maxPages
+            const budgetSpent = state.crawledPages + state.inFlight >= options.maxPages;
+            const item = budgetSpent ? null : frontier.next();
+
+            if (!item) {
+                // Nothing to do; stop unless a page in flight may still add links or fail and free budget
+                if (state.inFlight === 0) break;
+                await new Promise(resolve => state.waiters.push(resolve));
+                continue;
+            }
+
+            // The slot is taken before robots.txt is fetched, so idle workers wait for this page's links instead of exiting
+            state.inFlight++;
+            try {
+                const robots = options.respectRobots ? await this.robots.check(item.url) : null;
+                if (robots?.reason === 'robots') {
+                    console.log(`Skipped by robots.txt: ${item.url}`);
+                    state.robotsSkipped++;
+                    await this.saveCrawlUrl(state, item, { status: 'skipped', error: robots.error });
+                    continue;
+                }
+                if (robots && !robots.allowed) {
+                    // Unreachable robots.txt: nothing may be fetched, but it's the host that failed
+                    state.errors.push({ url: item.url, error: robots.error });
+                    await this.saveCrawlUrl(state, item, { status: 'failed', error: robots.error });
+                    continue;
+                }
+
+                await this.crawlPage(item, state);
+            } finally {
+                state.inFlight--;
+                state.waiters.splice(0).forEach(resolve => resolve());
+            }
         }
 
+        state.waiters.splice(0).forEach(resolve => resolve());
+    }
+
+    /**
+     * Crawl one frontier entry, queue its links one level deeper and save the page to the job
+     */
+    async crawlPage(item, state) {
+        const { url, depth } = item;
+        const { options } = state;
+
         try {
-            console.log(`Crawling (depth ${depth}): ${url}`);
             this.visitedUrls.set(url, depth);
+            console.log(`Crawling (depth ${depth}): ${url}`);
 
             // Scrape the current page
-            const pageData = await this.scrapeUrl(url, {
+            const pageData = await this.scheduleScrape(url, {
                 ...options,
                 extractLinks: true // Enable link extraction
             });
 
-            if (pageData.success) {
-                results.crawledPages++;
-                this.foundContacts.set(url, pageData);
+            if (!pageData.success) {
+                state.errors.push({ url, error: pageData.error });
+                await this.saveCrawlUrl(state, item, { status: 'failed', error: pageData.error });
+                return;
+            }
 
-                // Extract and process internal links
+            state.crawledPages++;
+            this.foundContacts.set(url, pageData);
+
+            if (depth < options.maxDepth) {
                 const links = this.extractInternalLinks(pageData.links || [], url, options.followExternalLinks);
-                
-                // Add delay between requests (respectful crawling)
-                if (options.crawlDelay > 0) {
-                    await new Promise(resolve => setTimeout(resolve, options.crawlDelay));
-                }
+                const priorities = options.crawlOrder === 'priority'
+                    ? new Map(this.ranker.rank(pageData.links || []).map(ranked => [ranked.url, ranked.score]))
+                    : new Map();
+
+                // Links are saved before the page is marked done, so a crash in between only re-crawls the page
+                await this.enqueueCrawlUrls(state, links.map(link => ({
+                    url: link,
+                    depth: depth + 1,
+                    priority: priorities.get(link.split('#')[0]) || 0
+                })));
+            }
+
+            await this.saveCrawlUrl(state, item, { status: 'done', result: this.toCrawlResult(pageData) });
+
+        } catch (error) {
+            console.error(`Error crawling ${url}:`, error);
+            state.errors.push({ url, error: error.message });
+            await this.saveCrawlUrl(state, item, { status: 'failed', error: error.message }).catch(() => {});
+        }
+    }
+
+    /**
+     * Add URLs to the frontier, saving the newly queued ones to the crawl job
+     */
+    async enqueueCrawlUrls(state, items) {
+        const queued = items
+            .filter(item => state.frontier.enqueue(item.url, { depth: item.depth, priority: item.priority }))
+            .map(item => ({ ...item, url: state.frontier.normalize(item.url) }));
+
+        if (state.jobId && queued.length > 0) {
+            await this.jobStore.addCrawlUrls(state.jobId, queued);
+        }
+    }
+
+    /**
+     * Save a crawled URL's outcome and the job's counters
+     */
+    async saveCrawlUrl(state, item, outcome) {
+        if (!state.jobId) return;
+
+        await this.jobStore.completeCrawlUrl(state.jobId, item.url, { depth: item.depth, ...outcome });
+        await this.jobStore.updateCrawlJob(state.jobId, {
+            crawledPages: state.crawledPages,
+            errorCount: state.errors.length,
+            ...(outcome.error ? { lastError: `${item.url}: ${outcome.error}` } : {})
+        });
+    }
+
+    /**
+     * Mark the crawl job as failed after an unexpected error
+     */
+    async failCrawlJob(state, error) {
+        if (!state.jobId) return;
+
+        await this.jobStore.updateCrawlJob(state.jobId, { status: 'failed', lastError: error.message })
+            .catch(dbError => console.error('Failed to update crawl job:', dbError));
+    }
+
+    /**
+     * Page results saved with a crawl job (links are only needed while crawling)
+     */
+    toCrawlResult(pageData) {
+        const { links, ...result } = pageData;
+        return { ...result, linksFound: (links || []).length };
+    }
+
+    /**
+     * Crawl options saved with a job so a resumed crawl behaves the same
+     */
+    crawlJobOptions(options) {
+        const keys = ['maxDepth', 'maxPages', 'maxConcurrent', 'crawlDelay', 'crawlOrder', 'followExternalLinks', 'respectRobots', 'useSitemaps'];
+        return Object.fromEntries(keys.map(key => [key, options[key]]));
+    }
+
+    /**
+     * Scrape a page through the host scheduler: spaced by crawlDelay (or the robots.txt Crawl-delay
+     * when that is longer) and backed off when the host answers 429/503
+     */
+    async scheduleScrape(url, options = this.config) {
+        return this.scheduler.schedule(url, () => this.scrapeUrl(url, options), {
+            minInterval: options.crawlDelay,
+            respectRobots: options.respectRobots
+        });
+    }
+
+    /**
+     * "Find contacts" mode: visit the pages of a domain most likely to list contact details
+     * (contact, about, team, imprint, locations) first and stop once the coverage goal is reached
+     * @param {string} domainOrUrl - Domain ("example.com") or start URL
+     * @param {object} options - discoveryMaxPages, coverageGoal ({ field: minimum count }), minLinkScore
+     */
+    async findContacts(domainOrUrl, options = {}) {
+        const findOptions = { ...this.config, ...options };
+        const startUrl = /^https?:\/\//i.test(domainOrUrl) ? domainOrUrl : `https://${domainOrUrl}/`;
+        const domain = this.extractDomain(startUrl);
+        const goal = findOptions.coverageGoal;
+
+        this.visitedUrls.clear();
+        this.foundContacts.clear();
+
+        const frontier = new CrawlFrontier('priority');
+        frontier.enqueue(startUrl, { depth: 0, priority: Infinity, score: null, reasons: ['start'] });
+        const visitedPages = [];
+        const errors = [];
+        let coverage = {};
+        let goalReached = false;
 
-                // Recursively crawl found links
-                for (const link of links) {
-                    if (!this.visitedUrls.has(link) && results.crawledPages < options.maxPages) {
-                        await this.crawlUrl(link, depth + 1, options, results);
+        try {
+            while (frontier.size > 0 && visitedPages.length < findOptions.discoveryMaxPages) {
+                const candidate = frontier.next();
+
+                const robots = findOptions.respectRobots ? await this.robots.check(candidate.url) : null;
+                if (robots && !robots.allowed) {
+                    if (robots.reason === 'robots') {
+                        console.log(`Skipped by robots.txt: ${candidate.url}`);
+                    } else {
+                        errors.push({ url: candidate.url, error: robots.error });
                     }
+                    continue;
+                }
+
+                this.visitedUrls.set(candidate.url, candidate.depth);
+                console.log(`Finding contacts (score ${candidate.score ?? 'start'}): ${candidate.url}`);
+
+                const pageData = await this.scheduleScrape(candidate.url, { ...findOptions, extractLinks: true });
+                if (!pageData.success) {
+                    errors.push({ url: candidate.url, error: pageData.error });
+                    continue;
+                }
+
+                this.foundContacts.set(candidate.url, pageData);
+                const contacts = this.pipeline.countContacts(pageData);
+                visitedPages.push({
+                    url: candidate.url,
+                    score: candidate.score,
+                    reasons: candidate.reasons,
+                    depth: candidate.depth,
+                    contacts,
+                    yieldedContacts: Object.values(contacts).some(count => count > 0)
+                });
+
+                if (candidate.depth < findOptions.maxDepth) {
+                    this.ranker.rank(this.discoveryCandidates(pageData.links || [], candidate.url))
+                        .filter(ranked => ranked.score >= findOptions.minLinkScore)
+                        .forEach(ranked => frontier.enqueue(ranked.url, {
+                            depth: candidate.depth + 1,
+                            priority: ranked.score,
+                            score: ranked.score,
+                            reasons: ranked.reasons
+                        }));
+                }
+
+                coverage = this.pipeline.countContacts(this.aggregateContacts());
+                if (this.isCoverageGoalMet(coverage, goal)) {
+                    goalReached = true;
+                    console.log(`Coverage goal reached after ${visitedPages.length} pages on ${domain}`);
+                    break;
                 }
-            } else {
-                results.errors.push({ url, error: pageData.error });
             }
 
+            const aggregatedContacts = this.aggregateContacts();
+
+            return {
+                success: true,
+                mode: 'find-contacts',
+                domain,
+                crawledPages: visitedPages.length,
+                goalReached,
+                coverageGoal: goal,
+                coverage,
+                ...aggregatedContacts,
+                totalContacts: Object.fromEntries(
+                    Object.entries(aggregatedContacts).map(([field, values]) => [field, values.length])
+                ),
+                pagesWithContacts: visitedPages.filter(page => page.yieldedContacts),
+                visitedPages,
+                contactsByPage: Object.fromEntries(this.foundContacts),
+                errors
+            };
+
         } catch (error) {
-            console.error(`Error crawling ${url}:`, error);
-            results.errors.push({ url, error: error.message });
+            console.error('Contact discovery failed:', error);
+            return {
+                success: false,
+                error: error.message,
+                visitedPages,
+                partialResults: this.aggregateContacts()
+            };
         }
     }
 
+    /**
+     * Same-site links worth ranking; unlike extractInternalLinks this keeps legal/imprint pages
+     */
+    discoveryCandidates(links, baseUrl) {
+        const baseHost = this.extractDomain(baseUrl).replace(/^www\./, '');
+
+        return links
+            .map(link => ({ ...link, href: this.resolveUrl(link.href, baseUrl) }))
+            .filter(link => link.href && this.isValidUrl(link.href) && !this.shouldSkipUrl(link.href))
+            .filter(link => this.extractDomain(link.href).replace(/^www\./, '') === baseHost);
+    }
+
+    /**
+     * Check aggregated contact counts against a coverage goal such as { emails: 1, phones: 1 }
+     */
+    isCoverageGoalMet(coverage, goal) {
+        const entries = Object.entries(goal || {});
+        if (entries.length === 0) return false;
+        return entries.every(([field, minimum]) => (coverage[field] || 0) >= minimum);
+    }
+
     /**
      * Enhanced scrape method with anti-detection and link extraction
      */
@@ -246,18 +680,48 @@ export class EnhancedWebScraper extends EventEmitter {
                 throw new Error('Invalid URL format');
             }
 
-            // Try dynamic scraping first (more comprehensive)
-            let result = await this.scrapeDynamic(url, { ...options, extractLinks: true });
-            
-            // Fallback to static scraping if dynamic fails
-            if (!result.success) {
-                console.log(`Dynamic scraping failed for ${url}, trying static...`);
-                result = await this.scrapeStatic(url, { ...options, extractLinks: true });
+            // A fresh cache entry needs no request at all
+            const cached = this.httpCache ? await this.httpCache.get(url) : null;
+            if (cached && this.httpCache.isFresh(cached)) {
+                return this.cachedResult(cached, 'fresh');
+            }
+
+            // Static first; domains known to render client-side go straight to the browser
+            let result;
+            if (this.fetchStrategy.shouldRender(url)) {
+                result = await this.scrapeDynamic(url, { ...options, extractLinks: true });
+            }
+
+            // Static fetch, also when the browser failed (not when the site asked us to slow down)
+            if (!result || (!result.success && !this.scheduler.isThrottled(result))) {
+                if (result) console.log(`Dynamic scraping failed for ${url}, trying static...`);
+                result = await this.scrapeStatic(url, { ...options, extractLinks: true, cacheEntry: cached });
+                if (!result.success) {
+                    result = await this.renderAfterStaticFailure(url, options, result);
+                }
             }
 
             if (result.success) {
+                // Unchanged page: reuse the extracted result instead of running the pipeline again
+                if (cached && (result.notModified || this.httpCache.isUnchanged(cached, result.content))) {
+                    await this.httpCache.touch(url, cached, result);
+                    return this.cachedResult(cached, result.notModified ? 'not-modified' : 'unchanged');
+                }
+
                 // Process and validate extracted data
-                const processedData = await this.processScrapedData(result);
+                let processedData = await this.processScrapedData(result);
+                if (result.method === 'static') {
+                    ({ result, processedData } = await this.escalateIfNeeded(url, options, result, processedData));
+                }
+
+                if (this.httpCache) {
+                    await this.httpCache.set(url, {
+                        etag: result.etag,
+                        lastModified: result.lastModified,
+                        body: result.content,
+                        result: processedData
+                    });
+                }
                 this.emit('scraped', { url, data: processedData });
                 return processedData;
             }
@@ -281,80 +745,150 @@ export class EnhancedWebScraper extends EventEmitter {
     }
 
     /**
-     * Enhanced dynamic scraping with stealth and anti-detection
+     * Render a page whose static fetch was refused (blocking status or network error) and remember
+     * that its domain needs the browser; keeps the static failure when rendering fails as well
      */
-    async scrapeDynamic(url, options = {}) {
-        let page;
-        
-        try {
-            if (!this.browser) {
-                await this.initialize();
-            }
-
-            page = await this.browser.newPage();
+    async renderAfterStaticFailure(url, options, staticResult) {
+        if (this.fetchStrategy.shouldRender(url) || !this.fetchStrategy.shouldRenderAfterFailure(staticResult)) {
+            return staticResult;
+        }
 
-            // Configure stealth settings
-            await this.configureStealthPage(page, options);
+        const cause = staticResult.statusCode || staticResult.code;
+        console.log(`Static fetch of ${url} failed (${cause}), rendering with Puppeteer`);
+        const rendered = await this.scrapeDynamic(url, { ...options, extractLinks: true });
+        if (!rendered.success) return staticResult;
 
-            // Set proxy authentication if needed
-            if (this.config.proxyAuth) {
-                await page.authenticate(this.config.proxyAuth);
-            }
+        this.fetchStrategy.remember(url, 'dynamic', [`static-failed-${cause}`]);
+        return rendered;
+    }
 
-            // Navigate to the page with enhanced options
-            const response = await page.goto(url, {
-                waitUntil: ['networkidle0', 'domcontentloaded'],
-                timeout: this.config.timeout
-            });
+    /**
+     * Render a statically fetched page with Puppeteer when the fetch strategy sees signs of
+     * client-side rendering, and remember for the domain whether rendering found more
+     */
+    async escalateIfNeeded(url, options, staticResult, staticData) {
+        if (this.fetchStrategy.isDecided(url)) {
+            return { result: staticResult, processedData: staticData };
+        }
 
-            if (!response.ok()) {
-                throw new Error(`HTTP ${response.status()}: ${response.statusText()}`);
-            }
+        const reasons = this.fetchStrategy.escalationReasons(url, staticResult.content, staticData);
+        if (reasons.length === 0) {
+            this.fetchStrategy.remember(url, 'static');
+            return { result: staticResult, processedData: staticData };
+        }
 
-            // Simulate human behavior if enabled
-            if (this.config.simulateHumanBehavior) {
-                await this.simulateHumanBehavior(page);
-            }
+        console.log(`Rendering ${url} (${reasons.join(', ')})`);
+        const rendered = await this.scrapeDynamic(url, { ...options, extractLinks: true });
+        if (!rendered.success) {
+            return { result: staticResult, processedData: staticData }; // Undecided: the next page probes again
+        }
 
-            // Wait for any dynamic content to load
-            await page.waitForTimeout(2000);
+        const renderedData = await this.processScrapedData(rendered);
+        if (this.fetchStrategy.renderingHelped(staticResult.content, staticData, rendered.text, renderedData)) {
+            this.fetchStrategy.remember(url, 'dynamic', reasons);
+            return { result: rendered, processedData: renderedData };
+        }
 
-            // Extract page content and links
-            const pageContent = await page.evaluate(() => {
-                return {
-                    html: document.documentElement.outerHTML,
-                    text: document.body ? document.body.innerText : '',
-                    title: document.title,
-                    links: Array.from(document.querySelectorAll('a[href]')).map(a => ({
-                        href: a.href,
-                        text: a.textContent?.trim() || '',
-                        title: a.title || ''
-                    }))
-                };
-            });
+        this.fetchStrategy.remember(url, 'static', [...reasons, 'render-found-nothing-new']);
+        return { result: staticResult, processedData: staticData };
+    }
 
-            await page.close();
+    /**
+     * Result reused from the HTTP cache; cache tells how it was confirmed (fresh, not-modified, unchanged)
+     */
+    cachedResult(entry, cache) {
+        console.log(`Cache ${cache}: ${entry.url}`);
+        return { ...entry.result, cache };
+    }
 
-            return {
-                success: true,
-                content: pageContent.html,
-                text: pageContent.text,
-                title: pageContent.title,
-                links: pageContent.links,
-                url,
-                method: 'dynamic'
-            };
+    /**
+     * Enhanced dynamic scraping with stealth and anti-detection
+     */
+    async scrapeDynamic(url, options = {}) {
+        try {
+            return await this.browserPool.withPage(async page => {
+                const interception = this.resourceBlocker ? await this.resourceBlocker.attach(page, url) : null;
+                let rendered;
+                let resourceStats = null;
+                try {
+                    rendered = await this.renderPage(page, url, options);
+                } finally {
+                    if (interception) resourceStats = await interception.detach();
+                }
+                return resourceStats ? { ...rendered, resourceStats } : rendered;
+            });
 
         } catch (error) {
-            if (page) await page.close().catch(() => {});
             console.error(`Dynamic scraping failed for ${url}:`, error);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                statusCode: error.statusCode,
+                retryAfter: error.retryAfter
             };
         }
     }
 
+    /**
+     * Load a URL on a pooled page and read its content and links
+     */
+    async renderPage(page, url, options = {}) {
+        // Configure stealth settings
+        await this.configureStealthPage(page, options);
+
+        // Navigate to the page with enhanced options
+        const response = await page.goto(url, {
+            waitUntil: ['networkidle0', 'domcontentloaded'],
+            timeout: this.config.timeout
+        });
+
+        if (!response.ok()) {
+            const error = new Error(`HTTP ${response.status()}: ${response.statusText()}`);
+            error.statusCode = response.status();
+            error.retryAfter = response.headers()['retry-after'];
+            throw error;
+        }
+
+        // Simulate human behavior if enabled
+        if (this.config.simulateHumanBehavior) {
+            await this.simulateHumanBehavior(page);
+        }
+
+        // Wait for any dynamic content to load
+        await new Promise(resolve => setTimeout(resolve, 2000));
+
+        // Extract page content and links
+        const pageContent = await page.evaluate(() => {
+            return {
+                html: document.documentElement.outerHTML,
+                text: document.body ? document.body.innerText : '',
+                title: document.title,
+                links: Array.from(document.querySelectorAll('a[href]')).map(a => {
+                    const container = a.closest('nav, [role="navigation"], header, [role="banner"], footer, [role="contentinfo"]');
+                    const roles = { navigation: 'nav', banner: 'header', contentinfo: 'footer' };
+                    return {
+                        href: a.href,
+                        text: a.textContent?.trim() || '',
+                        title: a.title || '',
+                        region: container ? roles[container.getAttribute('role')] || container.tagName.toLowerCase() : 'main'
+                    };
+                })
+            };
+        });
+
+        return {
+            success: true,
+            content: pageContent.html,
+            text: pageContent.text,
+            title: pageContent.title,
+            links: pageContent.links,
+            url,
+            method: 'dynamic',
+            etag: response.headers().etag || null,
+            lastModified: response.headers()['last-modified'] || null
+        };
+    }
+
     /**
      * Enhanced static scraping with proxy support
      */
@@ -370,9 +904,11 @@ export class EnhancedWebScraper extends EventEmitter {
                     'Accept-Language': 'en-US,en;q=0.9',
                     'Accept-Encoding': 'gzip, deflate',
                     'Cache-Control': 'no-cache',
-                    'Pragma': 'no-cache'
+                    'Pragma': 'no-cache',
+                    ...(this.httpCache ? this.httpCache.validatorHeaders(options.cacheEntry) : {})
                 },
-                maxRedirects: 5
+                maxRedirects: 5,
+                validateStatus: status => (status >= 200 && status < 300) || status === 304
             };
 
             // Configure proxy if specified
@@ -385,6 +921,17 @@ export class EnhancedWebScraper extends EventEmitter {
             }
 
             const response = await axios.get(url, axiosConfig);
+            if (response.status === 304) {
+                return {
+                    success: true,
+                    notModified: true,
+                    url,
+                    method: 'static',
+                    etag: response.headers.etag || null,
+                    lastModified: response.headers['last-modified'] || null
+                };
+            }
+
             const $ = cheerio.load(response.data);
 
             // Extract links
@@ -397,15 +944,13 @@ export class EnhancedWebScraper extends EventEmitter {
                         links.push({
                             href: absoluteUrl,
                             text: $(elem).text().trim(),
-                            title: $(elem).attr('title') || ''
+                            title: $(elem).attr('title') || '',
+                            region: this.linkRegion($, elem)
                         });
                     }
                 }
             });
 
-            // Extract contact information from the scraped content
-            const contacts = this.extractContactInfo($.text(), response.data);
-
             return {
                 success: true,
                 content: response.data,
@@ -414,22 +959,36 @@ export class EnhancedWebScraper extends EventEmitter {
                 links,
                 url,
                 method: 'static',
-                emails: contacts.emails,
-                phones: contacts.phones,
-                names: contacts.names
+                etag: response.headers.etag || null,
+                lastModified: response.headers['last-modified'] || null
             };
 
         } catch (error) {
             console.error(`Static scraping failed for ${url}:`, error);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                statusCode: error.response?.status,
+                retryAfter: error.response?.headers?.['retry-after'],
+                code: error.code
             };
         }
     }
 
     /**
-     * Configure stealth settings for page
+     * Page region a link sits in: nav, header, footer or main
+     */
+    linkRegion($, elem) {
+        const container = $(elem).closest('nav, [role="navigation"], header, [role="banner"], footer, [role="contentinfo"]');
+        if (container.length === 0) return 'main';
+
+        const role = container.attr('role');
+        const roles = { navigation: 'nav', banner: 'header', contentinfo: 'footer' };
+        return roles[role] || container.get(0).tagName.toLowerCase();
+    }
+
+    /**
+     * Configure stealth settings for each scrape on a page
      */
     async configureStealthPage(page, options = {}) {
         // Randomize user agent if enabled
@@ -444,7 +1003,12 @@ export class EnhancedWebScraper extends EventEmitter {
             const viewport = this.getRandomViewport();
             await page.setViewport(viewport);
         }
+    }
 
+    /**
+     * One-time setup of a new pooled page: hide automation indicators, default headers, proxy login
+     */
+    async prepareStealthPage(page) {
         // Remove automation indicators
         await page.evaluateOnNewDocument(() => {
             // Remove webdriver property
@@ -482,6 +1046,11 @@ export class EnhancedWebScraper extends EventEmitter {
             'Upgrade-Insecure-Requests': '1',
             'Cache-Control': 'max-age=0'
         });
+
+        // Set proxy authentication if needed
+        if (this.config.proxyAuth) {
+            await page.authenticate(this.config.proxyAuth);
+        }
     }
 
     /**
@@ -509,77 +1078,11 @@ export class EnhancedWebScraper extends EventEmitter {
         });
     }
 
-    /**
-     * Load and parse robots.txt
-     */
-    async loadRobotsTxt(domain) {
-        if (this.robotsCache.has(domain)) {
-            return this.robotsCache.get(domain);
-        }
-
-        try {
-            const robotsUrl = `https://${domain}/robots.txt`;
-            const response = await axios.get(robotsUrl, {
-                timeout: 5000,
-                headers: { 'User-Agent': this.config.userAgent }
-            });
-
-            const robotsRules = this.parseRobotsTxt(response.data);
-            this.robotsCache.set(domain, robotsRules);
-            return robotsRules;
-
-        } catch (error) {
-            // If robots.txt is not found, allow all
-            const allowAllRules = { disallowedPaths: [], crawlDelay: 0 };
-            this.robotsCache.set(domain, allowAllRules);
-            return allowAllRules;
-        }
-    }
-
-    /**
-     * Parse robots.txt content
-     */
-    parseRobotsTxt(content) {
-        const lines = content.split('\\n');
-        const disallowedPaths = [];
-        let crawlDelay = 0;
-        let userAgentMatch = false;
-
-        for (const line of lines) {
-            const trimmed = line.trim().toLowerCase();
-            
-            if (trimmed.startsWith('user-agent:')) {
-                const agent = trimmed.replace('user-agent:', '').trim();
-                userAgentMatch = agent === '*' || agent.includes('*');
-            }
-            
-            if (userAgentMatch) {
-                if (trimmed.startsWith('disallow:')) {
-                    const path = trimmed.replace('disallow:', '').trim();
-                    if (path) disallowedPaths.push(path);
-                }
-                
-                if (trimmed.startsWith('crawl-delay:')) {
-                    const delay = trimmed.replace('crawl-delay:', '').trim();
-                    crawlDelay = parseInt(delay) * 1000 || 0;
-                }
-            }
-        }
-
-        return { disallowedPaths, crawlDelay };
-    }
-
     /**
      * Check if URL is allowed by robots.txt
      */
-    isAllowedByRobots(url) {
-        const domain = this.extractDomain(url);
-        const robots = this.robotsCache.get(domain);
-        
-        if (!robots) return true;
-
-        const urlPath = new URL(url).pathname;
-        return !robots.disallowedPaths.some(path => urlPath.startsWith(path));
+    async isAllowedByRobots(url) {
+        return this.robots.isAllowed(url);
     }
 
     /**
@@ -641,23 +1144,24 @@ export class EnhancedWebScraper extends EventEmitter {
      * Aggregate all found contacts across pages
      */
     aggregateContacts() {
-        const allEmails = new Set();
-        const allPhones = new Set();
-        const allNames = new Set();
+        const fields = this.pipeline.getFieldNames();
+        const collected = Object.fromEntries(fields.map(field => [field, new Map()]));
 
-        for (const [url, pageData] of this.foundContacts) {
+        for (const pageData of this.foundContacts.values()) {
             if (pageData.success) {
-                (pageData.emails || []).forEach(email => allEmails.add(email));
-                (pageData.phones || []).forEach(phone => allPhones.add(phone));
-                (pageData.names || []).forEach(name => allNames.add(name));
+                fields.forEach(field => {
+                    (pageData[field] || []).forEach(value => {
+                        // Structured values (addresses, social profiles) repeat on every page's header/footer
+                        const key = typeof value === 'object' ? JSON.stringify(value) : value;
+                        if (!collected[field].has(key)) collected[field].set(key, value);
+                    });
+                });
             }
         }
 
-        return {
-            emails: Array.from(allEmails),
-            phones: Array.from(allPhones),
-            names: Array.from(allNames)
-        };
+        return Object.fromEntries(
+            fields.map(field => [field, Array.from(collected[field].values())])
+        );
     }
 
     /**
@@ -674,223 +1178,48 @@ export class EnhancedWebScraper extends EventEmitter {
         return this.viewports[Math.floor(Math.random() * this.viewports.length)];
     }
 
-    // Keep all the existing extraction methods from original WebScraper...
-    // (extractEmails, extractPhoneNumbers, extractNames, validation methods, etc.)
-    // They are already well-implemented, so we'll reuse them
-
+    /**
+     * Process scraped data through the shared extraction pipeline
+     */
     async processScrapedData(rawData) {
-        const combinedText = rawData.text + ' ' + (rawData.content || '');
+        const links = rawData.links || [];
         const result = {
             success: true,
             url: rawData.url,
             title: rawData.title || '',
             method: rawData.method || 'unknown',
-            emails: [],
-            phones: [],
-            names: [],
-            links: rawData.links || []
+            links,
+            ...(rawData.resourceStats ? { resourceStats: rawData.resourceStats } : {})
         };
 
         try {
-            // Extract contacts using existing methods
-            if (this.config.extractEmails) {
-                result.emails = this.extractEmails(combinedText, rawData.content);
-            }
-            
-            if (this.config.extractPhones) {
-                result.phones = this.extractPhoneNumbers(combinedText, rawData.content);
-            }
-            
-            if (this.config.extractNames) {
-                result.names = this.extractNames(combinedText);
-            }
+            const extracted = await this.pipeline.process(rawData, this.config);
+
+            const extractionStats = { linksFound: links.length };
+            this.pipeline.getFieldNames().forEach(field => {
+                extractionStats[`${field}Found`] = (extracted[field] || []).length;
+            });
 
-            // Validate extracted data
-            const validated = this.validateExtractedData(result);
-            
             return {
                 ...result,
-                ...validated,
-                extractionStats: {
-                    emailsFound: result.emails.length,
-                    phonesFound: result.phones.length,
-                    namesFound: result.names.length,
-                    linksFound: result.links.length
-                }
+                ...extracted,
+                title: result.title,
+                method: result.method,
+                extractionStats
             };
 
         } catch (error) {
             console.error('Error processing scraped data:', error);
             return {
                 ...result,
+                emails: [],
+                phones: [],
+                names: [],
                 error: error.message
             };
         }
     }
 
-    // Include all existing extraction methods here...
-    // (I'll add the key ones for brevity)
-
-    extractEmails(text, html = '') {
-        const emails = new Set();
-        
-        // Enhanced RFC-compliant email pattern from Scrapy/Crawlee research
-        const emailPattern = /\b[A-Za-z0-9.!#$%&'*+\/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*\b/g;
-        
-        // Extract from text
-        const textMatches = text.match(emailPattern) || [];
-        textMatches.forEach(email => {
-            if (!this.isEmailFalsePositive(email)) {
-                emails.add(email.toLowerCase());
-            }
-        });
-
-        // Extract from HTML attributes and special patterns
-        if (html) {
-            const $ = cheerio.load(html);
-            
-            // mailto: links
-            $('a[href^="mailto:"]').each((i, elem) => {
-                const href = $(elem).attr('href');
-                const email = href.replace(/^mailto:/i, '').split('?')[0];
-                if (email && !this.isEmailFalsePositive(email)) {
-                    emails.add(email.toLowerCase());
-                }
-            });
-        }
-
-        return Array.from(emails).slice(0, 10);
-    }
-
-    extractPhoneNumbers(text, html = '') {
-        const phones = new Set();
-        
-        // Enhanced international phone patterns from Crawlee research
-        const phonePatterns = [
-            /\+?1?[-\s.]?\(?([0-9]{3})\)?[-\s.]?([0-9]{3})[-\s.]?([0-9]{4})\b/g,
-            /\+?([1-9]\d{0,3})[-\s.]?\(?([0-9]{1,4})\)?[-\s.]?([0-9]{1,4})[-\s.]?([0-9]{1,9})\b/g,
-            /\b\d{3}[-.]?\d{3}[-.]?\d{4}\b/g,
-            /\b\(?\d{3}\)?[-\s.]?\d{3}[-\s.]?\d{4}\b/g
-        ];
-
-        phonePatterns.forEach(pattern => {
-            const matches = text.match(pattern) || [];
-            matches.forEach(phone => {
-                const cleaned = this.cleanPhoneNumber(phone);
-                if (this.isValidPhoneNumber(cleaned) && !this.isPhoneFalsePositive(phone)) {
-                    phones.add(phone.trim());
-                }
-            });
-        });
-
-        // Extract from tel: links
-        if (html) {
-            const telPhones = this.extractPhonesFromUrls(this.extractUrls(html));
-            telPhones.forEach(phone => phones.add(phone));
-        }
-
-        return Array.from(phones).slice(0, 6);
-    }
-
-    extractNames(text) {
-        const names = new Set();
-        
-        // Enhanced name patterns
-        const namePatterns = [
-            /\b([A-Z][a-z]{1,15}\s+[A-Z][a-z]{1,15}(?:\s+[A-Z][a-z]{1,15})?)\b/g,
-            /\b(Dr\.?\s+[A-Z][a-z]+\s+[A-Z][a-z]+)\b/g,
-            /\b(Mr\.?\s+[A-Z][a-z]+\s+[A-Z][a-z]+)\b/g,
-            /\b(Mrs?\.?\s+[A-Z][a-z]+\s+[A-Z][a-z]+)\b/g
-        ];
-
-        namePatterns.forEach(pattern => {
-            const matches = text.match(pattern) || [];
-            matches.forEach(name => {
-                const cleanName = name.trim();
-                if (this.isValidName(cleanName) && !this.isNameFalsePositive(cleanName)) {
-                    names.add(cleanName);
-                }
-            });
-        });
-
-        return Array.from(names).slice(0, 5);
-    }
-
-    // Include validation methods from original implementation
-    isEmailFalsePositive(email) {
-        const falsePositives = [
-            /@example\./i,
-            /@test\./i,
-            /@localhost/i,
-            /noreply@/i,
-            /no-reply@/i,
-            /donotreply@/i,
-            /@domain\./i,
-            /@your-domain\./i,
-            /\.(png|jpg|jpeg|gif|pdf|doc|docx|zip|rar)$/i
-        ];
-        return falsePositives.some(pattern => pattern.test(email));
-    }
-
-    isPhoneFalsePositive(phone) {
-        const falsePositivePatterns = [
-            /^\d{4}[-/.]\d{2}[-/.]\d{2}$/,  // Date format YYYY-MM-DD
-            /^\d{2}[-/.]\d{2}[-/.]\d{4}$/,  // Date format MM-DD-YYYY
-            /^\d+\.\d+$/,                   // Decimal numbers
-            /^\d+:\d+$/,                    // Time format
-            /\b(zip|postal|code|id|ssn|ein|account|routing|tracking|order|invoice)\b/i
-        ];
-        return falsePositivePatterns.some(pattern => pattern.test(phone));
-    }
-
-    isNameFalsePositive(name) {
-        const falsePositives = [
-            /\b(click|here|more|info|contact|about|home|page|site|website|email|phone|address|location|map|directions|hours|open|closed|monday|tuesday|wednesday|thursday|friday|saturday|sunday|january|february|march|april|may|june|july|august|september|october|november|december)\b/i,
-            /\d{2,}/,
-            /[^\w\s'-\.]/,
-            /^(Mr|Mrs|Ms|Dr|Prof|Inc|LLC|Ltd|Corp|Company|Business|Service|Services|Group|Team|Staff|Department|Office|Center|Centre)$/i
-        ];
-        return falsePositives.some(pattern => pattern.test(name));
-    }
-
-    isValidName(name) {
-        if (!name || name.length < 2 || name.length > 50) return false;
-        const words = name.trim().split(/\s+/);
-        return words.length >= 2 && words.length <= 4 && 
-               words.every(word => /^[A-Z][a-z]+$/i.test(word) || /^(Dr|Mr|Mrs|Ms)\.?$/i.test(word));
-    }
-
-    cleanPhoneNumber(phone) {
-        return phone.replace(/[^\d+]/g, '');
-    }
-
-    isValidPhoneNumber(cleaned) {
-        return cleaned.length >= 7 && cleaned.length <= 15 && /^\+?[\d\s\-\(\)]+$/.test(cleaned);
-    }
-
-    validateExtractedData(data) {
-        return {
-            emails: data.emails.filter(email => !this.isEmailFalsePositive(email)),
-            phones: data.phones.filter(phone => !this.isPhoneFalsePositive(phone)),
-            names: data.names.filter(name => !this.isNameFalsePositive(name))
-        };
-    }
-
-    extractUrls(html) {
-        const $ = cheerio.load(html);
-        const urls = [];
-        $('a[href]').each((i, elem) => {
-            urls.push($(elem).attr('href'));
-        });
-        return urls;
-    }
-
-    extractPhonesFromUrls(urls) {
-        return urls.filter(url => url && url.startsWith('tel:'))
-                  .map(url => url.replace('tel:', '').trim())
-                  .filter(phone => this.isValidPhoneNumber(this.cleanPhoneNumber(phone)));
-    }
-
     // Utility methods
     isValidUrl(url) {
         try {
@@ -925,11 +1254,8 @@ export class EnhancedWebScraper extends EventEmitter {
     }
 
     async close() {
-        if (this.browser) {
-            await this.browser.close();
-            this.browser = null;
-            console.log('Enhanced web scraper browser closed');
-        }
+        await this.browserPool.close();
+        console.log('Enhanced web scraper browser closed');
     }
 
     getActiveScrapeCount() {
@@ -947,12 +1273,8 @@ export class EnhancedWebScraper extends EventEmitter {
     }
 
     // Direct contact info extraction method
-    extractContactInfo(text, html = '') {
-        return {
-            emails: this.extractEmails(text, html),
-            phones: this.extractPhoneNumbers(text, html),
-            names: this.extractNames(text, html)
-        };
+    async extractContactInfo(text, html = '') {
+        return this.pipeline.process({ text, content: html }, this.config);
     }
 }
 
@@ -0,0 +1,175 @@
+import * as cheerio from 'cheerio';
+import { ContactPageRanker } from './ContactPageRanker.js';
+
+/**
+ * Empty elements that single-page apps mount into
+ */
+const SPA_ROOT_SELECTORS = [
+    '#root', '#app', '#__next', '#__nuxt', '#___gatsby', '#svelte',
+    '[ng-app]', '[ng-version]', 'app-root', '[data-reactroot]', '[data-server-rendered]'
+];
+
+/**
+ * <noscript> text telling visitors the page needs JavaScript
+ */
+const NOSCRIPT_WARNING = /(enable|requires?|turn on|need|activate)\s+javascript|javascript\s+(is\s+)?(required|disabled|must be enabled)/i;
+
+/**
+ * Statuses bot protection answers plain HTTP clients with
+ */
+const BLOCKING_STATUSES = [403, 429, 503];
+
+/**
+ * Network errors of hosts that are down or don't exist; a browser gets no further there
+ */
+const UNREACHABLE_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+/**
+ * Fetch Strategy - Decides per domain whether pages need a headless browser
+ * Pages are fetched statically first; the static result is checked for signs that the content is
+ * rendered client-side (almost no text, an empty SPA root, a "please enable JavaScript" notice, or a
+ * contact-looking page without contacts). Only then is the page rendered with Puppeteer, and
+ * whether rendering found more is remembered so later pages of the domain skip the probe.
+ */
+export class FetchStrategy {
+    constructor(config = {}) {
+        this.config = {
+            mode: 'auto', // 'auto', or 'static'/'dynamic' to always use one method
+            minTextLength: 200, // Visible body characters below which a page counts as empty
+            contactPageScore: 8, // ContactPageRanker score of a URL that should list contacts
+            pipeline: null, // ExtractionPipeline used to count contacts
+            ranker: null,
+            ...config
+        };
+
+        this.ranker = this.config.ranker || new ContactPageRanker();
+        this.decisions = new Map(); // domain -> { method, reasons, decidedAt }
+    }
+
+    /**
+     * Whether a URL should be rendered straight away (its domain needed rendering before)
+     */
+    shouldRender(url) {
+        if (this.config.mode !== 'auto') return this.config.mode === 'dynamic';
+        return this.decisions.get(this.domainOf(url))?.method === 'dynamic';
+    }
+
+    /**
+     * Whether a failed static fetch should be retried in the browser: a blocking status, or a
+     * network error such as a reset connection or a TLS failure
+     * @param {{statusCode?: number, code?: string}} failure
+     */
+    shouldRenderAfterFailure({ statusCode, code } = {}) {
+        if (this.config.mode !== 'auto') return false;
+        if (statusCode) return BLOCKING_STATUSES.includes(statusCode);
+        return Boolean(code) && !UNREACHABLE_CODES.includes(code);
+    }
+
+    /**
+     * Reasons a static result needs rendering; empty when it can be used as it is
+     * @param {string} url
+     * @param {string} html - Static response body
+     * @param {object} extracted - Contacts extracted from the static result
+     * @returns {string[]}
+     */
+    escalationReasons(url, html, extracted) {
+        if (this.config.mode !== 'auto') return [];
+
+        const $ = cheerio.load(html || '');
+        const noscript = $('noscript').text();
+        const reasons = [];
+
+        $('script, style, noscript, template').remove();
+        const visibleText = $('body').text().replace(/\s+/g, ' ').trim();
+
+        if (visibleText.length < this.config.minTextLength) {
+            reasons.push('empty-body');
+        }
+
+        const emptyRoot = SPA_ROOT_SELECTORS.some(selector => {
+            const root = $(selector).first();
+            return root.length > 0 && root.text().trim().length < this.config.minTextLength;
+        });
+        if (emptyRoot) {
+            reasons.push('spa-root');
+        }
+
+        if (NOSCRIPT_WARNING.test(noscript)) {
+            reasons.push('noscript-warning');
+        }
+
+        if (this.looksLikeContactPage(url, $('title').text()) && this.contactCount(extracted) === 0) {
+            reasons.push('contact-page-without-contacts');
+        }
+
+        return reasons;
+    }
+
+    /**
+     * Whether a URL (or its title) marks a page that should list contact details
+     */
+    looksLikeContactPage(url, title = '') {
+        try {
+            return this.ranker.score({ href: url, text: title.slice(0, 40) }).score >= this.config.contactPageScore;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Whether the rendered result found what the static one missed
+     */
+    renderingHelped(staticHtml, staticExtracted, renderedText, renderedExtracted) {
+        if (this.contactCount(renderedExtracted) > this.contactCount(staticExtracted)) return true;
+
+        const $ = cheerio.load(staticHtml || '');
+        $('script, style, noscript, template').remove();
+        const staticLength = $('body').text().replace(/\s+/g, ' ').trim().length;
+        const renderedLength = (renderedText || '').replace(/\s+/g, ' ').trim().length;
+        return renderedLength >= Math.max(staticLength * 2, staticLength + this.config.minTextLength);
+    }
+
+    /**
+     * Remember which method a domain needs
+     */
+    remember(url, method, reasons = []) {
+        const domain = this.domainOf(url);
+        const previous = this.decisions.get(domain);
+        if (previous?.method !== method) {
+            console.log(`Fetch strategy for ${domain}: ${method}${reasons.length ? ` (${reasons.join(', ')})` : ''}`);
+        }
+        this.decisions.set(domain, { method, reasons, decidedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Whether a domain has a remembered decision
+     */
+    isDecided(url) {
+        return this.decisions.has(this.domainOf(url));
+    }
+
+    /**
+     * Contact values in an extraction result
+     */
+    contactCount(extracted) {
+        if (!extracted) return 0;
+        if (this.config.pipeline) {
+            return Object.values(this.config.pipeline.countContacts(extracted)).reduce((sum, count) => sum + count, 0);
+        }
+        return ['emails', 'phones'].reduce((sum, field) => sum + (extracted[field] || []).length, 0);
+    }
+
+    /**
+     * Domain decisions are shared by www and bare hosts
+     */
+    domainOf(url) {
+        return new URL(url).hostname.replace(/^www\./, '');
+    }
+
+    /**
+     * Remembered decisions for status displays
+     */
+    getDecisions() {
+        return Object.fromEntries(this.decisions);
+    }
+}
@@ -0,0 +1,213 @@
+const THROTTLE_STATUSES = [429, 503];
+
+/**
+ * Host Scheduler - Single gate every page fetch goes through
+ * - At most maxPerHost requests in flight per host (scheme-less host:port) and maxConcurrent overall
+ * - Request starts to one host are spaced by the longest of the scheduler's minInterval, the caller's
+ *   minInterval and, when the caller respects robots.txt, the host's Crawl-delay
+ * - 429 and 503 responses back the host off (Retry-After when the server sends one, exponential otherwise)
+ *   and the request is retried up to maxRetries times; successes ease the backoff again
+ * Work is started when a task finishes, a task is queued or a host's wait timer fires; nothing polls.
+ */
+export class HostScheduler {
+    constructor(config = {}) {
+        this.config = {
+            maxPerHost: 2,
+            maxConcurrent: 6,
+            minInterval: 0, // ms between request starts to one host
+            maxRetries: 2, // Retries of a throttled request
+            backoffBase: 2000, // First backoff without Retry-After, doubled per consecutive throttle
+            maxBackoff: 5 * 60 * 1000,
+            robots: null, // RobotsManager for Crawl-delay
+            ...config
+        };
+
+        this.hosts = new Map(); // host -> { queue, active, nextStart, blockedUntil, penalty, timer }
+        this.active = 0;
+    }
+
+    /**
+     * Run a fetch for a URL once its host has a free slot
+     * @param {string} url - URL the task fetches (its host is what gets limited)
+     * @param {Function} task - Async function doing the fetch; resolves to a result or throws
+     * @param {object} options - minInterval (ms), respectRobots
+     * @returns {Promise<*>} The task's result
+     */
+    async schedule(url, task, options = {}) {
+        const host = new URL(url).host;
+        const crawlDelay = options.respectRobots && this.config.robots
+            ? await this.config.robots.getCrawlDelay(url)
+            : 0;
+        const interval = Math.max(this.config.minInterval, options.minInterval || 0, crawlDelay);
+
+        return new Promise((resolve, reject) => {
+            this.hostState(host).queue.push({ url, task, interval, attempts: 0, resolve, reject });
+            this.drain(host);
+        });
+    }
+
+    /**
+     * State for a host, created on first use
+     */
+    hostState(host) {
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, { queue: [], active: 0, nextStart: 0, blockedUntil: 0, penalty: 0, timer: null });
+        }
+        return this.hosts.get(host);
+    }
+
+    /**
+     * Start as many of a host's queued tasks as its limits allow, or set a timer for the next one
+     */
+    drain(host) {
+        const state = this.hosts.get(host);
+        if (!state) return;
+
+        while (state.queue.length > 0 && state.active < this.config.maxPerHost && this.active < this.config.maxConcurrent) {
+            const wait = Math.max(state.nextStart, state.blockedUntil) - Date.now();
+            if (wait > 0) {
+                if (!state.timer) {
+                    state.timer = setTimeout(() => {
+                        state.timer = null;
+                        this.drain(host);
+                    }, wait);
+                }
+                return;
+            }
+
+            const entry = state.queue.shift();
+            state.nextStart = Date.now() + entry.interval;
+            this.run(host, state, entry);
+        }
+
+        // Forget idle hosts once their interval and backoff have passed
+        const idle = state.queue.length === 0 && state.active === 0 && !state.timer && state.penalty === 0;
+        if (idle && Date.now() >= Math.max(state.nextStart, state.blockedUntil)) {
+            this.hosts.delete(host);
+        }
+    }
+
+    /**
+     * Run one task and handle throttling responses
+     */
+    async run(host, state, entry) {
+        state.active++;
+        this.active++;
+
+        let outcome;
+        let failed = false;
+        try {
+            outcome = await entry.task();
+        } catch (error) {
+            outcome = error;
+            failed = true;
+        }
+
+        state.active--;
+        this.active--;
+
+        const throttle = this.throttleInfo(outcome);
+        if (throttle) {
+            const backoff = this.backoffDelay(state, throttle.retryAfter);
+            state.blockedUntil = Math.max(state.blockedUntil, Date.now() + backoff);
+            console.log(`${host} answered ${throttle.status}, backing off for ${Math.round(backoff / 1000)}s`);
+
+            if (entry.attempts < this.config.maxRetries) {
+                entry.attempts++;
+                state.queue.unshift(entry);
+                this.drainAll();
+                return;
+            }
+        } else if (state.penalty > 0) {
+            state.penalty--;
+        }
+
+        if (failed) {
+            entry.reject(outcome);
+        } else {
+            entry.resolve(outcome);
+        }
+        this.drainAll();
+    }
+
+    /**
+     * A finished task frees a global slot, so every host with queued work gets a chance
+     */
+    drainAll() {
+        Array.from(this.hosts.keys()).forEach(host => this.drain(host));
+    }
+
+    /**
+     * Status code and Retry-After of a throttled result or error, or null
+     * Results carry statusCode/retryAfter; axios errors carry a response
+     */
+    throttleInfo(outcome) {
+        if (!outcome || typeof outcome !== 'object') return null;
+
+        const status = outcome.statusCode ?? outcome.response?.status;
+        if (!THROTTLE_STATUSES.includes(status)) return null;
+
+        const retryAfter = outcome.retryAfter ?? outcome.response?.headers?.['retry-after'];
+        return { status, retryAfter: retryAfter ?? null };
+    }
+
+    /**
+     * Whether a scrape result or error is a 429/503 throttling response
+     */
+    isThrottled(outcome) {
+        return this.throttleInfo(outcome) !== null;
+    }
+
+    /**
+     * How long to leave a host alone after a throttling response
+     */
+    backoffDelay(state, retryAfter) {
+        state.penalty++;
+        const requested = this.parseRetryAfter(retryAfter);
+        const delay = requested ?? this.config.backoffBase * 2 ** (state.penalty - 1);
+        return Math.min(delay, this.config.maxBackoff);
+    }
+
+    /**
+     * Retry-After as milliseconds: either delay-seconds or an HTTP-date
+     */
+    parseRetryAfter(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) return parseInt(text, 10) * 1000;
+
+        const date = Date.parse(text);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Queue sizes and per-host backoff for status displays
+     */
+    getStats() {
+        const now = Date.now();
+        const hosts = Array.from(this.hosts.entries()).map(([host, state]) => ({
+            host,
+            queued: state.queue.length,
+            active: state.active,
+            backoffMs: Math.max(0, state.blockedUntil - now)
+        }));
+
+        return {
+            active: this.active,
+            queued: hosts.reduce((sum, host) => sum + host.queued, 0),
+            hosts
+        };
+    }
+
+    /**
+     * Drop all queued tasks; their promises reject, tasks in flight finish normally
+     */
+    clear() {
+        this.hosts.forEach(state => {
+            if (state.timer) clearTimeout(state.timer);
+            state.timer = null;
+            state.queue.splice(0).forEach(entry => entry.reject(new Error('Scheduler cleared')));
+        });
+    }
+}
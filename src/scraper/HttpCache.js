@@ -0,0 +1,167 @@
+import { mkdir, readFile, rename, rm, writeFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { join } from 'path';
+
+/**
+ * Query parameters that only track the visitor and never change the page
+ */
+const TRACKING_PARAMS = /^(?:utm_[a-z]+|fbclid|gclid|msclkid|mc_cid|mc_eid|_ga)$/i;
+
+/**
+ * HTTP Cache - On-disk cache of scrape results keyed by normalized URL
+ * Each entry keeps the response validators (ETag, Last-Modified), a hash of the body and the
+ * extracted result, so a re-scrape can:
+ * - skip the request entirely while the entry is fresh (maxAge, configurable per domain)
+ * - send If-None-Match / If-Modified-Since and reuse the result on 304 Not Modified
+ * - reuse the result when a full download has the same body hash
+ */
+export class HttpCache {
+    constructor(config = {}) {
+        this.config = {
+            cacheDir: join(process.cwd(), 'data', 'http-cache'),
+            maxAge: 0, // ms an entry is used without revalidating; 0 always sends a conditional request
+            domainMaxAge: {}, // { 'example.com': ms } - also applies to subdomains
+            ...config
+        };
+    }
+
+    /**
+     * Cache key: scheme, lowercased host, path and sorted query without fragments or tracking parameters
+     */
+    normalize(url) {
+        const parsed = new URL(url);
+        parsed.hash = '';
+
+        const params = Array.from(parsed.searchParams.entries())
+            .filter(([name]) => !TRACKING_PARAMS.test(name))
+            .sort(([a], [b]) => a.localeCompare(b));
+        parsed.search = new URLSearchParams(params).toString();
+
+        return parsed.href; // URL already lowercases the host and drops default ports
+    }
+
+    /**
+     * File holding a URL's entry
+     */
+    entryPath(url) {
+        const key = createHash('sha256').update(this.normalize(url)).digest('hex');
+        return join(this.config.cacheDir, `${key}.json`);
+    }
+
+    /**
+     * Cached entry for a URL, or null
+     * @returns {Promise<{url, etag, lastModified, bodyHash, fetchedAt, validatedAt, result}|null>}
+     */
+    async get(url) {
+        try {
+            return JSON.parse(await readFile(this.entryPath(url), 'utf8'));
+        } catch {
+            return null; // Missing or unreadable entries are cache misses
+        }
+    }
+
+    /**
+     * Store a fetched page's validators, body hash and extracted result
+     */
+    async set(url, { etag = null, lastModified = null, body = '', result }) {
+        const now = new Date().toISOString();
+        const entry = {
+            url: this.normalize(url),
+            etag,
+            lastModified,
+            bodyHash: this.hashBody(body),
+            fetchedAt: now,
+            validatedAt: now,
+            result
+        };
+
+        await this.write(url, entry);
+        return entry;
+    }
+
+    /**
+     * Record that a cached entry was confirmed unchanged (304, or same body hash)
+     */
+    async touch(url, entry, { etag, lastModified } = {}) {
+        const updated = {
+            ...entry,
+            etag: etag || entry.etag,
+            lastModified: lastModified || entry.lastModified,
+            validatedAt: new Date().toISOString()
+        };
+
+        await this.write(url, updated);
+        return updated;
+    }
+
+    /**
+     * Whether an entry may be used without asking the server
+     */
+    isFresh(entry) {
+        if (!entry) return false;
+
+        const maxAge = this.maxAgeFor(entry.url);
+        return maxAge > 0 && Date.now() - Date.parse(entry.validatedAt) < maxAge;
+    }
+
+    /**
+     * Freshness lifetime for a URL: the most specific domainMaxAge entry, else maxAge
+     */
+    maxAgeFor(url) {
+        const host = new URL(url).hostname.replace(/^www\./, '');
+        const match = Object.keys(this.config.domainMaxAge)
+            .filter(domain => host === domain || host.endsWith(`.${domain}`))
+            .sort((a, b) => b.length - a.length)[0];
+
+        return match ? this.config.domainMaxAge[match] : this.config.maxAge;
+    }
+
+    /**
+     * Conditional request headers for a cached entry
+     */
+    validatorHeaders(entry) {
+        const headers = {};
+        if (entry?.etag) headers['If-None-Match'] = entry.etag;
+        if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+        return headers;
+    }
+
+    /**
+     * Whether a downloaded body is byte-for-byte what the entry was built from
+     */
+    isUnchanged(entry, body) {
+        return Boolean(entry) && entry.bodyHash === this.hashBody(body);
+    }
+
+    /**
+     * SHA-256 of a response body
+     */
+    hashBody(body) {
+        return createHash('sha256').update(typeof body === 'string' ? body : String(body ?? '')).digest('hex');
+    }
+
+    /**
+     * Write an entry through a temporary file so readers never see half of it
+     */
+    async write(url, entry) {
+        const path = this.entryPath(url);
+        const temporary = `${path}.${process.pid}-${Math.random().toString(36).slice(2)}.tmp`;
+        await mkdir(this.config.cacheDir, { recursive: true });
+        await writeFile(temporary, JSON.stringify(entry));
+        await rename(temporary, path);
+    }
+
+    /**
+     * Drop a URL's entry
+     */
+    async delete(url) {
+        await rm(this.entryPath(url), { force: true });
+    }
+
+    /**
+     * Drop every entry
+     */
+    async clear() {
+        await rm(this.config.cacheDir, { recursive: true, force: true });
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * Resource types contact extraction never needs
+ */
+const DEFAULT_BLOCKED_TYPES = ['image', 'media', 'font', 'texttrack'];
+
+/**
+ * Analytics, tag manager, ad and session-recording hosts (subdomains included)
+ */
+const DEFAULT_BLOCKED_HOSTS = [
+    'google-analytics.com', 'googletagmanager.com', 'googleadservices.com', 'googlesyndication.com',
+    'doubleclick.net', 'adservice.google.com', 'connect.facebook.net', 'facebook.net',
+    'hotjar.com', 'clarity.ms', 'segment.io', 'segment.com', 'mixpanel.com', 'amplitude.com',
+    'fullstory.com', 'scorecardresearch.com', 'quantserve.com', 'criteo.com', 'criteo.net',
+    'taboola.com', 'outbrain.com', 'amazon-adsystem.com', 'adnxs.com', 'bat.bing.com',
+    'snap.licdn.com', 'ads.linkedin.com', 'analytics.tiktok.com', 'static.ads-twitter.com', 'nr-data.net'
+];
+
+/**
+ * Typical transfer sizes in bytes, used to estimate what a blocked request would have cost
+ */
+const DEFAULT_SIZE_ESTIMATES = {
+    image: 60 * 1024,
+    media: 500 * 1024,
+    font: 40 * 1024,
+    texttrack: 5 * 1024,
+    stylesheet: 30 * 1024,
+    script: 40 * 1024,
+    xhr: 5 * 1024,
+    fetch: 5 * 1024,
+    other: 10 * 1024
+};
+
+/**
+ * Resource Blocker - Request interception policy for Puppeteer pages
+ * Aborts heavy resource types (images, media, fonts) and third-party tracker hosts by default;
+ * domainOverrides relax or tighten the policy for sites that break without a resource:
+ *   { 'example.com': { allowTypes: ['font'], allowHosts: ['cdn.segment.com'], blockTypes: ['stylesheet'], disabled: false } }
+ * Savings are estimates: blocked requests are never sent, so their size is taken from sizeEstimates
+ * and their time from an assumed bandwidth.
+ */
+export class ResourceBlocker {
+    constructor(config = {}) {
+        this.config = {
+            blockedTypes: DEFAULT_BLOCKED_TYPES,
+            blockedHosts: DEFAULT_BLOCKED_HOSTS,
+            domainOverrides: {},
+            sizeEstimates: DEFAULT_SIZE_ESTIMATES,
+            bandwidth: 1250, // Bytes per ms (10 Mbit/s) for the time estimate
+            ...config
+        };
+    }
+
+    /**
+     * Start intercepting a page's requests for one scrape
+     * @returns {Promise<{stats: object, detach: Function}>} detach stops interception and returns the stats
+     */
+    async attach(page, url) {
+        const policy = this.policyFor(url);
+        const stats = this.emptyStats();
+
+        if (policy.disabled) {
+            return { stats, detach: async () => stats };
+        }
+
+        const onRequest = request => {
+            // Another handler (e.g. cooperative interception) already decided
+            if (request.isInterceptResolutionHandled?.()) return;
+
+            const reason = this.blockReason(request, url, policy);
+            if (!reason) {
+                request.continue().catch(() => {});
+                return;
+            }
+
+            this.record(stats, request.resourceType(), reason);
+            request.abort('blockedbyclient').catch(() => {});
+        };
+
+        await page.setRequestInterception(true);
+        page.on('request', onRequest);
+
+        return {
+            stats,
+            detach: async () => {
+                page.off('request', onRequest);
+                await page.setRequestInterception(false).catch(() => {});
+                return this.finishStats(stats);
+            }
+        };
+    }
+
+    /**
+     * Why a request should be aborted ('type' or 'tracker'), or null to let it through
+     */
+    blockReason(request, pageUrl, policy) {
+        const type = request.resourceType();
+        if (type === 'document') return null; // Pages and iframes are always loaded
+
+        let host;
+        try {
+            host = new URL(request.url()).hostname;
+        } catch {
+            return null; // data: and blob: URLs
+        }
+
+        if (this.matchesHost(host, policy.allowHosts)) return null;
+        if (policy.blockTypes.includes(type)) return 'type';
+        if (!this.isSameSite(host, pageUrl) && this.matchesHost(host, policy.blockHosts)) return 'tracker';
+        return null;
+    }
+
+    /**
+     * Effective policy for a page: defaults merged with the most specific domain override
+     */
+    policyFor(url) {
+        const host = new URL(url).hostname.replace(/^www\./, '');
+        const domain = Object.keys(this.config.domainOverrides)
+            .filter(candidate => host === candidate || host.endsWith(`.${candidate}`))
+            .sort((a, b) => b.length - a.length)[0];
+        const override = domain ? this.config.domainOverrides[domain] : {};
+
+        return {
+            disabled: override.disabled === true,
+            blockTypes: [...this.config.blockedTypes, ...(override.blockTypes || [])]
+                .filter(type => !(override.allowTypes || []).includes(type)),
+            blockHosts: [...this.config.blockedHosts, ...(override.blockHosts || [])],
+            allowHosts: override.allowHosts || []
+        };
+    }
+
+    /**
+     * Whether a host is one of the listed domains or a subdomain of one
+     */
+    matchesHost(host, domains) {
+        return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+    }
+
+    /**
+     * First-party check on the last two host labels (good enough for tracker hosts)
+     */
+    isSameSite(host, pageUrl) {
+        const site = hostname => hostname.split('.').slice(-2).join('.');
+        try {
+            return site(host) === site(new URL(pageUrl).hostname);
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Count a blocked request
+     */
+    record(stats, type, reason) {
+        stats.blockedRequests++;
+        stats.blockedByType[type] = (stats.blockedByType[type] || 0) + 1;
+        if (reason === 'tracker') stats.blockedTrackers++;
+        stats.estimatedBytesSaved += this.config.sizeEstimates[type] ?? this.config.sizeEstimates.other;
+    }
+
+    /**
+     * Per-page counters
+     */
+    emptyStats() {
+        return {
+            blockedRequests: 0,
+            blockedTrackers: 0,
+            blockedByType: {},
+            estimatedBytesSaved: 0,
+            estimatedTimeSavedMs: 0
+        };
+    }
+
+    /**
+     * Derive the time estimate once the page is done
+     */
+    finishStats(stats) {
+        stats.estimatedTimeSavedMs = Math.round(stats.estimatedBytesSaved / this.config.bandwidth);
+        return stats;
+    }
+}
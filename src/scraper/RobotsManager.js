@@ -0,0 +1,164 @@
+import axios from 'axios';
+import { RobotsTxt } from './RobotsTxt.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Robots Manager - Fetches and caches robots.txt per origin (scheme, host and port)
+ * Shared by the site crawler and the browsing-triggered DataScraper so both obey the same rules.
+ * Fetch results are handled as RFC 9309 section 2.3.1 defines:
+ * - 2xx: parse the file (only the first 500 KiB)
+ * - 3xx: follow up to 5 redirects, then treat the file as unavailable
+ * - 4xx: unavailable, everything may be crawled
+ * - 5xx and network errors: unreachable, nothing may be crawled (a previously fetched copy is kept);
+ *   after 30 days of unreachability without a copy the file is treated as unavailable
+ */
+export class RobotsManager {
+    constructor(config = {}) {
+        this.config = {
+            productToken: 'DataScraper', // Matched against robots.txt user-agent lines
+            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 DataScraper/1.0',
+            timeout: 5000,
+            cacheTtl: DAY, // RFC 9309: cached copies should not be used for more than 24 hours
+            unreachableRetry: 10 * 60 * 1000, // Retry an unreachable robots.txt after 10 minutes
+            unreachableLimit: 30 * DAY,
+            maxBytes: 500 * 1024,
+            maxRedirects: 5,
+            ...config
+        };
+
+        this.cache = new Map(); // origin -> { robots, status, fetchedAt, expiresAt, unreachableSince }
+        this.pending = new Map(); // origin -> in-flight fetch
+    }
+
+    /**
+     * Rules for the origin of a URL, fetched once per cache lifetime
+     * @returns {Promise<RobotsTxt>}
+     */
+    async get(url) {
+        const origin = new URL(url).origin;
+        const cached = this.cache.get(origin);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.robots;
+        }
+
+        // Concurrent workers asking for the same origin share one request
+        if (!this.pending.has(origin)) {
+            this.pending.set(origin, this.fetch(origin).finally(() => this.pending.delete(origin)));
+        }
+
+        return (await this.pending.get(origin)).robots;
+    }
+
+    /**
+     * Check whether our product token may crawl a URL
+     */
+    async isAllowed(url) {
+        return (await this.check(url)).allowed;
+    }
+
+    /**
+     * Whether a URL may be crawled and, if not, why: a robots.txt rule ('robots') or a robots.txt
+     * that could not be fetched ('unreachable', a dead or misspelled host looks the same)
+     * @returns {Promise<{allowed: boolean, reason: 'robots'|'unreachable'|null, error: string|null}>}
+     */
+    async check(url) {
+        const robots = await this.get(url);
+        if (robots.isAllowed(url, this.config.productToken)) {
+            return { allowed: true, reason: null, error: null };
+        }
+
+        const entry = this.cache.get(new URL(url).origin);
+        if (entry?.status === 'unreachable') {
+            return { allowed: false, reason: 'unreachable', error: `robots.txt unreachable (${entry.error})` };
+        }
+        return { allowed: false, reason: 'robots', error: 'Disallowed by robots.txt' };
+    }
+
+    /**
+     * Crawl-delay for a URL's host in milliseconds (0 if none is set)
+     */
+    async getCrawlDelay(url) {
+        const robots = await this.get(url);
+        const seconds = robots.getCrawlDelay(this.config.productToken);
+        return seconds ? Math.round(seconds * 1000) : 0;
+    }
+
+    /**
+     * Sitemap URLs listed in the robots.txt of a URL's origin
+     */
+    async getSitemaps(url) {
+        const robots = await this.get(url);
+        return robots.sitemaps;
+    }
+
+    /**
+     * Fetch robots.txt for an origin and cache the outcome
+     */
+    async fetch(origin) {
+        const now = Date.now();
+        const previous = this.cache.get(origin);
+        let entry;
+
+        try {
+            const response = await axios.get(`${origin}/robots.txt`, {
+                timeout: this.config.timeout,
+                maxRedirects: this.config.maxRedirects,
+                responseType: 'arraybuffer',
+                validateStatus: () => true,
+                headers: { 'User-Agent': this.config.userAgent }
+            });
+
+            if (response.status >= 200 && response.status < 300) {
+                const body = Buffer.from(response.data).subarray(0, this.config.maxBytes).toString('utf8');
+                entry = this.cacheEntry(new RobotsTxt(body), 'ok', now, this.config.cacheTtl);
+            } else if (response.status >= 500) {
+                entry = this.unreachableEntry(origin, previous, now, `HTTP ${response.status}`);
+            } else {
+                // 4xx, or a redirect that was not followed
+                entry = this.cacheEntry(RobotsTxt.allowAll(), 'unavailable', now, this.config.cacheTtl);
+            }
+
+        } catch (error) {
+            entry = error.code === 'ERR_FR_TOO_MANY_REDIRECTS'
+                ? this.cacheEntry(RobotsTxt.allowAll(), 'unavailable', now, this.config.cacheTtl)
+                : this.unreachableEntry(origin, previous, now, error.message);
+        }
+
+        this.cache.set(origin, entry);
+        return entry;
+    }
+
+    /**
+     * Cache entry for a fetched (or unavailable) robots.txt
+     */
+    cacheEntry(robots, status, now, ttl) {
+        return { robots, status, fetchedAt: now, expiresAt: now + ttl, unreachableSince: null };
+    }
+
+    /**
+     * Cache entry for an unreachable robots.txt: keep the last good copy, otherwise disallow everything
+     */
+    unreachableEntry(origin, previous, now, reason) {
+        const unreachableSince = previous?.unreachableSince || now;
+        const expiresAt = now + this.config.unreachableRetry;
+        console.log(`robots.txt unreachable for ${origin} (${reason})`);
+
+        if (previous && previous.status === 'ok') {
+            return { ...previous, expiresAt, unreachableSince };
+        }
+
+        if (now - unreachableSince > this.config.unreachableLimit) {
+            return { robots: RobotsTxt.allowAll(), status: 'unavailable', fetchedAt: now, expiresAt, unreachableSince };
+        }
+
+        return { robots: RobotsTxt.disallowAll(), status: 'unreachable', fetchedAt: now, expiresAt, unreachableSince, error: reason };
+    }
+
+    /**
+     * Forget cached robots.txt files
+     */
+    clear() {
+        this.cache.clear();
+    }
+}
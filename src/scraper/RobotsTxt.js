@@ -0,0 +1,165 @@
+/**
+ * robots.txt rules for one site, parsed and matched as RFC 9309 specifies:
+ * - groups start with one or more user-agent lines; the group(s) naming our product token win, else "*"
+ * - the longest matching Allow/Disallow pattern decides, Allow wins a tie
+ * - "*" matches any characters and a trailing "$" anchors the end of the path
+ * Crawl-delay (not part of the RFC, but widely used) is read per group
+ */
+export class RobotsTxt {
+    /**
+     * @param {string} content - robots.txt body
+     */
+    constructor(content = '') {
+        this.groups = [];
+        this.sitemaps = [];
+        this.disallowAll = false;
+        this.parse(content);
+    }
+
+    /**
+     * Rules for a site without a usable robots.txt (4xx): everything is allowed
+     */
+    static allowAll() {
+        return new RobotsTxt('');
+    }
+
+    /**
+     * Rules for a site whose robots.txt is unreachable (5xx, network error): nothing is allowed
+     */
+    static disallowAll() {
+        const robots = new RobotsTxt('');
+        robots.disallowAll = true;
+        return robots;
+    }
+
+    /**
+     * Parse the file into groups of rules
+     */
+    parse(content) {
+        let group = null;
+        let lastKey = null;
+
+        String(content).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach(rawLine => {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+
+            const key = line.slice(0, separator).trim().toLowerCase();
+            const value = line.slice(separator + 1).trim();
+
+            switch (key) {
+                case 'user-agent':
+                    // Consecutive user-agent lines share one group
+                    if (!group || lastKey !== 'user-agent') {
+                        group = { agents: [], rules: [], crawlDelay: null };
+                        this.groups.push(group);
+                    }
+                    group.agents.push(value.split('/')[0].trim().toLowerCase());
+                    break;
+                case 'allow':
+                case 'disallow':
+                    // Rules before the first user-agent line belong to no group; an empty path is no rule
+                    if (group && value) {
+                        group.rules.push({ allow: key === 'allow', pattern: this.normalizePath(value) });
+                    }
+                    break;
+                case 'crawl-delay': {
+                    const delay = parseFloat(value);
+                    if (group && Number.isFinite(delay) && delay >= 0) group.crawlDelay = delay;
+                    break;
+                }
+                case 'sitemap':
+                    if (value) this.sitemaps.push(value);
+                    break;
+                default:
+                    break;
+            }
+
+            lastKey = key;
+        });
+    }
+
+    /**
+     * Combined rules of every group naming the product token, or of the "*" groups if none does
+     */
+    groupFor(productToken) {
+        const token = productToken.toLowerCase();
+        let matching = this.groups.filter(group => group.agents.includes(token));
+        if (matching.length === 0) {
+            matching = this.groups.filter(group => group.agents.includes('*'));
+        }
+
+        const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+        return {
+            rules: matching.flatMap(group => group.rules),
+            crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+        };
+    }
+
+    /**
+     * Check whether a URL (or path) may be crawled
+     */
+    isAllowed(url, productToken) {
+        if (this.disallowAll) return false;
+
+        const target = this.pathOf(url);
+        if (target === '/robots.txt') return true;
+
+        let best = null;
+        for (const rule of this.groupFor(productToken).rules) {
+            if (!this.matches(rule.pattern, target)) continue;
+
+            const length = rule.pattern.length;
+            if (!best || length > best.length || (length === best.length && rule.allow)) {
+                best = { length, allow: rule.allow };
+            }
+        }
+
+        return best ? best.allow : true;
+    }
+
+    /**
+     * Crawl-delay for the product token in seconds, or null if the file sets none
+     */
+    getCrawlDelay(productToken) {
+        return this.groupFor(productToken).crawlDelay;
+    }
+
+    /**
+     * Match a rule pattern against a path; patterns are prefixes unless they end with "$"
+     */
+    matches(pattern, path) {
+        if (!pattern.includes('*') && !pattern.endsWith('$')) {
+            return path.startsWith(pattern);
+        }
+
+        const anchored = pattern.endsWith('$');
+        const body = anchored ? pattern.slice(0, -1) : pattern;
+        const source = body.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+    }
+
+    /**
+     * Path and query of a URL, percent-encoded the same way as the rules
+     */
+    pathOf(url) {
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(url)) return this.normalizePath(url);
+
+        const parsed = new URL(url);
+        return this.normalizePath(parsed.pathname + parsed.search);
+    }
+
+    /**
+     * Percent-encode non-ASCII characters and uppercase escapes so "/café" and "/caf%c3%a9" compare equal
+     * Encoded reserved characters such as %2F stay encoded
+     */
+    normalizePath(path) {
+        let normalized = path;
+        try {
+            normalized = encodeURI(decodeURI(path));
+        } catch {
+            // Malformed escapes: compare as written
+        }
+        return normalized.replace(/%[0-9a-f]{2}/gi, escape => escape.toUpperCase());
+    }
+}
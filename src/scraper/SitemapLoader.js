@@ -0,0 +1,150 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { gunzipSync } from 'zlib';
+
+/**
+ * Sitemap Loader - Reads sitemap.xml files, sitemap indexes and gzipped sitemaps
+ * Returns the listed page URLs with their lastmod and priority hints for seeding a crawl.
+ * Files are capped at the sitemap protocol's 50 MB (uncompressed), and with a scheduler every
+ * sitemap download waits for its host like a page fetch.
+ */
+export class SitemapLoader {
+    constructor(config = {}) {
+        this.config = {
+            timeout: 10000,
+            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            maxSitemaps: 25, // Sitemap files fetched per site, indexes included
+            maxUrls: 5000,
+            maxBytes: 50 * 1024 * 1024, // Per file, downloaded and after gunzip
+            scheduler: null, // HostScheduler the downloads go through
+            ...config
+        };
+    }
+
+    /**
+     * Sitemaps to try for a site: the robots.txt Sitemap: lines, then /sitemap.xml
+     */
+    discover(origin, robotsSitemaps = []) {
+        const urls = [...robotsSitemaps, '/sitemap.xml'].map(url => {
+            try {
+                return new URL(url, origin).href; // robots.txt should list absolute URLs, but relative ones are common
+            } catch {
+                return null;
+            }
+        });
+        return Array.from(new Set(urls.filter(Boolean)));
+    }
+
+    /**
+     * Fetch sitemaps, following sitemap indexes, and collect their page entries
+     * @param {string[]} sitemapUrls - Sitemaps to start from
+     * @param {object} options - inScope(url) for sitemap files (skipped when false), minInterval and
+     *                           respectRobots for the scheduler
+     * @returns {Promise<{url: string, lastmod: string|null, priority: number|null, changefreq: string|null}[]>}
+     */
+    async load(sitemapUrls, options = {}) {
+        const { inScope = () => true } = options;
+        const queue = [...sitemapUrls];
+        const fetched = new Set();
+        const entries = new Map();
+
+        while (queue.length > 0 && fetched.size < this.config.maxSitemaps && entries.size < this.config.maxUrls) {
+            const sitemapUrl = queue.shift();
+            if (fetched.has(sitemapUrl)) continue;
+            fetched.add(sitemapUrl);
+            if (!inScope(sitemapUrl)) {
+                console.log(`Sitemap out of scope: ${sitemapUrl}`);
+                continue;
+            }
+
+            const xml = this.config.scheduler
+                ? await this.config.scheduler.schedule(sitemapUrl, () => this.fetchSitemap(sitemapUrl), options)
+                : await this.fetchSitemap(sitemapUrl);
+            if (!xml) continue;
+
+            const sitemap = this.parse(xml, sitemapUrl);
+            if (sitemap.type === 'index') {
+                queue.push(...sitemap.sitemaps);
+                continue;
+            }
+
+            for (const entry of sitemap.entries) {
+                if (entries.size >= this.config.maxUrls) break;
+                if (!entries.has(entry.url)) entries.set(entry.url, entry);
+            }
+        }
+
+        return Array.from(entries.values());
+    }
+
+    /**
+     * Download a sitemap, gunzipping .xml.gz files; a missing or oversized sitemap is not an error
+     */
+    async fetchSitemap(url) {
+        try {
+            const response = await axios.get(url, {
+                timeout: this.config.timeout,
+                responseType: 'arraybuffer',
+                maxContentLength: this.config.maxBytes,
+                maxBodyLength: this.config.maxBytes,
+                headers: { 'User-Agent': this.config.userAgent }
+            });
+
+            let body = Buffer.from(response.data);
+            // Gzip magic bytes; servers often send .xml.gz without Content-Encoding
+            if (body[0] === 0x1f && body[1] === 0x8b) {
+                body = gunzipSync(body, { maxOutputLength: this.config.maxBytes }); // Throws past the limit
+            }
+
+            return body.toString('utf8');
+
+        } catch (error) {
+            console.log(`Sitemap not loaded: ${url} (${error.message})`);
+            return null;
+        }
+    }
+
+    /**
+     * Parse a <urlset> or <sitemapindex> document
+     */
+    parse(xml, baseUrl) {
+        const $ = cheerio.load(xml, { xmlMode: true });
+        const resolve = loc => {
+            try {
+                return new URL(loc.trim(), baseUrl).href;
+            } catch {
+                return null;
+            }
+        };
+
+        if ($('sitemapindex').length > 0) {
+            return {
+                type: 'index',
+                sitemaps: $('sitemapindex > sitemap > loc').map((i, loc) => resolve($(loc).text())).get().filter(Boolean)
+            };
+        }
+
+        const entries = $('urlset > url').map((i, element) => {
+            const url = resolve($(element).children('loc').text());
+            if (!url) return null;
+
+            const priority = parseFloat($(element).children('priority').text());
+            return {
+                url,
+                lastmod: $(element).children('lastmod').text().trim() || null,
+                priority: Number.isFinite(priority) ? Math.min(Math.max(priority, 0), 1) : null,
+                changefreq: $(element).children('changefreq').text().trim() || null
+            };
+        }).get().filter(Boolean);
+
+        return { type: 'urlset', entries };
+    }
+
+    /**
+     * Order entries by sitemap priority (default 0.5), then most recently modified
+     */
+    sortEntries(entries) {
+        const time = entry => (entry.lastmod ? Date.parse(entry.lastmod) || 0 : 0);
+        return [...entries].sort((a, b) => (b.priority ?? 0.5) - (a.priority ?? 0.5) || time(b) - time(a));
+    }
+}
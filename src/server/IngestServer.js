@@ -0,0 +1,259 @@
+import { EventEmitter } from 'events';
+import { createServer } from 'http';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+
+/**
+ * Ingest Server - Localhost endpoint the companion browser extension sends page snapshots to
+ * - Listens on 127.0.0.1 only and authenticates every request with the pairing token
+ *   (Authorization: Bearer <token>), which is generated once and kept in the data directory
+ * - Requests from web pages are refused (Origin must be a browser extension) and the Host header
+ *   must name the loopback address, so pages can't reach the endpoint through DNS rebinding
+ * - POST /snapshot { url, title, html, text, capturedAt, trigger } hands the snapshot to onSnapshot
+ *   and answers with its result; GET /status lets the extension check its pairing
+ */
+export class IngestServer extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = {
+            host: '127.0.0.1',
+            port: 47600,
+            tokenPath: join(process.cwd(), 'data', 'extension-token'),
+            maxBodySize: 8 * 1024 * 1024, // Sanitized snapshots of very large pages are cut by the extension first
+            onSnapshot: null, // async snapshot => result object
+            ...config
+        };
+
+        this.server = null;
+        this.token = null;
+        this.stats = { received: 0, rejected: 0 };
+    }
+
+    /**
+     * Load (or create) the pairing token and start listening
+     * @returns {Promise<{host: string, port: number}>}
+     */
+    async start() {
+        if (this.server) return this.address();
+
+        await this.loadToken();
+        this.server = createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                console.error('Ingest request failed:', error);
+                this.respond(res, 500, { error: 'Internal error' });
+            });
+        });
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.server.once('error', reject);
+                this.server.listen(this.config.port, this.config.host, resolve);
+            });
+        } catch (error) {
+            this.server = null; // e.g. EADDRINUSE: another instance owns the port
+            throw error;
+        }
+
+        const { host, port } = this.address();
+        console.log(`Extension ingest endpoint listening on http://${host}:${port}`);
+        return { host, port };
+    }
+
+    /**
+     * Stop listening
+     */
+    async stop() {
+        if (!this.server) return;
+
+        const server = this.server;
+        this.server = null;
+        server.closeAllConnections?.();
+        await new Promise(resolve => server.close(resolve));
+    }
+
+    /**
+     * Bound host and port (the port is assigned when configured as 0)
+     */
+    address() {
+        const { address, port } = this.server.address();
+        return { host: address, port };
+    }
+
+    /**
+     * Pairing details shown in the app: the endpoint URL and token to paste into the extension
+     */
+    getPairing() {
+        const { host, port } = this.server ? this.address() : this.config;
+        return { endpoint: `http://${host}:${port}`, token: this.token };
+    }
+
+    /**
+     * Read the stored pairing token, creating one on first use
+     */
+    async loadToken() {
+        try {
+            this.token = (await readFile(this.config.tokenPath, 'utf8')).trim();
+        } catch {
+            this.token = null;
+        }
+
+        if (!this.token) {
+            await this.regenerateToken();
+        }
+        return this.token;
+    }
+
+    /**
+     * Replace the pairing token; extensions paired with the old one are rejected from now on
+     */
+    async regenerateToken() {
+        this.token = randomBytes(24).toString('base64url');
+        await mkdir(dirname(this.config.tokenPath), { recursive: true });
+        await writeFile(this.config.tokenPath, this.token, { mode: 0o600 });
+        return this.token;
+    }
+
+    /**
+     * Route a request
+     */
+    async handleRequest(req, res) {
+        const origin = req.headers.origin;
+        if (!this.isAllowedHost(req.headers.host) || (origin && !this.isExtensionOrigin(origin))) {
+            this.stats.rejected++;
+            return this.respond(res, 403, { error: 'Forbidden' });
+        }
+
+        // Extensions without host permission for the endpoint go through CORS
+        if (origin) {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+            res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST');
+            res.setHeader('Vary', 'Origin');
+        }
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+
+        if (!this.isAuthorized(req.headers.authorization)) {
+            this.stats.rejected++;
+            return this.respond(res, 401, { error: 'Invalid pairing token' });
+        }
+
+        const path = new URL(req.url, 'http://localhost').pathname;
+        if (req.method === 'GET' && path === '/status') {
+            return this.respond(res, 200, { app: 'data-scraper', paired: true, received: this.stats.received });
+        }
+        if (req.method === 'POST' && path === '/snapshot') {
+            return this.handleSnapshot(req, res);
+        }
+        return this.respond(res, 404, { error: 'Not found' });
+    }
+
+    /**
+     * Validate a snapshot and pass it on
+     */
+    async handleSnapshot(req, res) {
+        let snapshot;
+        try {
+            snapshot = this.validateSnapshot(JSON.parse(await this.readBody(req)));
+        } catch (error) {
+            this.stats.rejected++;
+            return this.respond(res, error.statusCode || 400, { error: error.message });
+        }
+
+        this.stats.received++;
+        this.emit('snapshot', snapshot);
+        const result = this.config.onSnapshot ? await this.config.onSnapshot(snapshot) : {};
+        return this.respond(res, 200, { accepted: true, ...result });
+    }
+
+    /**
+     * Request body as text, refusing bodies over maxBodySize
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.config.maxBodySize) {
+                    // The rest is drained and dropped; the 413 goes out right away
+                    const error = new Error('Snapshot too large');
+                    error.statusCode = 413;
+                    reject(error);
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Check the fields of a snapshot; only http(s) pages are accepted
+     */
+    validateSnapshot(body) {
+        const { url, title = '', html, text = '', capturedAt, trigger = 'unknown' } = body || {};
+
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            throw new Error('Snapshot needs a valid url');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new Error('Only http(s) pages can be ingested');
+        }
+        if (typeof html !== 'string' || html.length === 0) {
+            throw new Error('Snapshot needs the page html');
+        }
+
+        const timestamp = new Date(capturedAt);
+        return {
+            url: parsed.href,
+            title: String(title).slice(0, 500),
+            html,
+            text: String(text),
+            capturedAt: Number.isNaN(timestamp.getTime()) ? new Date().toISOString() : timestamp.toISOString(),
+            trigger: String(trigger)
+        };
+    }
+
+    /**
+     * Constant-time comparison of the bearer token
+     */
+    isAuthorized(header = '') {
+        const match = /^Bearer\s+(.+)$/i.exec(header);
+        if (!match || !this.token) return false;
+
+        const digest = value => createHash('sha256').update(value).digest();
+        return timingSafeEqual(digest(match[1].trim()), digest(this.token));
+    }
+
+    /**
+     * Only loopback host names; anything else is a rebinding attempt or a misconfiguration
+     */
+    isAllowedHost(host = '') {
+        const hostname = host.replace(/:\d+$/, '').toLowerCase();
+        return ['127.0.0.1', 'localhost', '[::1]'].includes(hostname);
+    }
+
+    /**
+     * Chromium and Firefox extension origins
+     */
+    isExtensionOrigin(origin) {
+        return /^(chrome|moz)-extension:\/\//i.test(origin);
+    }
+
+    /**
+     * Send a JSON response
+     */
+    respond(res, status, body) {
+        if (res.headersSent) return;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+}
@@ -86,6 +86,7 @@ export class DatabaseManager {
                 email TEXT NOT NULL,
                 domain TEXT,
                 type TEXT,
+                obfuscation TEXT,
                 confidence REAL,
                 source_url TEXT,
                 found_at DATETIME,
@@ -94,6 +95,9 @@ export class DatabaseManager {
             )
         `);
 
+        // Deobfuscation technique added after the first release
+        await this.addMissingColumns('emails', { obfuscation: 'TEXT' });
+
         // Phones table
         await this.dbRun(`
             CREATE TABLE IF NOT EXISTS phones (
@@ -101,8 +105,12 @@ export class DatabaseManager {
                 contact_id INTEGER,
                 phone TEXT NOT NULL,
                 formatted_phone TEXT,
+                e164 TEXT,
                 country TEXT,
+                region TEXT,
                 type TEXT,
+                extension TEXT,
+                vanity TEXT,
                 confidence REAL,
                 source_url TEXT,
                 found_at DATETIME,
@@ -111,6 +119,14 @@ export class DatabaseManager {
             )
         `);
 
+        // Phone columns added after the first release
+        await this.addMissingColumns('phones', {
+            e164: 'TEXT',
+            region: 'TEXT',
+            extension: 'TEXT',
+            vanity: 'TEXT'
+        });
+
         // Names table
         await this.dbRun(`
             CREATE TABLE IF NOT EXISTS names (
@@ -128,12 +144,169 @@ export class DatabaseManager {
             )
         `);
 
+        // Addresses table
+        await this.dbRun(`
+            CREATE TABLE IF NOT EXISTS addresses (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                contact_id INTEGER,
+                street TEXT,
+                city TEXT,
+                region TEXT,
+                postal_code TEXT,
+                country TEXT,
+                formatted TEXT NOT NULL,
+                extracted_from TEXT,
+                confidence REAL,
+                source_url TEXT,
+                found_at DATETIME,
+                FOREIGN KEY (contact_id) REFERENCES contacts (id),
+                UNIQUE(contact_id, formatted)
+            )
+        `);
+
+        // Social profiles and messaging handles table
+        await this.dbRun(`
+            CREATE TABLE IF NOT EXISTS social_profiles (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                contact_id INTEGER,
+                platform TEXT NOT NULL,
+                handle TEXT,
+                url TEXT NOT NULL,
+                relation TEXT,
+                extracted_from TEXT,
+                confidence REAL,
+                source_url TEXT,
+                found_at DATETIME,
+                FOREIGN KEY (contact_id) REFERENCES contacts (id),
+                UNIQUE(contact_id, url)
+            )
+        `);
+
+        // People table (person records from team/staff/directory pages)
+        await this.dbRun(`
+            CREATE TABLE IF NOT EXISTS people (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                contact_id INTEGER,
+                name TEXT NOT NULL,
+                title TEXT,
+                organization TEXT,
+                email TEXT,
+                phone TEXT,
+                address TEXT,
+                url TEXT,
+                photo_url TEXT,
+                extracted_from TEXT,
+                confidence REAL,
+                source_url TEXT,
+                found_at DATETIME,
+                FOREIGN KEY (contact_id) REFERENCES contacts (id),
+                UNIQUE(contact_id, name)
+            )
+        `);
+
+        // hCard/vCard fields added after the first release
+        await this.addMissingColumns('people', {
+            organization: 'TEXT',
+            address: 'TEXT',
+            url: 'TEXT'
+        });
+
+        // Crawl jobs (resumable full-site crawls)
+        await this.dbRun(`
+            CREATE TABLE IF NOT EXISTS crawl_jobs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                start_url TEXT NOT NULL,
+                domain TEXT,
+                status TEXT NOT NULL DEFAULT 'running',
+                options TEXT,
+                crawled_pages INTEGER DEFAULT 0,
+                error_count INTEGER DEFAULT 0,
+                last_error TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                completed_at DATETIME
+            )
+        `);
+
+        // Crawl URLs: the frontier (queued), the visited set (done/failed/skipped) and each page's results
+        await this.dbRun(`
+            CREATE TABLE IF NOT EXISTS crawl_urls (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                job_id INTEGER NOT NULL,
+                url TEXT NOT NULL,
+                depth INTEGER DEFAULT 0,
+                priority REAL DEFAULT 0,
+                status TEXT NOT NULL DEFAULT 'queued',
+                result TEXT,
+                error TEXT,
+                discovered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                crawled_at DATETIME,
+                FOREIGN KEY (job_id) REFERENCES crawl_jobs (id),
+                UNIQUE(job_id, url)
+            )
+        `);
+
+        // Batch jobs (imported URL lists)
+        await this.dbRun(`
+            CREATE TABLE IF NOT EXISTS batch_jobs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT,
+                source TEXT,
+                format TEXT,
+                status TEXT NOT NULL DEFAULT 'queued',
+                total_urls INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                completed_at DATETIME
+            )
+        `);
+
+        // Batch URLs: one row per imported URL with its status (queued/running/done/failed/skipped)
+        await this.dbRun(`
+            CREATE TABLE IF NOT EXISTS batch_urls (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                job_id INTEGER NOT NULL,
+                url TEXT NOT NULL,
+                label TEXT,
+                status TEXT NOT NULL DEFAULT 'queued',
+                attempts INTEGER DEFAULT 0,
+                contacts TEXT,
+                error TEXT,
+                updated_at DATETIME,
+                FOREIGN KEY (job_id) REFERENCES batch_jobs (id),
+                UNIQUE(job_id, url)
+            )
+        `);
+
         // Create indexes for better performance
         await this.dbRun(`CREATE INDEX IF NOT EXISTS idx_contacts_url ON contacts (url)`);
         await this.dbRun(`CREATE INDEX IF NOT EXISTS idx_contacts_domain ON contacts (domain)`);
         await this.dbRun(`CREATE INDEX IF NOT EXISTS idx_emails_email ON emails (email)`);
         await this.dbRun(`CREATE INDEX IF NOT EXISTS idx_phones_phone ON phones (phone)`);
+        await this.dbRun(`CREATE INDEX IF NOT EXISTS idx_phones_e164 ON phones (e164)`);
         await this.dbRun(`CREATE INDEX IF NOT EXISTS idx_names_name ON names (name)`);
+        await this.dbRun(`CREATE INDEX IF NOT EXISTS idx_addresses_contact ON addresses (contact_id)`);
+        await this.dbRun(`CREATE INDEX IF NOT EXISTS idx_addresses_postal_code ON addresses (postal_code)`);
+        await this.dbRun(`CREATE INDEX IF NOT EXISTS idx_social_profiles_contact ON social_profiles (contact_id)`);
+        await this.dbRun(`CREATE INDEX IF NOT EXISTS idx_social_profiles_handle ON social_profiles (platform, handle)`);
+        await this.dbRun(`CREATE INDEX IF NOT EXISTS idx_people_contact ON people (contact_id)`);
+        await this.dbRun(`CREATE INDEX IF NOT EXISTS idx_people_email ON people (email)`);
+        await this.dbRun(`CREATE INDEX IF NOT EXISTS idx_crawl_jobs_status ON crawl_jobs (status)`);
+        await this.dbRun(`CREATE INDEX IF NOT EXISTS idx_crawl_urls_job_status ON crawl_urls (job_id, status)`);
+        await this.dbRun(`CREATE INDEX IF NOT EXISTS idx_batch_urls_job_status ON batch_urls (job_id, status)`);
+    }
+
+    /**
+     * Add columns that an existing database created by an older version is missing
+     */
+    async addMissingColumns(table, columns) {
+        const existing = new Set((await this.dbAll(`PRAGMA table_info(${table})`)).map(column => column.name));
+
+        for (const [name, type] of Object.entries(columns)) {
+            if (!existing.has(name)) {
+                await this.dbRun(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+            }
+        }
     }
 
     /**
@@ -197,6 +370,27 @@ export class DatabaseManager {
                 }
             }
 
+            // Store addresses
+            if (contactData.addresses && contactData.addresses.length > 0) {
+                for (const addressObj of contactData.addresses) {
+                    await this.storeAddress(contactId, addressObj);
+                }
+            }
+
+            // Store social profiles
+            if (contactData.socialProfiles && contactData.socialProfiles.length > 0) {
+                for (const profileObj of contactData.socialProfiles) {
+                    await this.storeSocialProfile(contactId, profileObj);
+                }
+            }
+
+            // Store people
+            if (contactData.people && contactData.people.length > 0) {
+                for (const personObj of contactData.people) {
+                    await this.storePerson(contactId, personObj);
+                }
+            }
+
             return contactId;
 
         } catch (error) {
@@ -212,13 +406,14 @@ export class DatabaseManager {
         try {
             await this.dbRun(`
                 INSERT OR IGNORE INTO emails (
-                    contact_id, email, domain, type, confidence, source_url, found_at
-                ) VALUES (?, ?, ?, ?, ?, ?, ?)
+                    contact_id, email, domain, type, obfuscation, confidence, source_url, found_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
             `, [
                 contactId,
                 emailObj.email || emailObj,
                 emailObj.domain || null,
                 emailObj.type || null,
+                emailObj.obfuscation || null,
                 emailObj.confidence || null,
                 emailObj.source || null,
                 emailObj.foundAt || new Date().toISOString()
@@ -238,14 +433,19 @@ export class DatabaseManager {
         try {
             await this.dbRun(`
                 INSERT OR IGNORE INTO phones (
-                    contact_id, phone, formatted_phone, country, type, confidence, source_url, found_at
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                    contact_id, phone, formatted_phone, e164, country, region, type, extension, vanity,
+                    confidence, source_url, found_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `, [
                 contactId,
                 phoneObj.phone || phoneObj,
                 phoneObj.formatted || null,
+                phoneObj.e164 || null,
                 phoneObj.country || null,
+                phoneObj.region || null,
                 phoneObj.type || null,
+                phoneObj.extension || null,
+                phoneObj.vanity || null,
                 phoneObj.confidence || null,
                 phoneObj.source || null,
                 phoneObj.foundAt || new Date().toISOString()
@@ -283,6 +483,177 @@ export class DatabaseManager {
         }
     }
 
+    /**
+     * Store address data
+     */
+    async storeAddress(contactId, addressObj) {
+        const address = typeof addressObj === 'string' ? { formatted: addressObj } : addressObj;
+
+        try {
+            await this.dbRun(`
+                INSERT OR IGNORE INTO addresses (
+                    contact_id, street, city, region, postal_code, country, formatted,
+                    extracted_from, confidence, source_url, found_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                contactId,
+                address.street || null,
+                address.city || null,
+                address.region || null,
+                address.postalCode || null,
+                address.country || null,
+                address.formatted,
+                address.extractedFrom || null,
+                address.confidence || null,
+                address.source || null,
+                address.foundAt || new Date().toISOString()
+            ]);
+        } catch (error) {
+            if (!error.message.includes('UNIQUE constraint')) {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Store social profile data
+     */
+    async storeSocialProfile(contactId, profileObj) {
+        try {
+            await this.dbRun(`
+                INSERT OR IGNORE INTO social_profiles (
+                    contact_id, platform, handle, url, relation, extracted_from,
+                    confidence, source_url, found_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                contactId,
+                profileObj.platform,
+                profileObj.handle || null,
+                profileObj.url,
+                profileObj.relation || null,
+                profileObj.extractedFrom || null,
+                profileObj.confidence || null,
+                profileObj.source || null,
+                profileObj.foundAt || new Date().toISOString()
+            ]);
+        } catch (error) {
+            if (!error.message.includes('UNIQUE constraint')) {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Store person data
+     */
+    async storePerson(contactId, personObj) {
+        try {
+            await this.dbRun(`
+                INSERT OR IGNORE INTO people (
+                    contact_id, name, title, organization, email, phone, address, url, photo_url,
+                    extracted_from, confidence, source_url, found_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                contactId,
+                personObj.name,
+                personObj.title || null,
+                personObj.organization || null,
+                personObj.email || null,
+                personObj.phone || null,
+                personObj.address || null,
+                personObj.url || null,
+                personObj.photoUrl || null,
+                personObj.extractedFrom || null,
+                personObj.confidence || null,
+                personObj.source || null,
+                personObj.foundAt || new Date().toISOString()
+            ]);
+        } catch (error) {
+            if (!error.message.includes('UNIQUE constraint')) {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Attach structured child records (phone details, addresses, social profiles, people) to formatted contact rows
+     * (loaded separately because GROUP_CONCAT would split values that contain commas)
+     */
+    async attachStructuredData(contacts) {
+        await this.attachRelated(contacts, 'phones', 'phoneDetails', row => ({
+            phone: row.phone,
+            formatted: row.formatted_phone,
+            e164: row.e164,
+            country: row.country,
+            region: row.region,
+            type: row.type,
+            extension: row.extension,
+            vanity: row.vanity,
+            confidence: row.confidence
+        }));
+
+        await this.attachRelated(contacts, 'addresses', 'addresses', row => ({
+            street: row.street,
+            city: row.city,
+            region: row.region,
+            postalCode: row.postal_code,
+            country: row.country,
+            formatted: row.formatted,
+            extractedFrom: row.extracted_from,
+            confidence: row.confidence
+        }));
+
+        await this.attachRelated(contacts, 'social_profiles', 'socialProfiles', row => ({
+            platform: row.platform,
+            handle: row.handle,
+            url: row.url,
+            relation: row.relation,
+            extractedFrom: row.extracted_from,
+            confidence: row.confidence
+        }));
+
+        await this.attachRelated(contacts, 'people', 'people', row => ({
+            name: row.name,
+            title: row.title,
+            organization: row.organization,
+            email: row.email,
+            phone: row.phone,
+            address: row.address,
+            url: row.url,
+            photoUrl: row.photo_url,
+            extractedFrom: row.extracted_from,
+            confidence: row.confidence
+        }), 'id ASC');
+
+        return contacts;
+    }
+
+    /**
+     * Load rows of a child table for the given contacts and set them on `field`
+     */
+    async attachRelated(contacts, table, field, mapRow, orderBy = 'confidence DESC') {
+        if (contacts.length === 0) return contacts;
+
+        const placeholders = contacts.map(() => '?').join(',');
+        const rows = await this.dbAll(`
+            SELECT * FROM ${table}
+            WHERE contact_id IN (${placeholders})
+            ORDER BY ${orderBy}
+        `, contacts.map(contact => contact.id));
+
+        const byContact = new Map();
+        rows.forEach(row => {
+            if (!byContact.has(row.contact_id)) byContact.set(row.contact_id, []);
+            byContact.get(row.contact_id).push(mapRow(row));
+        });
+
+        contacts.forEach(contact => {
+            contact[field] = byContact.get(contact.id) || [];
+        });
+
+        return contacts;
+    }
+
     /**
      * Get all contact data for export
      */
@@ -307,7 +678,8 @@ export class DatabaseManager {
             `);
 
             // Format the results
-            return contacts.map(contact => ({
+            return await this.attachStructuredData(contacts.map(contact => ({
+                id: contact.id,
                 url: contact.url,
                 title: contact.title,
                 domain: contact.domain,
@@ -316,7 +688,7 @@ export class DatabaseManager {
                 emails: contact.emails ? contact.emails.split(',').filter(Boolean) : [],
                 phones: contact.phones ? contact.phones.split(',').filter(Boolean) : [],
                 names: contact.names ? contact.names.split(',').filter(Boolean) : []
-            }));
+            })));
 
         } catch (error) {
             console.error('Error retrieving contact data:', error);
@@ -350,7 +722,8 @@ export class DatabaseManager {
                 ORDER BY c.created_at DESC
             `, [cutoffTime]);
 
-            return contacts.map(contact => ({
+            return await this.attachStructuredData(contacts.map(contact => ({
+                id: contact.id,
                 url: contact.url,
                 title: contact.title,
                 domain: contact.domain,
@@ -359,7 +732,7 @@ export class DatabaseManager {
                 emails: contact.emails ? contact.emails.split(',').filter(Boolean) : [],
                 phones: contact.phones ? contact.phones.split(',').filter(Boolean) : [],
                 names: contact.names ? contact.names.split(',').filter(Boolean) : []
-            }));
+            })));
 
         } catch (error) {
             console.error('Error retrieving recent contact data:', error);
@@ -382,7 +755,11 @@ export class DatabaseManager {
                     COUNT(DISTINCT e.email) as total_emails,
                     COUNT(DISTINCT p.phone) as total_phones,
                     COUNT(DISTINCT n.name) as total_names,
-                    COUNT(DISTINCT c.domain) as unique_domains
+                    COUNT(DISTINCT c.domain) as unique_domains,
+                    (SELECT COUNT(DISTINCT formatted) FROM addresses) as total_addresses,
+                    (SELECT COUNT(DISTINCT platform || ':' || LOWER(handle)) FROM social_profiles
+                        WHERE relation IN ('owner', 'mention')) as total_social_profiles,
+                    (SELECT COUNT(DISTINCT LOWER(name)) FROM people) as total_people
                 FROM contacts c
                 LEFT JOIN emails e ON c.id = e.contact_id
                 LEFT JOIN phones p ON c.id = p.contact_id
@@ -421,7 +798,8 @@ export class DatabaseManager {
                 ORDER BY c.created_at DESC
             `, [`%${domain}%`]);
 
-            return contacts.map(contact => ({
+            return await this.attachStructuredData(contacts.map(contact => ({
+                id: contact.id,
                 url: contact.url,
                 title: contact.title,
                 domain: contact.domain,
@@ -429,7 +807,7 @@ export class DatabaseManager {
                 emails: contact.emails ? contact.emails.split(',') : [],
                 phones: contact.phones ? contact.phones.split(',') : [],
                 names: contact.names ? contact.names.split(',') : []
-            }));
+            })));
 
         } catch (error) {
             console.error('Error searching by domain:', error);
@@ -464,6 +842,9 @@ export class DatabaseManager {
             await this.dbRun(`DELETE FROM emails WHERE contact_id IN (${placeholders})`, contactIds);
             await this.dbRun(`DELETE FROM phones WHERE contact_id IN (${placeholders})`, contactIds);
             await this.dbRun(`DELETE FROM names WHERE contact_id IN (${placeholders})`, contactIds);
+            await this.dbRun(`DELETE FROM addresses WHERE contact_id IN (${placeholders})`, contactIds);
+            await this.dbRun(`DELETE FROM social_profiles WHERE contact_id IN (${placeholders})`, contactIds);
+            await this.dbRun(`DELETE FROM people WHERE contact_id IN (${placeholders})`, contactIds);
             
             // Delete contacts
             const result = await this.dbRun(`DELETE FROM contacts WHERE created_at < ?`, [cutoffTime]);
@@ -476,6 +857,357 @@ export class DatabaseManager {
         }
     }
 
+    /**
+     * Create a crawl job
+     * @returns {number} Job id
+     */
+    async createCrawlJob({ startUrl, domain, options = {} }) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const result = await this.dbRun(`
+            INSERT INTO crawl_jobs (start_url, domain, status, options)
+            VALUES (?, ?, 'running', ?)
+        `, [startUrl, domain || null, JSON.stringify(options)]);
+
+        return result.lastID;
+    }
+
+    /**
+     * Update a crawl job's status and counters
+     */
+    async updateCrawlJob(jobId, { status, crawledPages, errorCount, lastError } = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const updates = ['updated_at = CURRENT_TIMESTAMP'];
+        const params = [];
+
+        if (status !== undefined) {
+            updates.push('status = ?');
+            params.push(status);
+            if (status === 'completed') updates.push('completed_at = CURRENT_TIMESTAMP');
+        }
+        if (crawledPages !== undefined) {
+            updates.push('crawled_pages = ?');
+            params.push(crawledPages);
+        }
+        if (errorCount !== undefined) {
+            updates.push('error_count = ?');
+            params.push(errorCount);
+        }
+        if (lastError !== undefined) {
+            updates.push('last_error = ?');
+            params.push(lastError);
+        }
+
+        await this.dbRun(`UPDATE crawl_jobs SET ${updates.join(', ')} WHERE id = ?`, [...params, jobId]);
+    }
+
+    /**
+     * Get a crawl job, or null if it doesn't exist
+     */
+    async getCrawlJob(jobId) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const job = await this.dbGet(`SELECT * FROM crawl_jobs WHERE id = ?`, [jobId]);
+        return job ? this.formatCrawlJob(job) : null;
+    }
+
+    /**
+     * List crawl jobs, newest first, optionally filtered by status
+     */
+    async getCrawlJobs(status = null) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const jobs = status
+            ? await this.dbAll(`SELECT * FROM crawl_jobs WHERE status = ? ORDER BY id DESC`, [status])
+            : await this.dbAll(`SELECT * FROM crawl_jobs ORDER BY id DESC`);
+
+        return jobs.map(job => this.formatCrawlJob(job));
+    }
+
+    /**
+     * Map a crawl_jobs row to a job object
+     */
+    formatCrawlJob(row) {
+        return {
+            id: row.id,
+            startUrl: row.start_url,
+            domain: row.domain,
+            status: row.status,
+            options: row.options ? JSON.parse(row.options) : {},
+            crawledPages: row.crawled_pages,
+            errorCount: row.error_count,
+            lastError: row.last_error,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            completedAt: row.completed_at
+        };
+    }
+
+    /**
+     * Add URLs to a job's frontier; URLs the job already knows are ignored
+     */
+    async addCrawlUrls(jobId, urls) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        for (const { url, depth = 0, priority = 0 } of urls) {
+            await this.dbRun(`
+                INSERT OR IGNORE INTO crawl_urls (job_id, url, depth, priority)
+                VALUES (?, ?, ?, ?)
+            `, [jobId, url, depth, Number.isFinite(priority) ? priority : null]);
+        }
+    }
+
+    /**
+     * Record the outcome of a crawled URL: 'done' with the page results, or 'failed'/'skipped' with an error
+     */
+    async completeCrawlUrl(jobId, url, { status = 'done', depth = 0, result = null, error = null } = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        await this.dbRun(`
+            INSERT INTO crawl_urls (job_id, url, depth, status, result, error, crawled_at)
+            VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(job_id, url) DO UPDATE SET
+                status = excluded.status,
+                result = excluded.result,
+                error = excluded.error,
+                crawled_at = excluded.crawled_at
+        `, [jobId, url, depth, status, result ? JSON.stringify(result) : null, error]);
+    }
+
+    /**
+     * Load everything needed to resume a crawl job: its frontier and the URLs already crawled
+     */
+    async getCrawlJobState(jobId) {
+        const job = await this.getCrawlJob(jobId);
+        if (!job) return null;
+
+        const rows = await this.dbAll(`
+            SELECT url, depth, priority, status, result, error
+            FROM crawl_urls WHERE job_id = ? ORDER BY id
+        `, [jobId]);
+
+        return {
+            job,
+            queued: rows
+                .filter(row => row.status === 'queued')
+                .map(row => ({ url: row.url, depth: row.depth, priority: row.priority ?? Infinity })),
+            visited: rows
+                .filter(row => row.status !== 'queued')
+                .map(row => ({
+                    url: row.url,
+                    depth: row.depth,
+                    status: row.status,
+                    result: row.result ? JSON.parse(row.result) : null,
+                    error: row.error
+                }))
+        };
+    }
+
+    /**
+     * Delete a crawl job with its frontier and page results
+     */
+    async deleteCrawlJob(jobId) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        await this.dbRun(`DELETE FROM crawl_urls WHERE job_id = ?`, [jobId]);
+        const result = await this.dbRun(`DELETE FROM crawl_jobs WHERE id = ?`, [jobId]);
+        return result.changes > 0;
+    }
+
+    /**
+     * Create a batch job for an imported URL list
+     * @returns {number} Job id
+     */
+    async createBatchJob({ name, source, format }) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const result = await this.dbRun(`
+            INSERT INTO batch_jobs (name, source, format, status)
+            VALUES (?, ?, ?, 'queued')
+        `, [name || null, source || null, format || null]);
+
+        return result.lastID;
+    }
+
+    /**
+     * Update a batch job's status
+     */
+    async updateBatchJob(jobId, { status } = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const updates = ['updated_at = CURRENT_TIMESTAMP'];
+        const params = [];
+
+        if (status !== undefined) {
+            updates.push('status = ?');
+            params.push(status);
+            updates.push(status === 'completed' ? 'completed_at = CURRENT_TIMESTAMP' : 'completed_at = NULL');
+        }
+
+        await this.dbRun(`UPDATE batch_jobs SET ${updates.join(', ')} WHERE id = ?`, [...params, jobId]);
+    }
+
+    /**
+     * Get a batch job with its per-status URL counts, or null if it doesn't exist
+     */
+    async getBatchJob(jobId) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const job = await this.dbGet(`SELECT * FROM batch_jobs WHERE id = ?`, [jobId]);
+        if (!job) return null;
+
+        const counts = await this.dbAll(`
+            SELECT status, COUNT(*) AS count FROM batch_urls WHERE job_id = ? GROUP BY status
+        `, [jobId]);
+        return this.formatBatchJob(job, counts);
+    }
+
+    /**
+     * List batch jobs, newest first
+     */
+    async getBatchJobs() {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const jobs = await this.dbAll(`SELECT id FROM batch_jobs ORDER BY id DESC`);
+        return Promise.all(jobs.map(job => this.getBatchJob(job.id)));
+    }
+
+    /**
+     * Map a batch_jobs row and its status counts to a job object
+     */
+    formatBatchJob(row, counts = []) {
+        const byStatus = Object.fromEntries(counts.map(({ status, count }) => [status, count]));
+        return {
+            id: row.id,
+            name: row.name,
+            source: row.source,
+            format: row.format,
+            status: row.status,
+            totalUrls: row.total_urls,
+            queued: (byStatus.queued || 0) + (byStatus.running || 0),
+            done: byStatus.done || 0,
+            failed: byStatus.failed || 0,
+            skipped: byStatus.skipped || 0,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            completedAt: row.completed_at
+        };
+    }
+
+    /**
+     * Add URLs to a batch job; URLs the job already has are ignored
+     */
+    async addBatchUrls(jobId, entries) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        for (const { url, label = null } of entries) {
+            await this.dbRun(`
+                INSERT OR IGNORE INTO batch_urls (job_id, url, label)
+                VALUES (?, ?, ?)
+            `, [jobId, url, label]);
+        }
+
+        await this.dbRun(`
+            UPDATE batch_jobs SET total_urls = (SELECT COUNT(*) FROM batch_urls WHERE job_id = ?),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [jobId, jobId]);
+    }
+
+    /**
+     * Record a batch URL's status: contacts holds the per-type contact counts of a done URL
+     */
+    async updateBatchUrl(jobId, url, { status, attempts, contacts = null, error = null } = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        await this.dbRun(`
+            UPDATE batch_urls SET status = ?, attempts = COALESCE(?, attempts), contacts = ?, error = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE job_id = ? AND url = ?
+        `, [status, attempts ?? null, contacts ? JSON.stringify(contacts) : null, error, jobId, url]);
+    }
+
+    /**
+     * A batch job's URLs in import order, optionally only those with the given statuses
+     */
+    async getBatchUrls(jobId, statuses = null) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const filter = statuses ? ` AND status IN (${statuses.map(() => '?').join(', ')})` : '';
+        const rows = await this.dbAll(`
+            SELECT url, label, status, attempts, contacts, error, updated_at
+            FROM batch_urls WHERE job_id = ?${filter} ORDER BY id
+        `, [jobId, ...(statuses || [])]);
+
+        return rows.map(row => ({
+            url: row.url,
+            label: row.label,
+            status: row.status,
+            attempts: row.attempts,
+            contacts: row.contacts ? JSON.parse(row.contacts) : null,
+            error: row.error,
+            updatedAt: row.updated_at
+        }));
+    }
+
+    /**
+     * Put a batch job's failed URLs back in the queue
+     * @returns {number} URLs requeued
+     */
+    async requeueBatchUrls(jobId, status = 'failed') {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const result = await this.dbRun(`
+            UPDATE batch_urls SET status = 'queued', attempts = 0, error = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE job_id = ? AND status = ?
+        `, [jobId, status]);
+        return result.changes;
+    }
+
+    /**
+     * Delete a batch job with its URLs
+     */
+    async deleteBatchJob(jobId) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        await this.dbRun(`DELETE FROM batch_urls WHERE job_id = ?`, [jobId]);
+        const result = await this.dbRun(`DELETE FROM batch_jobs WHERE id = ?`, [jobId]);
+        return result.changes > 0;
+    }
+
     /**
      * Close database connection
      */
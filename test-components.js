@@ -4,6 +4,33 @@ import { WebScraper } from './src/scraper/WebScraper.js';
 import { DataProcessor } from './src/processor/DataProcessor.js';
 import { CSVExporter } from './src/exporters/CSVExporter.js';
 import { GoogleSheetsExporter } from './src/exporters/GoogleSheetsExporter.js';
+import { VCardExporter } from './src/exporters/VCardExporter.js';
+import { VCardParser } from './src/extractors/VCardParser.js';
+import { EnhancedWebScraper } from './src/scraper/EnhancedWebScraper.js';
+import { DatabaseManager } from './src/storage/DatabaseManager.js';
+import { RobotsTxt } from './src/scraper/RobotsTxt.js';
+import { RobotsManager } from './src/scraper/RobotsManager.js';
+import { SitemapLoader } from './src/scraper/SitemapLoader.js';
+import { HostScheduler } from './src/scraper/HostScheduler.js';
+import { HttpCache } from './src/scraper/HttpCache.js';
+import { BrowserPool } from './src/scraper/BrowserPool.js';
+import { ResourceBlocker } from './src/scraper/ResourceBlocker.js';
+import { BatchScraper } from './src/scraper/BatchScraper.js';
+import { UrlListImporter } from './src/importers/UrlListImporter.js';
+import { CommandLine, EXIT_CODES } from './src/cli/CommandLine.js';
+import { BrowserMonitor } from './src/monitor/BrowserMonitor.js';
+import { DevToolsDiscovery } from './src/monitor/DevToolsDiscovery.js';
+import { TabTracker } from './src/monitor/TabTracker.js';
+import { FirefoxTabTracker } from './src/monitor/FirefoxTabTracker.js';
+import { IngestServer } from './src/server/IngestServer.js';
+import { readFileSync, rmSync, writeFileSync, mkdirSync, symlinkSync } from 'fs';
+import { createServer } from 'http';
+import { EventEmitter } from 'events';
+import { WebSocketServer } from 'ws';
+import { tmpdir } from 'os';
+import { gzipSync } from 'zlib';
+import { dirname, join } from 'path';
+import { ExtractionPipeline } from './src/extractors/ExtractionPipeline.js';
 
 console.log('🧪 Testing Data Scraper Components...\n');
 
@@ -17,6 +44,7 @@ async function testComponents() {
             emails: ['test@example.com', 'info@test.com'],
             phones: ['555-123-4567', '(555) 987-6543'],
             names: ['John Doe', 'Jane Smith'],
+            addresses: [{ street: '233 S Wacker Dr', city: 'Chicago', region: 'IL', postalCode: '60606', country: 'US' }],
             timestamp: new Date().toISOString()
         };
         
@@ -24,6 +52,921 @@ async function testComponents() {
         console.log('   Processed emails:', processed.emails.length);
         console.log('   Processed phones:', processed.phones.length);
         console.log('   Processed names:', processed.names.length);
+        console.log('   Processed addresses:', processed.addresses.length);
+
+        console.log('✅ Testing ExtractionPipeline...');
+        const pipeline = new ExtractionPipeline();
+        pipeline.register({
+            name: 'faxes',
+            extract: (context) => context.text.match(/Fax:\s*[\d-]+/g) || []
+        });
+        const extracted = await pipeline.process({
+            url: 'https://acme-widgets.org/contact',
+            title: 'Contact',
+            content: '<footer><a href="mailto:sales@acme-widgets.org">Email</a>' +
+                '<a href="https://www.linkedin.com/company/acme-widgets">LinkedIn</a>' +
+                '<a href="https://twitter.com/intent/tweet?url=https://acme-widgets.org">Share</a></footer>',
+            textContent: 'Call (312) 555-0147 or Fax: 312-555-0148. Visit us at 233 S Wacker Dr, Chicago, IL 60606.'
+        });
+        if (!extracted.emails.includes('sales@acme-widgets.org') || extracted.faxes.length !== 1) {
+            throw new Error('Extraction pipeline did not run registered extractors');
+        }
+        if (extracted.addresses[0]?.postalCode !== '60606') {
+            throw new Error('Address extractor did not parse the postal address');
+        }
+        const relations = extracted.socialProfiles.map(profile => `${profile.platform}:${profile.relation}`).sort();
+        if (relations.join(',') !== 'linkedin:owner,twitter:share') {
+            throw new Error(`Social profile extractor returned ${relations.join(', ')}`);
+        }
+        console.log('   Extracted fields:', pipeline.getFieldNames().join(', '));
+
+        const teamPage = await pipeline.process({
+            url: 'https://acme-widgets.org/team',
+            title: 'Our Team',
+            content: '<main><div class="member"><h3>Alice Walker</h3><p>Chief Executive Officer</p>' +
+                '<a href="mailto:alice@acme-widgets.org">Email</a></div>' +
+                '<div class="member"><h3>Robert Chen</h3><p>Head of Engineering</p><a href="tel:+13128740102">Call</a></div></main>',
+            textContent: 'Alice Walker Chief Executive Officer Robert Chen Head of Engineering'
+        });
+        const alice = teamPage.people.find(person => person.name === 'Alice Walker');
+        if (teamPage.people.length !== 2 || alice?.email !== 'alice@acme-widgets.org' || alice?.title !== 'Chief Executive Officer') {
+            throw new Error('Person extractor did not link team members to their details');
+        }
+        console.log('   People on team page:', teamPage.people.length);
+
+        const ukPage = await pipeline.process({
+            url: 'https://acme-widgets.co.uk/contact',
+            title: 'Contact',
+            content: '<p>Telephone: 020 7946 0011 ext 204</p>',
+            textContent: 'Telephone: 020 7946 0011 ext 204'
+        });
+        const [ukPhone] = await processor.processPhones(ukPage.phones, ukPage.url);
+        if (ukPhone?.e164 !== '+442079460011' || ukPhone.country !== 'GB' || ukPhone.extension !== '204') {
+            throw new Error(`International phone parsing returned ${JSON.stringify(ukPhone)}`);
+        }
+        console.log('   UK phone:', ukPhone.formatted, `(${ukPhone.type}, ${ukPhone.region})`);
+
+        const [labeledPhone, vanityPhone] = await processor.processPhones(['CALL 312-555-0147', 'Toll-free 1-800-FLOWERS'], 'https://acme-widgets.com/');
+        if (labeledPhone?.e164 !== '+13125550147' || vanityPhone?.e164 !== '+18003569377') {
+            throw new Error(`Labeled and vanity phones parsed as ${labeledPhone?.e164} and ${vanityPhone?.e164}`);
+        }
+        console.log('   Labeled and vanity phones:', labeledPhone.e164, vanityPhone.e164);
+
+        const cfKey = 0x42;
+        const cfEmail = cfKey.toString(16) + [...'press@acme-widgets.org']
+            .map(char => (char.charCodeAt(0) ^ cfKey).toString(16).padStart(2, '0')).join('');
+        const obfuscatedPage = await pipeline.process({
+            url: 'https://acme-widgets.org/press',
+            content: `<p><a href="/cdn-cgi/l/email-protection" data-cfemail="${cfEmail}">[email protected]</a></p>` +
+                '<a href="#" onclick="location.href=\'mailto:\'+rot13(\'wbof@npzr-jvqtrgf.bet\');return false">Jobs</a>',
+            textContent: '[email protected] Jobs'
+        });
+        const techniques = obfuscatedPage.obfuscatedEmails.map(item => `${item.email}:${item.technique}`).sort();
+        const obfuscatedCounts = pipeline.countContacts(obfuscatedPage);
+        if (techniques.join(',') !== 'jobs@acme-widgets.org:rot13,press@acme-widgets.org:cloudflare' ||
+            obfuscatedPage.emails.includes('wbof@npzr-jvqtrgf.bet') || obfuscatedCounts.emails !== 2 || obfuscatedCounts.obfuscatedEmails !== 0) {
+            throw new Error(`Email deobfuscation returned ${techniques.join(', ')}`);
+        }
+        console.log('   Deobfuscated emails:', techniques.join(', '));
+
+        const hCardPage = await pipeline.process({
+            url: 'https://acme-widgets.org/about',
+            content: '<div class="h-card"><span class="p-name">Maria Lopez</span>, <span class="p-job-title">Office Manager</span>' +
+                '<a class="u-email" href="mailto:maria@acme-widgets.org">Email</a><span class="p-org">Acme Widgets</span>' +
+                '<p class="p-adr h-adr"><span class="p-street-address">233 S Wacker Dr</span>, ' +
+                '<span class="p-locality">Chicago</span> <span class="p-postal-code">60606</span></p></div>',
+            textContent: 'Maria Lopez, Office Manager Email Acme Widgets 233 S Wacker Dr, Chicago 60606'
+        });
+        const maria = hCardPage.people.find(person => person.name === 'Maria Lopez');
+        if (maria?.email !== 'maria@acme-widgets.org' || maria.organization !== 'Acme Widgets' || !maria.address?.includes('Chicago')) {
+            throw new Error(`hCard parsing returned ${JSON.stringify(maria)}`);
+        }
+        console.log('   hCard person:', maria.name, `(${maria.organization})`);
+
+        console.log('✅ Testing VCardExporter...');
+        const vCardExporter = new VCardExporter('./test_output.vcf', { version: '4.0' });
+        await vCardExporter.write([{ url: hCardPage.url, title: 'About - Acme Widgets', people: [maria] }]);
+        const [card] = new VCardParser().parse(readFileSync('./test_output.vcf', 'utf8'));
+        if (card?.name !== 'Maria Lopez' || card.emails[0] !== 'maria@acme-widgets.org' || card.organization !== 'Acme Widgets') {
+            throw new Error(`vCard round trip returned ${JSON.stringify(card)}`);
+        }
+        console.log('   vCard round trip:', card.name, card.emails[0]);
+
+        console.log('✅ Testing contact discovery...');
+        const site = {
+            '/': '<header><nav><a href="/products">Products</a><a href="/about-us">About</a></nav></header>' +
+                '<main><a href="/blog/2024/05/spring-sale">Spring sale</a><a href="/blog/2024/04/new-hires">New hires</a></main>' +
+                '<footer><a href="/contact">Contact us</a><a href="/legal/impressum">Impressum</a></footer>',
+            '/contact': '<main><p>Email <a href="mailto:hello@acme-widgets.org">hello@acme-widgets.org</a></p>' +
+                '<p>Call (312) 874-0102</p></main>'
+        };
+        const server = createServer((req, res) => {
+            res.writeHead(site[req.url] ? 200 : 404, { 'Content-Type': 'text/html' });
+            res.end(`<html><body>${site[req.url] || 'Not found'}</body></html>`);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const discoveryScraper = new EnhancedWebScraper({ respectRobots: false, crawlDelay: 0 });
+        discoveryScraper.scrapeDynamic = async () => ({ success: false, error: 'No browser in tests' });
+        const discovery = await discoveryScraper.findContacts(`http://127.0.0.1:${server.address().port}/`);
+        server.close();
+        const contactPages = discovery.pagesWithContacts.map(page => new URL(page.url).pathname);
+        if (!discovery.goalReached || discovery.crawledPages !== 2 || contactPages.join(',') !== '/contact') {
+            throw new Error(`Contact discovery visited ${discovery.visitedPages.map(page => page.url).join(', ')}`);
+        }
+        console.log('   Contact pages:', contactPages.join(', '), `(${discovery.crawledPages} pages visited)`);
+
+        console.log('✅ Testing concurrent crawl frontier...');
+        const sections = ['services', 'team', 'contact', 'careers', 'locations'];
+        let openRequests = 0;
+        let peakRequests = 0;
+        const crawlServer = createServer((req, res) => {
+            if (req.url === '/robots.txt') {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                res.end('User-agent: *\nDisallow: /admin');
+                return;
+            }
+            openRequests++;
+            peakRequests = Math.max(peakRequests, openRequests);
+            const links = req.url === '/' ? sections.map(name => `<a href="/${name}">${name}</a>`).join('') : `<a href="${req.url}/more">More</a>`;
+            setTimeout(() => {
+                openRequests--;
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end(`<html><body>${links}</body></html>`);
+            }, 150);
+        });
+        await new Promise(resolve => crawlServer.listen(0, '127.0.0.1', resolve));
+        const crawler = new EnhancedWebScraper({ respectRobots: false, crawlDelay: 0, maxConcurrent: 3, maxDepth: 1, maxPages: 4 });
+        crawler.scrapeDynamic = async () => ({ success: false, error: 'No browser in tests' });
+        const crawl = await crawler.crawlWebsite(`http://127.0.0.1:${crawlServer.address().port}/`);
+        const crawlPeak = peakRequests;
+        peakRequests = 0;
+        // robots.txt on (the default) must not serialize the workers
+        const robotsCrawler = new EnhancedWebScraper({ crawlDelay: 0, maxConcurrent: 3, maxDepth: 1, maxPages: 4 });
+        robotsCrawler.scrapeDynamic = async () => ({ success: false, error: 'No browser in tests' });
+        const robotsCrawl = await robotsCrawler.crawlWebsite(`http://127.0.0.1:${crawlServer.address().port}/`);
+        crawlServer.close();
+        const crawledPaths = crawl.sitemap.map(url => new URL(url).pathname);
+        if (crawl.crawledPages !== 4 || crawledPaths[0] !== '/' || crawledPaths.some(path => path.endsWith('/more')) || crawlPeak < 2) {
+            throw new Error(`Crawl visited ${crawledPaths.join(', ')} with ${crawlPeak} concurrent requests`);
+        }
+        if (robotsCrawl.crawledPages !== 4 || peakRequests < 2) {
+            throw new Error(`Crawl with robots.txt visited ${robotsCrawl.crawledPages} pages with ${peakRequests} concurrent requests`);
+        }
+        console.log('   Crawled:', crawledPaths.join(', '), `(${crawlPeak} concurrent requests, ${peakRequests} with robots.txt)`);
+
+        console.log('✅ Testing resumable crawl jobs...');
+        const pageRequests = new Map();
+        const jobServer = createServer((req, res) => {
+            pageRequests.set(req.url, (pageRequests.get(req.url) || 0) + 1);
+            const links = req.url === '/' ? sections.map(name => `<a href="/${name}">${name}</a>`).join('') : '';
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(`<html><body>${links}<p>Contact ${req.url.slice(1) || 'office'}@acme-widgets.org</p></body></html>`);
+        });
+        await new Promise(resolve => jobServer.listen(0, '127.0.0.1', resolve));
+        const jobDbPath = join(tmpdir(), `crawl-jobs-${process.pid}.db`);
+        const jobStore = new DatabaseManager({ dbPath: jobDbPath });
+        const jobOptions = { respectRobots: false, crawlDelay: 0, maxConcurrent: 1, jobStore };
+
+        const firstRun = new EnhancedWebScraper(jobOptions);
+        firstRun.scrapeDynamic = async () => ({ success: false, error: 'No browser in tests' });
+        firstRun.on('scraped', ({ url }) => new URL(url).pathname === '/team' && firstRun.pauseCrawl());
+        const paused = await firstRun.crawlWebsite(`http://127.0.0.1:${jobServer.address().port}/`);
+
+        const afterRestart = new EnhancedWebScraper(jobOptions); // Fresh instance, state only in the database
+        afterRestart.scrapeDynamic = async () => ({ success: false, error: 'No browser in tests' });
+        const resumed = await afterRestart.resumeCrawlJob(paused.jobId);
+        jobServer.close();
+        const savedJob = await jobStore.getCrawlJob(paused.jobId);
+        await jobStore.close();
+        rmSync(jobDbPath, { force: true });
+
+        if (paused.status !== 'paused' || paused.crawledPages !== 3 || resumed.status !== 'completed' || resumed.crawledPages !== 6 ||
+            resumed.emails.length !== 6 || [...pageRequests.values()].some(count => count > 1) || savedJob.status !== 'completed') {
+            throw new Error(`Crawl job paused at ${paused.crawledPages} pages, resumed to ${resumed.crawledPages} (${resumed.status})`);
+        }
+        console.log(`   Job ${paused.jobId}: paused after ${paused.crawledPages} pages, resumed to ${resumed.crawledPages}`);
+
+        console.log('✅ Testing sitemap seeding...');
+        const sitemapFiles = {
+            '/robots.txt': 'User-agent: *\nDisallow: /private\nSitemap: /sitemap_index.xml\nSitemap: http://localhost:1/sitemap.xml',
+            '/sitemap_index.xml': '<?xml version="1.0"?><sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+                '<sitemap><loc>/sitemap-pages.xml.gz</loc></sitemap></sitemapindex>',
+            '/sitemap-pages.xml.gz': gzipSync('<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+                '<url><loc>/support/contact-details</loc><priority>0.9</priority></url>' +
+                '<url><loc>/private/staff</loc></url><url><loc>https://elsewhere.example/</loc></url><url><loc>/%E0%A4%A/</loc></url></urlset>'),
+            '/sitemap-bomb.xml.gz': gzipSync(Buffer.alloc(64 * 1024, ' ')) // Expands past the 1 KB limit below
+        };
+        const sitemapServer = createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': req.url.endsWith('.gz') ? 'application/x-gzip' : 'text/html' });
+            res.end(sitemapFiles[req.url] || (req.url === '/' ? '<html><body>Home</body></html>' : '<p>Email help@acme-widgets.org</p>'));
+        });
+        await new Promise(resolve => sitemapServer.listen(0, '127.0.0.1', resolve));
+        const sitemapOrigin = `http://127.0.0.1:${sitemapServer.address().port}`;
+        const sitemapCrawler = new EnhancedWebScraper({ crawlDelay: 0, maxPages: 5 });
+        sitemapCrawler.scrapeDynamic = async () => ({ success: false, error: 'No browser in tests' });
+        const scheduledUrls = [];
+        const schedule = sitemapCrawler.scheduler.schedule.bind(sitemapCrawler.scheduler);
+        sitemapCrawler.scheduler.schedule = (url, ...rest) => {
+            scheduledUrls.push(url.replace(sitemapOrigin, ''));
+            return schedule(url, ...rest);
+        };
+        const sitemapCrawl = await sitemapCrawler.crawlWebsite(`${sitemapOrigin}/`, { crawlOrder: 'priority' });
+        const oversizedSitemap = await new SitemapLoader({ maxBytes: 1024 }).fetchSitemap(`${sitemapOrigin}/sitemap-bomb.xml.gz`);
+        sitemapServer.close();
+        const seededPaths = sitemapCrawl.sitemap.map(url => new URL(url).pathname);
+        if (seededPaths.join(',') !== '/,/support/contact-details,/%E0%A4%A/' || !sitemapCrawl.emails.includes('help@acme-widgets.org')) {
+            throw new Error(`Sitemap-seeded crawl visited ${seededPaths.join(', ')}`);
+        }
+        // The off-site sitemap named in robots.txt is never fetched; on-site ones wait for the scheduler
+        if (!['/sitemap_index.xml', '/sitemap-pages.xml.gz', '/sitemap.xml'].every(path => scheduledUrls.includes(path))
+            || scheduledUrls.some(url => url.includes('localhost')) || oversizedSitemap !== null) {
+            throw new Error(`Sitemap fetches: ${JSON.stringify({ scheduledUrls, oversizedSitemap })}`);
+        }
+        console.log(`   Seeded ${sitemapCrawl.sitemapUrls} URLs, crawled:`, seededPaths.join(', '));
+
+        console.log('✅ Testing robots.txt rules...');
+        const robotsTxt = new RobotsTxt([
+            'User-agent: *',
+            'Disallow: /',
+            '',
+            'User-agent: Googlebot',
+            'User-agent: DataScraper/1.0',
+            'Disallow: /team',
+            'Allow: /team/contact',
+            'Disallow: /*.pdf$',
+            'Allow: /page',
+            'Disallow: /page',
+            'Crawl-delay: 2'
+        ].join('\r\n'));
+        const robotsChecks = {
+            '/': true,
+            '/team/staff': false,
+            '/team/contact-us': true,
+            '/files/brochure.pdf': false,
+            '/files/brochure.pdf?download=1': true,
+            '/page/2': true
+        };
+        const wrongRules = Object.entries(robotsChecks)
+            .filter(([path, allowed]) => robotsTxt.isAllowed(`https://acme-widgets.org${path}`, 'DataScraper') !== allowed);
+        if (wrongRules.length > 0 || robotsTxt.isAllowed('https://acme-widgets.org/', 'OtherBot') || robotsTxt.getCrawlDelay('datascraper') !== 2) {
+            throw new Error(`robots.txt rules wrong for ${wrongRules.map(([path]) => path).join(', ') || 'group selection'}`);
+        }
+
+        const robotsManager = new RobotsManager();
+        const robotsAllowedWithStatus = async status => {
+            const server = createServer((req, res) => {
+                res.writeHead(status);
+                res.end();
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            const allowed = await robotsManager.isAllowed(`http://127.0.0.1:${server.address().port}/contact`);
+            server.close();
+            return allowed;
+        };
+        const missingAllowed = await robotsAllowedWithStatus(404);
+        const brokenAllowed = await robotsAllowedWithStatus(503);
+        if (!missingAllowed || brokenAllowed) {
+            throw new Error(`robots.txt 404 allowed: ${missingAllowed}, 503 allowed: ${brokenAllowed}`);
+        }
+        console.log('   Longest match, wildcards, agent groups, 4xx allow and 5xx disallow verified');
+
+        console.log('✅ Testing per-host scheduler...');
+        const scheduler = new HostScheduler({ maxPerHost: 1, minInterval: 100 });
+        const starts = [];
+        let running = 0;
+        let peakRunning = 0;
+        const slowTask = async () => {
+            starts.push(Date.now());
+            peakRunning = Math.max(peakRunning, ++running);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            running--;
+            return { success: true };
+        };
+        await Promise.all([1, 2, 3].map(() => scheduler.schedule('https://acme-widgets.org/', slowTask)));
+        const gaps = starts.slice(1).map((start, index) => start - starts[index]);
+        if (peakRunning !== 1 || gaps.some(gap => gap < 95)) {
+            throw new Error(`Scheduler ran ${peakRunning} tasks at once with gaps ${gaps.join(', ')}ms`);
+        }
+
+        const busyRequests = [];
+        const busyServer = createServer((req, res) => {
+            busyRequests.push(Date.now());
+            if (busyRequests.length === 1) {
+                res.writeHead(429, { 'Retry-After': '1' });
+                res.end('Slow down');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end('<html><body>Write to <a href="mailto:office@acme-widgets.org">office@acme-widgets.org</a></body></html>');
+        });
+        await new Promise(resolve => busyServer.listen(0, '127.0.0.1', resolve));
+        const politeScraper = new EnhancedWebScraper({ respectRobots: false, crawlDelay: 0 });
+        politeScraper.scrapeDynamic = async () => ({ success: false, error: 'No browser in tests' });
+        const busyPage = await politeScraper.scheduleScrape(`http://127.0.0.1:${busyServer.address().port}/`);
+        busyServer.close();
+        if (!busyPage.success || busyRequests.length !== 2 || busyRequests[1] - busyRequests[0] < 950) {
+            throw new Error(`429 handling made ${busyRequests.length} requests, success: ${busyPage.success}`);
+        }
+        console.log(`   One request per host at a time, intervals kept, 429 retried after ${busyRequests[1] - busyRequests[0]}ms`);
+
+        console.log('✅ Testing HTTP cache...');
+        const cacheRequests = [];
+        const cacheServer = createServer((req, res) => {
+            cacheRequests.push({ path: req.url, ifNoneMatch: req.headers['if-none-match'] || null });
+            const hasETag = req.url.startsWith('/about');
+            if (hasETag && req.headers['if-none-match'] === '"v1"') {
+                res.writeHead(304, { ETag: '"v1"' });
+                res.end();
+                return;
+            }
+            res.writeHead(200, hasETag ? { 'Content-Type': 'text/html', ETag: '"v1"' } : { 'Content-Type': 'text/html' });
+            res.end('<html><body>Mail <a href="mailto:office@acme-widgets.org">office@acme-widgets.org</a></body></html>');
+        });
+        await new Promise(resolve => cacheServer.listen(0, '127.0.0.1', resolve));
+        const cacheOrigin = `http://127.0.0.1:${cacheServer.address().port}`;
+        const httpCache = new HttpCache({ cacheDir: join(tmpdir(), `http-cache-${process.pid}`) });
+        const cachingScraper = new EnhancedWebScraper({ respectRobots: false, crawlDelay: 0, httpCache });
+        cachingScraper.scrapeDynamic = async () => ({ success: false, error: 'No browser in tests' });
+        let extractions = 0;
+        const processPage = cachingScraper.processScrapedData.bind(cachingScraper);
+        cachingScraper.processScrapedData = rawData => {
+            extractions++;
+            return processPage(rawData);
+        };
+
+        await cachingScraper.scrapeUrl(`${cacheOrigin}/about?utm_source=newsletter`);
+        const revalidated = await cachingScraper.scrapeUrl(`${cacheOrigin}/about#team`);
+        await cachingScraper.scrapeUrl(`${cacheOrigin}/contact`);
+        const rehashed = await cachingScraper.scrapeUrl(`${cacheOrigin}/contact`);
+        httpCache.config.domainMaxAge = { '127.0.0.1': 60000 };
+        const fresh = await cachingScraper.scrapeUrl(`${cacheOrigin}/contact`);
+        cacheServer.close();
+        await httpCache.clear();
+
+        const cacheOutcomes = [revalidated.cache, rehashed.cache, fresh.cache].join(', ');
+        if (cacheOutcomes !== 'not-modified, unchanged, fresh' || extractions !== 2 || cacheRequests.length !== 4
+            || cacheRequests[1].ifNoneMatch !== '"v1"' || !JSON.stringify(revalidated.emails).includes('office@acme-widgets.org')) {
+            throw new Error(`HTTP cache gave ${cacheOutcomes} with ${extractions} extractions and ${cacheRequests.length} requests`);
+        }
+        console.log(`   304 revalidation, body-hash reuse and per-domain freshness verified (${cacheRequests.length} requests, ${extractions} extractions)`);
+
+        console.log('✅ Testing static-first fetch strategy...');
+        const staticHits = [];
+        const spaServer = createServer((req, res) => {
+            staticHits.push(req.url);
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end('<html><head><title>Acme</title></head><body><div id="root"></div><noscript>You need to enable JavaScript to run this app.</noscript><script src="/app.js"></script></body></html>');
+        });
+        await new Promise(resolve => spaServer.listen(0, '127.0.0.1', resolve));
+        const spaOrigin = `http://127.0.0.1:${spaServer.address().port}`;
+        const renderedPaths = [];
+        const strategyScraper = new EnhancedWebScraper({ respectRobots: false, crawlDelay: 0 });
+        strategyScraper.scrapeDynamic = async url => {
+            renderedPaths.push(new URL(url).pathname);
+            return {
+                success: true,
+                url,
+                method: 'dynamic',
+                title: 'Acme',
+                content: '<html><body><div id="root"><h1>Contact</h1><p>Write to office@acme-widgets.org</p></div></body></html>',
+                text: 'Contact Write to office@acme-widgets.org',
+                links: []
+            };
+        };
+        const spaFirst = await strategyScraper.scrapeUrl(`${spaOrigin}/`);
+        const spaSecond = await strategyScraper.scrapeUrl(`${spaOrigin}/contact`);
+        spaServer.close();
+        const spaDecision = strategyScraper.fetchStrategy.getDecisions()['127.0.0.1'];
+        if (spaFirst.method !== 'dynamic' || spaSecond.method !== 'dynamic' || staticHits.join() !== '/'
+            || renderedPaths.join() !== '/,/contact' || !spaDecision.reasons.includes('spa-root') || !spaDecision.reasons.includes('noscript-warning')) {
+            throw new Error(`SPA fetched statically ${staticHits.join()} and rendered ${renderedPaths.join()}`);
+        }
+
+        const plainScraper = new EnhancedWebScraper({ respectRobots: false, crawlDelay: 0 });
+        let plainRenders = 0;
+        plainScraper.scrapeDynamic = async () => {
+            plainRenders++;
+            return { success: false, error: 'No browser in tests' };
+        };
+        const plainServer = createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(`<html><body><h1>Acme Widgets</h1><p>${'We build industrial widgets for bakeries and breweries. '.repeat(6)}</p></body></html>`);
+        });
+        await new Promise(resolve => plainServer.listen(0, '127.0.0.1', resolve));
+        const plainPage = await plainScraper.scrapeUrl(`http://127.0.0.1:${plainServer.address().port}/`);
+        plainServer.close();
+        if (plainPage.method !== 'static' || plainRenders !== 0 || plainScraper.fetchStrategy.getDecisions()['127.0.0.1'].method !== 'static') {
+            throw new Error(`Server-rendered page used ${plainPage.method} with ${plainRenders} renders`);
+        }
+        const guardedHits = [];
+        const guardedServer = createServer((req, res) => {
+            guardedHits.push(req.url);
+            res.writeHead(403, { 'Content-Type': 'text/html' });
+            res.end('<html><body>Access denied</body></html>');
+        });
+        await new Promise(resolve => guardedServer.listen(0, '127.0.0.1', resolve));
+        const guardedOrigin = `http://127.0.0.1:${guardedServer.address().port}`;
+        const guardedRenders = [];
+        const renderGuarded = async url => {
+            guardedRenders.push(new URL(url).pathname);
+            return { success: true, url, method: 'dynamic', title: 'Acme', content: '<html><body>office@acme-widgets.org</body></html>', text: 'office@acme-widgets.org', textContent: 'office@acme-widgets.org', links: [] };
+        };
+        const guardedScraper = new EnhancedWebScraper({ respectRobots: false, crawlDelay: 0 });
+        guardedScraper.scrapeDynamic = renderGuarded;
+        const guardedFirst = await guardedScraper.scrapeUrl(`${guardedOrigin}/`);
+        const guardedSecond = await guardedScraper.scrapeUrl(`${guardedOrigin}/contact`);
+        const basicScraper = new WebScraper();
+        basicScraper.scrapeDynamic = renderGuarded;
+        const basicGuarded = await basicScraper.scrapeUrl(`${guardedOrigin}/team`);
+        guardedServer.close();
+        if (guardedFirst.method !== 'dynamic' || guardedSecond.method !== 'dynamic' || basicGuarded.method !== 'dynamic'
+            || guardedHits.join() !== '/,/team' || guardedRenders.join() !== '/,/contact,/team'
+            || !guardedScraper.fetchStrategy.shouldRender(`${guardedOrigin}/about`) || !basicScraper.fetchStrategy.shouldRender(`${guardedOrigin}/about`)) {
+            throw new Error(`403 page fetched statically ${guardedHits.join()} and rendered ${guardedRenders.join()}`);
+        }
+        console.log(`   SPA escalated (${spaDecision.reasons.join(', ')}) and remembered; server-rendered page stayed static; 403 rendered and remembered`);
+
+        console.log('✅ Testing browser page pool...');
+        const launchFakeBrowser = async () => {
+            const browser = new EventEmitter();
+            browser.connected = true;
+            browser.close = async () => { browser.connected = false; };
+            browser.createBrowserContext = async () => ({
+                newPage: async () => ({ isClosed: () => false, goto: async () => null }),
+                close: async () => {}
+            });
+            return browser;
+        };
+        const browserPool = new BrowserPool({ launch: launchFakeBrowser, maxPages: 1, maxUsesPerPage: 2, pageTimeout: 100 });
+        for (let use = 0; use < 3; use++) {
+            await browserPool.withPage(async page => page.goto('about:blank'));
+        }
+        const stuckPage = await browserPool.withPage(() => new Promise(() => {})).catch(error => error.message);
+        const crashedBrowser = browserPool.browser;
+        crashedBrowser.connected = false;
+        crashedBrowser.emit('disconnected');
+        const afterCrash = await browserPool.withPage(async () => 'rendered');
+        const poolHealth = browserPool.getHealth();
+        await browserPool.close();
+        if (poolHealth.pagesRecycled !== 1 || poolHealth.pagesKilled !== 1 || !/timed out/.test(stuckPage)
+            || poolHealth.restarts !== 1 || poolHealth.launches !== 2 || afterCrash !== 'rendered' || !poolHealth.browserConnected) {
+            throw new Error(`Browser pool health: ${JSON.stringify(poolHealth)}`);
+        }
+        console.log(`   ${poolHealth.pagesCreated} pages opened, ${poolHealth.pagesRecycled} recycled, ${poolHealth.pagesKilled} killed, ${poolHealth.restarts} restart`);
+
+        console.log('✅ Testing resource blocking...');
+        const interceptPage = async (blocker, pageUrl, requests) => {
+            const page = new EventEmitter();
+            page.setRequestInterception = async enabled => { page.intercepting = enabled; };
+            const aborted = [];
+            const interception = await blocker.attach(page, pageUrl);
+            for (const [requestUrl, type] of requests) {
+                page.emit('request', {
+                    url: () => requestUrl,
+                    resourceType: () => type,
+                    continue: async () => {},
+                    abort: async () => { aborted.push(requestUrl); }
+                });
+            }
+            const stats = await interception.detach();
+            return { aborted, stats, stillIntercepting: page.intercepting, listeners: page.listenerCount('request') };
+        };
+        const blockerRequests = [
+            ['https://shop.example.com/', 'document'],
+            ['https://shop.example.com/logo.png', 'image'],
+            ['https://shop.example.com/fonts/brand.woff2', 'font'],
+            ['https://shop.example.com/app.js', 'script'],
+            ['https://www.google-analytics.com/analytics.js', 'script'],
+            ['https://cdn.segment.com/analytics.min.js', 'script']
+        ];
+        const blocker = new ResourceBlocker({
+            domainOverrides: { 'fonts-needed.com': { allowTypes: ['font'], allowHosts: ['cdn.segment.com'] } }
+        });
+        const blocked = await interceptPage(blocker, 'https://shop.example.com/', blockerRequests);
+        const overridden = await interceptPage(blocker, 'https://www.fonts-needed.com/',
+            blockerRequests.map(([requestUrl, type]) => [requestUrl.replace('shop.example.com', 'www.fonts-needed.com'), type]));
+        if (blocked.aborted.length !== 4 || blocked.stats.blockedTrackers !== 2 || blocked.stats.blockedByType.image !== 1
+            || blocked.stats.estimatedBytesSaved <= 0 || blocked.stats.estimatedTimeSavedMs <= 0
+            || blocked.stillIntercepting || blocked.listeners !== 0) {
+            throw new Error(`Default policy: ${JSON.stringify(blocked)}`);
+        }
+        if (overridden.aborted.join() !== 'https://www.fonts-needed.com/logo.png,https://www.google-analytics.com/analytics.js') {
+            throw new Error(`Domain override aborted ${overridden.aborted.join()}`);
+        }
+        const statsScraper = new WebScraper({ browserPool });
+        const withStats = await statsScraper.processScrapedData({ url: 'https://shop.example.com/', content: '<p>hi</p>', textContent: 'hi', method: 'dynamic', resourceStats: blocked.stats });
+        if (withStats.resourceStats?.blockedRequests !== 4) {
+            throw new Error('Resource stats missing from the scrape result');
+        }
+        console.log(`   ${blocked.stats.blockedRequests} requests blocked (~${Math.round(blocked.stats.estimatedBytesSaved / 1024)} KB, ${blocked.stats.estimatedTimeSavedMs} ms saved)`);
+
+        console.log('✅ Testing URL list import...');
+        const importer = new UrlListImporter();
+        const csvList = importer.parse('Company;Homepage;Notes\nAcme;acme.com;\nGlobex;https://globex.com/about#team;x\nBroken;not a url;\nAcme again;acme.com;', { format: 'csv', columns: { url: 'Homepage' } });
+        const textList = importer.parse('# leads\nexample.org\nhttps://example.net/contact  # hot\nmailto:sales@example.org\n', { format: 'txt' });
+        const bookmarkList = importer.parse('<!DOCTYPE NETSCAPE-Bookmark-file-1>\n<DL><p><DT><H3>Leads</H3><DL><p><DT><A HREF="https://initech.com/" ADD_DATE="1">Initech</A><DT><A HREF="javascript:void(0)">Bookmarklet</A></DL></DL>');
+        if (csvList.urls.map(entry => entry.url).join() !== 'https://acme.com/,https://globex.com/about'
+            || csvList.urls[0].label !== 'Acme' || csvList.skipped.map(entry => entry.reason).join() !== 'invalid-url,duplicate') {
+            throw new Error(`CSV import: ${JSON.stringify(csvList)}`);
+        }
+        if (textList.urls.map(entry => entry.url).join() !== 'https://example.org/,https://example.net/contact' || textList.skipped.length !== 1) {
+            throw new Error(`TXT import: ${JSON.stringify(textList)}`);
+        }
+        if (bookmarkList.format !== 'bookmarks' || bookmarkList.urls.length !== 1 || bookmarkList.urls[0].label !== 'Initech') {
+            throw new Error(`Bookmarks import: ${JSON.stringify(bookmarkList)}`);
+        }
+
+        let flakyHits = 0;
+        const batchServer = createServer((req, res) => {
+            if (req.url === '/flaky' && ++flakyHits <= 2) {
+                res.writeHead(500);
+                res.end('Server error');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(`<html><head><title>${req.url}</title></head><body><p>Write to hello@acme-widgets.com or call +1 312 848 3200.</p></body></html>`);
+        });
+        await new Promise(resolve => batchServer.listen(0, '127.0.0.1', resolve));
+        const batchOrigin = `http://127.0.0.1:${batchServer.address().port}`;
+        const batchListPath = join(tmpdir(), `batch-urls-${process.pid}.csv`);
+        const batchDbPath = join(tmpdir(), `batch-jobs-${process.pid}.db`);
+        writeFileSync(batchListPath, `url,name\n${batchOrigin}/team,Team\n${batchOrigin}/flaky,Flaky\n${batchOrigin}/contact,Contact\n`);
+        const batchDatabase = new DatabaseManager({ dbPath: batchDbPath });
+        const batchDataScraper = new DataScraper({
+            scraping: { respectRobots: false, cache: false, fetchMode: 'static', delay: 1 },
+            database: batchDatabase
+        });
+        const storedBatchPages = new Set();
+        batchDataScraper.on('data-scraped', data => storedBatchPages.add(new URL(data.url).pathname));
+        const batch = new BatchScraper({ dataScraper: batchDataScraper, concurrency: 2 });
+        const batchProgress = [];
+        batch.on('progress', update => batchProgress.push(update.completed));
+        const { jobId: batchJobId, imported } = await batch.importFile(batchListPath);
+        const firstBatchRun = await batch.run(batchJobId);
+        const retriedBatch = await batch.retryFailed(batchJobId);
+        const batchUrls = await batchDatabase.getBatchUrls(batchJobId);
+        batchServer.close();
+        await batchDatabase.close();
+        rmSync(batchDbPath, { force: true });
+        rmSync(batchListPath, { force: true });
+        if (imported !== 3 || firstBatchRun.done !== 2 || firstBatchRun.failed !== 1 || firstBatchRun.failures[0].url !== `${batchOrigin}/flaky`
+            || flakyHits !== 3 || retriedBatch.status !== 'completed' || retriedBatch.done !== 3 || retriedBatch.failed !== 0
+            || retriedBatch.contacts.emails !== 3 || batchProgress.join() !== '1,2,3,3' || batchUrls.some(entry => entry.status !== 'done')) {
+            throw new Error(`Batch job: ${JSON.stringify({ firstBatchRun, retriedBatch, batchProgress, flakyHits })}`);
+        }
+        if (storedBatchPages.size !== 3) {
+            throw new Error(`Batch results stored for ${[...storedBatchPages].join()}`);
+        }
+        console.log(`   CSV, TXT and bookmarks parsed; batch of ${imported} URLs finished with ${retriedBatch.contacts.emails} emails after retrying 1 failure`);
+
+        console.log('✅ Testing command-line interface...');
+        const cliServer = createServer((req, res) => {
+            if (req.url === '/robots.txt') {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                res.end('User-agent: *\nDisallow: /private');
+                return;
+            }
+            res.writeHead(req.url === '/gone' ? 404 : 200, { 'Content-Type': 'text/html' });
+            res.end('<html><head><title>Acme</title></head><body><p>Write to hello@acme-widgets.com or call +1 312 848 3200.</p></body></html>');
+        });
+        await new Promise(resolve => cliServer.listen(0, '127.0.0.1', resolve));
+        const cliOrigin = `http://127.0.0.1:${cliServer.address().port}`;
+        const cliDbPath = join(tmpdir(), `cli-${process.pid}.db`);
+        const runCli = async (...args) => {
+            let stdout = '';
+            const exitCode = await new CommandLine({ stdout: { write: text => { stdout += text; } }, stderr: { write: () => {} } })
+                .run([...args, '--db', cliDbPath, '--fetch-mode', 'static', '--json']);
+            return { exitCode, output: JSON.parse(stdout) };
+        };
+        const cliScrape = await runCli('scrape', `${cliOrigin}/contact`);
+        const cliFailed = await runCli('scrape', `${cliOrigin}/gone`);
+        const cliBlocked = await runCli('scrape', `${cliOrigin}/private/team`);
+        const cliBlockedCrawl = await runCli('crawl', `${cliOrigin}/private/`, '--no-store');
+        const cliDeadHost = await runCli('scrape', 'http://127.0.0.1:1/');
+        const cliDeadCrawl = await runCli('crawl', 'http://127.0.0.1:1/', '--no-store');
+        const cliExport = await runCli('export', '--format', 'json');
+        const cliUnknown = await runCli('frobnicate');
+        cliServer.close();
+        rmSync(cliDbPath, { force: true });
+        if (cliScrape.exitCode !== EXIT_CODES.ok || cliScrape.output.contacts.emails !== 1 || cliScrape.output.stored !== 1) {
+            throw new Error(`CLI scrape: ${JSON.stringify(cliScrape)}`);
+        }
+        if (cliFailed.exitCode !== EXIT_CODES.failed || cliFailed.output.success !== false || cliUnknown.exitCode !== EXIT_CODES.usage) {
+            throw new Error(`CLI failures: ${JSON.stringify({ cliFailed, cliUnknown })}`);
+        }
+        if (cliBlocked.exitCode !== EXIT_CODES.blocked || cliBlocked.output.reason !== 'robots'
+            || cliBlockedCrawl.exitCode !== EXIT_CODES.blocked || cliBlockedCrawl.output.reason !== 'robots' || cliBlockedCrawl.output.skippedByRobots !== 1) {
+            throw new Error(`CLI robots.txt: ${JSON.stringify({ cliBlocked, cliBlockedCrawl })}`);
+        }
+        // An unreachable robots.txt is a dead host, not a robots.txt block
+        if (cliDeadHost.exitCode !== EXIT_CODES.failed || cliDeadHost.output.reason || !cliDeadHost.output.error.includes('unreachable')
+            || cliDeadCrawl.exitCode !== EXIT_CODES.failed || cliDeadCrawl.output.reason || !cliDeadCrawl.output.error) {
+            throw new Error(`CLI dead host: ${JSON.stringify({ cliDeadHost, cliDeadCrawl })}`);
+        }
+        if (cliExport.exitCode !== EXIT_CODES.ok || cliExport.output.records !== 1 || cliExport.output.contacts[0].emails[0] !== 'hello@acme-widgets.com') {
+            throw new Error(`CLI export: ${JSON.stringify(cliExport)}`);
+        }
+        console.log('   scrape, export, robots.txt and error exit codes verified with JSON output');
+
+        console.log('✅ Testing DevTools port discovery...');
+        const devToolsServer = createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(req.url === '/json/version'
+                ? { Browser: 'Chrome/124.0.0.0', webSocketDebuggerUrl: 'ws://127.0.0.1/devtools/browser/abc' }
+                : [
+                    { type: 'page', title: 'Inbox', url: 'https://mail.example.com/' },
+                    { type: 'page', title: 'Acme Widgets - Contact', url: 'https://acme-widgets.com/contact' },
+                    { type: 'service_worker', title: 'sw', url: 'https://acme-widgets.com/sw.js' }
+                ]));
+        });
+        await new Promise(resolve => devToolsServer.listen(0, '127.0.0.1', resolve));
+        const profileDir = join(tmpdir(), `brave-profile-${process.pid}`);
+        const staleProfileDir = join(tmpdir(), `vivaldi-profile-${process.pid}`);
+        mkdirSync(profileDir, { recursive: true });
+        mkdirSync(staleProfileDir, { recursive: true });
+        writeFileSync(join(profileDir, 'DevToolsActivePort'), `${devToolsServer.address().port}\n/devtools/browser/abc`);
+        symlinkSync(`workstation-${process.pid}`, join(profileDir, 'SingletonLock'));
+        writeFileSync(join(staleProfileDir, 'DevToolsActivePort'), '1\n/devtools/browser/gone'); // Closed browser
+        const devToolsDiscovery = new DevToolsDiscovery({
+            profileDirs: [{ browser: 'brave', dir: profileDir }, { browser: 'vivaldi', dir: staleProfileDir }],
+            ports: [],
+            platform: 'linux'
+        });
+        const devToolsEndpoints = await devToolsDiscovery.discover();
+        const devToolsMonitor = new BrowserMonitor({ devTools: devToolsDiscovery });
+        const braveWindow = { title: 'Acme Widgets - Contact - Brave', owner: { name: 'brave', processId: process.pid } };
+        const activeTab = await devToolsMonitor.getUrlViaLinuxMethod(braveWindow, devToolsMonitor.getBrowserName(braveWindow.owner.name));
+        devToolsServer.close();
+        rmSync(profileDir, { recursive: true, force: true });
+        rmSync(staleProfileDir, { recursive: true, force: true });
+        if (devToolsEndpoints.length !== 1 || devToolsEndpoints[0].browser !== 'brave' || devToolsEndpoints[0].pid !== process.pid
+            || (await devToolsDiscovery.endpointForWindow({ owner: { processId: 1 } }, 'chrome')) !== devToolsEndpoints[0]) {
+            throw new Error(`DevTools endpoints: ${JSON.stringify(devToolsEndpoints)}`);
+        }
+        if (activeTab?.url !== 'https://acme-widgets.com/contact' || activeTab.method !== 'devtools') {
+            throw new Error(`Active tab over DevTools: ${JSON.stringify(activeTab)}`);
+        }
+        console.log(`   Found ${devToolsEndpoints[0].browser} on port ${devToolsEndpoints[0].port} (pid ${devToolsEndpoints[0].pid}) and read its active tab`);
+
+        console.log('✅ Testing event-driven tab tracking...');
+        const cdpSent = [];
+        const cdpClient = new EventEmitter();
+        cdpClient.close = async () => {};
+        cdpClient.send = async (method, params = {}, sessionId) => {
+            cdpSent.push(sessionId ? `${method}@${sessionId}` : method);
+            if (method === 'Target.setDiscoverTargets') {
+                [['tab-a', 'https://acme-widgets.com/'], ['tab-b', 'https://news.example.org/'], ['tab-c', 'chrome://newtab/'], ['tab-d', 'https://closing.example.org/']]
+                    .forEach(([targetId, url]) => cdpClient.emit('event', {
+                        method: 'Target.targetCreated', params: { targetInfo: { targetId, type: 'page', url, title: targetId } }
+                    }));
+            }
+            if (method === 'Target.attachToTarget' && params.targetId === 'tab-d') throw new Error('No target with given id found');
+            if (method === 'Target.attachToTarget') return { sessionId: `session-${params.targetId}` };
+            if (method === 'Browser.getWindowForTarget') return { windowId: params.targetId === 'tab-b' ? 2 : 1 };
+            if (method === 'Page.getFrameTree') return { frameTree: { frame: { id: sessionId.replace('session-', '') } } };
+            if (method === 'Page.createIsolatedWorld') return { executionContextId: 7 };
+            return {};
+        };
+        const tabState = (targetId, visible, focused) => cdpClient.emit('event', {
+            method: 'Runtime.bindingCalled', sessionId: `session-${targetId}`,
+            params: { name: '__dataScraperTabState', payload: JSON.stringify({ visible, focused }) }
+        });
+        const navigate = (targetId, url) => cdpClient.emit('event', {
+            method: 'Target.targetInfoChanged', params: { targetInfo: { targetId, type: 'page', url, title: targetId } }
+        });
+        const trackedUrls = [];
+        const trackingMonitor = new BrowserMonitor({
+            pollInterval: 60000,
+            firefoxPorts: [],
+            tabTracker: new TabTracker({
+                discovery: { discover: async () => [{ browser: 'chrome', host: '127.0.0.1', port: 9222, webSocketDebuggerUrl: 'ws://127.0.0.1:9222/devtools/browser/x' }] },
+                connect: async () => cdpClient
+            })
+        });
+        trackingMonitor.on('url-changed', info => trackedUrls.push(info.url));
+        await trackingMonitor.start();
+        await new Promise(resolve => setImmediate(resolve));
+        tabState('tab-a', true, true); // Focused tab reports in
+        tabState('tab-b', true, false); // Visible in a background window
+        navigate('tab-b', 'https://news.example.org/story'); // Background navigation: not scraped
+        navigate('tab-a', 'https://acme-widgets.com/contact'); // Focused tab navigates
+        tabState('tab-a', false, false);
+        tabState('tab-c', true, true); // Switch to a new tab page: not a scrapeable URL
+        tabState('tab-b', true, true); // Focus the other window
+        const trackedWindows = trackingMonitor.getOpenWindows();
+        const tracksChrome = trackingMonitor.tabTracker.tracksBrowser('chrome');
+        const tracksClosedTab = trackingMonitor.tabTracker.hasTab('tab-d');
+        await trackingMonitor.stop();
+        if (trackedUrls.join(',') !== 'https://acme-widgets.com/,https://acme-widgets.com/contact,https://news.example.org/story') {
+            throw new Error(`Tracked URLs: ${trackedUrls.join(',')}`);
+        }
+        if (trackedWindows.length !== 2 || trackedWindows.find(window => window.windowId === 2).activeTab.targetId !== 'tab-b'
+            || !tracksChrome || tracksClosedTab || !cdpSent.includes('Runtime.addBinding@session-tab-a')
+            || !cdpSent.includes('Page.createIsolatedWorld@session-tab-a')) {
+            throw new Error(`Tracked windows: ${JSON.stringify(trackedWindows)}`);
+        }
+        console.log(`   ${trackedUrls.length} focused-tab URLs from ${trackedWindows.length} windows over one connection`);
+
+        console.log('✅ Testing live DOM capture from the user\'s tab...');
+        const liveCdpSent = [];
+        const liveTabs = { 'tab-login': 'https://portal.acme-widgets.com/team', 'tab-moved': 'https://acme-widgets.com/about' };
+        const liveCdp = new EventEmitter();
+        liveCdp.close = async () => {};
+        liveCdp.send = async (method, params = {}, sessionId) => {
+            liveCdpSent.push(method);
+            const targetId = sessionId?.replace('session-', '');
+            if (method === 'Target.setDiscoverTargets') {
+                Object.entries(liveTabs).forEach(([id, url]) => liveCdp.emit('event', {
+                    method: 'Target.targetCreated', params: { targetInfo: { targetId: id, type: 'page', url, title: id } }
+                }));
+            }
+            if (method === 'Target.attachToTarget') return { sessionId: `session-${params.targetId}` };
+            if (method === 'Browser.getWindowForTarget') return { windowId: 1 };
+            if (method === 'Page.getFrameTree') return { frameTree: { frame: { id: targetId } } };
+            if (method === 'Page.createIsolatedWorld') return { executionContextId: 7 };
+            if (method === 'Runtime.evaluate' && params.awaitPromise) {
+                // tab-moved has navigated on since its URL was reported
+                const url = targetId === 'tab-moved' ? 'https://acme-widgets.com/careers' : liveTabs[targetId];
+                return { result: { value: JSON.stringify({ url, title: 'Team (signed in)', text: 'Your team: hello@acme-widgets.com' }) } };
+            }
+            if (method === 'DOM.getDocument') return { root: { nodeId: 1 } };
+            if (method === 'DOM.getOuterHTML') {
+                return { outerHTML: '<html><head><title>Team (signed in)</title></head><body><p>Your team: hello@acme-widgets.com</p></body></html>' };
+            }
+            return {};
+        };
+        const liveMonitor = new BrowserMonitor({
+            pollInterval: 60000,
+            firefoxPorts: [],
+            tabTracker: new TabTracker({
+                discovery: { discover: async () => [{ browser: 'chrome', host: '127.0.0.1', port: 9222, webSocketDebuggerUrl: 'ws://127.0.0.1:9222/devtools/browser/y' }] },
+                connect: async () => liveCdp
+            })
+        });
+        const liveDataScraper = new DataScraper({
+            scraping: { liveDom: true, respectRobots: false, cache: false, delay: 1 },
+            browserMonitor: liveMonitor,
+            database: new DatabaseManager({ dbPath: join(tmpdir(), `live-dom-${process.pid}.db`) })
+        });
+        const refetched = [];
+        liveDataScraper.webScraper.scrapeUrl = async url => {
+            refetched.push(url);
+            return { url, method: 'static', emails: [], phones: [], names: [] };
+        };
+        await liveMonitor.start();
+        await new Promise(resolve => setImmediate(resolve));
+        const liveResult = await liveDataScraper.scrapeUrl({ url: liveTabs['tab-login'], targetId: 'tab-login', browser: 'chrome' });
+        const movedResult = await liveDataScraper.scrapeUrl({ url: liveTabs['tab-moved'], targetId: 'tab-moved', browser: 'chrome' });
+        const liveUnchanged = [];
+        liveDataScraper.on('scrape-unchanged', result => liveUnchanged.push(result.url));
+        const recapturedResult = await liveDataScraper.scrapeUrl({ url: liveTabs['tab-login'], targetId: 'tab-login', browser: 'chrome' });
+        await liveDataScraper.flush();
+        const liveStored = await liveDataScraper.getAllScrapedData();
+        await liveMonitor.stop();
+        await liveDataScraper.database.close();
+        rmSync(join(tmpdir(), `live-dom-${process.pid}.db`), { force: true });
+        if (liveResult.method !== 'live-dom' || liveResult.emails.length !== 1 || liveResult.title !== 'Team (signed in)'
+            || recapturedResult.unchanged !== true || liveUnchanged.join() !== liveTabs['tab-login'] || liveStored.length !== 1) {
+            throw new Error(`Live DOM result: ${JSON.stringify({ liveResult, recapturedResult, liveStored: liveStored.length })}`);
+        }
+        if (movedResult.method !== 'static' || refetched.join() !== liveTabs['tab-moved']
+            || !liveCdpSent.includes('DOM.getOuterHTML') || liveCdpSent.some(method => /^Page\.(navigate|reload)$/.test(method))) {
+            throw new Error(`Live DOM fallback: ${JSON.stringify({ movedResult, refetched, liveCdpSent })}`);
+        }
+        console.log('   Signed-in page read from the open tab and stored once; a tab that moved on was fetched instead');
+
+        console.log('✅ Testing Firefox tab tracking over WebDriver BiDi...');
+        const bidiServer = new WebSocketServer({ host: '127.0.0.1', port: 0, path: '/session' });
+        await new Promise(resolve => bidiServer.once('listening', resolve));
+        const bidiMethods = [];
+        const bidiSandboxes = new Set();
+        let bidiSocket = null;
+        bidiServer.on('connection', socket => {
+            bidiSocket = socket;
+            socket.on('message', data => {
+                const { id, method, params } = JSON.parse(data);
+                bidiMethods.push(method);
+                if (/^script\.(addPreloadScript|callFunction)$/.test(method)) bidiSandboxes.add(params.sandbox ?? params.target?.sandbox);
+                const results = {
+                    'session.new': { sessionId: 'firefox-session', capabilities: { browserName: 'firefox' } },
+                    'browsingContext.getTree': { contexts: [
+                        { context: 'ctx-1', url: 'https://acme-widgets.com/', parent: null, clientWindow: 'win-1', children: [] },
+                        { context: 'ctx-2', url: 'about:preferences', parent: null, clientWindow: 'win-1', children: [] }
+                    ] }
+                };
+                socket.send(JSON.stringify({ type: 'success', id, result: results[method] || {} }));
+            });
+        });
+        const bidiEvent = (method, params) => bidiSocket.send(JSON.stringify({ type: 'event', method, params }));
+        const bidiReport = (context, state) => bidiEvent('script.message', {
+            channel: 'data-scraper-tab-state',
+            data: { type: 'string', value: JSON.stringify(state) },
+            source: { realm: 'realm', context }
+        });
+        const bidiSettle = () => new Promise(resolve => setTimeout(resolve, 50));
+        const firefoxUrls = [];
+        const firefoxMonitor = new BrowserMonitor({
+            pollInterval: 60000,
+            tabTracker: new TabTracker({ discovery: { discover: async () => [] } }),
+            firefoxTracker: new FirefoxTabTracker({ ports: [bidiServer.address().port] })
+        });
+        firefoxMonitor.on('url-changed', info => firefoxUrls.push(`${info.browser}:${info.url}`));
+        await firefoxMonitor.start();
+        bidiReport('ctx-1', { url: 'https://acme-widgets.com/', title: 'Acme', visible: true, focused: true });
+        bidiEvent('browsingContext.contextCreated', { context: 'ctx-3', url: 'about:blank', parent: null, clientWindow: 'win-2', children: [] });
+        await bidiSettle();
+        bidiReport('ctx-3', { url: 'https://news.example.org/', title: 'News', visible: true, focused: false }); // Background window
+        bidiReport('ctx-1', { url: 'https://acme-widgets.com/team', title: 'Team', visible: true, focused: true }); // Navigation
+        bidiEvent('browsingContext.fragmentNavigated', { context: 'ctx-1', navigation: null, timestamp: 0, url: 'https://acme-widgets.com/team#sales' });
+        await bidiSettle();
+        const focusedFirefoxTab = await firefoxMonitor.getFirefoxUrl();
+        const firefoxWindows = firefoxMonitor.getOpenWindows();
+        await firefoxMonitor.stop();
+        await new Promise(resolve => bidiServer.close(resolve));
+        const firefoxSetup = [];
+        const unconfiguredMonitor = new BrowserMonitor({ firefoxPorts: [1] });
+        unconfiguredMonitor.on('setup-required', guidance => firefoxSetup.push(guidance));
+        const untrackedFirefoxTab = await unconfiguredMonitor.getFirefoxUrl();
+        await unconfiguredMonitor.getFirefoxUrl();
+        if (firefoxUrls.join(',') !== 'firefox:https://acme-widgets.com/,firefox:https://acme-widgets.com/team,firefox:https://acme-widgets.com/team#sales') {
+            throw new Error(`Firefox URLs: ${firefoxUrls.join(',')}`);
+        }
+        if (focusedFirefoxTab?.method !== 'bidi' || focusedFirefoxTab.title !== 'Team' || firefoxWindows.length !== 2
+            || bidiMethods.filter(method => method === 'script.callFunction').length !== 2
+            || bidiSandboxes.size !== 1 || bidiSandboxes.has(undefined)) {
+            throw new Error(`Firefox tabs: ${JSON.stringify({ focusedFirefoxTab, firefoxWindows, bidiMethods })}`);
+        }
+        if (untrackedFirefoxTab !== null || firefoxSetup.length !== 1 || !firefoxSetup[0].steps[0].includes('--remote-debugging-port')) {
+            throw new Error(`Firefox setup guidance: ${JSON.stringify(firefoxSetup)}`);
+        }
+        console.log(`   ${firefoxUrls.length} focused-tab URLs over BiDi; setup guidance shown when the agent is off`);
+
+        console.log('✅ Testing browser extension ingest endpoint...');
+        const ingestDbPath = join(tmpdir(), `ingest-${process.pid}.db`);
+        const ingestTokenPath = join(tmpdir(), `ingest-token-${process.pid}`, 'extension-token');
+        const ingestDataScraper = new DataScraper({ database: new DatabaseManager({ dbPath: ingestDbPath }) });
+        const ingestedPages = [];
+        const ingestErrors = [];
+        ingestDataScraper.on('data-scraped', data => ingestedPages.push(data));
+        ingestDataScraper.on('error', error => ingestErrors.push(error.message));
+        const ingestServer = new IngestServer({
+            port: 0,
+            tokenPath: ingestTokenPath,
+            onSnapshot: async snapshot => {
+                const data = await ingestDataScraper.ingestSnapshot(snapshot);
+                return data.unchanged ? { unchanged: true } : { contacts: ingestDataScraper.extractionPipeline.countContacts(data) };
+            }
+        });
+        const { port: ingestPort } = await ingestServer.start();
+        const { token: pairingToken } = ingestServer.getPairing();
+        const ingest = async (path, { token = pairingToken, origin, body } = {}) => {
+            const response = await fetch(`http://127.0.0.1:${ingestPort}${path}`, {
+                method: body ? 'POST' : 'GET',
+                headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...(origin ? { Origin: origin } : {}) },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            return { status: response.status, body: await response.json() };
+        };
+        const accountPage = {
+            url: 'https://portal.acme-widgets.com/account/team',
+            title: 'Team - Acme Portal',
+            html: '<html><head><title>Team - Acme Portal</title></head><body><h1>Your account team</h1>'
+                + '<p>Account manager: hello@acme-widgets.com, +1 312 848 3200</p></body></html>',
+            text: 'Your account team\nAccount manager: hello@acme-widgets.com, +1 312 848 3200',
+            capturedAt: '2025-01-01T12:00:00.000Z',
+            trigger: 'load'
+        };
+        const ingestStatus = await ingest('/status', { origin: 'chrome-extension://abcdefghijklmnop' });
+        const wrongToken = await ingest('/status', { token: 'not-the-token' });
+        const fromWebPage = await ingest('/snapshot', { origin: 'https://evil.example', body: accountPage });
+        const notHttp = await ingest('/snapshot', { body: { ...accountPage, url: 'file:///etc/passwd' } });
+        // A snapshot that fails to store isn't treated as seen when the extension sends it again
+        const storeContactData = ingestDataScraper.database.storeContactData.bind(ingestDataScraper.database);
+        ingestDataScraper.database.storeContactData = async () => {
+            ingestDataScraper.database.storeContactData = storeContactData;
+            throw new Error('Database is locked');
+        };
+        const failedStore = await ingest('/snapshot', { body: accountPage });
+        const accepted = await ingest('/snapshot', { origin: 'moz-extension://1234-5678', body: accountPage });
+        const repeated = await ingest('/snapshot', { body: accountPage });
+        const blankPage = await ingestDataScraper.storeCapturedPage({ url: 'https://portal.acme-widgets.com/blank', method: 'live-dom' });
+        const reloadedToken = await new IngestServer({ tokenPath: ingestTokenPath }).loadToken();
+        await ingestServer.stop();
+        await ingestDataScraper.database.close();
+        rmSync(ingestDbPath, { force: true });
+        rmSync(dirname(ingestTokenPath), { recursive: true, force: true });
+        if (ingestStatus.status !== 200 || wrongToken.status !== 401 || fromWebPage.status !== 403 || notHttp.status !== 400) {
+            throw new Error(`Ingest auth: ${JSON.stringify({ ingestStatus, wrongToken, fromWebPage, notHttp })}`);
+        }
+        if (accepted.status !== 200 || accepted.body.contacts.emails !== 1 || accepted.body.contacts.phones !== 1 || repeated.body.unchanged !== true
+            || failedStore.status !== 200 || ingestErrors.join() !== 'Database is locked' || blankPage.unchanged) {
+            throw new Error(`Ingest snapshot: ${JSON.stringify({ failedStore, accepted, repeated, ingestErrors, blankPage })}`);
+        }
+        if (ingestedPages.length !== 1 || ingestedPages[0].method !== 'extension' || !ingestDataScraper.hasRecentSnapshot(accountPage.url)
+            || reloadedToken !== pairingToken) {
+            throw new Error(`Ingested pages: ${JSON.stringify(ingestedPages)}`);
+        }
+        console.log(`   Snapshot stored with method "${ingestedPages[0].method}" after a failed store; bad tokens, web origins and non-http pages refused`);
 
         console.log('✅ Testing CSVExporter...');
         const csvExporter = new CSVExporter('./test_output.csv');
@@ -44,6 +987,10 @@ async function testComponents() {
                 delay: 2000
             }
         });
+        const scraperStatus = dataScraper.getStatus();
+        if (scraperStatus.browser?.maxPages !== 2 || scraperStatus.browser.browserConnected) {
+            throw new Error(`DataScraper status: ${JSON.stringify(scraperStatus)}`);
+        }
         console.log('   DataScraper created successfully');
 
         console.log('✅ Testing GoogleSheetsExporter...');
@@ -56,7 +1003,10 @@ async function testComponents() {
         console.log('\n🎉 All component tests passed!');
         console.log('📋 Components verified:');
         console.log('   • DataProcessor - ✅ Data cleaning and validation');
+        console.log('   • ExtractionPipeline - ✅ Shared extractor modules');
+        console.log('   • EnhancedWebScraper - ✅ Contact page discovery');
         console.log('   • CSVExporter - ✅ File export functionality');
+        console.log('   • VCardExporter - ✅ Address book export');
         console.log('   • WebScraper - ✅ Web scraping engine');
         console.log('   • DataScraper - ✅ Main coordination class');
         console.log('   • GoogleSheetsExporter - ✅ Google Sheets integration');
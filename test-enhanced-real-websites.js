@@ -112,7 +112,7 @@ async function testEnhancedScraper() {
     `;
     
     console.log('📝 Testing pattern extraction on sample text...');
-    const patterns = scraper.extractContactInfo(testText, '');
+    const patterns = await scraper.extractContactInfo(testText, '');
     
     console.log(`📧 Email patterns found: ${patterns.emails.length}`);
     patterns.emails.forEach(email => console.log(`   • ${email}`));
@@ -53,6 +53,9 @@ async function testEnhancedScraping() {
 
         // Test the new validation functions directly
         console.log('\n--- Testing Data Validation ---');
+        const emailExtractor = scraper.pipeline.get('emails');
+        const phoneExtractor = scraper.pipeline.get('phones');
+        const nameExtractor = scraper.pipeline.get('names');
         
         // Test email validation
         const testEmails = [
@@ -66,8 +69,8 @@ async function testEnhancedScraping() {
         
         console.log('\nEmail validation tests:');
         testEmails.forEach(email => {
-            const isValid = scraper.isValidEmail(email);
-            const isFalsePositive = scraper.isEmailFalsePositive(email);
+            const isValid = emailExtractor.isValidEmail(email);
+            const isFalsePositive = emailExtractor.isEmailFalsePositive(email);
             const result = isValid && !isFalsePositive ? '✅ VALID' : '❌ INVALID';
             console.log(`  ${email}: ${result}`);
         });
@@ -84,9 +87,9 @@ async function testEnhancedScraping() {
         
         console.log('\nPhone validation tests:');
         testPhones.forEach(phone => {
-            const cleaned = scraper.cleanPhoneNumber(phone);
-            const isValid = scraper.isValidPhoneNumber(cleaned);
-            const isFalsePositive = scraper.isPhoneFalsePositive(phone);
+            const cleaned = phoneExtractor.cleanPhoneNumber(phone);
+            const isValid = phoneExtractor.isValidPhoneNumber(cleaned);
+            const isFalsePositive = phoneExtractor.isPhoneFalsePositive(phone);
             const result = isValid && !isFalsePositive ? '✅ VALID' : '❌ INVALID';
             console.log(`  ${phone}: ${result}`);
         });
@@ -104,8 +107,8 @@ async function testEnhancedScraping() {
         
         console.log('\nName validation tests:');
         testNames.forEach(name => {
-            const isValid = scraper.isValidName(name);
-            const isFalsePositive = scraper.isNameFalsePositive(name);
+            const isValid = nameExtractor.isValidName(name);
+            const isFalsePositive = nameExtractor.isNameFalsePositive(name);
             const result = isValid && !isFalsePositive ? '✅ VALID' : '❌ INVALID';
             console.log(`  "${name}": ${result}`);
         });
@@ -33,7 +33,7 @@ async function testEnhancedScraperSimple() {
     `;
     
     console.log('📝 Testing pattern extraction on sample text...');
-    const patterns = scraper.extractContactInfo(testText, '');
+    const patterns = await scraper.extractContactInfo(testText, '');
     
     console.log(`\n✅ EMAIL EXTRACTION RESULTS:`);
     console.log(`   📧 Email patterns found: ${patterns.emails.length}`);
@@ -109,7 +109,7 @@ async function testEnhancedScraperSimple() {
     `;
 
     const htmlText = sampleHtml.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
-    const htmlResults = scraper.extractContactInfo(htmlText, sampleHtml);
+    const htmlResults = await scraper.extractContactInfo(htmlText, sampleHtml);
 
     console.log(`📧 HTML Email extraction: ${htmlResults.emails.length} found`);
     htmlResults.emails.forEach((email, i) => console.log(`   ${i+1}. ${email}`));
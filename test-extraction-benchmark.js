@@ -0,0 +1,76 @@
+/**
+ * Offline extraction benchmark
+ * Scores emails, phones and names extracted from the saved pages in benchmark/corpus
+ * against the hand-written labels in benchmark/labels.json, and fails when a score
+ * drops below benchmark/baseline.json
+ *
+ * Usage:
+ *   node test-extraction-benchmark.js                    Report and compare with the baseline
+ *   node test-extraction-benchmark.js --verbose          Also list missing/unexpected values per page
+ *   node test-extraction-benchmark.js --update-baseline  Store the current scores as the baseline
+ */
+
+import { ExtractionBenchmark } from './src/benchmark/ExtractionBenchmark.js';
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const updateBaseline = args.includes('--update-baseline');
+
+const formatScores = scores => `P ${scores.precision.toFixed(3)}  R ${scores.recall.toFixed(3)}  F1 ${scores.f1.toFixed(3)}`;
+
+async function runBenchmark() {
+    console.log('=== Offline Extraction Benchmark ===\n');
+
+    const benchmark = new ExtractionBenchmark();
+    const report = await benchmark.run();
+
+    for (const page of report.pages) {
+        console.log(`📄 ${page.file}`);
+        for (const [field, scores] of Object.entries(page.fields)) {
+            console.log(`   ${field.padEnd(8)} ${formatScores(scores)}`);
+            if (verbose && scores.missing.length > 0) console.log(`            missing:    ${scores.missing.join(', ')}`);
+            if (verbose && scores.unexpected.length > 0) console.log(`            unexpected: ${scores.unexpected.join(', ')}`);
+        }
+    }
+
+    console.log('\n📊 Totals (micro-averaged over all pages)');
+    for (const [field, scores] of Object.entries(report.totals)) {
+        console.log(`   ${field.padEnd(8)} ${formatScores(scores)}  (TP ${scores.truePositives}, FP ${scores.falsePositives}, FN ${scores.falseNegatives})`);
+    }
+
+    if (updateBaseline) {
+        console.log(`\n💾 Baseline updated: ${benchmark.saveBaseline(report)}`);
+        return 0;
+    }
+
+    const baseline = benchmark.loadBaseline();
+    if (!baseline) {
+        console.log('\n⚠️  No baseline stored yet. Run with --update-baseline to create one.');
+        return 0;
+    }
+
+    const { regressions, improvements } = benchmark.compareToBaseline(report, baseline);
+    const describe = change => `${change.scope} ${change.field} ${change.metric}: ${change.before.toFixed(3)} → ${change.after.toFixed(3)}`;
+
+    if (improvements.length > 0) {
+        console.log('\n📈 Improvements over baseline:');
+        improvements.forEach(change => console.log(`   ${describe(change)}`));
+        console.log('   Run with --update-baseline to lock them in.');
+    }
+
+    if (regressions.length > 0) {
+        console.error('\n❌ Regressions against baseline:');
+        regressions.forEach(change => console.error(`   ${describe(change)}`));
+        return 1;
+    }
+
+    console.log('\n✅ No regressions against baseline');
+    return 0;
+}
+
+runBenchmark()
+    .then(exitCode => process.exit(exitCode))
+    .catch(error => {
+        console.error('Benchmark failed:', error);
+        process.exit(1);
+    });